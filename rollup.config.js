@@ -2,43 +2,86 @@ import resolve from '@rollup/plugin-node-resolve';
 import commonjs from '@rollup/plugin-commonjs';
 import babel from '@rollup/plugin-babel';
 import terser from '@rollup/plugin-terser';
+import { readFileSync } from 'fs';
 
-export default {
-  input: 'src/index.js',
-  output: [
-    {
-      file: 'dist/index.js',
-      format: 'cjs',
-      sourcemap: true,
-      exports: 'named'
+const plugins = () => [
+  resolve({
+    browser: true
+  }),
+  commonjs(),
+  babel({
+    babelHelpers: 'bundled',
+    exclude: 'node_modules/**'
+  })
+];
+
+// Segmentation models are loaded on demand from the application's own dependencies
+const external = [
+  '@tensorflow/tfjs',
+  '@tensorflow-models/body-pix'
+];
+
+// Files the worklets load at runtime, copied next to the worklet bundle with their licenses
+const workletAssets = () => ({
+  name: 'worklet-assets',
+  generateBundle() {
+    ['rnnoise.wasm', 'rnnoise.wasm.LICENSE', 'rnnoise.wasm.NOTICE'].forEach(fileName => {
+      this.emitFile({
+        type: 'asset',
+        fileName,
+        source: readFileSync(`src/audio/worklets/${fileName}`)
+      });
+    });
+  }
+});
+
+export default [
+  {
+    input: 'src/index.js',
+    output: [
+      {
+        file: 'dist/index.js',
+        format: 'cjs',
+        sourcemap: true,
+        exports: 'named'
+      },
+      {
+        file: 'dist/index.esm.js',
+        format: 'esm',
+        sourcemap: true,
+        exports: 'named'
+      },
+      {
+        file: 'dist/index.min.js',
+        format: 'umd',
+        name: 'AIMediaProcessor',
+        sourcemap: true,
+        plugins: [terser()],
+        exports: 'named'
+      }
+    ],
+    plugins: plugins(),
+    external
+  },
+  {
+    // Loaded by URL next to the bundle with audioWorklet.addModule(), so its imports are inlined
+    input: 'src/audio/worklets/processors.js',
+    output: {
+      file: 'dist/worklets/processors.js',
+      format: 'esm',
+      sourcemap: true
     },
-    {
-      file: 'dist/index.esm.js',
+    plugins: [...plugins(), workletAssets()]
+  },
+  {
+    // Started by URL next to the bundle with new Worker(), as its own module
+    input: 'src/video/workers/effectsWorker.js',
+    output: {
+      file: 'dist/workers/effectsWorker.js',
       format: 'esm',
-      sourcemap: true,
-      exports: 'named'
+      sourcemap: true
     },
-    {
-      file: 'dist/index.min.js',
-      format: 'umd',
-      name: 'AIMediaProcessor',
-      sourcemap: true,
-      plugins: [terser()],
-      exports: 'named'
-    }
-  ],
-  plugins: [
-    resolve({
-      browser: true
-    }),
-    commonjs(),
-    babel({
-      babelHelpers: 'bundled',
-      exclude: 'node_modules/**'
-    })
-  ],
-  external: [
-    '@tensorflow/tfjs',
-    '@tensorflow-models/body-pix'
-  ]
-}; 
\ No newline at end of file
+    plugins: plugins(),
+    external
+  }
+];
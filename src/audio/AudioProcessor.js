@@ -4,11 +4,28 @@
  */
 
 import { EventEmitter } from '../core/EventEmitter';
-import { createAudioContext, dbToGain, gainToDb, clamp } from '../core/utils';
-import { AUDIO_CONSTANTS } from '../core/constants';
+import { createAudioContext, diffConfig } from '../core/utils';
+import { AUDIO_CONSTANTS, EVENTS } from '../core/constants';
 import { NoiseSuppressor } from './NoiseSuppressor';
 import { AutomaticGainControl } from './AutomaticGainControl';
 import { VoiceFocus } from './VoiceFocus';
+import { Limiter } from './Limiter';
+import { NoiseGate } from './NoiseGate';
+import { LoudnessMeter } from './LoudnessMeter';
+import { LevelMeter } from './LevelMeter';
+import { EchoCanceller } from './EchoCanceller';
+
+/**
+ * Config sections and the property holding each module
+ */
+const FEATURE_MODULES = {
+  echoCancellation: 'echoCanceller',
+  noiseSuppression: 'noiseSuppressor',
+  agc: 'agc',
+  voiceFocus: 'voiceFocus',
+  noiseGate: 'noiseGate',
+  limiter: 'limiter'
+};
 
 export class AudioProcessor extends EventEmitter {
   constructor(config) {
@@ -16,22 +33,41 @@ export class AudioProcessor extends EventEmitter {
     
     this.config = config;
     this.audioContext = null;
-    this.sourceNode = null;
-    this.destinationNode = null;
+    this.streamSource = null;
+    this.streamDestination = null;
+    
+    // Fixed endpoints of the processing chain; modules are wired between them
+    this.inputNode = null;
+    this.outputNode = null;
+    this.loudnessMeter = null;
+
+    // Level meters tapping the chain before and after processing
+    this.inputMeter = null;
+    this.outputMeter = null;
     
     // Processing nodes
+    this.echoCanceller = null; // first, so it sees the echo as the microphone captured it
     this.noiseSuppressor = null;
     this.agc = null;
     this.voiceFocus = null;
+    this.noiseGate = null;
+    this.limiter = null; // follows AGC, catching peaks its gain pushes over
+
+    // Remote audio played through the speakers, kept for echo cancellers created later
+    this.farEndReference = null;
     
     // State
     this.isInitialized = false;
     this.isProcessing = false;
     this.stats = {
       processedFrames: 0,
-      currentLevel: -60,
-      noiseLevel: -60,
-      processingTime: 0
+      currentLevel: -60, // output RMS, dBFS
+      noiseLevel: -60, // output noise floor, dBFS
+      processingTime: 0,
+      input: null, // LevelMeter readings before processing
+      output: null, // and after
+      echo: null, // EchoCanceller readings: ERLE, ERL and double-talk
+      loudness: { momentary: -Infinity, shortTerm: -Infinity, integrated: -Infinity } // LUFS
     };
   }
 
@@ -46,6 +82,22 @@ export class AudioProcessor extends EventEmitter {
         latencyHint: 'interactive'
       });
 
+      // The destination stream outlives module changes so its track stays stable
+      this.inputNode = this.audioContext.createGain();
+      this.outputNode = this.audioContext.createGain();
+      this.streamDestination = this.audioContext.createMediaStreamDestination();
+
+      // Loudness is metered on the way out; the meter passes audio through
+      this.loudnessMeter = new LoudnessMeter(this.audioContext);
+      this.loudnessMeter.on('processed', (loudness) => {
+        this.stats.loudness = loudness;
+      });
+      await this.loudnessMeter.initialize();
+      this.outputNode.connect(this.loudnessMeter.getInputNode());
+      this.loudnessMeter.connect(this.streamDestination);
+
+      await this.createMeters();
+
       // Create processing nodes based on config
       await this.createProcessingNodes();
 
@@ -61,47 +113,127 @@ export class AudioProcessor extends EventEmitter {
    * Create processing nodes based on configuration
    */
   async createProcessingNodes() {
-    const nodes = [];
+    // Create echo canceller if enabled
+    if (this.config.echoCancellation?.enabled) {
+      await this.createEchoCanceller();
+    }
 
     // Create noise suppressor if enabled
     if (this.config.noiseSuppression?.enabled) {
       this.noiseSuppressor = new NoiseSuppressor(this.audioContext, this.config.noiseSuppression);
       await this.noiseSuppressor.initialize();
-      nodes.push(this.noiseSuppressor);
+    }
+
+    // Create voice focus if enabled
+    if (this.config.voiceFocus?.enabled) {
+      await this.createVoiceFocus();
+    }
+
+    // Create noise gate if enabled
+    if (this.config.noiseGate?.enabled) {
+      await this.createNoiseGate();
     }
 
     // Create AGC if enabled
     if (this.config.agc?.enabled) {
-      this.agc = new AutomaticGainControl(this.audioContext, this.config.agc);
-      await this.agc.initialize();
-      nodes.push(this.agc);
+      await this.createAgc();
     }
 
-    // Create voice focus if enabled
-    if (this.config.voiceFocus?.enabled) {
-      this.voiceFocus = new VoiceFocus(this.audioContext, this.config.voiceFocus);
-      await this.voiceFocus.initialize();
-      nodes.push(this.voiceFocus);
+    // Connect nodes in sequence
+    await this.reconnectNodes();
+  }
+
+  /**
+   * Create the echo canceller and hand it the far-end reference, if one has been set
+   */
+  async createEchoCanceller() {
+    this.echoCanceller = new EchoCanceller(this.audioContext, this.config.echoCancellation);
+    this.echoCanceller.on('processed', () => {
+      this.stats.echo = this.echoCanceller.getStats();
+    });
+    await this.echoCanceller.initialize();
+
+    // A stored AudioNode may belong to a context that has since been closed
+    if (this.farEndReference) {
+      try {
+        this.echoCanceller.setFarEndReference(this.farEndReference);
+      } catch (error) {
+        this.emit('error', error);
+      }
+    }
+  }
+
+  /**
+   * Set the remote audio played through the speakers, as a MediaStream or an AudioNode in this
+   * processor's context; null removes it. Echo cancellation has nothing to cancel without one
+   */
+  setFarEndReference(reference) {
+    if (this.echoCanceller) {
+      this.echoCanceller.setFarEndReference(reference);
     }
+    this.farEndReference = reference || null;
+  }
 
-    // Connect nodes in sequence
-    this.connectNodes(nodes);
+  /**
+   * Create voice focus and surface its speech events
+   */
+  async createVoiceFocus() {
+    this.voiceFocus = new VoiceFocus(this.audioContext, this.config.voiceFocus);
+    [EVENTS.SPEECH_START, EVENTS.SPEECH_END].forEach(event => {
+      this.voiceFocus.on(event, (payload) => this.emit(event, payload));
+    });
+    await this.voiceFocus.initialize();
+
+    if (this.noiseGate) {
+      this.noiseGate.setVoiceDetector(this.voiceFocus);
+    }
   }
 
   /**
-   * Connect processing nodes in sequence
+   * Create the noise gate, keyed by voice focus when present; AGC holds its gain while the gate is closed
+   */
+  async createNoiseGate() {
+    this.noiseGate = new NoiseGate(this.audioContext, this.config.noiseGate);
+    this.noiseGate.setVoiceDetector(this.voiceFocus);
+    this.noiseGate.on('gate:changed', ({ open }) => {
+      if (this.agc) {
+        this.agc.setFrozen(!open);
+      }
+    });
+    await this.noiseGate.initialize();
+  }
+
+  /**
+   * Create AGC and the limiter that follows it
+   */
+  async createAgc() {
+    this.agc = new AutomaticGainControl(this.audioContext, this.config.agc);
+    this.agc.setFrozen(!!this.noiseGate && !this.noiseGate.isGateOpen());
+    await this.agc.initialize();
+
+    this.limiter = new Limiter(this.audioContext, this.config.limiter);
+    await this.limiter.initialize();
+  }
+
+  /**
+   * Connect processing nodes in sequence between the input and output nodes
    */
   connectNodes(nodes) {
-    if (nodes.length === 0) return;
+    // Drop the previous wiring, the endpoints themselves are kept; the input meter tap
+    // goes with it, so it is restored
+    this.inputNode.disconnect();
+    nodes.forEach(node => node.disconnect());
+    if (this.inputMeter) {
+      this.inputNode.connect(this.inputMeter.getInputNode());
+    }
 
-    // Connect nodes in sequence
-    for (let i = 0; i < nodes.length - 1; i++) {
-      nodes[i].connect(nodes[i + 1]);
+    let upstream = this.inputNode;
+    for (const node of nodes) {
+      upstream.connect(node.getInputNode());
+      upstream = node;
     }
 
-    // Set source and destination
-    this.sourceNode = nodes[0];
-    this.destinationNode = nodes[nodes.length - 1];
+    upstream.connect(this.outputNode);
   }
 
   /**
@@ -126,25 +258,24 @@ export class AudioProcessor extends EventEmitter {
         return stream; // No audio tracks to process
       }
 
-      // Create source from stream
-      const source = this.audioContext.createMediaStreamSource(stream);
-      
-      // Connect to processing chain
-      source.connect(this.sourceNode);
-      
-      // Create destination stream
-      const destination = this.audioContext.createMediaStreamDestination();
-      this.destinationNode.connect(destination);
+      // Browsers create contexts suspended until a user gesture
+      if (this.audioContext.state === 'suspended') {
+        await this.audioContext.resume();
+      }
+
+      // Replace any previous source so only one stream feeds the chain
+      if (this.streamSource) {
+        this.streamSource.disconnect();
+      }
+      this.streamSource = this.audioContext.createMediaStreamSource(stream);
+      this.streamSource.connect(this.inputNode);
 
       // Create new stream with processed audio
       const processedStream = new MediaStream([
         ...stream.getVideoTracks(),
-        ...destination.stream.getAudioTracks()
+        ...this.streamDestination.stream.getAudioTracks()
       ]);
 
-      // Start monitoring
-      this.startMonitoring();
-
       this.isProcessing = false;
       this.emit('processing:complete', { stream: processedStream });
 
@@ -157,57 +288,61 @@ export class AudioProcessor extends EventEmitter {
   }
 
   /**
-   * Start monitoring audio levels and statistics
+   * Meter levels before and after processing
+   * Readings arrive from the audio thread about every 20 ms, each output reading emits stats:updated
    */
-  startMonitoring() {
-    if (!this.audioContext) return;
-
-    // Create analyzer for monitoring
-    const analyzer = this.audioContext.createAnalyser();
-    analyzer.fftSize = 2048;
-    analyzer.smoothingTimeConstant = 0.8;
-
-    this.destinationNode.connect(analyzer);
-
-    const dataArray = new Uint8Array(analyzer.frequencyBinCount);
-
-    const updateStats = () => {
-      if (!this.isProcessing) return;
-
-      analyzer.getByteFrequencyData(dataArray);
-      
-      // Calculate RMS level
-      let sum = 0;
-      for (let i = 0; i < dataArray.length; i++) {
-        sum += dataArray[i] * dataArray[i];
-      }
-      const rms = Math.sqrt(sum / dataArray.length);
-      this.stats.currentLevel = gainToDb(rms / 255);
-
-      // Estimate noise level (simplified)
-      const sorted = [...dataArray].sort((a, b) => a - b);
-      const noiseRms = Math.sqrt(sorted.slice(0, Math.floor(sorted.length * 0.1)).reduce((sum, val) => sum + val * val, 0) / Math.floor(sorted.length * 0.1));
-      this.stats.noiseLevel = gainToDb(noiseRms / 255);
-
+  async createMeters() {
+    this.inputMeter = new LevelMeter(this.audioContext);
+    this.inputMeter.on('levels', (levels) => {
+      this.stats.input = levels;
+    });
+    await this.inputMeter.initialize();
+    this.inputNode.connect(this.inputMeter.getInputNode());
+
+    this.outputMeter = new LevelMeter(this.audioContext);
+    this.outputMeter.on('levels', (levels) => {
+      this.stats.output = levels;
+      this.stats.currentLevel = levels.rms;
+      this.stats.noiseLevel = levels.noiseFloor;
       this.stats.processedFrames++;
       this.emit('stats:updated', this.stats);
+    });
+    await this.outputMeter.initialize();
+    this.outputNode.connect(this.outputMeter.getInputNode());
+  }
 
-      requestAnimationFrame(updateStats);
-    };
-
-    updateStats();
+  /**
+   * Start counting clipped samples from zero on both meters
+   */
+  resetClipCounts() {
+    [this.inputMeter, this.outputMeter].forEach(meter => {
+      if (meter) meter.resetClips();
+    });
   }
 
   /**
    * Update configuration
+   * Toggled features add or remove their module; other changes go to the running module
    */
   async updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig };
+    this.config = { ...this.config };
+
+    for (const [feature, settings] of Object.entries(newConfig)) {
+      const moduleName = FEATURE_MODULES[feature];
+      if (!moduleName || !settings) continue;
+
+      const previous = this.config[feature] || {};
+      const next = { ...previous, ...settings };
+      const changes = diffConfig(previous, next);
+      this.config[feature] = next;
 
-    // Reinitialize if needed
-    if (this.isInitialized) {
-      await this.destroy();
-      await this.initialize();
+      if (!this.isInitialized || Object.keys(changes).length === 0) continue;
+
+      if ('enabled' in changes) {
+        await this.setFeature(feature, next.enabled);
+      } else if (this[moduleName]) {
+        await this[moduleName].updateConfig(changes);
+      }
     }
 
     this.emit('config:updated', { config: this.config });
@@ -234,6 +369,23 @@ export class AudioProcessor extends EventEmitter {
     return this.stats.noiseLevel;
   }
 
+  /**
+   * Get momentary, short-term and integrated loudness of the output in LUFS
+   */
+  getLoudness() {
+    return this.stats.loudness;
+  }
+
+  /**
+   * Start a new integrated loudness measurement
+   */
+  resetLoudness() {
+    if (this.loudnessMeter) {
+      this.loudnessMeter.reset();
+      this.stats.loudness = this.loudnessMeter.getLoudness();
+    }
+  }
+
   /**
    * Get signal-to-noise ratio
    */
@@ -245,13 +397,7 @@ export class AudioProcessor extends EventEmitter {
    * Enable/disable specific features
    */
   async setFeature(feature, enabled) {
-    const featureMap = {
-      noiseSuppression: 'noiseSuppressor',
-      agc: 'agc',
-      voiceFocus: 'voiceFocus'
-    };
-
-    const nodeName = featureMap[feature];
+    const nodeName = FEATURE_MODULES[feature];
     if (!nodeName) {
       throw new Error(`Unknown feature: ${feature}`);
     }
@@ -272,17 +418,21 @@ export class AudioProcessor extends EventEmitter {
    */
   async createNode(feature) {
     switch (feature) {
+      case 'echoCancellation':
+        await this.createEchoCanceller();
+        break;
       case 'noiseSuppression':
         this.noiseSuppressor = new NoiseSuppressor(this.audioContext, this.config.noiseSuppression);
         await this.noiseSuppressor.initialize();
         break;
       case 'agc':
-        this.agc = new AutomaticGainControl(this.audioContext, this.config.agc);
-        await this.agc.initialize();
+        await this.createAgc();
         break;
       case 'voiceFocus':
-        this.voiceFocus = new VoiceFocus(this.audioContext, this.config.voiceFocus);
-        await this.voiceFocus.initialize();
+        await this.createVoiceFocus();
+        break;
+      case 'noiseGate':
+        await this.createNoiseGate();
         break;
     }
 
@@ -295,6 +445,13 @@ export class AudioProcessor extends EventEmitter {
    */
   async removeNode(feature) {
     switch (feature) {
+      case 'echoCancellation':
+        if (this.echoCanceller) {
+          await this.echoCanceller.destroy();
+          this.echoCanceller = null;
+          this.stats.echo = null;
+        }
+        break;
       case 'noiseSuppression':
         if (this.noiseSuppressor) {
           await this.noiseSuppressor.destroy();
@@ -306,13 +463,29 @@ export class AudioProcessor extends EventEmitter {
           await this.agc.destroy();
           this.agc = null;
         }
+        if (this.limiter) {
+          await this.limiter.destroy();
+          this.limiter = null;
+        }
         break;
       case 'voiceFocus':
         if (this.voiceFocus) {
+          if (this.noiseGate) {
+            this.noiseGate.setVoiceDetector(null);
+          }
           await this.voiceFocus.destroy();
           this.voiceFocus = null;
         }
         break;
+      case 'noiseGate':
+        if (this.noiseGate) {
+          await this.noiseGate.destroy();
+          this.noiseGate = null;
+        }
+        if (this.agc) {
+          this.agc.setFrozen(false);
+        }
+        break;
     }
 
     // Reconnect nodes
@@ -321,13 +494,19 @@ export class AudioProcessor extends EventEmitter {
 
   /**
    * Reconnect all nodes after changes
+   * Echo cancellation goes first, as the gain changes after it would make its echo path nonlinear;
+   * voice focus comes before the gate and AGC so speech detection sees neither's gain changes,
+   * and the limiter goes last so nothing after it can push peaks back over
    */
   async reconnectNodes() {
     const nodes = [];
     
+    if (this.echoCanceller) nodes.push(this.echoCanceller);
     if (this.noiseSuppressor) nodes.push(this.noiseSuppressor);
-    if (this.agc) nodes.push(this.agc);
     if (this.voiceFocus) nodes.push(this.voiceFocus);
+    if (this.noiseGate) nodes.push(this.noiseGate);
+    if (this.agc) nodes.push(this.agc);
+    if (this.limiter) nodes.push(this.limiter);
 
     this.connectNodes(nodes);
   }
@@ -339,7 +518,38 @@ export class AudioProcessor extends EventEmitter {
     this.isProcessing = false;
     this.isInitialized = false;
 
+    if (this.streamSource) {
+      this.streamSource.disconnect();
+      this.streamSource = null;
+    }
+
+    // Stop the processed track so consumers see it end
+    if (this.streamDestination) {
+      this.streamDestination.stream.getTracks().forEach(track => track.stop());
+      this.streamDestination = null;
+    }
+
+    this.inputNode = null;
+    this.outputNode = null;
+
+    if (this.loudnessMeter) {
+      await this.loudnessMeter.destroy();
+      this.loudnessMeter = null;
+    }
+
+    for (const meter of ['inputMeter', 'outputMeter']) {
+      if (this[meter]) {
+        await this[meter].destroy();
+        this[meter] = null;
+      }
+    }
+
     // Destroy processing nodes
+    if (this.echoCanceller) {
+      await this.echoCanceller.destroy();
+      this.echoCanceller = null;
+    }
+
     if (this.noiseSuppressor) {
       await this.noiseSuppressor.destroy();
       this.noiseSuppressor = null;
@@ -350,11 +560,21 @@ export class AudioProcessor extends EventEmitter {
       this.agc = null;
     }
 
+    if (this.noiseGate) {
+      await this.noiseGate.destroy();
+      this.noiseGate = null;
+    }
+
     if (this.voiceFocus) {
       await this.voiceFocus.destroy();
       this.voiceFocus = null;
     }
 
+    if (this.limiter) {
+      await this.limiter.destroy();
+      this.limiter = null;
+    }
+
     // Close audio context
     if (this.audioContext && this.audioContext.state !== 'closed') {
       await this.audioContext.close();
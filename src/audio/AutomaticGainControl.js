@@ -4,8 +4,10 @@
  */
 
 import { EventEmitter } from '../core/EventEmitter';
-import { dbToGain, gainToDb, clamp } from '../core/utils';
+import { gainToDb, clamp } from '../core/utils';
 import { AUDIO_CONSTANTS } from '../core/constants';
+import { ProcessingNode } from './ProcessingNode';
+import { GainControlKernel } from './dsp/GainControlKernel';
 
 export class AutomaticGainControl extends EventEmitter {
   constructor(audioContext, config) {
@@ -17,23 +19,24 @@ export class AutomaticGainControl extends EventEmitter {
       compressionRatio: AUDIO_CONSTANTS.AGC_DEFAULT_RATIO,
       attackTime: 0.1,
       releaseTime: 0.5,
+      minGain: AUDIO_CONSTANTS.AGC_MIN_GAIN,
+      maxGain: AUDIO_CONSTANTS.AGC_MAX_GAIN,
+      targetLoudness: null, // LUFS; set to steer short-term loudness instead of RMS level
       ...config
     };
     
     // Processing nodes
     this.analyser = null;
     this.gainNode = null;
-    this.scriptProcessor = null;
+    this.processingNode = null;
     
     // State
     this.isInitialized = false;
     this.currentGain = 1.0;
     this.targetGain = 1.0;
     this.frameCount = 0;
-    
-    // Attack/release coefficients
-    this.attackCoeff = 0;
-    this.releaseCoeff = 0;
+    this.isFrozen = false;
+    this.inputLoudness = -Infinity;
   }
 
   /**
@@ -46,28 +49,29 @@ export class AutomaticGainControl extends EventEmitter {
       this.analyser.fftSize = 1024;
       this.analyser.smoothingTimeConstant = 0.3;
 
-      // Create gain node
+      // Output node, the kernel applies the gain itself
       this.gainNode = this.audioContext.createGain();
-      this.gainNode.gain.value = this.currentGain;
-
-      // Create script processor
-      this.scriptProcessor = this.audioContext.createScriptProcessor(
-        AUDIO_CONSTANTS.DEFAULT_BUFFER_SIZE,
-        1, // input channels
-        1  // output channels
-      );
-
-      // Set up processing
-      this.scriptProcessor.onaudioprocess = (event) => {
-        this.processAudio(event);
-      };
-
-      // Calculate attack/release coefficients
-      this.calculateCoefficients();
+      this.gainNode.gain.value = 1.0;
+
+      // Gain computation runs off the main thread where AudioWorklet is available
+      this.processingNode = new ProcessingNode(this.audioContext, GainControlKernel, {
+        parameterData: {
+          targetLevel: this.config.targetLevel,
+          compressionRatio: this.config.compressionRatio,
+          attackTime: this.config.attackTime,
+          releaseTime: this.config.releaseTime,
+          minGain: this.config.minGain,
+          maxGain: this.config.maxGain,
+          freeze: this.isFrozen ? 1 : 0,
+          ...this.getLoudnessParams()
+        },
+        onMessage: (message) => this.handleProcessorMessage(message)
+      });
+      await this.processingNode.initialize();
 
       // Connect nodes
-      this.analyser.connect(this.scriptProcessor);
-      this.scriptProcessor.connect(this.gainNode);
+      this.analyser.connect(this.processingNode.node);
+      this.processingNode.connect(this.gainNode);
 
       this.isInitialized = true;
       this.emit('initialized');
@@ -78,100 +82,58 @@ export class AutomaticGainControl extends EventEmitter {
   }
 
   /**
-   * Calculate attack and release coefficients
-   */
-  calculateCoefficients() {
-    const sampleRate = this.audioContext.sampleRate;
-    const bufferSize = AUDIO_CONSTANTS.DEFAULT_BUFFER_SIZE;
-    
-    // Convert time constants to coefficients
-    this.attackCoeff = Math.exp(-bufferSize / (sampleRate * this.config.attackTime));
-    this.releaseCoeff = Math.exp(-bufferSize / (sampleRate * this.config.releaseTime));
-  }
-
-  /**
-   * Process audio data
+   * Handle stats reported by the processing kernel
    */
-  processAudio(event) {
-    const inputBuffer = event.inputBuffer;
-    const outputBuffer = event.outputBuffer;
-    const inputData = inputBuffer.getChannelData(0);
-    const outputData = outputBuffer.getChannelData(0);
-
-    // Calculate RMS level of input
-    let sum = 0;
-    for (let i = 0; i < inputData.length; i++) {
-      sum += inputData[i] * inputData[i];
-    }
-    const rms = Math.sqrt(sum / inputData.length);
-    const inputLevel = gainToDb(rms);
-
-    // Calculate target gain based on input level
-    const newTargetGain = this.calculateTargetGain(inputLevel);
-
-    // Apply attack/release smoothing
-    this.smoothGain(newTargetGain);
+  handleProcessorMessage(message) {
+    if (message.type !== 'stats') return;
 
-    // Apply gain to output
-    for (let i = 0; i < inputData.length; i++) {
-      outputData[i] = inputData[i] * this.currentGain;
-    }
+    this.frameCount = message.frame;
+    this.currentGain = message.currentGain;
+    this.targetGain = message.targetGain;
+    this.inputLoudness = message.inputLoudness;
 
-    this.frameCount++;
     this.emit('processed', {
-      frame: this.frameCount,
-      inputLevel,
-      currentGain: this.currentGain,
-      targetGain: this.targetGain
+      frame: message.frame,
+      inputLevel: message.inputLevel,
+      inputLoudness: message.inputLoudness,
+      currentGain: message.currentGain,
+      targetGain: message.targetGain
     });
   }
 
   /**
-   * Calculate target gain based on input level
+   * Push a config value to the kernel parameter of the same name
    */
-  calculateTargetGain(inputLevel) {
-    const targetLevel = this.config.targetLevel;
-    const ratio = this.config.compressionRatio;
-    
-    // Calculate how much gain we need to reach target level
-    const levelDifference = targetLevel - inputLevel;
-    
-    // Apply compression ratio
-    let gainAdjustment;
-    if (levelDifference > 0) {
-      // Input is too quiet, apply full gain
-      gainAdjustment = levelDifference;
-    } else {
-      // Input is too loud, apply compression
-      gainAdjustment = levelDifference / ratio;
+  applyParam(name) {
+    if (this.processingNode) {
+      this.processingNode.setParam(name, this.config[name]);
     }
-    
-    // Convert to linear gain
-    const targetGain = dbToGain(gainAdjustment);
-    
-    // Clamp to reasonable limits
-    return clamp(targetGain, AUDIO_CONSTANTS.AGC_MIN_GAIN, AUDIO_CONSTANTS.AGC_MAX_GAIN);
   }
 
   /**
-   * Smooth gain changes using attack/release
+   * Kernel parameters for the loudness target, where null means RMS mode
    */
-  smoothGain(newTargetGain) {
-    this.targetGain = newTargetGain;
-    
-    // Apply attack or release based on direction
-    if (newTargetGain > this.currentGain) {
-      // Attack phase
-      this.currentGain = this.currentGain * this.attackCoeff + 
-                        newTargetGain * (1 - this.attackCoeff);
-    } else {
-      // Release phase
-      this.currentGain = this.currentGain * this.releaseCoeff + 
-                        newTargetGain * (1 - this.releaseCoeff);
+  getLoudnessParams() {
+    const { targetLoudness } = this.config;
+    return {
+      loudnessMode: targetLoudness === null || targetLoudness === undefined ? 0 : 1,
+      targetLoudness: targetLoudness ?? -23
+    };
+  }
+
+  applyLoudnessParams() {
+    if (this.processingNode) {
+      const params = this.getLoudnessParams();
+      this.processingNode.setParam('loudnessMode', params.loudnessMode);
+      this.processingNode.setParam('targetLoudness', params.targetLoudness);
     }
-    
-    // Update gain node
-    this.gainNode.gain.setValueAtTime(this.currentGain, this.audioContext.currentTime);
+  }
+
+  /**
+   * Get a processing parameter as an AudioParam (null on the ScriptProcessor fallback)
+   */
+  getAudioParam(name) {
+    return this.processingNode ? this.processingNode.getParam(name) : null;
   }
 
   /**
@@ -179,14 +141,25 @@ export class AutomaticGainControl extends EventEmitter {
    */
   setTargetLevel(level) {
     this.config.targetLevel = clamp(level, -60, 0);
+    this.applyParam('targetLevel');
     this.emit('targetLevel:changed', { level: this.config.targetLevel });
   }
 
+  /**
+   * Set target loudness in LUFS, or null to go back to targetLevel
+   */
+  setTargetLoudness(loudness) {
+    this.config.targetLoudness = loudness === null ? null : clamp(loudness, -70, 0);
+    this.applyLoudnessParams();
+    this.emit('targetLoudness:changed', { loudness: this.config.targetLoudness });
+  }
+
   /**
    * Set compression ratio
    */
   setCompressionRatio(ratio) {
     this.config.compressionRatio = clamp(ratio, 1, 20);
+    this.applyParam('compressionRatio');
     this.emit('compressionRatio:changed', { ratio: this.config.compressionRatio });
   }
 
@@ -195,7 +168,7 @@ export class AutomaticGainControl extends EventEmitter {
    */
   setAttackTime(time) {
     this.config.attackTime = clamp(time, 0.001, 1.0);
-    this.calculateCoefficients();
+    this.applyParam('attackTime');
     this.emit('attackTime:changed', { time: this.config.attackTime });
   }
 
@@ -204,10 +177,34 @@ export class AutomaticGainControl extends EventEmitter {
    */
   setReleaseTime(time) {
     this.config.releaseTime = clamp(time, 0.001, 5.0);
-    this.calculateCoefficients();
+    this.applyParam('releaseTime');
     this.emit('releaseTime:changed', { time: this.config.releaseTime });
   }
 
+  /**
+   * Set the range the gain may move in, as linear factors
+   */
+  setGainRange(minGain, maxGain) {
+    this.config.minGain = clamp(minGain, AUDIO_CONSTANTS.AGC_MIN_GAIN, AUDIO_CONSTANTS.AGC_MAX_GAIN);
+    this.config.maxGain = clamp(maxGain, this.config.minGain, AUDIO_CONSTANTS.AGC_MAX_GAIN);
+    this.applyParam('minGain');
+    this.applyParam('maxGain');
+    this.emit('gainRange:changed', { minGain: this.config.minGain, maxGain: this.config.maxGain });
+  }
+
+  /**
+   * Hold the gain where it is, so silence between phrases doesn't pull it up
+   */
+  setFrozen(frozen) {
+    if (frozen === this.isFrozen) return;
+
+    this.isFrozen = frozen;
+    if (this.processingNode) {
+      this.processingNode.setParam('freeze', frozen ? 1 : 0);
+    }
+    this.emit('frozen:changed', { frozen });
+  }
+
   /**
    * Get current gain value
    */
@@ -227,7 +224,12 @@ export class AutomaticGainControl extends EventEmitter {
    */
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
-    this.calculateCoefficients();
+    ['targetLevel', 'compressionRatio', 'attackTime', 'releaseTime', 'minGain', 'maxGain']
+      .filter(name => name in newConfig)
+      .forEach(name => this.applyParam(name));
+    if ('targetLoudness' in newConfig) {
+      this.applyLoudnessParams();
+    }
     this.emit('config:updated', { config: this.config });
   }
 
@@ -240,12 +242,25 @@ export class AutomaticGainControl extends EventEmitter {
       currentGain: this.currentGain,
       currentGainDb: gainToDb(this.currentGain),
       targetLevel: this.config.targetLevel,
+      targetLoudness: this.config.targetLoudness,
+      inputLoudness: this.inputLoudness,
       compressionRatio: this.config.compressionRatio,
       attackTime: this.config.attackTime,
-      releaseTime: this.config.releaseTime
+      releaseTime: this.config.releaseTime,
+      minGain: this.config.minGain,
+      maxGain: this.config.maxGain,
+      frozen: this.isFrozen,
+      audioWorklet: !!(this.processingNode && this.processingNode.isWorklet)
     };
   }
 
+  /**
+   * Get the node that upstream audio should connect to
+   */
+  getInputNode() {
+    return this.analyser;
+  }
+
   /**
    * Connect to another audio node
    */
@@ -273,9 +288,9 @@ export class AutomaticGainControl extends EventEmitter {
   async destroy() {
     this.isInitialized = false;
 
-    if (this.scriptProcessor) {
-      this.scriptProcessor.disconnect();
-      this.scriptProcessor = null;
+    if (this.processingNode) {
+      this.processingNode.destroy();
+      this.processingNode = null;
     }
 
     if (this.analyser) {
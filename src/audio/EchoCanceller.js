@@ -0,0 +1,258 @@
+/**
+ * EchoCanceller class
+ * Acoustic echo cancellation that removes the far-end audio the microphone picks up from the speakers
+ */
+
+import { EventEmitter } from '../core/EventEmitter';
+import { ProcessingNode } from './ProcessingNode';
+import { EchoCancellerKernel } from './dsp/EchoCancellerKernel';
+
+export class EchoCanceller extends EventEmitter {
+  constructor(audioContext, config) {
+    super();
+
+    this.audioContext = audioContext;
+    this.config = {
+      tailLength: 250, // ms of echo the filter covers, including playback and capture latency
+      stepSize: 0.5, // adaptation speed, 0.01-1
+      ...config
+    };
+
+    // Processing nodes; the microphone and far-end reference share one two-channel input
+    this.merger = null;
+    this.processingNode = null;
+    this.gainNode = null;
+
+    // Far-end reference as given, and the node carrying it into the merger
+    this.reference = null;
+    this.referenceNode = null;
+    this.ownsReferenceNode = false;
+
+    // State
+    this.isInitialized = false;
+    this.frameCount = 0;
+    this.erle = 0;
+    this.erl = 0;
+    this.doubleTalk = false;
+    this.farEndActive = false;
+    this.latency = 0;
+  }
+
+  /**
+   * Initialize the echo canceller
+   */
+  async initialize() {
+    try {
+      this.merger = this.audioContext.createChannelMerger(2);
+
+      // Output node, the kernel writes the echo-cancelled microphone
+      this.gainNode = this.audioContext.createGain();
+      this.gainNode.gain.value = 1.0;
+
+      this.processingNode = new ProcessingNode(this.audioContext, EchoCancellerKernel, {
+        processorOptions: {
+          tailLength: this.config.tailLength
+        },
+        parameterData: {
+          stepSize: this.config.stepSize
+        },
+        inputChannels: 2,
+        onMessage: (message) => this.handleProcessorMessage(message)
+      });
+      await this.processingNode.initialize();
+
+      this.merger.connect(this.processingNode.node);
+      this.processingNode.connect(this.gainNode);
+
+      if (this.referenceNode) {
+        this.referenceNode.connect(this.merger, 0, 1);
+      }
+
+      this.isInitialized = true;
+      this.emit('initialized');
+    } catch (error) {
+      this.emit('error', new Error(`Failed to initialize EchoCanceller: ${error.message}`));
+      throw error;
+    }
+  }
+
+  /**
+   * Handle meters reported by the processing kernel
+   */
+  handleProcessorMessage(message) {
+    if (message.type !== 'stats') return;
+
+    this.frameCount = message.frame;
+    this.erle = message.erle;
+    this.erl = message.erl;
+    this.farEndActive = message.farEndActive;
+    this.latency = message.latency;
+
+    if (message.doubleTalk !== this.doubleTalk) {
+      this.doubleTalk = message.doubleTalk;
+      this.emit('doubletalk:changed', { doubleTalk: message.doubleTalk });
+    }
+
+    this.emit('processed', {
+      frame: message.frame,
+      erle: message.erle,
+      doubleTalk: message.doubleTalk,
+      farEndActive: message.farEndActive
+    });
+  }
+
+  /**
+   * Set the far-end audio played through the speakers: a MediaStream with an audio track,
+   * an AudioNode in this context, or null to stop cancelling
+   * The filter starts over, since the echo path belongs to the old reference
+   */
+  setFarEndReference(reference) {
+    let node = null;
+    let ownsNode = false;
+
+    if (reference instanceof AudioNode) {
+      if (reference.context !== this.audioContext) {
+        throw new Error('Far-end AudioNode belongs to a different AudioContext');
+      }
+      node = reference;
+    } else if (reference instanceof MediaStream) {
+      if (reference.getAudioTracks().length === 0) {
+        throw new Error('Far-end MediaStream has no audio tracks');
+      }
+      node = this.audioContext.createMediaStreamSource(reference);
+      ownsNode = true;
+    } else if (reference) {
+      throw new Error('Far-end reference must be a MediaStream or AudioNode');
+    }
+
+    this.releaseReference();
+
+    this.reference = reference || null;
+    this.referenceNode = node;
+    this.ownsReferenceNode = ownsNode;
+
+    if (node && this.merger) {
+      node.connect(this.merger, 0, 1);
+    }
+    if (this.processingNode) {
+      this.processingNode.postMessage({ type: 'reset' });
+    }
+
+    this.emit('reference:changed', { connected: !!node });
+  }
+
+  /**
+   * Disconnect the current reference, leaving a caller's node connected elsewhere
+   */
+  releaseReference() {
+    if (!this.referenceNode) return;
+
+    if (this.ownsReferenceNode) {
+      this.referenceNode.disconnect();
+    } else if (this.merger) {
+      this.referenceNode.disconnect(this.merger);
+    }
+
+    this.reference = null;
+    this.referenceNode = null;
+    this.ownsReferenceNode = false;
+  }
+
+  /**
+   * Whether a far-end reference is connected
+   */
+  hasFarEndReference() {
+    return !!this.referenceNode;
+  }
+
+  /**
+   * Update configuration
+   * A new tail length resizes the filter, which then adapts from scratch
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+
+    if ('stepSize' in newConfig && this.processingNode) {
+      this.processingNode.setParam('stepSize', this.config.stepSize);
+    }
+
+    if ('tailLength' in newConfig && this.processingNode) {
+      this.processingNode.postMessage({ type: 'configure', tailLength: this.config.tailLength });
+    }
+
+    this.emit('config:updated', { config: this.config });
+  }
+
+  /**
+   * Get current statistics
+   * ERLE is the echo return loss enhancement in dB, how far the filter brings the echo down;
+   * ERL is the measured speaker-to-microphone loss in dB, negative when the echo is quieter
+   */
+  getStats() {
+    return {
+      frameCount: this.frameCount,
+      erle: this.erle,
+      erl: this.erl,
+      doubleTalk: this.doubleTalk,
+      farEndActive: this.farEndActive,
+      hasReference: this.hasFarEndReference(),
+      latency: this.latency,
+      tailLength: this.config.tailLength,
+      stepSize: this.config.stepSize,
+      audioWorklet: !!(this.processingNode && this.processingNode.isWorklet)
+    };
+  }
+
+  /**
+   * Get the node that upstream audio should connect to; it feeds the microphone channel
+   */
+  getInputNode() {
+    return this.merger;
+  }
+
+  /**
+   * Connect to another audio node
+   */
+  connect(destination) {
+    if (!this.isInitialized) {
+      throw new Error('EchoCanceller not initialized');
+    }
+
+    this.gainNode.connect(destination);
+    return destination;
+  }
+
+  /**
+   * Disconnect from all destinations
+   */
+  disconnect() {
+    if (this.gainNode) {
+      this.gainNode.disconnect();
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  async destroy() {
+    this.isInitialized = false;
+    this.releaseReference();
+
+    if (this.processingNode) {
+      this.processingNode.destroy();
+      this.processingNode = null;
+    }
+
+    if (this.merger) {
+      this.merger.disconnect();
+      this.merger = null;
+    }
+
+    if (this.gainNode) {
+      this.gainNode.disconnect();
+      this.gainNode = null;
+    }
+
+    this.emit('destroyed');
+  }
+}
@@ -0,0 +1,105 @@
+/**
+ * LevelMeter class
+ * Taps a point in the audio graph for per-channel peak, RMS, VU, PPM, noise floor and clip readings
+ */
+
+import { EventEmitter } from '../core/EventEmitter';
+import { ProcessingNode } from './ProcessingNode';
+import { LevelMeterKernel } from './dsp/LevelMeterKernel';
+
+// Reported before the first reading, dBFS
+const SILENCE = -120;
+
+export class LevelMeter extends EventEmitter {
+  constructor(audioContext) {
+    super();
+
+    this.audioContext = audioContext;
+    this.processingNode = null;
+
+    // State
+    this.isInitialized = false;
+    this.frameCount = 0;
+    this.channels = [];
+  }
+
+  /**
+   * Initialize the meter
+   */
+  async initialize() {
+    try {
+      this.processingNode = new ProcessingNode(this.audioContext, LevelMeterKernel, {
+        numberOfOutputs: 0,
+        inputChannels: 2,
+        onMessage: (message) => this.handleProcessorMessage(message)
+      });
+      await this.processingNode.initialize();
+
+      this.isInitialized = true;
+      this.emit('initialized');
+    } catch (error) {
+      this.emit('error', new Error(`Failed to initialize LevelMeter: ${error.message}`));
+      throw error;
+    }
+  }
+
+  /**
+   * Handle readings reported by the processing kernel
+   */
+  handleProcessorMessage(message) {
+    if (message.type !== 'levels') return;
+
+    this.frameCount = message.frame;
+    this.channels = message.channels;
+    this.emit('levels', this.getLevels());
+  }
+
+  /**
+   * Readings in dBFS per channel, with the loudest channel's values (and total clips) alongside
+   */
+  getLevels() {
+    const channels = this.channels;
+    const loudest = (key) => channels.length > 0 ? Math.max(...channels.map(channel => channel[key])) : SILENCE;
+
+    return {
+      peak: loudest('peak'),
+      rms: loudest('rms'),
+      vu: loudest('vu'),
+      ppm: loudest('ppm'),
+      noiseFloor: loudest('noiseFloor'),
+      clips: channels.reduce((sum, channel) => sum + channel.clips, 0),
+      channels
+    };
+  }
+
+  /**
+   * Start counting clipped samples from zero
+   */
+  resetClips() {
+    if (this.processingNode) {
+      this.processingNode.postMessage({ type: 'resetClips' });
+    }
+    this.channels = this.channels.map(channel => ({ ...channel, clips: 0 }));
+  }
+
+  /**
+   * Get the node to tap; the meter has no output
+   */
+  getInputNode() {
+    return this.processingNode.node;
+  }
+
+  /**
+   * Clean up resources
+   */
+  async destroy() {
+    this.isInitialized = false;
+
+    if (this.processingNode) {
+      this.processingNode.destroy();
+      this.processingNode = null;
+    }
+
+    this.emit('destroyed');
+  }
+}
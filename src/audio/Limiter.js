@@ -0,0 +1,203 @@
+/**
+ * Limiter class
+ * Lookahead brickwall limiter that keeps peaks under a ceiling after gain control
+ */
+
+import { EventEmitter } from '../core/EventEmitter';
+import { clamp } from '../core/utils';
+import { ProcessingNode } from './ProcessingNode';
+import { LimiterKernel } from './dsp/LimiterKernel';
+
+export class Limiter extends EventEmitter {
+  constructor(audioContext, config) {
+    super();
+
+    this.audioContext = audioContext;
+    this.config = {
+      lookahead: 5, // ms, 1-10
+      ceiling: -1, // dBFS
+      release: 0.1, // seconds
+      truePeak: true, // detect inter-sample peaks by oversampling
+      ...config
+    };
+
+    // Processing nodes
+    this.processingNode = null;
+    this.gainNode = null;
+
+    // State
+    this.isInitialized = false;
+    this.frameCount = 0;
+    this.gainReduction = 0;
+    this.maxGainReduction = 0;
+    this.inputPeak = -Infinity;
+    this.outputPeak = -Infinity;
+    this.latency = 0;
+  }
+
+  /**
+   * Initialize the limiter
+   */
+  async initialize() {
+    try {
+      // Output node, the kernel applies the gain itself
+      this.gainNode = this.audioContext.createGain();
+      this.gainNode.gain.value = 1.0;
+
+      this.processingNode = new ProcessingNode(this.audioContext, LimiterKernel, {
+        processorOptions: {
+          lookahead: this.config.lookahead,
+          truePeak: this.config.truePeak
+        },
+        parameterData: {
+          ceiling: this.config.ceiling,
+          release: this.config.release
+        },
+        onMessage: (message) => this.handleProcessorMessage(message)
+      });
+      await this.processingNode.initialize();
+
+      this.processingNode.connect(this.gainNode);
+
+      this.isInitialized = true;
+      this.emit('initialized');
+    } catch (error) {
+      this.emit('error', new Error(`Failed to initialize Limiter: ${error.message}`));
+      throw error;
+    }
+  }
+
+  /**
+   * Handle meters reported by the processing kernel
+   */
+  handleProcessorMessage(message) {
+    if (message.type !== 'stats') return;
+
+    this.frameCount = message.frame;
+    this.gainReduction = message.gainReduction;
+    this.maxGainReduction = message.maxGainReduction;
+    this.inputPeak = message.inputPeak;
+    this.outputPeak = message.outputPeak;
+    this.latency = message.latency;
+
+    this.emit('processed', {
+      frame: message.frame,
+      gainReduction: message.gainReduction,
+      maxGainReduction: message.maxGainReduction
+    });
+  }
+
+  /**
+   * Set the ceiling in dBFS
+   */
+  setCeiling(ceiling) {
+    this.config.ceiling = clamp(ceiling, -20, 0);
+    if (this.processingNode) {
+      this.processingNode.setParam('ceiling', this.config.ceiling);
+    }
+    this.emit('ceiling:changed', { ceiling: this.config.ceiling });
+  }
+
+  /**
+   * Set the lookahead in milliseconds; the delay line is rebuilt, so audio skips briefly
+   */
+  setLookahead(lookahead) {
+    this.config.lookahead = clamp(lookahead, 1, 10);
+    this.configureKernel();
+    this.emit('lookahead:changed', { lookahead: this.config.lookahead });
+  }
+
+  configureKernel() {
+    if (this.processingNode) {
+      this.processingNode.postMessage({
+        type: 'configure',
+        lookahead: this.config.lookahead,
+        truePeak: this.config.truePeak
+      });
+    }
+  }
+
+  /**
+   * Update configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+
+    ['ceiling', 'release']
+      .filter(name => name in newConfig && this.processingNode)
+      .forEach(name => this.processingNode.setParam(name, this.config[name]));
+
+    if ('lookahead' in newConfig || 'truePeak' in newConfig) {
+      this.configureKernel();
+    }
+
+    this.emit('config:updated', { config: this.config });
+  }
+
+  /**
+   * Get current statistics
+   * Gain reduction is in dB: the latest value and the most over the last block
+   */
+  getStats() {
+    return {
+      frameCount: this.frameCount,
+      gainReduction: this.gainReduction,
+      maxGainReduction: this.maxGainReduction,
+      inputPeak: this.inputPeak,
+      outputPeak: this.outputPeak,
+      latency: this.latency,
+      lookahead: this.config.lookahead,
+      ceiling: this.config.ceiling,
+      release: this.config.release,
+      truePeak: this.config.truePeak,
+      audioWorklet: !!(this.processingNode && this.processingNode.isWorklet)
+    };
+  }
+
+  /**
+   * Get the node that upstream audio should connect to
+   */
+  getInputNode() {
+    return this.processingNode.node;
+  }
+
+  /**
+   * Connect to another audio node
+   */
+  connect(destination) {
+    if (!this.isInitialized) {
+      throw new Error('Limiter not initialized');
+    }
+
+    this.gainNode.connect(destination);
+    return destination;
+  }
+
+  /**
+   * Disconnect from all destinations
+   */
+  disconnect() {
+    if (this.gainNode) {
+      this.gainNode.disconnect();
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  async destroy() {
+    this.isInitialized = false;
+
+    if (this.processingNode) {
+      this.processingNode.destroy();
+      this.processingNode = null;
+    }
+
+    if (this.gainNode) {
+      this.gainNode.disconnect();
+      this.gainNode = null;
+    }
+
+    this.emit('destroyed');
+  }
+}
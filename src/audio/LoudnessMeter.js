@@ -0,0 +1,123 @@
+/**
+ * LoudnessMeter class
+ * EBU R128 loudness metering of the processed audio, passing it through unchanged
+ */
+
+import { EventEmitter } from '../core/EventEmitter';
+import { ProcessingNode } from './ProcessingNode';
+import { LoudnessMeterKernel } from './dsp/LoudnessMeterKernel';
+
+export class LoudnessMeter extends EventEmitter {
+  constructor(audioContext) {
+    super();
+
+    this.audioContext = audioContext;
+    this.processingNode = null;
+
+    // State, in LUFS
+    this.isInitialized = false;
+    this.frameCount = 0;
+    this.momentary = -Infinity;
+    this.shortTerm = -Infinity;
+    this.integrated = -Infinity;
+  }
+
+  /**
+   * Initialize the meter
+   */
+  async initialize() {
+    try {
+      this.processingNode = new ProcessingNode(this.audioContext, LoudnessMeterKernel, {
+        onMessage: (message) => this.handleProcessorMessage(message)
+      });
+      await this.processingNode.initialize();
+
+      this.isInitialized = true;
+      this.emit('initialized');
+    } catch (error) {
+      this.emit('error', new Error(`Failed to initialize LoudnessMeter: ${error.message}`));
+      throw error;
+    }
+  }
+
+  /**
+   * Handle readings reported by the processing kernel
+   */
+  handleProcessorMessage(message) {
+    if (message.type !== 'stats') return;
+
+    this.frameCount = message.frame;
+    this.momentary = message.momentary;
+    this.shortTerm = message.shortTerm;
+    this.integrated = message.integrated;
+
+    this.emit('processed', this.getLoudness());
+  }
+
+  /**
+   * Start a new integrated measurement, e.g. for a new call
+   */
+  reset() {
+    if (this.processingNode) {
+      this.processingNode.postMessage({ type: 'reset' });
+    }
+    this.momentary = -Infinity;
+    this.shortTerm = -Infinity;
+    this.integrated = -Infinity;
+  }
+
+  /**
+   * Momentary (400 ms), short-term (3 s) and integrated loudness in LUFS
+   */
+  getLoudness() {
+    return {
+      momentary: this.momentary,
+      shortTerm: this.shortTerm,
+      integrated: this.integrated
+    };
+  }
+
+  /**
+   * Get current statistics
+   */
+  getStats() {
+    return {
+      frameCount: this.frameCount,
+      ...this.getLoudness(),
+      audioWorklet: !!(this.processingNode && this.processingNode.isWorklet)
+    };
+  }
+
+  /**
+   * Get the node that upstream audio should connect to
+   */
+  getInputNode() {
+    return this.processingNode.node;
+  }
+
+  /**
+   * Connect to another audio node
+   */
+  connect(destination) {
+    if (!this.isInitialized) {
+      throw new Error('LoudnessMeter not initialized');
+    }
+
+    this.processingNode.connect(destination);
+    return destination;
+  }
+
+  /**
+   * Clean up resources
+   */
+  async destroy() {
+    this.isInitialized = false;
+
+    if (this.processingNode) {
+      this.processingNode.destroy();
+      this.processingNode = null;
+    }
+
+    this.emit('destroyed');
+  }
+}
@@ -0,0 +1,232 @@
+/**
+ * NoiseGate class
+ * Noise gate / downward expander that turns room noise down between phrases
+ */
+
+import { EventEmitter } from '../core/EventEmitter';
+import { EVENTS } from '../core/constants';
+import { ProcessingNode } from './ProcessingNode';
+import { NoiseGateKernel } from './dsp/NoiseGateKernel';
+
+// Config values that map straight onto kernel parameters
+const KERNEL_PARAMS = ['threshold', 'ratio', 'range', 'hold', 'attack', 'release'];
+
+export class NoiseGate extends EventEmitter {
+  constructor(audioContext, config) {
+    super();
+
+    this.audioContext = audioContext;
+    this.config = {
+      threshold: -50, // dBFS
+      ratio: 4, // expansion below the threshold, 1:ratio
+      range: -40, // most attenuation, dB
+      hold: 0.1, // seconds the gate stays open after the key drops
+      attack: 0.005, // seconds to open
+      release: 0.15, // seconds to close
+      key: 'level', // 'level' | 'voice'
+      ...config
+    };
+
+    // Processing nodes
+    this.processingNode = null;
+    this.gainNode = null;
+
+    // Voice detector keying the gate, and its listeners
+    this.voiceDetector = null;
+    this.onSpeechStart = () => this.setVoiceActive(true);
+    this.onSpeechEnd = () => this.setVoiceActive(false);
+
+    // State
+    this.isInitialized = false;
+    this.isOpen = true;
+    this.frameCount = 0;
+    this.level = -Infinity;
+    this.gainReduction = 0;
+  }
+
+  /**
+   * Initialize the gate
+   */
+  async initialize() {
+    try {
+      // Output node, the kernel applies the gain itself
+      this.gainNode = this.audioContext.createGain();
+      this.gainNode.gain.value = 1.0;
+
+      const parameterData = {};
+      KERNEL_PARAMS.forEach(name => {
+        parameterData[name] = this.config[name];
+      });
+
+      this.processingNode = new ProcessingNode(this.audioContext, NoiseGateKernel, {
+        processorOptions: {
+          voiceKey: this.isVoiceKeyed(),
+          voiceActive: !!(this.voiceDetector && this.voiceDetector.isVoiceDetected())
+        },
+        parameterData,
+        onMessage: (message) => this.handleProcessorMessage(message)
+      });
+      await this.processingNode.initialize();
+
+      this.processingNode.connect(this.gainNode);
+
+      this.isInitialized = true;
+      this.emit('initialized');
+    } catch (error) {
+      this.emit('error', new Error(`Failed to initialize NoiseGate: ${error.message}`));
+      throw error;
+    }
+  }
+
+  /**
+   * Handle gate changes and meters reported by the processing kernel
+   */
+  handleProcessorMessage(message) {
+    if (message.type === 'gate') {
+      this.isOpen = message.open;
+      this.emit('gate:changed', { open: message.open });
+      return;
+    }
+    if (message.type !== 'stats') return;
+
+    this.frameCount = message.frame;
+    this.level = message.level;
+    this.gainReduction = message.gainReduction;
+
+    this.emit('processed', {
+      frame: message.frame,
+      open: message.open,
+      level: message.level,
+      gainReduction: message.gainReduction
+    });
+  }
+
+  /**
+   * Key the gate off a voice detector's speech events while `key` is 'voice'
+   * Without one the gate falls back to level keying
+   */
+  setVoiceDetector(voiceDetector) {
+    if (this.voiceDetector) {
+      this.voiceDetector.off(EVENTS.SPEECH_START, this.onSpeechStart);
+      this.voiceDetector.off(EVENTS.SPEECH_END, this.onSpeechEnd);
+    }
+
+    this.voiceDetector = voiceDetector;
+
+    if (voiceDetector) {
+      voiceDetector.on(EVENTS.SPEECH_START, this.onSpeechStart);
+      voiceDetector.on(EVENTS.SPEECH_END, this.onSpeechEnd);
+      this.setVoiceActive(voiceDetector.isVoiceDetected());
+    }
+
+    this.configureKernel();
+  }
+
+  isVoiceKeyed() {
+    return this.config.key === 'voice' && !!this.voiceDetector;
+  }
+
+  setVoiceActive(active) {
+    if (this.processingNode) {
+      this.processingNode.postMessage({ type: 'voice', active });
+    }
+  }
+
+  configureKernel() {
+    if (this.processingNode) {
+      this.processingNode.postMessage({ type: 'configure', voiceKey: this.isVoiceKeyed() });
+    }
+  }
+
+  /**
+   * Whether the gate is passing audio unattenuated
+   */
+  isGateOpen() {
+    return this.isOpen;
+  }
+
+  /**
+   * Update configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+
+    KERNEL_PARAMS
+      .filter(name => name in newConfig && this.processingNode)
+      .forEach(name => this.processingNode.setParam(name, this.config[name]));
+
+    if ('key' in newConfig) {
+      this.configureKernel();
+    }
+
+    this.emit('config:updated', { config: this.config });
+  }
+
+  /**
+   * Get current statistics
+   */
+  getStats() {
+    return {
+      frameCount: this.frameCount,
+      open: this.isOpen,
+      level: this.level,
+      gainReduction: this.gainReduction,
+      threshold: this.config.threshold,
+      ratio: this.config.ratio,
+      range: this.config.range,
+      hold: this.config.hold,
+      attack: this.config.attack,
+      release: this.config.release,
+      key: this.isVoiceKeyed() ? 'voice' : 'level',
+      audioWorklet: !!(this.processingNode && this.processingNode.isWorklet)
+    };
+  }
+
+  /**
+   * Get the node that upstream audio should connect to
+   */
+  getInputNode() {
+    return this.processingNode.node;
+  }
+
+  /**
+   * Connect to another audio node
+   */
+  connect(destination) {
+    if (!this.isInitialized) {
+      throw new Error('NoiseGate not initialized');
+    }
+
+    this.gainNode.connect(destination);
+    return destination;
+  }
+
+  /**
+   * Disconnect from all destinations
+   */
+  disconnect() {
+    if (this.gainNode) {
+      this.gainNode.disconnect();
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  async destroy() {
+    this.isInitialized = false;
+    this.setVoiceDetector(null);
+
+    if (this.processingNode) {
+      this.processingNode.destroy();
+      this.processingNode = null;
+    }
+
+    if (this.gainNode) {
+      this.gainNode.disconnect();
+      this.gainNode = null;
+    }
+
+    this.emit('destroyed');
+  }
+}
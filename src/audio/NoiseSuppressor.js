@@ -1,10 +1,38 @@
 /**
  * NoiseSuppressor class
- * Implements spectral noise suppression for real-time audio processing
+ * Real-time noise suppression with RNNoise or STFT spectral subtraction
  */
 
 import { EventEmitter } from '../core/EventEmitter';
-import { AUDIO_CONSTANTS } from '../core/constants';
+import { ProcessingNode } from './ProcessingNode';
+import { NoiseSuppressionKernel } from './dsp/NoiseSuppressionKernel';
+import { RNNoiseKernel, RNNOISE_SAMPLE_RATE } from './dsp/RNNoiseKernel';
+
+const RNNOISE_WASM_URL = new URL('./worklets/rnnoise.wasm', import.meta.url);
+
+// Compiled RNNoise modules, shared by every suppressor loading the same URL
+const wasmModules = new Map();
+
+/**
+ * Fetch and compile the RNNoise WebAssembly module once per URL
+ */
+function loadRNNoiseModule(url) {
+  const key = String(url);
+  if (!wasmModules.has(key)) {
+    const loading = fetch(key)
+      .then(response => {
+        if (!response.ok) {
+          throw new Error(`HTTP ${response.status} loading ${key}`);
+        }
+        return response.arrayBuffer();
+      })
+      .then(bytes => WebAssembly.compile(bytes));
+
+    loading.catch(() => wasmModules.delete(key));
+    wasmModules.set(key, loading);
+  }
+  return wasmModules.get(key);
+}
 
 export class NoiseSuppressor extends EventEmitter {
   constructor(audioContext, config) {
@@ -13,25 +41,33 @@ export class NoiseSuppressor extends EventEmitter {
     this.audioContext = audioContext;
     this.config = {
       intensity: 'medium',
-      model: 'spectral',
+      model: 'spectral', // 'spectral', 'rnnoise'
+      wasmUrl: null, // self-hosted rnnoise.wasm, bundled copy when null
+      autoRelearn: false, // keep adapting a learned profile during non-speech
+      noiseProfile: null, // profile from exportNoiseProfile() to start with
       ...config
     };
     
-    // Processing nodes
-    this.analyser = null;
-    this.scriptProcessor = null;
+    // Processing nodes; the input node stays put while engines are swapped behind it
+    this.inputNode = null;
+    this.processingNode = null;
     this.gainNode = null;
     
     // State
     this.isInitialized = false;
-    this.noiseProfile = null;
+    this.engine = null; // 'spectral' or 'rnnoise' once initialized
+    this.noiseProfile = null; // { profile, sampleRate, frameSize }
+    this.pendingProfile = null;
     this.frameCount = 0;
+    this.reduction = 1.0; // mean spectral gain of the last frame
+    this.noiseLevel = -Infinity; // tracked noise floor in dBFS
+    this.vadProbability = null; // speech probability reported by RNNoise
     
-    // Intensity settings
+    // Value of the kernel's intensity parameter for each setting
     this.intensitySettings = {
-      low: { threshold: 0.3, reduction: 0.5 },
-      medium: { threshold: 0.2, reduction: 0.7 },
-      high: { threshold: 0.1, reduction: 0.9 }
+      low: 0.5,
+      medium: 0.7,
+      high: 0.9
     };
   }
 
@@ -40,30 +76,22 @@ export class NoiseSuppressor extends EventEmitter {
    */
   async initialize() {
     try {
-      // Create analyzer node
-      this.analyser = this.audioContext.createAnalyser();
-      this.analyser.fftSize = 2048;
-      this.analyser.smoothingTimeConstant = 0.8;
+      // Create input node
+      this.inputNode = this.audioContext.createGain();
+      this.inputNode.gain.value = 1.0;
 
       // Create gain node for output
       this.gainNode = this.audioContext.createGain();
       this.gainNode.gain.value = 1.0;
 
-      // Create script processor for spectral processing
-      this.scriptProcessor = this.audioContext.createScriptProcessor(
-        AUDIO_CONSTANTS.DEFAULT_BUFFER_SIZE,
-        1, // input channels
-        1  // output channels
-      );
-
-      // Set up processing
-      this.scriptProcessor.onaudioprocess = (event) => {
-        this.processAudio(event);
-      };
+      // Processing runs off the main thread where AudioWorklet is available
+      const { processingNode, engine } = await this.createEngine();
+      this.processingNode = processingNode;
+      this.engine = engine;
 
       // Connect nodes
-      this.analyser.connect(this.scriptProcessor);
-      this.scriptProcessor.connect(this.gainNode);
+      this.inputNode.connect(this.processingNode.node);
+      this.processingNode.connect(this.gainNode);
 
       this.isInitialized = true;
       this.emit('initialized');
@@ -74,134 +102,241 @@ export class NoiseSuppressor extends EventEmitter {
   }
 
   /**
-   * Process audio data
+   * Create the processing node for the configured model, falling back to spectral
    */
-  processAudio(event) {
-    const inputBuffer = event.inputBuffer;
-    const outputBuffer = event.outputBuffer;
-    const inputData = inputBuffer.getChannelData(0);
-    const outputData = outputBuffer.getChannelData(0);
+  async createEngine() {
+    if (this.config.model === 'rnnoise') {
+      try {
+        return { processingNode: await this.createRNNoiseNode(), engine: 'rnnoise' };
+      } catch (error) {
+        console.warn('[NoiseSuppressor] RNNoise unavailable, using spectral suppression:', error);
+      }
+    }
 
-    // Get frequency data from analyzer
-    const frequencyData = new Float32Array(this.analyser.frequencyBinCount);
-    this.analyser.getFloatFrequencyData(frequencyData);
+    return { processingNode: await this.createSpectralNode(), engine: 'spectral' };
+  }
 
-    // Convert to linear scale
-    const linearData = frequencyData.map(db => Math.pow(10, db / 20));
+  /**
+   * Swap the processing engine between the unchanged input and output nodes
+   */
+  async switchEngine() {
+    const { processingNode, engine } = await this.createEngine();
+
+    // Destroyed while the new engine was loading
+    if (!this.isInitialized) {
+      processingNode.destroy();
+      return;
+    }
 
-    // Apply noise suppression
-    const processedData = this.applyNoiseSuppression(linearData);
+    this.inputNode.disconnect();
+    this.inputNode.connect(processingNode.node);
+    processingNode.connect(this.gainNode);
+    this.processingNode.destroy();
 
-    // Convert back to time domain (simplified - in practice you'd use IFFT)
-    // For now, we'll apply a simple gain reduction based on noise detection
-    const noiseReduction = this.calculateNoiseReduction(processedData);
-    
-    for (let i = 0; i < inputData.length; i++) {
-      outputData[i] = inputData[i] * noiseReduction;
+    this.processingNode = processingNode;
+    this.engine = engine;
+    this.vadProbability = null;
+    this.emit('engine:changed', { engine });
+  }
+
+  /**
+   * Create the STFT spectral subtraction engine
+   */
+  async createSpectralNode() {
+    if (!this.noiseProfile && this.config.noiseProfile) {
+      this.noiseProfile = this.normalizeProfile(this.config.noiseProfile);
     }
 
-    this.frameCount++;
-    this.emit('processed', { frame: this.frameCount, reduction: noiseReduction });
+    const processingNode = new ProcessingNode(this.audioContext, NoiseSuppressionKernel, {
+      processorOptions: {
+        autoRelearn: this.config.autoRelearn,
+        noiseProfile: this.noiseProfile
+      },
+      parameterData: { intensity: this.intensitySettings[this.config.intensity] },
+      onMessage: (message) => this.handleProcessorMessage(message)
+    });
+    await processingNode.initialize();
+
+    return processingNode;
   }
 
   /**
-   * Apply noise suppression to frequency data
+   * Create the RNNoise engine, which needs a 48 kHz context
    */
-  applyNoiseSuppression(frequencyData) {
-    const settings = this.intensitySettings[this.config.intensity];
-    const processed = new Float32Array(frequencyData.length);
-
-    // Simple spectral subtraction
-    for (let i = 0; i < frequencyData.length; i++) {
-      const magnitude = frequencyData[i];
-      
-      // Estimate noise level (simplified)
-      const noiseLevel = this.estimateNoiseLevel(frequencyData, i);
-      
-      // Apply spectral subtraction
-      const signalLevel = Math.max(0, magnitude - noiseLevel * settings.reduction);
-      
-      // Apply threshold
-      processed[i] = signalLevel > settings.threshold ? signalLevel : 0;
+  async createRNNoiseNode() {
+    if (this.audioContext.sampleRate !== RNNOISE_SAMPLE_RATE) {
+      throw new Error(`RNNoise requires ${RNNOISE_SAMPLE_RATE} Hz, context runs at ${this.audioContext.sampleRate} Hz`);
     }
 
-    return processed;
+    const wasmModule = await loadRNNoiseModule(this.config.wasmUrl || RNNOISE_WASM_URL);
+
+    const processingNode = new ProcessingNode(this.audioContext, RNNoiseKernel, {
+      processorOptions: { wasmModule },
+      parameterData: { intensity: this.intensitySettings[this.config.intensity] },
+      onMessage: (message) => this.handleProcessorMessage(message)
+    });
+    await processingNode.initialize();
+
+    return processingNode;
   }
 
   /**
-   * Estimate noise level for a frequency bin
+   * Handle stats reported by the processing kernel
    */
-  estimateNoiseLevel(frequencyData, binIndex) {
-    // Simple noise estimation using local minimum
-    const windowSize = 5;
-    const start = Math.max(0, binIndex - windowSize);
-    const end = Math.min(frequencyData.length, binIndex + windowSize);
-    
-    let min = Infinity;
-    for (let i = start; i < end; i++) {
-      if (frequencyData[i] < min) {
-        min = frequencyData[i];
-      }
+  handleProcessorMessage(message) {
+    if (message.type === 'noiseProfile') {
+      this.handleNoiseProfile(message);
+      return;
     }
-    
-    return min;
+
+    if (message.type !== 'stats') return;
+
+    this.frameCount = message.frame;
+    if (this.engine === 'rnnoise') {
+      this.vadProbability = message.vadProbability;
+    } else {
+      this.reduction = message.reduction;
+      this.noiseLevel = message.noiseLevel;
+    }
+
+    this.emit('processed', {
+      frame: message.frame,
+      engine: this.engine,
+      reduction: this.reduction,
+      noiseLevel: this.noiseLevel,
+      vadProbability: this.vadProbability
+    });
   }
 
   /**
-   * Calculate overall noise reduction factor
+   * Get a processing parameter as an AudioParam (null on the ScriptProcessor fallback)
    */
-  calculateNoiseReduction(processedData) {
-    const settings = this.intensitySettings[this.config.intensity];
-    
-    // Calculate signal-to-noise ratio
-    const signalEnergy = processedData.reduce((sum, val) => sum + val * val, 0);
-    const totalEnergy = processedData.length;
-    const snr = signalEnergy / totalEnergy;
-    
-    // Apply reduction based on SNR
-    const reduction = Math.max(0.1, Math.min(1.0, snr * settings.reduction));
-    
-    return reduction;
+  getAudioParam(name) {
+    return this.processingNode ? this.processingNode.getParam(name) : null;
+  }
+
+  /**
+   * Store a profile learned or updated by the kernel
+   */
+  handleNoiseProfile({ reason, profile, sampleRate, frameSize }) {
+    this.noiseProfile = { profile, sampleRate, frameSize };
+
+    if (reason === 'learned') {
+      this.emit('noiseProfile:learned', { profile });
+      if (this.pendingProfile) {
+        this.pendingProfile.resolve(profile);
+        this.pendingProfile = null;
+      }
+    } else {
+      this.emit('noiseProfile:updated', { profile });
+    }
   }
 
   /**
    * Learn noise profile from current audio
+   * The profile replaces the tracked noise floor until cleared
    */
   learnNoiseProfile(duration = 2000) {
-    return new Promise((resolve) => {
-      const startTime = Date.now();
-      const samples = [];
-      
-      const collectSample = () => {
-        if (Date.now() - startTime < duration) {
-          const frequencyData = new Float32Array(this.analyser.frequencyBinCount);
-          this.analyser.getFloatFrequencyData(frequencyData);
-          samples.push([...frequencyData]);
-          requestAnimationFrame(collectSample);
-        } else {
-          // Calculate average noise profile
-          this.noiseProfile = new Float32Array(this.analyser.frequencyBinCount);
-          for (let i = 0; i < this.analyser.frequencyBinCount; i++) {
-            let sum = 0;
-            for (let j = 0; j < samples.length; j++) {
-              sum += samples[j][i];
-            }
-            this.noiseProfile[i] = sum / samples.length;
-          }
-          this.emit('noiseProfile:learned', { profile: this.noiseProfile });
-          resolve(this.noiseProfile);
-        }
-      };
-      
-      collectSample();
+    if (!this.isInitialized) {
+      return Promise.reject(new Error('NoiseSuppressor not initialized'));
+    }
+
+    if (this.engine !== 'spectral') {
+      return Promise.reject(new Error('Noise profiles require the spectral model'));
+    }
+
+    if (this.pendingProfile) {
+      this.pendingProfile.reject(new Error('Noise profile learning restarted'));
+    }
+
+    return new Promise((resolve, reject) => {
+      this.pendingProfile = { resolve, reject };
+      this.processingNode.postMessage({ type: 'learnNoiseProfile', duration: duration / 1000 });
     });
   }
 
+  /**
+   * Export the current noise profile as a plain object for persistence
+   */
+  exportNoiseProfile() {
+    if (!this.noiseProfile) {
+      return null;
+    }
+
+    return {
+      version: 1,
+      sampleRate: this.noiseProfile.sampleRate,
+      frameSize: this.noiseProfile.frameSize,
+      profile: Array.from(this.noiseProfile.profile)
+    };
+  }
+
+  /**
+   * Import a profile previously returned by exportNoiseProfile()
+   */
+  importNoiseProfile(data) {
+    const noiseProfile = this.normalizeProfile(data);
+
+    this.noiseProfile = noiseProfile;
+    this.config.noiseProfile = data;
+    if (this.processingNode && this.engine === 'spectral') {
+      this.processingNode.postMessage({ type: 'setNoiseProfile', ...noiseProfile });
+    }
+
+    this.emit('noiseProfile:imported', { profile: noiseProfile.profile });
+  }
+
+  /**
+   * Drop the learned profile and return to minimum statistics tracking
+   */
+  clearNoiseProfile() {
+    this.noiseProfile = null;
+    this.config.noiseProfile = null;
+    if (this.processingNode) {
+      this.processingNode.postMessage({ type: 'clearNoiseProfile' });
+    }
+  }
+
+  /**
+   * Validate an exported profile and convert it for the kernel
+   */
+  normalizeProfile(data) {
+    if (!data || data.version !== 1 || !(Array.isArray(data.profile) || ArrayBuffer.isView(data.profile))) {
+      throw new Error('Invalid noise profile: expected the object returned by exportNoiseProfile()');
+    }
+
+    if (!(data.sampleRate > 0) || !(data.frameSize > 0) || data.profile.length === 0) {
+      throw new Error('Invalid noise profile: missing sampleRate, frameSize or profile data');
+    }
+
+    return {
+      profile: Float32Array.from(data.profile),
+      sampleRate: data.sampleRate,
+      frameSize: data.frameSize
+    };
+  }
+
   /**
    * Update configuration
    */
-  updateConfig(newConfig) {
+  async updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
+
+    // A new engine picks up every current setting when it is created
+    if (('model' in newConfig || 'wasmUrl' in newConfig) && this.isInitialized) {
+      await this.switchEngine();
+    } else if (newConfig.intensity && this.processingNode) {
+      this.processingNode.setParam('intensity', this.intensitySettings[this.config.intensity]);
+    }
+
+    if ('autoRelearn' in newConfig && this.processingNode) {
+      this.processingNode.postMessage({ type: 'configure', autoRelearn: this.config.autoRelearn });
+    }
+
+    if (newConfig.noiseProfile) {
+      this.importNoiseProfile(newConfig.noiseProfile);
+    }
+
     this.emit('config:updated', { config: this.config });
   }
 
@@ -214,6 +349,9 @@ export class NoiseSuppressor extends EventEmitter {
     }
     
     this.config.intensity = intensity;
+    if (this.processingNode) {
+      this.processingNode.setParam('intensity', this.intensitySettings[intensity]);
+    }
     this.emit('intensity:changed', { intensity });
   }
 
@@ -222,12 +360,25 @@ export class NoiseSuppressor extends EventEmitter {
    */
   getStats() {
     return {
+      engine: this.engine,
       frameCount: this.frameCount,
       intensity: this.config.intensity,
-      hasNoiseProfile: !!this.noiseProfile
+      reduction: this.reduction,
+      noiseLevel: this.noiseLevel,
+      vadProbability: this.vadProbability,
+      hasNoiseProfile: !!this.noiseProfile,
+      autoRelearn: this.config.autoRelearn,
+      audioWorklet: !!(this.processingNode && this.processingNode.isWorklet)
     };
   }
 
+  /**
+   * Get the node that upstream audio should connect to
+   */
+  getInputNode() {
+    return this.inputNode;
+  }
+
   /**
    * Connect to another audio node
    */
@@ -255,14 +406,14 @@ export class NoiseSuppressor extends EventEmitter {
   async destroy() {
     this.isInitialized = false;
 
-    if (this.scriptProcessor) {
-      this.scriptProcessor.disconnect();
-      this.scriptProcessor = null;
+    if (this.processingNode) {
+      this.processingNode.destroy();
+      this.processingNode = null;
     }
 
-    if (this.analyser) {
-      this.analyser.disconnect();
-      this.analyser = null;
+    if (this.inputNode) {
+      this.inputNode.disconnect();
+      this.inputNode = null;
     }
 
     if (this.gainNode) {
@@ -270,6 +421,11 @@ export class NoiseSuppressor extends EventEmitter {
       this.gainNode = null;
     }
 
+    if (this.pendingProfile) {
+      this.pendingProfile.reject(new Error('NoiseSuppressor destroyed'));
+      this.pendingProfile = null;
+    }
+
     this.noiseProfile = null;
     this.emit('destroyed');
   }
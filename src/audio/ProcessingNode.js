@@ -0,0 +1,201 @@
+/**
+ * ProcessingNode class
+ * Hosts a DSP kernel in an AudioWorkletNode, or in a ScriptProcessorNode where AudioWorklet is unavailable
+ */
+
+import { loadAudioWorkletModule, supportsAudioWorklet, clamp } from '../core/utils';
+import { AUDIO_CONSTANTS } from '../core/constants';
+
+// Built as its own rollup entry, since addModule() cannot resolve the bundle's imports
+const WORKLET_MODULE_URL = new URL('./worklets/processors.js', import.meta.url);
+
+export class ProcessingNode {
+  constructor(audioContext, Kernel, options = {}) {
+    this.audioContext = audioContext;
+    this.Kernel = Kernel;
+    this.options = {
+      processorOptions: {},
+      parameterData: {},
+      onMessage: null,
+      numberOfOutputs: 1, // 0 for kernels that only observe, such as meters
+      inputChannels: 1, // channels the ScriptProcessor fallback hands the kernel
+      ...options
+    };
+
+    this.node = null;
+    this.isWorklet = false;
+
+    // Main-thread fallback state
+    this.kernel = null;
+    this.paramValues = null;
+    this.sink = null;
+  }
+
+  /**
+   * Create the underlying audio node
+   */
+  async initialize() {
+    if (supportsAudioWorklet(this.audioContext)) {
+      try {
+        await loadAudioWorkletModule(this.audioContext, WORKLET_MODULE_URL);
+        this.createWorkletNode();
+        return;
+      } catch (error) {
+        console.warn(`[ProcessingNode] AudioWorklet unavailable for ${this.Kernel.processorName}, using ScriptProcessor:`, error);
+      }
+    }
+
+    this.createScriptProcessorNode();
+  }
+
+  /**
+   * Run the kernel on the audio rendering thread
+   */
+  createWorkletNode() {
+    const { numberOfOutputs } = this.options;
+    this.node = new AudioWorkletNode(this.audioContext, this.Kernel.processorName, {
+      numberOfInputs: 1,
+      numberOfOutputs,
+      outputChannelCount: new Array(numberOfOutputs).fill(1),
+      processorOptions: this.options.processorOptions,
+      parameterData: this.options.parameterData
+    });
+
+    this.node.port.onmessage = (event) => this.handleMessage(event.data);
+    this.isWorklet = true;
+  }
+
+  /**
+   * Run the kernel on the main thread with the deprecated ScriptProcessorNode
+   */
+  createScriptProcessorNode() {
+    this.paramValues = {};
+    this.Kernel.parameterDescriptors.forEach(descriptor => {
+      const value = this.options.parameterData[descriptor.name] ?? descriptor.defaultValue;
+      this.paramValues[descriptor.name] = Float32Array.of(value);
+    });
+
+    this.kernel = new this.Kernel(
+      this.audioContext.sampleRate,
+      this.options.processorOptions,
+      (message) => this.handleMessage(message)
+    );
+
+    const { inputChannels, numberOfOutputs } = this.options;
+    this.node = this.audioContext.createScriptProcessor(
+      AUDIO_CONSTANTS.DEFAULT_BUFFER_SIZE,
+      inputChannels,
+      1  // output channels
+    );
+
+    this.node.onaudioprocess = (event) => {
+      const input = [];
+      for (let channel = 0; channel < inputChannels; channel++) {
+        input.push(event.inputBuffer.getChannelData(channel));
+      }
+
+      this.kernel.process(
+        [input],
+        numberOfOutputs > 0 ? [[event.outputBuffer.getChannelData(0)]] : [],
+        this.paramValues
+      );
+    };
+
+    // A ScriptProcessor only runs while something pulls its output, so observers feed a muted sink
+    if (numberOfOutputs === 0) {
+      this.sink = this.audioContext.createGain();
+      this.sink.gain.value = 0;
+      this.node.connect(this.sink);
+      this.sink.connect(this.audioContext.destination);
+    }
+  }
+
+  /**
+   * Get a kernel parameter as an AudioParam (AudioWorklet only)
+   */
+  getParam(name) {
+    return this.isWorklet ? this.node.parameters.get(name) : null;
+  }
+
+  /**
+   * Set a kernel parameter, clamped to its descriptor range
+   */
+  setParam(name, value) {
+    const descriptor = this.Kernel.parameterDescriptors.find(item => item.name === name);
+    if (!descriptor) {
+      throw new Error(`Unknown parameter for ${this.Kernel.processorName}: ${name}`);
+    }
+
+    const clamped = clamp(value, descriptor.minValue, descriptor.maxValue);
+
+    if (this.isWorklet) {
+      this.node.parameters.get(name).setValueAtTime(clamped, this.audioContext.currentTime);
+    } else if (this.paramValues) {
+      this.paramValues[name][0] = clamped;
+    }
+  }
+
+  /**
+   * Send a message to the kernel
+   */
+  postMessage(message) {
+    if (this.isWorklet) {
+      this.node.port.postMessage(message);
+    } else if (this.kernel) {
+      this.kernel.handleMessage(message);
+    }
+  }
+
+  /**
+   * Dispatch a message from the kernel
+   */
+  handleMessage(message) {
+    if (this.options.onMessage) {
+      this.options.onMessage(message);
+    }
+  }
+
+  /**
+   * Connect to another audio node
+   */
+  connect(destination) {
+    this.node.connect(destination);
+    return destination;
+  }
+
+  /**
+   * Disconnect from all destinations
+   */
+  disconnect() {
+    if (this.node) {
+      this.node.disconnect();
+    }
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    if (!this.node) return;
+
+    this.node.disconnect();
+
+    if (this.sink) {
+      this.sink.disconnect();
+      this.sink = null;
+    }
+
+    if (this.isWorklet) {
+      this.node.port.postMessage({ type: 'dispose' });
+      this.node.port.onmessage = null;
+    } else {
+      this.node.onaudioprocess = null;
+      if (this.kernel.dispose) {
+        this.kernel.dispose();
+      }
+      this.kernel = null;
+    }
+
+    this.node = null;
+  }
+}
@@ -1,11 +1,22 @@
 /**
  * VoiceFocus class
- * Implements frequency-based voice enhancement and background noise reduction
+ * Band-shapes the voice with high-pass, presence boost and low-pass filters, and detects speech
  */
 
 import { EventEmitter } from '../core/EventEmitter';
-import { dbToGain, gainToDb, clamp } from '../core/utils';
-import { AUDIO_CONSTANTS } from '../core/constants';
+import { clamp } from '../core/utils';
+import { EVENTS, VOICE_FOCUS_PRESETS } from '../core/constants';
+import { ProcessingNode } from './ProcessingNode';
+import { VoiceFocusKernel } from './dsp/VoiceFocusKernel';
+
+// Config keys a preset provides; set explicitly they override it
+const BAND_KEYS = ['frequencyRange', 'boostFrequency', 'boostGain', 'boostQ'];
+
+// Time constant of filter retuning, seconds; a jump in cutoff would click
+const RETUNE_TIME_CONSTANT = 0.03;
+
+// Butterworth Q keeps the pass band flat up to the cutoffs
+const EDGE_Q = Math.SQRT1_2;
 
 export class VoiceFocus extends EventEmitter {
   constructor(audioContext, config) {
@@ -13,17 +24,21 @@ export class VoiceFocus extends EventEmitter {
     
     this.audioContext = audioContext;
     this.config = {
+      preset: 'natural',
       sensitivity: 0.8,
-      frequencyRange: AUDIO_CONSTANTS.VOICE_FREQUENCY_RANGE,
+      vadAttackFrames: 2, // speech frames (about 21 ms each) needed before speech:start
+      vadHangoverFrames: 12, // non-speech frames tolerated before speech:end
       ...config
     };
     
-    // Processing nodes
-    this.analyser = null;
-    this.scriptProcessor = null;
+    // Processing nodes; the kernel gets the unshaped input for detection and the band-shaped
+    // signal to apply its gain to on one two-channel input
+    this.inputNode = null;
+    this.merger = null;
+    this.processingNode = null;
     this.gainNode = null;
     
-    // Filters for voice frequency range
+    // Band shaping: high-pass, presence boost, low-pass
     this.lowPassFilter = null;
     this.highPassFilter = null;
     this.voiceBandFilter = null;
@@ -33,10 +48,10 @@ export class VoiceFocus extends EventEmitter {
     this.frameCount = 0;
     this.voiceDetected = false;
     this.voiceConfidence = 0;
+    this.vadFeatures = null;
     
     // Voice detection parameters
     this.voiceThreshold = 0.3;
-    this.smoothingFactor = 0.9;
   }
 
   /**
@@ -44,10 +59,10 @@ export class VoiceFocus extends EventEmitter {
    */
   async initialize() {
     try {
-      // Create analyzer node
-      this.analyser = this.audioContext.createAnalyser();
-      this.analyser.fftSize = 2048;
-      this.analyser.smoothingTimeConstant = 0.8;
+      // Create input node
+      this.inputNode = this.audioContext.createGain();
+      this.inputNode.gain.value = 1.0;
+      this.merger = this.audioContext.createChannelMerger(2);
 
       // Create filters for voice frequency range
       this.createFilters();
@@ -56,21 +71,30 @@ export class VoiceFocus extends EventEmitter {
       this.gainNode = this.audioContext.createGain();
       this.gainNode.gain.value = 1.0;
 
-      // Create script processor
-      this.scriptProcessor = this.audioContext.createScriptProcessor(
-        AUDIO_CONSTANTS.DEFAULT_BUFFER_SIZE,
-        1, // input channels
-        1  // output channels
-      );
-
-      // Set up processing
-      this.scriptProcessor.onaudioprocess = (event) => {
-        this.processAudio(event);
-      };
-
-      // Connect nodes
-      this.analyser.connect(this.scriptProcessor);
-      this.scriptProcessor.connect(this.gainNode);
+      // Voice detection runs off the main thread where AudioWorklet is available
+      this.processingNode = new ProcessingNode(this.audioContext, VoiceFocusKernel, {
+        processorOptions: {
+          vadAttackFrames: this.config.vadAttackFrames,
+          vadHangoverFrames: this.config.vadHangoverFrames
+        },
+        parameterData: {
+          sensitivity: this.config.sensitivity,
+          voiceThreshold: this.voiceThreshold
+        },
+        inputChannels: 2,
+        onMessage: (message) => this.handleProcessorMessage(message)
+      });
+      await this.processingNode.initialize();
+
+      // Detection sees the unshaped input, so it doesn't depend on the preset;
+      // the voice gain follows the filters, so their boost is limited along with it
+      this.inputNode.connect(this.merger, 0, 0);
+      this.inputNode.connect(this.highPassFilter);
+      this.highPassFilter.connect(this.voiceBandFilter);
+      this.voiceBandFilter.connect(this.lowPassFilter);
+      this.lowPassFilter.connect(this.merger, 0, 1);
+      this.merger.connect(this.processingNode.node);
+      this.processingNode.connect(this.gainNode);
 
       this.isInitialized = true;
       this.emit('initialized');
@@ -84,124 +108,94 @@ export class VoiceFocus extends EventEmitter {
    * Create filters for voice frequency processing
    */
   createFilters() {
-    const [lowFreq, highFreq] = this.config.frequencyRange;
-    
-    // High-pass filter to remove low-frequency noise
+    const band = this.getBandSettings();
+    const [lowFreq, highFreq] = band.frequencyRange;
+
+    // High-pass filter to remove rumble below the voice
     this.highPassFilter = this.audioContext.createBiquadFilter();
     this.highPassFilter.type = 'highpass';
-    this.highPassFilter.frequency.value = lowFreq * 0.8; // Slightly below voice range
-    this.highPassFilter.Q.value = 1.0;
+    this.highPassFilter.frequency.value = lowFreq;
+    this.highPassFilter.Q.value = EDGE_Q;
 
-    // Low-pass filter to remove high-frequency noise
+    // Low-pass filter to remove hiss above the voice
     this.lowPassFilter = this.audioContext.createBiquadFilter();
     this.lowPassFilter.type = 'lowpass';
-    this.lowPassFilter.frequency.value = highFreq * 1.2; // Slightly above voice range
-    this.lowPassFilter.Q.value = 1.0;
+    this.lowPassFilter.frequency.value = highFreq;
+    this.lowPassFilter.Q.value = EDGE_Q;
 
-    // Band-pass filter for voice enhancement
+    // Peaking filter for presence
     this.voiceBandFilter = this.audioContext.createBiquadFilter();
     this.voiceBandFilter.type = 'peaking';
-    this.voiceBandFilter.frequency.value = (lowFreq + highFreq) / 2;
-    this.voiceBandFilter.Q.value = 2.0;
-    this.voiceBandFilter.gain.value = 3.0; // Boost voice frequencies
+    this.voiceBandFilter.frequency.value = clamp(band.boostFrequency, lowFreq, highFreq);
+    this.voiceBandFilter.Q.value = band.boostQ;
+    this.voiceBandFilter.gain.value = band.boostGain;
   }
 
   /**
-   * Process audio data
+   * Band settings in effect: the preset's, with explicitly configured keys taking over
    */
-  processAudio(event) {
-    const inputBuffer = event.inputBuffer;
-    const outputBuffer = event.outputBuffer;
-    const inputData = inputBuffer.getChannelData(0);
-    const outputData = outputBuffer.getChannelData(0);
-
-    // Get frequency data
-    const frequencyData = new Float32Array(this.analyser.frequencyBinCount);
-    this.analyser.getFloatFrequencyData(frequencyData);
-
-    // Detect voice activity
-    const voiceActivity = this.detectVoiceActivity(frequencyData);
-    
-    // Apply voice enhancement
-    const enhancementFactor = this.calculateEnhancementFactor(voiceActivity);
-
-    // Apply processing to output
-    for (let i = 0; i < inputData.length; i++) {
-      // Apply frequency filtering and enhancement
-      let processed = inputData[i];
-      
-      // Apply voice band enhancement
-      processed *= enhancementFactor;
-      
-      // Apply sensitivity-based gain
-      const sensitivityGain = 1.0 + (this.config.sensitivity * voiceActivity);
-      processed *= sensitivityGain;
-      
-      outputData[i] = clamp(processed, -1, 1);
+  getBandSettings() {
+    const settings = { ...(VOICE_FOCUS_PRESETS[this.config.preset] || VOICE_FOCUS_PRESETS.natural) };
+
+    BAND_KEYS.forEach(key => {
+      if (this.config[key] !== undefined) {
+        settings[key] = this.config[key];
+      }
+    });
+
+    return settings;
+  }
+
+  /**
+   * Handle stats reported by the processing kernel
+   */
+  handleProcessorMessage(message) {
+    if (message.type === 'speech') {
+      this.handleSpeechTransition(message);
+      return;
     }
+    if (message.type !== 'stats') return;
+
+    this.frameCount = message.frame;
+    this.voiceDetected = message.voiceDetected;
+    this.voiceConfidence = message.voiceConfidence;
+    this.vadFeatures = {
+      noiseFloor: message.noiseFloor,
+      bandLevel: message.bandLevel,
+      snr: message.snr,
+      flatness: message.flatness,
+      zeroCrossingRate: message.zeroCrossingRate
+    };
 
-    this.frameCount++;
     this.emit('processed', {
-      frame: this.frameCount,
-      voiceDetected: this.voiceDetected,
-      voiceConfidence: this.voiceConfidence,
-      enhancementFactor
+      frame: message.frame,
+      voiceDetected: message.voiceDetected,
+      voiceConfidence: message.voiceConfidence,
+      enhancementFactor: message.enhancementFactor
     });
   }
 
   /**
-   * Detect voice activity in frequency domain
+   * Emit speech:start or speech:end, timestamped on the AudioContext clock
+   * The kernel reports times on its own audio clock along with its current time, so the offset maps them over
    */
-  detectVoiceActivity(frequencyData) {
-    const [lowFreq, highFreq] = this.config.frequencyRange;
-    const sampleRate = this.audioContext.sampleRate;
-    const binSize = sampleRate / (this.analyser.fftSize * 2);
-    
-    // Calculate frequency bins for voice range
-    const lowBin = Math.floor(lowFreq / binSize);
-    const highBin = Math.floor(highFreq / binSize);
-    
-    // Calculate energy in voice frequency range
-    let voiceEnergy = 0;
-    let totalEnergy = 0;
-    
-    for (let i = 0; i < frequencyData.length; i++) {
-      const frequency = i * binSize;
-      const magnitude = Math.pow(10, frequencyData[i] / 20);
-      
-      if (frequency >= lowFreq && frequency <= highFreq) {
-        voiceEnergy += magnitude * magnitude;
-      }
-      totalEnergy += magnitude * magnitude;
+  handleSpeechTransition({ event, time, duration, now, confidence }) {
+    const timestamp = this.audioContext.currentTime - (now - time);
+
+    if (event === 'start') {
+      this.voiceDetected = true;
+      this.emit(EVENTS.SPEECH_START, { timestamp, confidence });
+    } else {
+      this.voiceDetected = false;
+      this.emit(EVENTS.SPEECH_END, { timestamp, duration });
     }
-    
-    // Calculate voice-to-total energy ratio
-    const voiceRatio = voiceEnergy / totalEnergy;
-    
-    // Update voice detection state with smoothing
-    this.voiceConfidence = this.voiceConfidence * this.smoothingFactor + 
-                          voiceRatio * (1 - this.smoothingFactor);
-    
-    this.voiceDetected = this.voiceConfidence > this.voiceThreshold;
-    
-    return this.voiceConfidence;
   }
 
   /**
-   * Calculate enhancement factor based on voice activity
+   * Get a processing parameter as an AudioParam (null on the ScriptProcessor fallback)
    */
-  calculateEnhancementFactor(voiceActivity) {
-    // Base enhancement when voice is detected
-    const baseEnhancement = 1.2;
-    
-    // Dynamic enhancement based on voice activity
-    const dynamicEnhancement = 1.0 + (voiceActivity * 0.5);
-    
-    // Combine enhancements
-    const totalEnhancement = this.voiceDetected ? 
-      baseEnhancement * dynamicEnhancement : 1.0;
-    
-    return clamp(totalEnhancement, 0.5, 2.0);
+  getAudioParam(name) {
+    return this.processingNode ? this.processingNode.getParam(name) : null;
   }
 
   /**
@@ -209,16 +203,19 @@ export class VoiceFocus extends EventEmitter {
    */
   setSensitivity(sensitivity) {
     this.config.sensitivity = clamp(sensitivity, 0, 1);
+    if (this.processingNode) {
+      this.processingNode.setParam('sensitivity', this.config.sensitivity);
+    }
     this.emit('sensitivity:changed', { sensitivity: this.config.sensitivity });
   }
 
   /**
-   * Set voice frequency range
+   * Set the pass band in Hz
    */
   setFrequencyRange(lowFreq, highFreq) {
     this.config.frequencyRange = [
-      clamp(lowFreq, 50, 500),
-      clamp(highFreq, 200, 1000)
+      clamp(lowFreq, 20, 1000),
+      clamp(highFreq, 1000, 20000)
     ];
     
     // Update filters
@@ -230,31 +227,44 @@ export class VoiceFocus extends EventEmitter {
   }
 
   /**
-   * Update filter frequencies
+   * Switch to a band shaping preset, dropping explicitly set band keys
    */
-  updateFilters() {
-    const [lowFreq, highFreq] = this.config.frequencyRange;
-    
-    if (this.highPassFilter) {
-      this.highPassFilter.frequency.setValueAtTime(
-        lowFreq * 0.8, 
-        this.audioContext.currentTime
-      );
-    }
-    
-    if (this.lowPassFilter) {
-      this.lowPassFilter.frequency.setValueAtTime(
-        highFreq * 1.2, 
-        this.audioContext.currentTime
-      );
-    }
-    
-    if (this.voiceBandFilter) {
-      this.voiceBandFilter.frequency.setValueAtTime(
-        (lowFreq + highFreq) / 2, 
-        this.audioContext.currentTime
-      );
+  setPreset(preset) {
+    if (!VOICE_FOCUS_PRESETS[preset]) {
+      throw new Error(`Unknown voice focus preset: ${preset}`);
     }
+
+    this.config.preset = preset;
+    BAND_KEYS.forEach(key => delete this.config[key]);
+    this.updateFilters();
+
+    this.emit('preset:changed', { preset, ...this.getBandSettings() });
+  }
+
+  /**
+   * Retune the filters to the band settings, gliding so playback doesn't click
+   */
+  updateFilters() {
+    if (!this.highPassFilter) return;
+
+    const band = this.getBandSettings();
+    const [lowFreq, highFreq] = band.frequencyRange;
+
+    this.retune(this.highPassFilter.frequency, lowFreq);
+    this.retune(this.lowPassFilter.frequency, highFreq);
+    this.retune(this.voiceBandFilter.frequency, clamp(band.boostFrequency, lowFreq, highFreq));
+    this.retune(this.voiceBandFilter.gain, band.boostGain);
+    this.retune(this.voiceBandFilter.Q, band.boostQ);
+  }
+
+  /**
+   * Glide an AudioParam to a value from wherever it is now
+   */
+  retune(param, value) {
+    const now = this.audioContext.currentTime;
+    param.cancelScheduledValues(now);
+    param.setValueAtTime(param.value, now);
+    param.setTargetAtTime(value, now, RETUNE_TIME_CONSTANT);
   }
 
   /**
@@ -262,6 +272,9 @@ export class VoiceFocus extends EventEmitter {
    */
   setVoiceThreshold(threshold) {
     this.voiceThreshold = clamp(threshold, 0, 1);
+    if (this.processingNode) {
+      this.processingNode.setParam('voiceThreshold', this.voiceThreshold);
+    }
     this.emit('voiceThreshold:changed', { threshold: this.voiceThreshold });
   }
 
@@ -284,10 +297,29 @@ export class VoiceFocus extends EventEmitter {
    */
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
-    
-    if (newConfig.frequencyRange) {
+
+    // A new preset replaces band keys that aren't set along with it
+    if (newConfig.preset !== undefined) {
+      BAND_KEYS.forEach(key => {
+        if (newConfig[key] === undefined) delete this.config[key];
+      });
+    }
+
+    if (newConfig.preset !== undefined || BAND_KEYS.some(key => newConfig[key] !== undefined)) {
       this.updateFilters();
     }
+
+    if (newConfig.sensitivity !== undefined && this.processingNode) {
+      this.processingNode.setParam('sensitivity', this.config.sensitivity);
+    }
+
+    if ((newConfig.vadAttackFrames !== undefined || newConfig.vadHangoverFrames !== undefined) && this.processingNode) {
+      this.processingNode.postMessage({
+        type: 'configure',
+        vadAttackFrames: this.config.vadAttackFrames,
+        vadHangoverFrames: this.config.vadHangoverFrames
+      });
+    }
     
     this.emit('config:updated', { config: this.config });
   }
@@ -301,11 +333,21 @@ export class VoiceFocus extends EventEmitter {
       voiceDetected: this.voiceDetected,
       voiceConfidence: this.voiceConfidence,
       sensitivity: this.config.sensitivity,
-      frequencyRange: this.config.frequencyRange,
-      voiceThreshold: this.voiceThreshold
+      preset: this.config.preset,
+      ...this.getBandSettings(),
+      voiceThreshold: this.voiceThreshold,
+      vad: this.vadFeatures,
+      audioWorklet: !!(this.processingNode && this.processingNode.isWorklet)
     };
   }
 
+  /**
+   * Get the node that upstream audio should connect to
+   */
+  getInputNode() {
+    return this.inputNode;
+  }
+
   /**
    * Connect to another audio node
    */
@@ -333,14 +375,19 @@ export class VoiceFocus extends EventEmitter {
   async destroy() {
     this.isInitialized = false;
 
-    if (this.scriptProcessor) {
-      this.scriptProcessor.disconnect();
-      this.scriptProcessor = null;
+    if (this.processingNode) {
+      this.processingNode.destroy();
+      this.processingNode = null;
+    }
+
+    if (this.inputNode) {
+      this.inputNode.disconnect();
+      this.inputNode = null;
     }
 
-    if (this.analyser) {
-      this.analyser.disconnect();
-      this.analyser = null;
+    if (this.merger) {
+      this.merger.disconnect();
+      this.merger = null;
     }
 
     if (this.highPassFilter) {
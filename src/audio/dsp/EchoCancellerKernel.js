@@ -0,0 +1,396 @@
+/**
+ * EchoCancellerKernel class
+ * Acoustic echo cancellation DSP, run inside an AudioWorklet or a ScriptProcessor fallback
+ *
+ * Channel 0 of the input is the microphone and channel 1 the far-end reference. A partitioned-block
+ * frequency-domain NLMS filter models the echo path from the reference to the microphone and
+ * subtracts its estimate; adaptation pauses while near-end speech is detected over the echo.
+ */
+
+import { FFT } from './FFT.js';
+import { gainToDb, clamp } from '../../core/utils.js';
+import { AUDIO_CONSTANTS } from '../../core/constants.js';
+
+// Samples per filter block and partition; the output lags the input by one block
+const BLOCK_SIZE = 256;
+const FFT_SIZE = BLOCK_SIZE * 2;
+const BIN_COUNT = BLOCK_SIZE + 1;
+
+// Smoothing of the per-bin far-end power that normalizes the step size
+const POWER_SMOOTHING = 0.9;
+
+// Mean-square level below which the far end counts as silent, and the matching step regularization
+const SILENCE_POWER = 1e-6;
+const REGULARIZATION = SILENCE_POWER * FFT_SIZE;
+
+// Near-end speech is declared when the microphone is this much louder than the expected echo
+const DOUBLE_TALK_MARGIN = 4;
+const DOUBLE_TALK_HANGOVER = 0.05; // seconds
+
+// Once ERLE passes CONVERGED_ERLE dB, error well above the expected residual also means near-end
+// speech; the expectation relaxes by DOUBLE_TALK_RELAX dB per second of double-talk, and recovers
+// as fast without, so a changed echo path, which looks the same, is eventually adapted to
+const DOUBLE_TALK_RELAX = 6;
+const CONVERGED_ERLE = 6;
+
+// Echo return loss estimate, a power ratio: starts pessimistic, falls quickly and rises slowly
+const INITIAL_ERL = 1;
+const ERL_FALL = 0.2;
+const ERL_RISE = 0.02;
+const MIN_ERL = 1e-4;
+const MAX_ERL = 4;
+
+// Time constant of the power averages behind the reported ERLE, seconds
+const ERLE_TIME_CONSTANT = 0.5;
+
+// The filter is reset when its output has this much more power than the microphone
+const DIVERGENCE_RATIO = 4;
+
+function powerToDb(power) {
+  return gainToDb(Math.sqrt(Math.max(power, 1e-12)));
+}
+
+function meanSquare(samples, start, length) {
+  let sum = 0;
+  for (let i = start; i < start + length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return sum / length;
+}
+
+export class EchoCancellerKernel {
+  static get processorName() {
+    return 'echo-canceller';
+  }
+
+  static get parameterDescriptors() {
+    return [
+      { name: 'stepSize', defaultValue: 0.5, minValue: 0.01, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor(sampleRate, options = {}, post = () => {}) {
+    this.sampleRate = sampleRate;
+    this.post = post;
+
+    // Stats are reported once per block of this many samples
+    this.statsBlockSize = options.blockSize || AUDIO_CONSTANTS.DEFAULT_BUFFER_SIZE;
+    this.samplesInBlock = 0;
+    this.frameCount = 0;
+
+    this.fft = new FFT(FFT_SIZE);
+    this.real = new Float32Array(FFT_SIZE);
+    this.imag = new Float32Array(FFT_SIZE);
+
+    // Microphone and reference samples gathered for the next block, and the last block's output
+    this.micBlock = new Float32Array(BLOCK_SIZE);
+    this.outputBlock = new Float32Array(BLOCK_SIZE);
+    this.position = 0;
+
+    // The reference spans two blocks so every partition sees a full overlap-save frame
+    this.referenceFrame = new Float32Array(FFT_SIZE);
+    this.powerSpectrum = new Float32Array(BIN_COUNT);
+
+    this.hangoverBlocks = Math.ceil(DOUBLE_TALK_HANGOVER * sampleRate / BLOCK_SIZE);
+    this.erleSmoothing = Math.exp(-BLOCK_SIZE / (ERLE_TIME_CONSTANT * sampleRate));
+    this.relaxStep = DOUBLE_TALK_RELAX * BLOCK_SIZE / sampleRate;
+
+    this.configure(options.tailLength || 250);
+  }
+
+  /**
+   * Size the filter to cover tailLength milliseconds of echo and start it from scratch
+   */
+  configure(tailLength) {
+    this.tailLength = tailLength;
+    this.partitions = Math.max(1, Math.ceil(tailLength / 1000 * this.sampleRate / BLOCK_SIZE));
+
+    // Reference spectra newest first, starting at `newest`, and the filter's partitions to match
+    const size = this.partitions * BIN_COUNT;
+    this.referenceReal = new Float32Array(size);
+    this.referenceImag = new Float32Array(size);
+    this.weightsReal = new Float32Array(size);
+    this.weightsImag = new Float32Array(size);
+    this.newest = 0;
+
+    // Far-end block powers over the tail, for activity and the expected echo level
+    this.referencePowers = new Float32Array(this.partitions);
+
+    this.reset();
+  }
+
+  /**
+   * Forget the echo path and detector state
+   */
+  reset() {
+    this.weightsReal.fill(0);
+    this.weightsImag.fill(0);
+    this.powerSpectrum.fill(0);
+    this.constrainedPartition = 0;
+
+    this.erl = INITIAL_ERL;
+    this.doubleTalk = false;
+    this.doubleTalkHold = 0;
+    this.relax = 0;
+    this.farEndActive = false;
+    this.micPower = 0;
+    this.errorPower = 0;
+    this.erle = 0;
+  }
+
+  /**
+   * Process one render quantum
+   */
+  process(inputs, outputs, parameters) {
+    const input = inputs[0] || [];
+    const mic = input[0];
+    const reference = input[1];
+    const output = outputs[0][0];
+    if (!output) return;
+
+    if (!mic) {
+      output.fill(0);
+      return;
+    }
+
+    const stepSize = parameters.stepSize[0];
+
+    for (let i = 0; i < mic.length; i++) {
+      this.micBlock[this.position] = mic[i];
+      this.referenceFrame[BLOCK_SIZE + this.position] = reference ? reference[i] : 0;
+      output[i] = this.outputBlock[this.position];
+
+      if (++this.position === BLOCK_SIZE) {
+        this.position = 0;
+        this.processBlock(stepSize);
+      }
+    }
+
+    this.samplesInBlock += mic.length;
+    if (this.samplesInBlock >= this.statsBlockSize) {
+      this.samplesInBlock = 0;
+      this.frameCount++;
+      this.post({
+        type: 'stats',
+        frame: this.frameCount,
+        erle: this.erle,
+        erl: powerToDb(this.erl),
+        doubleTalk: this.doubleTalk,
+        farEndActive: this.farEndActive,
+        latency: BLOCK_SIZE / this.sampleRate
+      });
+    }
+  }
+
+  /**
+   * Cancel echo from one block of microphone samples and adapt the filter
+   */
+  processBlock(stepSize) {
+    const { real, imag, partitions } = this;
+
+    // Newest reference spectrum into the ring, overwriting the oldest
+    this.newest = (this.newest + partitions - 1) % partitions;
+    this.referencePowers[this.newest] = meanSquare(this.referenceFrame, BLOCK_SIZE, BLOCK_SIZE);
+
+    real.set(this.referenceFrame);
+    imag.fill(0);
+    this.fft.forward(real, imag);
+
+    const offset = this.newest * BIN_COUNT;
+    for (let k = 0; k < BIN_COUNT; k++) {
+      this.referenceReal[offset + k] = real[k];
+      this.referenceImag[offset + k] = imag[k];
+      const power = real[k] * real[k] + imag[k] * imag[k];
+      this.powerSpectrum[k] = POWER_SMOOTHING * this.powerSpectrum[k] + (1 - POWER_SMOOTHING) * power;
+    }
+
+    // Slide the reference frame on by a block
+    this.referenceFrame.copyWithin(0, BLOCK_SIZE);
+
+    this.estimateEcho();
+
+    // Overlap-save: the last block of the inverse transform is the echo estimate
+    let echoPower = 0;
+    let errorPower = 0;
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+      const echo = real[BLOCK_SIZE + i];
+      const error = this.micBlock[i] - echo;
+      this.outputBlock[i] = error;
+      echoPower += echo * echo;
+      errorPower += error * error;
+    }
+    echoPower /= BLOCK_SIZE;
+    errorPower /= BLOCK_SIZE;
+    const micPower = meanSquare(this.micBlock, 0, BLOCK_SIZE);
+
+    this.detectDoubleTalk(micPower, echoPower, errorPower);
+
+    if (this.farEndActive && errorPower > DIVERGENCE_RATIO * micPower && micPower > SILENCE_POWER) {
+      // The filter is adding echo rather than removing it; start over
+      this.weightsReal.fill(0);
+      this.weightsImag.fill(0);
+      this.outputBlock.set(this.micBlock);
+      return;
+    }
+
+    if (this.farEndActive && !this.doubleTalk) {
+      this.adapt(stepSize);
+      this.constrain(this.constrainedPartition);
+      this.constrainedPartition = (this.constrainedPartition + 1) % partitions;
+
+      // ERLE only means something while there is echo to cancel and nothing else
+      const smoothing = this.erleSmoothing;
+      this.micPower = smoothing * this.micPower + (1 - smoothing) * micPower;
+      this.errorPower = smoothing * this.errorPower + (1 - smoothing) * errorPower;
+      this.erle = Math.max(0, powerToDb(this.micPower) - powerToDb(this.errorPower));
+    }
+  }
+
+  /**
+   * Filter the reference history through every partition, leaving the time-domain result in real
+   */
+  estimateEcho() {
+    const { real, imag, partitions } = this;
+    real.fill(0);
+    imag.fill(0);
+
+    for (let p = 0; p < partitions; p++) {
+      const reference = ((this.newest + p) % partitions) * BIN_COUNT;
+      const weights = p * BIN_COUNT;
+
+      for (let k = 0; k < BIN_COUNT; k++) {
+        const xr = this.referenceReal[reference + k];
+        const xi = this.referenceImag[reference + k];
+        const wr = this.weightsReal[weights + k];
+        const wi = this.weightsImag[weights + k];
+        real[k] += xr * wr - xi * wi;
+        imag[k] += xr * wi + xi * wr;
+      }
+    }
+
+    // Mirror the upper half so the inverse transform comes out real
+    for (let k = 1; k < BLOCK_SIZE; k++) {
+      real[FFT_SIZE - k] = real[k];
+      imag[FFT_SIZE - k] = -imag[k];
+    }
+
+    this.fft.inverse(real, imag);
+  }
+
+  /**
+   * Classify the block as far-end only, near-end speech over echo, or neither
+   * Near-end speech is louder than the echo the far end could have produced, judged by the
+   * filter's own estimate and by the echo return loss learned while only the far end talked,
+   * or leaves more error than the filter has been achieving
+   */
+  detectDoubleTalk(micPower, echoPower, errorPower) {
+    let peakReference = 0;
+    let meanReference = 0;
+    for (let p = 0; p < this.partitions; p++) {
+      peakReference = Math.max(peakReference, this.referencePowers[p]);
+      meanReference += this.referencePowers[p];
+    }
+    meanReference /= this.partitions;
+
+    this.farEndActive = peakReference > SILENCE_POWER;
+
+    const expectedEcho = Math.max(this.erl * peakReference, echoPower);
+    const trustedErle = this.erle - this.relax;
+    const expectedResidual = echoPower * Math.pow(10, -trustedErle / 10);
+    const nearEnd = this.farEndActive && micPower > SILENCE_POWER && (
+      micPower > DOUBLE_TALK_MARGIN * expectedEcho ||
+      (trustedErle > CONVERGED_ERLE && errorPower > DOUBLE_TALK_MARGIN * expectedResidual)
+    );
+
+    if (nearEnd) {
+      this.doubleTalkHold = this.hangoverBlocks;
+    } else if (this.doubleTalkHold > 0) {
+      this.doubleTalkHold--;
+    }
+    this.doubleTalk = nearEnd || this.doubleTalkHold > 0;
+    this.relax = Math.max(0, this.relax + (this.doubleTalk ? this.relaxStep : -this.relaxStep));
+
+    if (this.farEndActive && !this.doubleTalk && meanReference > SILENCE_POWER) {
+      const erl = micPower / meanReference;
+      const smoothing = erl < this.erl ? ERL_FALL : ERL_RISE;
+      this.erl = clamp(this.erl + (erl - this.erl) * smoothing, MIN_ERL, MAX_ERL);
+    }
+  }
+
+  /**
+   * Move every partition along the normalized gradient of this block's error
+   */
+  adapt(stepSize) {
+    const { real, imag, partitions } = this;
+
+    // Error spectrum, zero-padded in front to match the overlap-save frame
+    real.fill(0, 0, BLOCK_SIZE);
+    for (let i = 0; i < BLOCK_SIZE; i++) {
+      real[BLOCK_SIZE + i] = this.outputBlock[i];
+    }
+    imag.fill(0);
+    this.fft.forward(real, imag);
+
+    // Each bin steps by stepSize / partitions relative to its far-end power
+    for (let k = 0; k < BIN_COUNT; k++) {
+      const scale = stepSize / (partitions * this.powerSpectrum[k] + REGULARIZATION);
+      real[k] *= scale;
+      imag[k] *= scale;
+    }
+
+    for (let p = 0; p < partitions; p++) {
+      const reference = ((this.newest + p) % partitions) * BIN_COUNT;
+      const weights = p * BIN_COUNT;
+
+      for (let k = 0; k < BIN_COUNT; k++) {
+        // Conjugate of the reference times the error
+        const xr = this.referenceReal[reference + k];
+        const xi = this.referenceImag[reference + k];
+        this.weightsReal[weights + k] += xr * real[k] + xi * imag[k];
+        this.weightsImag[weights + k] += xr * imag[k] - xi * real[k];
+      }
+    }
+  }
+
+  /**
+   * Zero the second half of one partition's impulse response so the circular convolution stays linear
+   * One partition per block keeps the cost down; the others drift little in between
+   */
+  constrain(partition) {
+    const { real, imag } = this;
+    const offset = partition * BIN_COUNT;
+
+    for (let k = 0; k < BIN_COUNT; k++) {
+      real[k] = this.weightsReal[offset + k];
+      imag[k] = this.weightsImag[offset + k];
+    }
+    for (let k = 1; k < BLOCK_SIZE; k++) {
+      real[FFT_SIZE - k] = real[k];
+      imag[FFT_SIZE - k] = -imag[k];
+    }
+
+    this.fft.inverse(real, imag);
+    real.fill(0, BLOCK_SIZE);
+    imag.fill(0);
+    this.fft.forward(real, imag);
+
+    for (let k = 0; k < BIN_COUNT; k++) {
+      this.weightsReal[offset + k] = real[k];
+      this.weightsImag[offset + k] = imag[k];
+    }
+  }
+
+  /**
+   * Handle a message from the main thread
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'configure':
+        this.configure(message.tailLength);
+        break;
+      case 'reset':
+        this.reset();
+        break;
+    }
+  }
+}
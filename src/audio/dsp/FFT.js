@@ -0,0 +1,105 @@
+/**
+ * FFT class
+ * In-place radix-2 complex FFT shared by the spectral DSP kernels
+ */
+
+export class FFT {
+  constructor(size) {
+    if (size < 2 || (size & (size - 1)) !== 0) {
+      throw new Error(`FFT size must be a power of two, got ${size}`);
+    }
+
+    this.size = size;
+
+    // Twiddle factors for the forward transform
+    this.cosTable = new Float32Array(size / 2);
+    this.sinTable = new Float32Array(size / 2);
+    for (let i = 0; i < size / 2; i++) {
+      this.cosTable[i] = Math.cos((2 * Math.PI * i) / size);
+      this.sinTable[i] = -Math.sin((2 * Math.PI * i) / size);
+    }
+
+    // Bit-reversal permutation
+    this.reverse = new Uint32Array(size);
+    const bits = Math.log2(size);
+    for (let i = 0; i < size; i++) {
+      let reversed = 0;
+      for (let b = 0; b < bits; b++) {
+        reversed |= ((i >> b) & 1) << (bits - 1 - b);
+      }
+      this.reverse[i] = reversed;
+    }
+  }
+
+  /**
+   * Forward transform of (real, imag) in place
+   */
+  forward(real, imag) {
+    this.transform(real, imag, 1);
+  }
+
+  /**
+   * Inverse transform of (real, imag) in place, scaled by 1/N
+   */
+  inverse(real, imag) {
+    this.transform(real, imag, -1);
+
+    const scale = 1 / this.size;
+    for (let i = 0; i < this.size; i++) {
+      real[i] *= scale;
+      imag[i] *= scale;
+    }
+  }
+
+  /**
+   * Iterative Cooley-Tukey butterfly, direction 1 forward and -1 inverse
+   */
+  transform(real, imag, direction) {
+    const n = this.size;
+
+    for (let i = 0; i < n; i++) {
+      const j = this.reverse[i];
+      if (j > i) {
+        let temp = real[i];
+        real[i] = real[j];
+        real[j] = temp;
+        temp = imag[i];
+        imag[i] = imag[j];
+        imag[j] = temp;
+      }
+    }
+
+    for (let length = 2; length <= n; length <<= 1) {
+      const half = length >> 1;
+      const step = n / length;
+
+      for (let start = 0; start < n; start += length) {
+        for (let k = 0; k < half; k++) {
+          const cos = this.cosTable[k * step];
+          const sin = this.sinTable[k * step] * direction;
+          const even = start + k;
+          const odd = even + half;
+
+          const oddReal = real[odd] * cos - imag[odd] * sin;
+          const oddImag = real[odd] * sin + imag[odd] * cos;
+
+          real[odd] = real[even] - oddReal;
+          imag[odd] = imag[even] - oddImag;
+          real[even] += oddReal;
+          imag[even] += oddImag;
+        }
+      }
+    }
+  }
+}
+
+/**
+ * Periodic Hann window of the given length
+ */
+export function hannWindow(length) {
+  const window = new Float32Array(length);
+  for (let i = 0; i < length; i++) {
+    window[i] = 0.5 - 0.5 * Math.cos((2 * Math.PI * i) / length);
+  }
+  return window;
+}
@@ -0,0 +1,153 @@
+/**
+ * GainControlKernel class
+ * Automatic gain control DSP, run inside an AudioWorklet or a ScriptProcessor fallback
+ */
+
+import { dbToGain, gainToDb, clamp } from '../../core/utils.js';
+import { AUDIO_CONSTANTS } from '../../core/constants.js';
+import { LoudnessAnalyzer } from './LoudnessAnalyzer.js';
+
+// Short-term loudness below R128's absolute gate is silence and leaves the gain alone, LUFS
+const LOUDNESS_GATE = -70;
+
+export class GainControlKernel {
+  static get processorName() {
+    return 'automatic-gain-control';
+  }
+
+  static get parameterDescriptors() {
+    return [
+      { name: 'targetLevel', defaultValue: AUDIO_CONSTANTS.AGC_DEFAULT_TARGET, minValue: -60, maxValue: 0, automationRate: 'k-rate' },
+      { name: 'compressionRatio', defaultValue: AUDIO_CONSTANTS.AGC_DEFAULT_RATIO, minValue: 1, maxValue: 20, automationRate: 'k-rate' },
+      { name: 'attackTime', defaultValue: 0.1, minValue: 0.001, maxValue: 1, automationRate: 'k-rate' },
+      { name: 'releaseTime', defaultValue: 0.5, minValue: 0.001, maxValue: 5, automationRate: 'k-rate' },
+      { name: 'minGain', defaultValue: AUDIO_CONSTANTS.AGC_MIN_GAIN, minValue: AUDIO_CONSTANTS.AGC_MIN_GAIN, maxValue: AUDIO_CONSTANTS.AGC_MAX_GAIN, automationRate: 'k-rate' },
+      { name: 'maxGain', defaultValue: AUDIO_CONSTANTS.AGC_MAX_GAIN, minValue: AUDIO_CONSTANTS.AGC_MIN_GAIN, maxValue: AUDIO_CONSTANTS.AGC_MAX_GAIN, automationRate: 'k-rate' },
+      // Non-zero holds the gain where it is, e.g. while a noise gate is closed
+      { name: 'freeze', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+      // Non-zero steers short-term loudness to targetLoudness instead of block RMS to targetLevel
+      { name: 'loudnessMode', defaultValue: 0, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+      { name: 'targetLoudness', defaultValue: -23, minValue: -70, maxValue: 0, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor(sampleRate, options = {}, post = () => {}) {
+    this.sampleRate = sampleRate;
+    this.post = post;
+
+    // Level is measured over blocks of this many samples
+    this.blockSize = options.blockSize || AUDIO_CONSTANTS.DEFAULT_BUFFER_SIZE;
+    this.sumOfSquares = 0;
+    this.samplesInBlock = 0;
+
+    this.currentGain = 1.0;
+    this.targetGain = 1.0;
+    this.inputLevel = -Infinity;
+
+    // Loudness of the input, measured whichever mode is in use
+    this.loudness = new LoudnessAnalyzer(sampleRate);
+
+    // Gain applied per sample, ramping toward currentGain over a block
+    this.appliedGain = 1.0;
+    this.gainStep = 0;
+
+    this.frameCount = 0;
+  }
+
+  /**
+   * Process one render quantum
+   */
+  process(inputs, outputs, parameters) {
+    const input = inputs[0][0];
+    const output = outputs[0][0];
+    if (!output) return;
+
+    if (!input) {
+      output.fill(0);
+      return;
+    }
+
+    this.loudness.push(input);
+
+    for (let i = 0; i < input.length; i++) {
+      const sample = input[i];
+      this.sumOfSquares += sample * sample;
+      this.samplesInBlock++;
+
+      if (this.samplesInBlock >= this.blockSize) {
+        this.updateGain(parameters);
+      }
+
+      this.appliedGain += this.gainStep;
+      output[i] = sample * this.appliedGain;
+    }
+  }
+
+  /**
+   * Measure the finished block and move the gain toward its target
+   */
+  updateGain(parameters) {
+    const rms = Math.sqrt(this.sumOfSquares / this.samplesInBlock);
+    this.inputLevel = gainToDb(Math.max(rms, 1e-10));
+    this.sumOfSquares = 0;
+    this.samplesInBlock = 0;
+
+    const frozen = parameters.freeze[0] > 0;
+    const loudnessMode = parameters.loudnessMode[0] > 0;
+    const inputLoudness = this.loudness.shortTerm;
+
+    if (!frozen && !(loudnessMode && inputLoudness <= LOUDNESS_GATE)) {
+      const newTargetGain = this.calculateTargetGain(
+        loudnessMode ? inputLoudness : this.inputLevel,
+        loudnessMode ? parameters.targetLoudness[0] : parameters.targetLevel[0],
+        parameters.compressionRatio[0],
+        parameters.minGain[0],
+        parameters.maxGain[0]
+      );
+      this.smoothGain(newTargetGain, parameters.attackTime[0], parameters.releaseTime[0]);
+    }
+
+    // Ramp over the next block instead of stepping
+    this.gainStep = (this.currentGain - this.appliedGain) / this.blockSize;
+
+    this.frameCount++;
+    this.post({
+      type: 'stats',
+      frame: this.frameCount,
+      inputLevel: this.inputLevel,
+      inputLoudness,
+      currentGain: this.currentGain,
+      targetGain: this.targetGain,
+      frozen
+    });
+  }
+
+  /**
+   * Calculate target gain based on input level
+   */
+  calculateTargetGain(inputLevel, targetLevel, ratio, minGain = AUDIO_CONSTANTS.AGC_MIN_GAIN, maxGain = AUDIO_CONSTANTS.AGC_MAX_GAIN) {
+    const levelDifference = targetLevel - inputLevel;
+
+    // Quiet input gets full gain, loud input is compressed
+    const gainAdjustment = levelDifference > 0 ? levelDifference : levelDifference / ratio;
+
+    return clamp(dbToGain(gainAdjustment), minGain, Math.max(minGain, maxGain));
+  }
+
+  /**
+   * Smooth gain changes using attack/release
+   */
+  smoothGain(newTargetGain, attackTime, releaseTime) {
+    this.targetGain = newTargetGain;
+
+    const time = newTargetGain > this.currentGain ? attackTime : releaseTime;
+    const coeff = Math.exp(-this.blockSize / (this.sampleRate * time));
+
+    this.currentGain = this.currentGain * coeff + newTargetGain * (1 - coeff);
+  }
+
+  /**
+   * Handle a message from the main thread
+   */
+  handleMessage() {}
+}
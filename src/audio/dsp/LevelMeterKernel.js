@@ -0,0 +1,152 @@
+/**
+ * LevelMeterKernel class
+ * Time-domain level metering per channel, run inside an AudioWorklet or a ScriptProcessor fallback
+ */
+
+import { gainToDb } from '../../core/utils.js';
+import { AUDIO_CONSTANTS } from '../../core/constants.js';
+
+// Readings below this are reported as this, dBFS
+const SILENCE = -120;
+
+// Samples at or above this magnitude count as clipped
+const CLIP_LEVEL = 0.999;
+
+// VU: rectified average reaching 99% of a step in 300 ms, scaled to read a sine's RMS
+const VU_TIME_CONSTANT = 0.3 / Math.log(100);
+const VU_SINE_SCALE = Math.PI / (2 * Math.SQRT2);
+
+// PPM: quasi-peak with a 1.7 ms attack and a fall of 20 dB in 1.5 s
+const PPM_ATTACK = 0.0017;
+const PPM_FALL_DB = 20;
+const PPM_FALL_TIME = 1.5;
+
+// Noise floor tracking of block RMS: falls quickly, rises at this many dB per second
+const FLOOR_FALL = 0.5;
+const FLOOR_RISE_DB_PER_SECOND = 0.5;
+
+function toDb(value) {
+  return value > 0 ? Math.max(SILENCE, gainToDb(value)) : SILENCE;
+}
+
+export class LevelMeterKernel {
+  static get processorName() {
+    return 'level-meter';
+  }
+
+  static get parameterDescriptors() {
+    return [];
+  }
+
+  constructor(sampleRate, options = {}, post = () => {}) {
+    this.sampleRate = sampleRate;
+    this.post = post;
+
+    // Readings are reported once per block of this many samples
+    this.blockSize = options.blockSize || AUDIO_CONSTANTS.DEFAULT_BUFFER_SIZE;
+    this.samplesInBlock = 0;
+    this.frameCount = 0;
+
+    this.vuCoeff = Math.exp(-1 / (VU_TIME_CONSTANT * sampleRate));
+    this.ppmAttackCoeff = Math.exp(-1 / (PPM_ATTACK * sampleRate));
+    this.ppmFall = Math.pow(10, -PPM_FALL_DB / 20 / (PPM_FALL_TIME * sampleRate));
+    this.floorRise = FLOOR_RISE_DB_PER_SECOND * this.blockSize / sampleRate;
+
+    // Created as channels appear, so the meter follows whatever it is connected to
+    this.channels = [];
+  }
+
+  createChannel() {
+    return {
+      peak: 0,
+      sumOfSquares: 0,
+      vu: 0,
+      ppm: 0,
+      clips: 0,
+      noiseFloor: null
+    };
+  }
+
+  /**
+   * Process one render quantum; the meter only observes, so outputs are left alone
+   */
+  process(inputs) {
+    const input = inputs[0];
+    if (!input || input.length === 0) return;
+
+    while (this.channels.length < input.length) {
+      this.channels.push(this.createChannel());
+    }
+
+    for (let c = 0; c < input.length; c++) {
+      this.meterChannel(this.channels[c], input[c]);
+    }
+
+    this.samplesInBlock += input[0].length;
+    if (this.samplesInBlock >= this.blockSize) {
+      this.report(input.length);
+    }
+  }
+
+  meterChannel(channel, samples) {
+    const { vuCoeff, ppmAttackCoeff, ppmFall } = this;
+    let { peak, sumOfSquares, vu, ppm, clips } = channel;
+
+    for (let i = 0; i < samples.length; i++) {
+      const magnitude = Math.abs(samples[i]);
+      if (magnitude > peak) peak = magnitude;
+      if (magnitude >= CLIP_LEVEL) clips++;
+      sumOfSquares += magnitude * magnitude;
+
+      vu = magnitude + (vu - magnitude) * vuCoeff;
+      ppm = magnitude > ppm
+        ? magnitude + (ppm - magnitude) * ppmAttackCoeff
+        : ppm * ppmFall;
+    }
+
+    Object.assign(channel, { peak, sumOfSquares, vu, ppm, clips });
+  }
+
+  /**
+   * Post the finished block's readings in dBFS and reset its peak and RMS
+   */
+  report(channelCount) {
+    const readings = this.channels.slice(0, channelCount).map(channel => {
+      const rms = toDb(Math.sqrt(channel.sumOfSquares / this.samplesInBlock));
+
+      if (channel.noiseFloor === null || rms < channel.noiseFloor) {
+        channel.noiseFloor = channel.noiseFloor === null ? rms : channel.noiseFloor + (rms - channel.noiseFloor) * FLOOR_FALL;
+      } else {
+        channel.noiseFloor = Math.min(rms, channel.noiseFloor + this.floorRise);
+      }
+
+      const reading = {
+        peak: toDb(channel.peak),
+        rms,
+        vu: toDb(channel.vu * VU_SINE_SCALE),
+        ppm: toDb(channel.ppm),
+        noiseFloor: channel.noiseFloor,
+        clips: channel.clips
+      };
+
+      channel.peak = 0;
+      channel.sumOfSquares = 0;
+      return reading;
+    });
+
+    this.samplesInBlock = 0;
+    this.frameCount++;
+    this.post({ type: 'levels', frame: this.frameCount, channels: readings });
+  }
+
+  /**
+   * Handle a message from the main thread
+   */
+  handleMessage(message) {
+    if (message.type === 'resetClips') {
+      this.channels.forEach(channel => {
+        channel.clips = 0;
+      });
+    }
+  }
+}
@@ -0,0 +1,257 @@
+/**
+ * LimiterKernel class
+ * Lookahead brickwall limiter DSP, run inside an AudioWorklet or a ScriptProcessor fallback
+ */
+
+import { dbToGain, gainToDb, clamp } from '../../core/utils.js';
+import { AUDIO_CONSTANTS } from '../../core/constants.js';
+
+// True-peak detection interpolates this many points per sample interval
+const OVERSAMPLING = 4;
+
+// Interpolation filter taps per phase, and the tap holding the sample being checked;
+// taps after it are the detector's delay behind the input
+const INTERPOLATION_TAPS = 12;
+const INTERPOLATION_CENTER = INTERPOLATION_TAPS / 2 - 1;
+
+/**
+ * Hann-windowed sinc coefficients for each intermediate phase, normalized to unity DC gain
+ * Phase p estimates the signal p / OVERSAMPLING of a sample after the detector's current one
+ */
+function createInterpolationPhases() {
+  const phases = [];
+  const half = INTERPOLATION_TAPS / 2;
+
+  for (let phase = 1; phase < OVERSAMPLING; phase++) {
+    const coefficients = new Float32Array(INTERPOLATION_TAPS);
+    let sum = 0;
+
+    for (let i = 0; i < INTERPOLATION_TAPS; i++) {
+      // Distance from tap i (oldest first) to the interpolated point
+      const distance = INTERPOLATION_CENTER + phase / OVERSAMPLING - i;
+      const sinc = Math.sin(Math.PI * distance) / (Math.PI * distance);
+      const window = 0.5 + 0.5 * Math.cos(Math.PI * distance / half);
+      coefficients[i] = sinc * window;
+      sum += coefficients[i];
+    }
+
+    phases.push(coefficients.map(value => value / sum));
+  }
+
+  return phases;
+}
+
+const INTERPOLATION_PHASES = createInterpolationPhases();
+
+/**
+ * Minimum over a sliding window, amortized O(1) per sample with a monotonic queue
+ */
+class SlidingMinimum {
+  constructor(length) {
+    this.length = length;
+    this.values = new Float64Array(length + 1);
+    this.indices = new Float64Array(length + 1);
+    this.head = 0;
+    this.size = 0;
+    this.index = 0;
+  }
+
+  push(value) {
+    const capacity = this.values.length;
+
+    // Larger values queued before this one can never be the minimum again
+    while (this.size > 0) {
+      const tail = (this.head + this.size - 1) % capacity;
+      if (this.values[tail] < value) break;
+      this.size--;
+    }
+
+    const slot = (this.head + this.size) % capacity;
+    this.values[slot] = value;
+    this.indices[slot] = this.index;
+    this.size++;
+
+    // Drop the oldest once it leaves the window
+    if (this.indices[this.head] <= this.index - this.length) {
+      this.head = (this.head + 1) % capacity;
+      this.size--;
+    }
+
+    this.index++;
+    return this.values[this.head];
+  }
+}
+
+export class LimiterKernel {
+  static get processorName() {
+    return 'brickwall-limiter';
+  }
+
+  static get parameterDescriptors() {
+    return [
+      { name: 'ceiling', defaultValue: -1, minValue: -20, maxValue: 0, automationRate: 'k-rate' },
+      { name: 'release', defaultValue: 0.1, minValue: 0.001, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor(sampleRate, options = {}, post = () => {}) {
+    this.sampleRate = sampleRate;
+    this.post = post;
+
+    // Meters are reported once per block of this many samples
+    this.blockSize = options.blockSize || AUDIO_CONSTANTS.DEFAULT_BUFFER_SIZE;
+    this.samplesInBlock = 0;
+    this.frameCount = 0;
+
+    this.lookahead = options.lookahead ?? 5;
+    this.truePeak = options.truePeak ?? true;
+    this.reset();
+  }
+
+  /**
+   * Allocate the delay lines for the current lookahead and detector
+   */
+  reset() {
+    // Gain ramps down over the lookahead, reaching its target as the peak comes out
+    this.lookaheadSamples = Math.max(1, Math.round(this.lookahead / 1000 * this.sampleRate));
+    this.detectorDelay = this.truePeak ? INTERPOLATION_TAPS - 1 - INTERPOLATION_CENTER : 0;
+
+    this.history = new Float32Array(INTERPOLATION_TAPS);
+    this.delayLine = new Float32Array(this.lookaheadSamples + this.detectorDelay);
+    this.delayIndex = 0;
+
+    this.minimum = new SlidingMinimum(this.lookaheadSamples + 1);
+    this.releasedGain = 1;
+
+    // Moving average of the released gain over the lookahead
+    this.averageLine = new Float64Array(this.lookaheadSamples).fill(1);
+    this.averageIndex = 0;
+    this.averageSum = this.lookaheadSamples;
+
+    this.gain = 1;
+    this.resetMeters();
+  }
+
+  resetMeters() {
+    this.minGain = 1;
+    this.inputPeak = 0;
+    this.outputPeak = 0;
+  }
+
+  /**
+   * Latency added by the limiter, in seconds
+   */
+  get latency() {
+    return this.delayLine.length / this.sampleRate;
+  }
+
+  /**
+   * Peak of the newest sample, or of the signal around the detector's sample including inter-sample peaks
+   */
+  detectPeak(sample) {
+    if (!this.truePeak) {
+      return Math.abs(sample);
+    }
+
+    const history = this.history;
+    history.copyWithin(0, 1);
+    history[INTERPOLATION_TAPS - 1] = sample;
+
+    let peak = Math.abs(history[INTERPOLATION_CENTER]);
+    for (const coefficients of INTERPOLATION_PHASES) {
+      let value = 0;
+      for (let i = 0; i < INTERPOLATION_TAPS; i++) {
+        value += history[i] * coefficients[i];
+      }
+      peak = Math.max(peak, Math.abs(value));
+    }
+
+    return peak;
+  }
+
+  /**
+   * Process one render quantum
+   */
+  process(inputs, outputs, parameters) {
+    const input = inputs[0][0];
+    const output = outputs[0][0];
+    if (!output) return;
+
+    if (!input) {
+      output.fill(0);
+      return;
+    }
+
+    const ceiling = dbToGain(parameters.ceiling[0]);
+    const releaseCoeff = Math.exp(-1 / (parameters.release[0] * this.sampleRate));
+    const delayLine = this.delayLine;
+    const averageLine = this.averageLine;
+
+    for (let i = 0; i < input.length; i++) {
+      const peak = this.detectPeak(input[i]);
+      this.inputPeak = Math.max(this.inputPeak, peak);
+
+      // Lowest gain needed by any peak within the lookahead, with instant attack and smooth release
+      const required = peak > ceiling ? ceiling / peak : 1;
+      const held = this.minimum.push(required);
+      this.releasedGain = held < this.releasedGain
+        ? held
+        : held + (this.releasedGain - held) * releaseCoeff;
+
+      // Averaging over the lookahead turns steps into ramps that stay at or below the held gain
+      this.averageSum += this.releasedGain - averageLine[this.averageIndex];
+      averageLine[this.averageIndex] = this.releasedGain;
+      this.averageIndex++;
+      if (this.averageIndex === averageLine.length) {
+        // Recompute now and then so rounding in the running sum can't accumulate
+        this.averageIndex = 0;
+        this.averageSum = averageLine.reduce((sum, value) => sum + value, 0);
+      }
+      this.gain = Math.min(1, this.averageSum / averageLine.length);
+
+      const delayed = delayLine[this.delayIndex];
+      delayLine[this.delayIndex] = input[i];
+      this.delayIndex = (this.delayIndex + 1) % delayLine.length;
+
+      // Sample peaks can't pass the ceiling even if the gain ramp is off by a rounding error
+      const sample = clamp(delayed * this.gain, -ceiling, ceiling);
+      output[i] = sample;
+
+      this.minGain = Math.min(this.minGain, this.gain);
+      this.outputPeak = Math.max(this.outputPeak, Math.abs(sample));
+    }
+
+    this.samplesInBlock += input.length;
+    if (this.samplesInBlock >= this.blockSize) {
+      this.samplesInBlock = 0;
+      this.frameCount++;
+      this.post({
+        type: 'stats',
+        frame: this.frameCount,
+        gainReduction: -gainToDb(this.gain),
+        maxGainReduction: -gainToDb(this.minGain),
+        inputPeak: gainToDb(Math.max(this.inputPeak, 1e-10)),
+        outputPeak: gainToDb(Math.max(this.outputPeak, 1e-10)),
+        latency: this.latency
+      });
+      this.resetMeters();
+    }
+  }
+
+  /**
+   * Handle a message from the main thread
+   */
+  handleMessage(message) {
+    if (message.type !== 'configure') return;
+
+    if (message.lookahead !== undefined) {
+      this.lookahead = clamp(message.lookahead, 1, 10);
+    }
+    if (message.truePeak !== undefined) {
+      this.truePeak = !!message.truePeak;
+    }
+
+    // Delay lines change length, so the limiter starts over
+    this.reset();
+  }
+}
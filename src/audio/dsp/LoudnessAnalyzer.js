@@ -0,0 +1,175 @@
+/**
+ * LoudnessAnalyzer class
+ * EBU R128 / ITU-R BS.1770 loudness of a mono signal: K-weighting, momentary (400 ms),
+ * short-term (3 s) and gated integrated loudness, all in LUFS
+ */
+
+// Measurement advances in 100 ms steps; momentary and short-term span 4 and 30 of them
+const STEP_SECONDS = 0.1;
+const MOMENTARY_STEPS = 4;
+const SHORT_TERM_STEPS = 30;
+
+// Integrated loudness gates
+const ABSOLUTE_GATE = -70; // LUFS
+const RELATIVE_GATE = -10; // LU below the absolutely gated loudness
+
+// Gating blocks are binned at this resolution, LU, up to the loudest a full-scale signal can read
+const HISTOGRAM_RESOLUTION = 0.1;
+const HISTOGRAM_MAX = 10;
+const HISTOGRAM_BINS = Math.round((HISTOGRAM_MAX - ABSOLUTE_GATE) / HISTOGRAM_RESOLUTION);
+
+/**
+ * Loudness of a mean square K-weighted power
+ */
+function powerToLoudness(power) {
+  return power > 0 ? -0.691 + 10 * Math.log10(power) : -Infinity;
+}
+
+/**
+ * BS.1770 K-weighting biquads (high shelf, then RLB high-pass) designed for any sample rate
+ */
+function createKWeighting(sampleRate) {
+  // Stage 1: +4 dB shelf above about 1.7 kHz modelling the head
+  let K = Math.tan(Math.PI * 1681.974450955533 / sampleRate);
+  let Q = 0.7071752369554196;
+  const Vh = Math.pow(10, 3.999843853973347 / 20);
+  const Vb = Math.pow(Vh, 0.4996667741545416);
+  let a0 = 1 + K / Q + K * K;
+  const shelf = {
+    b0: (Vh + Vb * K / Q + K * K) / a0,
+    b1: 2 * (K * K - Vh) / a0,
+    b2: (Vh - Vb * K / Q + K * K) / a0,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  // Stage 2: high-pass around 38 Hz
+  K = Math.tan(Math.PI * 38.13547087602444 / sampleRate);
+  Q = 0.5003270373238773;
+  a0 = 1 + K / Q + K * K;
+  const highPass = {
+    b0: 1,
+    b1: -2,
+    b2: 1,
+    a1: 2 * (K * K - 1) / a0,
+    a2: (1 - K / Q + K * K) / a0
+  };
+
+  return [shelf, highPass].map(coefficients => ({ ...coefficients, z1: 0, z2: 0 }));
+}
+
+export class LoudnessAnalyzer {
+  constructor(sampleRate) {
+    this.sampleRate = sampleRate;
+    this.stepLength = Math.round(sampleRate * STEP_SECONDS);
+    this.reset();
+  }
+
+  /**
+   * Forget all measurements, starting a new integration
+   */
+  reset() {
+    this.filters = createKWeighting(this.sampleRate);
+
+    this.stepSum = 0;
+    this.stepSamples = 0;
+
+    // Mean square power of the latest 100 ms steps, newest last
+    this.steps = new Float64Array(SHORT_TERM_STEPS);
+    this.stepCount = 0;
+
+    this.histogramCounts = new Uint32Array(HISTOGRAM_BINS);
+    this.histogramPowers = new Float64Array(HISTOGRAM_BINS);
+    this.gatedCount = 0;
+    this.gatedPower = 0;
+
+    this.momentary = -Infinity;
+    this.shortTerm = -Infinity;
+    this.integrated = -Infinity;
+  }
+
+  /**
+   * Feed samples; the loudness values update every 100 ms
+   */
+  push(samples) {
+    const [shelf, highPass] = this.filters;
+
+    for (let i = 0; i < samples.length; i++) {
+      // Transposed direct form II
+      const x = samples[i];
+      const y1 = shelf.b0 * x + shelf.z1;
+      shelf.z1 = shelf.b1 * x - shelf.a1 * y1 + shelf.z2;
+      shelf.z2 = shelf.b2 * x - shelf.a2 * y1;
+
+      const y2 = highPass.b0 * y1 + highPass.z1;
+      highPass.z1 = highPass.b1 * y1 - highPass.a1 * y2 + highPass.z2;
+      highPass.z2 = highPass.b2 * y1 - highPass.a2 * y2;
+
+      this.stepSum += y2 * y2;
+      this.stepSamples++;
+
+      if (this.stepSamples === this.stepLength) {
+        this.completeStep();
+      }
+    }
+  }
+
+  completeStep() {
+    this.steps.copyWithin(0, 1);
+    this.steps[SHORT_TERM_STEPS - 1] = this.stepSum / this.stepSamples;
+    this.stepCount++;
+    this.stepSum = 0;
+    this.stepSamples = 0;
+
+    const momentaryPower = this.averageSteps(MOMENTARY_STEPS);
+    this.momentary = powerToLoudness(momentaryPower);
+    this.shortTerm = powerToLoudness(this.averageSteps(SHORT_TERM_STEPS));
+
+    // Each momentary window is a gating block, overlapping the previous one by 75%
+    if (this.stepCount >= MOMENTARY_STEPS && this.momentary > ABSOLUTE_GATE) {
+      const bin = Math.min(HISTOGRAM_BINS - 1, Math.floor((this.momentary - ABSOLUTE_GATE) / HISTOGRAM_RESOLUTION));
+      this.histogramCounts[bin]++;
+      this.histogramPowers[bin] += momentaryPower;
+      this.gatedCount++;
+      this.gatedPower += momentaryPower;
+      this.integrated = this.computeIntegrated();
+    }
+  }
+
+  /**
+   * Mean power over the latest steps, or as many as there have been
+   */
+  averageSteps(count) {
+    const available = Math.min(count, this.stepCount);
+    let sum = 0;
+    for (let i = SHORT_TERM_STEPS - available; i < SHORT_TERM_STEPS; i++) {
+      sum += this.steps[i];
+    }
+    return available > 0 ? sum / available : 0;
+  }
+
+  /**
+   * Mean of the blocks above the absolute gate and within 10 LU of their own mean
+   */
+  computeIntegrated() {
+    const relativeGate = powerToLoudness(this.gatedPower / this.gatedCount) + RELATIVE_GATE;
+    const firstBin = Math.max(0, Math.floor((relativeGate - ABSOLUTE_GATE) / HISTOGRAM_RESOLUTION));
+
+    let count = 0;
+    let power = 0;
+    for (let bin = firstBin; bin < HISTOGRAM_BINS; bin++) {
+      count += this.histogramCounts[bin];
+      power += this.histogramPowers[bin];
+    }
+
+    return count > 0 ? powerToLoudness(power / count) : -Infinity;
+  }
+
+  getLoudness() {
+    return {
+      momentary: this.momentary,
+      shortTerm: this.shortTerm,
+      integrated: this.integrated
+    };
+  }
+}
@@ -0,0 +1,60 @@
+/**
+ * LoudnessMeterKernel class
+ * Pass-through EBU R128 loudness metering, run inside an AudioWorklet or a ScriptProcessor fallback
+ */
+
+import { LoudnessAnalyzer } from './LoudnessAnalyzer.js';
+import { AUDIO_CONSTANTS } from '../../core/constants.js';
+
+export class LoudnessMeterKernel {
+  static get processorName() {
+    return 'loudness-meter';
+  }
+
+  static get parameterDescriptors() {
+    return [];
+  }
+
+  constructor(sampleRate, options = {}, post = () => {}) {
+    this.post = post;
+    this.analyzer = new LoudnessAnalyzer(sampleRate);
+
+    // Readings are reported once per block of this many samples
+    this.blockSize = options.blockSize || AUDIO_CONSTANTS.DEFAULT_BUFFER_SIZE;
+    this.samplesInBlock = 0;
+    this.frameCount = 0;
+  }
+
+  /**
+   * Process one render quantum
+   */
+  process(inputs, outputs) {
+    const input = inputs[0][0];
+    const output = outputs[0][0];
+    if (!output) return;
+
+    if (!input) {
+      output.fill(0);
+      return;
+    }
+
+    output.set(input);
+    this.analyzer.push(input);
+
+    this.samplesInBlock += input.length;
+    if (this.samplesInBlock >= this.blockSize) {
+      this.samplesInBlock = 0;
+      this.frameCount++;
+      this.post({ type: 'stats', frame: this.frameCount, ...this.analyzer.getLoudness() });
+    }
+  }
+
+  /**
+   * Handle a message from the main thread
+   */
+  handleMessage(message) {
+    if (message.type === 'reset') {
+      this.analyzer.reset();
+    }
+  }
+}
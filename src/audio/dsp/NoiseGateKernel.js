@@ -0,0 +1,127 @@
+/**
+ * NoiseGateKernel class
+ * Noise gate / downward expander DSP, run inside an AudioWorklet or a ScriptProcessor fallback
+ */
+
+import { dbToGain, gainToDb } from '../../core/utils.js';
+import { AUDIO_CONSTANTS } from '../../core/constants.js';
+
+// Release of the level detector, seconds; its attack is instant
+const DETECTOR_RELEASE = 0.02;
+
+export class NoiseGateKernel {
+  static get processorName() {
+    return 'noise-gate';
+  }
+
+  static get parameterDescriptors() {
+    return [
+      { name: 'threshold', defaultValue: -50, minValue: -100, maxValue: 0, automationRate: 'k-rate' },
+      { name: 'ratio', defaultValue: 4, minValue: 1, maxValue: 100, automationRate: 'k-rate' },
+      { name: 'range', defaultValue: -40, minValue: -100, maxValue: 0, automationRate: 'k-rate' },
+      { name: 'hold', defaultValue: 0.1, minValue: 0, maxValue: 2, automationRate: 'k-rate' },
+      { name: 'attack', defaultValue: 0.005, minValue: 0.0001, maxValue: 1, automationRate: 'k-rate' },
+      { name: 'release', defaultValue: 0.15, minValue: 0.001, maxValue: 5, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor(sampleRate, options = {}, post = () => {}) {
+    this.sampleRate = sampleRate;
+    this.post = post;
+
+    // Meters are reported once per block of this many samples
+    this.blockSize = options.blockSize || AUDIO_CONSTANTS.DEFAULT_BUFFER_SIZE;
+    this.samplesInBlock = 0;
+    this.frameCount = 0;
+
+    // Keyed by the voice detector instead of level while voiceKey is set
+    this.voiceKey = !!options.voiceKey;
+    this.voiceActive = !!options.voiceActive;
+
+    this.envelope = 0;
+    this.detectorCoeff = Math.exp(-1 / (DETECTOR_RELEASE * sampleRate));
+    this.holdSamples = 0;
+    this.isOpen = true;
+    this.gainDb = 0;
+  }
+
+  /**
+   * Process one render quantum
+   */
+  process(inputs, outputs, parameters) {
+    const input = inputs[0][0];
+    const output = outputs[0][0];
+    if (!output) return;
+
+    if (!input) {
+      output.fill(0);
+      return;
+    }
+
+    const threshold = parameters.threshold[0];
+    const slope = parameters.ratio[0] - 1;
+    const range = parameters.range[0];
+    const holdLength = parameters.hold[0] * this.sampleRate;
+    const attackCoeff = Math.exp(-1 / (parameters.attack[0] * this.sampleRate));
+    const releaseCoeff = Math.exp(-1 / (parameters.release[0] * this.sampleRate));
+    const wasOpen = this.isOpen;
+
+    for (let i = 0; i < input.length; i++) {
+      const sample = input[i];
+      this.envelope = Math.max(Math.abs(sample), this.envelope * this.detectorCoeff);
+      const level = gainToDb(Math.max(this.envelope, 1e-10));
+
+      // The key holds the gate open; it closes once the key has been gone for the hold time
+      const keyed = this.voiceKey ? this.voiceActive : level >= threshold;
+      if (keyed) {
+        this.holdSamples = holdLength;
+        this.isOpen = true;
+      } else if (this.holdSamples > 0) {
+        this.holdSamples--;
+      } else {
+        this.isOpen = false;
+      }
+
+      // Closed, level keying expands downward from the threshold; voice keying attenuates fully
+      let targetDb = 0;
+      if (!this.isOpen) {
+        targetDb = this.voiceKey ? range : Math.max(range, Math.min(0, (level - threshold) * slope));
+      }
+
+      const coeff = targetDb > this.gainDb ? attackCoeff : releaseCoeff;
+      this.gainDb = targetDb + (this.gainDb - targetDb) * coeff;
+      output[i] = sample * dbToGain(this.gainDb);
+    }
+
+    if (this.isOpen !== wasOpen) {
+      this.post({ type: 'gate', open: this.isOpen });
+    }
+
+    this.samplesInBlock += input.length;
+    if (this.samplesInBlock >= this.blockSize) {
+      this.samplesInBlock = 0;
+      this.frameCount++;
+      this.post({
+        type: 'stats',
+        frame: this.frameCount,
+        open: this.isOpen,
+        level: gainToDb(Math.max(this.envelope, 1e-10)),
+        gainReduction: -this.gainDb
+      });
+    }
+  }
+
+  /**
+   * Handle a message from the main thread
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'configure':
+        this.voiceKey = !!message.voiceKey;
+        break;
+      case 'voice':
+        this.voiceActive = !!message.active;
+        break;
+    }
+  }
+}
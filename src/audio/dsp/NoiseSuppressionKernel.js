@@ -0,0 +1,335 @@
+/**
+ * NoiseSuppressionKernel class
+ * STFT spectral subtraction DSP, run inside an AudioWorklet or a ScriptProcessor fallback
+ */
+
+import { STFT } from './STFT.js';
+import { AUDIO_CONSTANTS } from '../../core/constants.js';
+
+export class NoiseSuppressionKernel {
+  static get processorName() {
+    return 'noise-suppressor';
+  }
+
+  static get parameterDescriptors() {
+    return [
+      // Reduction strength: 0.5 low, 0.7 medium, 0.9 high
+      { name: 'intensity', defaultValue: 0.7, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor(sampleRate, options = {}, post = () => {}) {
+    this.sampleRate = sampleRate;
+    this.post = post;
+
+    this.stft = new STFT(options.frameSize || 1024);
+    const binCount = this.stft.binCount;
+    const framesPerSecond = sampleRate / this.stft.hopSize;
+
+    // Minimum statistics: the noise floor is the bias-corrected minimum of the
+    // smoothed power over roughly 1.5 s, tracked in subwindows
+    this.powerSmoothing = 0.85;
+    this.subwindowCount = 8;
+    this.subwindowLength = Math.max(1, Math.round((1.5 * framesPerSecond) / this.subwindowCount));
+    this.minimumBias = 1.5;
+    this.power = new Float32Array(binCount);
+    this.smoothedPower = new Float32Array(binCount);
+    this.currentMinimum = new Float32Array(binCount).fill(Infinity);
+    this.subwindowMinima = Array.from({ length: this.subwindowCount }, () => new Float32Array(binCount).fill(Infinity));
+    this.subwindowIndex = 0;
+    this.framesInSubwindow = 0;
+    this.trackedNoise = new Float32Array(binCount);
+    this.noisePower = new Float32Array(binCount);
+
+    // Learned noise profile (power per bin divided by frame size), drives subtraction when set
+    this.noiseProfile = null;
+    this.autoRelearn = !!options.autoRelearn;
+    this.relearnRate = 0.05;
+    this.speechSnrThreshold = 2.0; // mean posterior SNR above which a frame counts as speech
+    this.framesSinceProfileReport = 0;
+    this.learning = null;
+
+    if (options.noiseProfile) {
+      this.setNoiseProfile(options.noiseProfile);
+    }
+
+    // Decision-directed a priori SNR keeps isolated bins from flickering (musical noise)
+    this.decisionDirected = 0.98;
+    this.previousGain = new Float32Array(binCount).fill(1);
+    this.previousSnr = new Float32Array(binCount).fill(1);
+    this.gains = new Float32Array(binCount).fill(1);
+    this.smoothedGains = new Float32Array(binCount).fill(1);
+
+    this.intensity = 0.7;
+    this.frameCount = 0;
+
+    // Stats are reported about once per block
+    this.blockSize = options.blockSize || AUDIO_CONSTANTS.DEFAULT_BUFFER_SIZE;
+    this.samplesSinceReport = 0;
+  }
+
+  /**
+   * Process one render quantum
+   */
+  process(inputs, outputs, parameters) {
+    const input = inputs[0][0];
+    const output = outputs[0][0];
+    if (!output) return;
+
+    if (!input) {
+      output.fill(0);
+      return;
+    }
+
+    this.intensity = parameters.intensity[0];
+    this.stft.process(input, output, (real, imag) => this.processFrame(real, imag));
+
+    this.samplesSinceReport += input.length;
+    if (this.samplesSinceReport >= this.blockSize) {
+      this.samplesSinceReport = 0;
+      this.post({
+        type: 'stats',
+        frame: this.frameCount,
+        reduction: this.getMeanGain(),
+        noiseLevel: this.getNoiseLevel()
+      });
+    }
+  }
+
+  /**
+   * Apply per-bin suppression gains to one STFT frame
+   */
+  processFrame(real, imag) {
+    const binCount = this.stft.binCount;
+    const power = this.power;
+
+    for (let k = 0; k < binCount; k++) {
+      power[k] = real[k] * real[k] + imag[k] * imag[k];
+    }
+
+    this.updateNoiseEstimate(power);
+
+    if (this.learning) {
+      this.accumulateProfile(power);
+    } else if (this.noiseProfile && this.autoRelearn) {
+      this.relearnProfile(power);
+    }
+
+    this.computeGains(power);
+
+    for (let k = 0; k < binCount; k++) {
+      real[k] *= this.smoothedGains[k];
+      imag[k] *= this.smoothedGains[k];
+    }
+
+    this.frameCount++;
+  }
+
+  /**
+   * Track the noise floor per bin with minimum statistics
+   */
+  updateNoiseEstimate(power) {
+    const smoothing = this.frameCount === 0 ? 0 : this.powerSmoothing;
+
+    for (let k = 0; k < power.length; k++) {
+      const smoothed = smoothing * this.smoothedPower[k] + (1 - smoothing) * power[k];
+      this.smoothedPower[k] = smoothed;
+
+      if (smoothed < this.currentMinimum[k]) {
+        this.currentMinimum[k] = smoothed;
+      }
+
+      let minimum = this.currentMinimum[k];
+      for (let u = 0; u < this.subwindowCount; u++) {
+        if (this.subwindowMinima[u][k] < minimum) {
+          minimum = this.subwindowMinima[u][k];
+        }
+      }
+
+      this.trackedNoise[k] = minimum * this.minimumBias;
+      this.noisePower[k] = this.noiseProfile
+        ? this.noiseProfile[k] * this.stft.frameSize
+        : this.trackedNoise[k];
+    }
+
+    // Rotate subwindows so the minimum can rise again when the noise does
+    this.framesInSubwindow++;
+    if (this.framesInSubwindow >= this.subwindowLength) {
+      this.subwindowMinima[this.subwindowIndex].set(this.currentMinimum);
+      this.subwindowIndex = (this.subwindowIndex + 1) % this.subwindowCount;
+      this.currentMinimum.fill(Infinity);
+      this.framesInSubwindow = 0;
+    }
+  }
+
+  /**
+   * Compute spectral subtraction gains from the noise estimate
+   */
+  computeGains(power) {
+    // Stronger intensity subtracts more and allows a deeper floor
+    const overSubtraction = 1 + 2 * this.intensity;
+    const gainFloor = Math.pow(10, -(10 + 20 * this.intensity) / 20);
+    const dd = this.decisionDirected;
+
+    for (let k = 0; k < power.length; k++) {
+      const noise = Math.max(this.noisePower[k], 1e-12);
+      const posteriorSnr = power[k] / noise;
+      const prioriSnr = dd * this.previousGain[k] * this.previousGain[k] * this.previousSnr[k] +
+                        (1 - dd) * Math.max(posteriorSnr - 1, 0);
+
+      const gain = Math.max(prioriSnr / (prioriSnr + overSubtraction), gainFloor);
+
+      this.gains[k] = gain;
+      this.previousGain[k] = gain;
+      this.previousSnr[k] = posteriorSnr;
+    }
+
+    // Light smoothing across neighbouring bins removes remaining isolated peaks
+    const last = power.length - 1;
+    for (let k = 0; k <= last; k++) {
+      const left = this.gains[Math.max(0, k - 1)];
+      const right = this.gains[Math.min(last, k + 1)];
+      this.smoothedGains[k] = 0.25 * left + 0.5 * this.gains[k] + 0.25 * right;
+    }
+  }
+
+  /**
+   * Average gain applied across bins in the last frame
+   */
+  getMeanGain() {
+    let sum = 0;
+    for (let k = 0; k < this.smoothedGains.length; k++) {
+      sum += this.smoothedGains[k];
+    }
+    return sum / this.smoothedGains.length;
+  }
+
+  /**
+   * Estimated noise level in dBFS
+   */
+  getNoiseLevel() {
+    let sum = 0;
+    for (let k = 0; k < this.noisePower.length; k++) {
+      sum += this.noisePower[k];
+    }
+
+    // Parseval, accounting for the one-sided spectrum and analysis window
+    const meanSquare = (2 * sum) / (this.stft.frameSize * this.stft.frameSize * 0.5);
+    return 10 * Math.log10(Math.max(meanSquare, 1e-12));
+  }
+
+  /**
+   * Average frame power into the profile being learned
+   */
+  accumulateProfile(power) {
+    const learning = this.learning;
+    for (let k = 0; k < power.length; k++) {
+      learning.sum[k] += power[k];
+    }
+    learning.frames++;
+
+    if (learning.frames >= learning.targetFrames) {
+      const profile = new Float32Array(power.length);
+      for (let k = 0; k < power.length; k++) {
+        profile[k] = learning.sum[k] / learning.frames / this.stft.frameSize;
+      }
+
+      this.learning = null;
+      this.noiseProfile = profile;
+      this.postProfile('learned');
+    }
+  }
+
+  /**
+   * Fold non-speech frames into the learned profile so it follows slow changes in the room
+   */
+  relearnProfile(power) {
+    const frameSize = this.stft.frameSize;
+
+    // Judge speech against the tracked floor so a rise in room noise is still learned
+    let snrSum = 0;
+    for (let k = 0; k < power.length; k++) {
+      const noise = Math.max(this.trackedNoise[k], 1e-12);
+      snrSum += Math.min(power[k] / noise, 10);
+    }
+
+    if (snrSum / power.length > this.speechSnrThreshold) return;
+
+    const rate = this.relearnRate;
+    for (let k = 0; k < power.length; k++) {
+      this.noiseProfile[k] = (1 - rate) * this.noiseProfile[k] + rate * (power[k] / frameSize);
+    }
+
+    // Report the drifting profile every couple of seconds
+    this.framesSinceProfileReport++;
+    if (this.framesSinceProfileReport * this.stft.hopSize >= 2 * this.sampleRate) {
+      this.framesSinceProfileReport = 0;
+      this.postProfile('updated');
+    }
+  }
+
+  /**
+   * Install a profile, mapping it by frequency when it was learned with another rate or frame size
+   */
+  setNoiseProfile({ profile, sampleRate, frameSize }) {
+    const binCount = this.stft.binCount;
+    const sourceBins = profile.length;
+
+    if (sampleRate === this.sampleRate && frameSize === this.stft.frameSize && sourceBins === binCount) {
+      this.noiseProfile = Float32Array.from(profile);
+      return;
+    }
+
+    const mapped = new Float32Array(binCount);
+    for (let k = 0; k < binCount; k++) {
+      const frequency = (k * this.sampleRate) / this.stft.frameSize;
+      const position = Math.min((frequency * frameSize) / sampleRate, sourceBins - 1);
+      const index = Math.floor(position);
+      const next = Math.min(index + 1, sourceBins - 1);
+      const fraction = position - index;
+      mapped[k] = profile[index] * (1 - fraction) + profile[next] * fraction;
+    }
+    this.noiseProfile = mapped;
+  }
+
+  /**
+   * Send the current profile to the main thread
+   */
+  postProfile(reason) {
+    this.post({
+      type: 'noiseProfile',
+      reason,
+      profile: Float32Array.from(this.noiseProfile),
+      sampleRate: this.sampleRate,
+      frameSize: this.stft.frameSize
+    });
+  }
+
+  /**
+   * Handle a message from the main thread
+   */
+  handleMessage(message) {
+    switch (message.type) {
+      case 'learnNoiseProfile': {
+        const frames = Math.ceil((message.duration * this.sampleRate) / this.stft.hopSize);
+        this.learning = {
+          sum: new Float32Array(this.stft.binCount),
+          frames: 0,
+          targetFrames: Math.max(1, frames)
+        };
+        break;
+      }
+      case 'setNoiseProfile':
+        this.setNoiseProfile(message);
+        break;
+      case 'clearNoiseProfile':
+        this.noiseProfile = null;
+        break;
+      case 'configure':
+        if (message.autoRelearn !== undefined) {
+          this.autoRelearn = !!message.autoRelearn;
+        }
+        break;
+    }
+  }
+}
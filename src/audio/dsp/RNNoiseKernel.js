@@ -0,0 +1,184 @@
+/**
+ * RNNoiseKernel class
+ * Recurrent neural network noise suppression (RNNoise) compiled to WebAssembly
+ */
+
+import { AUDIO_CONSTANTS } from '../../core/constants.js';
+
+export const RNNOISE_SAMPLE_RATE = 48000;
+export const RNNOISE_FRAME_SIZE = 480;
+
+// RNNoise works on 16-bit sample values stored as floats
+const SAMPLE_SCALE = 32768;
+
+// Import and export names of the bundled emscripten build (@jitsi/rnnoise-wasm 0.2.1, see worklets/rnnoise.wasm.NOTICE)
+const ABI = {
+  memory: 'c',
+  callCtors: 'd',
+  create: 'f',
+  malloc: 'g',
+  destroy: 'h',
+  free: 'i',
+  processFrame: 'j'
+};
+
+/**
+ * Instantiate the compiled RNNoise module with the emscripten runtime imports it expects
+ */
+function instantiateRNNoise(wasmModule) {
+  let memory = null;
+
+  const imports = {
+    a: {
+      // emscripten_resize_heap
+      a: (requestedSize) => {
+        const pages = Math.ceil((requestedSize - memory.buffer.byteLength) / 65536);
+        try {
+          memory.grow(pages);
+          return 1;
+        } catch (error) {
+          return 0;
+        }
+      },
+      // emscripten_memcpy_big
+      b: (dest, src, num) => {
+        new Uint8Array(memory.buffer).copyWithin(dest, src, src + num);
+      }
+    }
+  };
+
+  const instance = new WebAssembly.Instance(wasmModule, imports);
+  const exports = instance.exports;
+  memory = exports[ABI.memory];
+  exports[ABI.callCtors]();
+
+  return {
+    memory,
+    create: exports[ABI.create],
+    destroy: exports[ABI.destroy],
+    malloc: exports[ABI.malloc],
+    free: exports[ABI.free],
+    processFrame: exports[ABI.processFrame]
+  };
+}
+
+export class RNNoiseKernel {
+  static get processorName() {
+    return 'rnnoise';
+  }
+
+  static get parameterDescriptors() {
+    return [
+      // Wet/dry mix of the denoised signal, 1 is full suppression
+      { name: 'intensity', defaultValue: 0.7, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor(sampleRate, options = {}, post = () => {}) {
+    if (sampleRate !== RNNOISE_SAMPLE_RATE) {
+      throw new Error(`RNNoise requires a ${RNNOISE_SAMPLE_RATE} Hz AudioContext, got ${sampleRate} Hz`);
+    }
+    if (!options.wasmModule) {
+      throw new Error('RNNoise WebAssembly module missing from processorOptions');
+    }
+
+    this.sampleRate = sampleRate;
+    this.post = post;
+
+    this.rnnoise = instantiateRNNoise(options.wasmModule);
+    this.state = this.rnnoise.create(0);
+    this.framePointer = this.rnnoise.malloc(RNNOISE_FRAME_SIZE * 4);
+
+    // Samples are buffered into 480-sample frames; with RNNoise's own frame delay
+    // the output lags the input by two frames
+    this.inputFrame = new Float32Array(RNNOISE_FRAME_SIZE);
+    this.outputFrame = new Float32Array(RNNOISE_FRAME_SIZE);
+    this.dryFrame = new Float32Array(RNNOISE_FRAME_SIZE);
+    this.position = 0;
+    this.latency = 2 * RNNOISE_FRAME_SIZE;
+
+    this.intensity = 0.7;
+    this.vadProbability = 0;
+    this.frameCount = 0;
+
+    // Stats are reported about once per block
+    this.blockSize = options.blockSize || AUDIO_CONSTANTS.DEFAULT_BUFFER_SIZE;
+    this.samplesSinceReport = 0;
+  }
+
+  /**
+   * Process one render quantum
+   */
+  process(inputs, outputs, parameters) {
+    const input = inputs[0][0];
+    const output = outputs[0][0];
+    if (!output) return;
+
+    if (!input || !this.state) {
+      output.fill(0);
+      return;
+    }
+
+    this.intensity = parameters.intensity[0];
+
+    for (let i = 0; i < input.length; i++) {
+      output[i] = this.outputFrame[this.position];
+      this.inputFrame[this.position] = input[i];
+      this.position++;
+
+      if (this.position === RNNOISE_FRAME_SIZE) {
+        this.processFrame();
+        this.position = 0;
+      }
+    }
+
+    this.samplesSinceReport += input.length;
+    if (this.samplesSinceReport >= this.blockSize) {
+      this.samplesSinceReport = 0;
+      this.post({
+        type: 'stats',
+        frame: this.frameCount,
+        vadProbability: this.vadProbability
+      });
+    }
+  }
+
+  /**
+   * Denoise the buffered frame and mix it with the dry signal
+   */
+  processFrame() {
+    // The heap may have grown since the last frame, so take a fresh view
+    const heap = new Float32Array(this.rnnoise.memory.buffer, this.framePointer, RNNOISE_FRAME_SIZE);
+    for (let i = 0; i < RNNOISE_FRAME_SIZE; i++) {
+      heap[i] = this.inputFrame[i] * SAMPLE_SCALE;
+    }
+
+    this.vadProbability = this.rnnoise.processFrame(this.state, this.framePointer, this.framePointer);
+
+    const denoised = new Float32Array(this.rnnoise.memory.buffer, this.framePointer, RNNOISE_FRAME_SIZE);
+    const wet = this.intensity;
+    for (let i = 0; i < RNNOISE_FRAME_SIZE; i++) {
+      this.outputFrame[i] = wet * (denoised[i] / SAMPLE_SCALE) + (1 - wet) * this.dryFrame[i];
+    }
+
+    // RNNoise delays its output by one frame, so the dry mix uses the previous input
+    this.dryFrame.set(this.inputFrame);
+    this.frameCount++;
+  }
+
+  /**
+   * Release the RNNoise state, called by the host when the node is destroyed
+   */
+  dispose() {
+    if (!this.state) return;
+
+    this.rnnoise.free(this.framePointer);
+    this.rnnoise.destroy(this.state);
+    this.state = null;
+  }
+
+  /**
+   * Handle a message from the main thread
+   */
+  handleMessage() {}
+}
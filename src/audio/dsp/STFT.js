@@ -0,0 +1,86 @@
+/**
+ * STFT class
+ * Streaming short-time Fourier transform with weighted overlap-add resynthesis
+ */
+
+import { FFT } from './FFT.js';
+
+export class STFT {
+  constructor(frameSize = 1024, hopSize = frameSize / 2) {
+    this.frameSize = frameSize;
+    this.hopSize = hopSize;
+    this.binCount = frameSize / 2 + 1;
+
+    // Output lags input by one full frame
+    this.latency = frameSize;
+    this.fifoOffset = frameSize - hopSize;
+
+    this.fft = new FFT(frameSize);
+    this.real = new Float32Array(frameSize);
+    this.imag = new Float32Array(frameSize);
+
+    // Square-root Hann on analysis and synthesis sums to one at 50% overlap
+    this.window = new Float32Array(frameSize);
+    for (let i = 0; i < frameSize; i++) {
+      this.window[i] = Math.sqrt(0.5 - 0.5 * Math.cos((2 * Math.PI * i) / frameSize));
+    }
+    this.synthesisScale = 2 * hopSize / frameSize;
+
+    this.inputFifo = new Float32Array(frameSize);
+    this.outputFifo = new Float32Array(frameSize);
+    this.accumulator = new Float32Array(frameSize);
+    this.position = this.fifoOffset;
+  }
+
+  /**
+   * Run samples through the transform, calling processFrame(real, imag) on every hop
+   * processFrame edits bins 0..frameSize/2; the mirrored half is rebuilt afterwards
+   */
+  process(input, output, processFrame) {
+    for (let i = 0; i < input.length; i++) {
+      this.inputFifo[this.position] = input[i];
+      output[i] = this.outputFifo[this.position - this.fifoOffset];
+      this.position++;
+
+      if (this.position >= this.frameSize) {
+        this.position = this.fifoOffset;
+        this.processFrame(processFrame);
+      }
+    }
+  }
+
+  /**
+   * Analyze, modify and resynthesize one frame
+   */
+  processFrame(processFrame) {
+    const size = this.frameSize;
+
+    for (let i = 0; i < size; i++) {
+      this.real[i] = this.inputFifo[i] * this.window[i];
+      this.imag[i] = 0;
+    }
+
+    this.fft.forward(this.real, this.imag);
+    processFrame(this.real, this.imag);
+
+    // Keep the spectrum conjugate-symmetric so the output stays real
+    for (let k = 1; k < size / 2; k++) {
+      this.real[size - k] = this.real[k];
+      this.imag[size - k] = -this.imag[k];
+    }
+    this.imag[0] = 0;
+    this.imag[size / 2] = 0;
+
+    this.fft.inverse(this.real, this.imag);
+
+    for (let i = 0; i < size; i++) {
+      this.accumulator[i] += this.real[i] * this.window[i] * this.synthesisScale;
+    }
+
+    // Emit one hop and shift everything along
+    this.outputFifo.set(this.accumulator.subarray(0, this.hopSize));
+    this.accumulator.copyWithin(0, this.hopSize);
+    this.accumulator.fill(0, size - this.hopSize);
+    this.inputFifo.copyWithin(0, this.hopSize);
+  }
+}
@@ -0,0 +1,57 @@
+/**
+ * SpectrumAnalyzer class
+ * Sliding-window magnitude spectrum, the in-kernel counterpart of an AnalyserNode
+ */
+
+import { FFT, hannWindow } from './FFT.js';
+
+export class SpectrumAnalyzer {
+  constructor(fftSize = 2048, smoothingTimeConstant = 0.8) {
+    this.fftSize = fftSize;
+    this.frequencyBinCount = fftSize / 2;
+    this.smoothingTimeConstant = smoothingTimeConstant;
+
+    this.fft = new FFT(fftSize);
+    this.window = hannWindow(fftSize);
+
+    // Most recent fftSize input samples
+    this.buffer = new Float32Array(fftSize);
+    this.writeIndex = 0;
+
+    this.real = new Float32Array(fftSize);
+    this.imag = new Float32Array(fftSize);
+
+    // Smoothed linear magnitudes, normalized like AnalyserNode output
+    this.magnitudes = new Float32Array(this.frequencyBinCount);
+  }
+
+  /**
+   * Append input samples to the analysis window
+   */
+  push(samples) {
+    for (let i = 0; i < samples.length; i++) {
+      this.buffer[this.writeIndex] = samples[i];
+      this.writeIndex = (this.writeIndex + 1) % this.fftSize;
+    }
+  }
+
+  /**
+   * Recompute the magnitude spectrum of the current window
+   */
+  update() {
+    for (let i = 0; i < this.fftSize; i++) {
+      this.real[i] = this.buffer[(this.writeIndex + i) % this.fftSize] * this.window[i];
+      this.imag[i] = 0;
+    }
+
+    this.fft.forward(this.real, this.imag);
+
+    const smoothing = this.smoothingTimeConstant;
+    for (let i = 0; i < this.frequencyBinCount; i++) {
+      const magnitude = Math.sqrt(this.real[i] * this.real[i] + this.imag[i] * this.imag[i]) / this.fftSize;
+      this.magnitudes[i] = smoothing * this.magnitudes[i] + (1 - smoothing) * magnitude;
+    }
+
+    return this.magnitudes;
+  }
+}
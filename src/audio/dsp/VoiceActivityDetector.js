@@ -0,0 +1,175 @@
+/**
+ * VoiceActivityDetector class
+ * Frame-based speech detection from speech-band energy over an adaptive noise floor,
+ * spectral flatness and zero-crossing rate, with attack and hangover
+ */
+
+import { clamp } from '../../core/utils.js';
+
+// Band holding most speech energy (formants and their harmonics), Hz
+const SPEECH_BAND = [300, 3400];
+
+// Noise floor tracking in dB per frame: falls quickly, rises slowly and slower still during speech
+const FLOOR_FALL = 0.3;
+const FLOOR_RISE_DB = 0.05;
+const FLOOR_RISE_SPEECH_DB = 0.005;
+
+// Band SNR mapped to 0-1 between these values, dB
+const SNR_LOW = 3;
+const SNR_HIGH = 15;
+
+// Flatness of a single noise periodogram is about 0.56; voiced speech is far below
+const FLATNESS_NOISE = 0.55;
+const FLATNESS_SPEECH = 0.2;
+
+// Zero crossings per second: voiced speech stays well below broadband noise, which is near half the sample rate
+const ZCR_SPEECH = 5000;
+const ZCR_NOISE = 20000;
+
+// Smoothing of the reported confidence
+const CONFIDENCE_SMOOTHING = 0.7;
+
+export class VoiceActivityDetector {
+  constructor(sampleRate, fftSize, options = {}) {
+    this.sampleRate = sampleRate;
+    this.fftSize = fftSize;
+    this.attackFrames = options.attackFrames ?? 2;
+    this.hangoverFrames = options.hangoverFrames ?? 12;
+
+    // Zero crossings since the last frame
+    this.lastSample = 0;
+    this.crossings = 0;
+    this.frameSamples = 0;
+
+    // Audio clock in samples, for event times
+    this.sampleCount = 0;
+    this.frameStartTime = 0;
+
+    this.noiseFloor = null;
+    this.score = 0;
+    this.confidence = 0;
+    this.features = { bandLevel: -100, snr: 0, flatness: 1, zeroCrossingRate: 0 };
+
+    this.speaking = false;
+    this.speechRun = 0;
+    this.silenceRun = 0;
+    this.runStartTime = 0;
+    this.speechStartTime = 0;
+    this.lastSpeechTime = 0;
+  }
+
+  /**
+   * Seconds of audio seen so far
+   */
+  get time() {
+    return this.sampleCount / this.sampleRate;
+  }
+
+  /**
+   * Count zero crossings of incoming samples
+   */
+  pushSamples(samples) {
+    let last = this.lastSample;
+    for (let i = 0; i < samples.length; i++) {
+      const sample = samples[i];
+      if ((sample >= 0) !== (last >= 0)) {
+        this.crossings++;
+      }
+      last = sample;
+    }
+    this.lastSample = last;
+    this.frameSamples += samples.length;
+    this.sampleCount += samples.length;
+  }
+
+  /**
+   * Classify the frame ending now from its magnitude spectrum
+   * Returns { type: 'start', time } or { type: 'end', time, duration } when speech starts or ends, otherwise null
+   */
+  update(spectrum, threshold) {
+    const binSize = this.sampleRate / this.fftSize;
+    const first = Math.max(1, Math.ceil(SPEECH_BAND[0] / binSize));
+    const last = Math.min(spectrum.length - 1, Math.floor(SPEECH_BAND[1] / binSize));
+
+    let power = 0;
+    let logSum = 0;
+    for (let i = first; i <= last; i++) {
+      const binPower = spectrum[i] * spectrum[i] + 1e-20;
+      power += binPower;
+      logSum += Math.log(binPower);
+    }
+    const bins = last - first + 1;
+    const flatness = Math.exp(logSum / bins) / (power / bins);
+    const bandLevel = 10 * Math.log10(power + 1e-20);
+
+    const zeroCrossingRate = this.frameSamples > 0 ? (this.crossings * this.sampleRate) / this.frameSamples : 0;
+    this.crossings = 0;
+    this.frameSamples = 0;
+
+    if (this.noiseFloor === null) {
+      this.noiseFloor = bandLevel;
+    }
+    const snr = bandLevel - this.noiseFloor;
+
+    // SNR gates the score; spectral shape decides whether loud frames look like speech
+    const snrScore = clamp((snr - SNR_LOW) / (SNR_HIGH - SNR_LOW), 0, 1);
+    const flatnessScore = clamp((FLATNESS_NOISE - flatness) / (FLATNESS_NOISE - FLATNESS_SPEECH), 0, 1);
+    const zcrScore = clamp((ZCR_NOISE - zeroCrossingRate) / (ZCR_NOISE - ZCR_SPEECH), 0, 1);
+    this.score = snrScore * (0.2 + 0.5 * flatnessScore + 0.3 * zcrScore);
+    this.confidence = this.confidence * CONFIDENCE_SMOOTHING + this.score * (1 - CONFIDENCE_SMOOTHING);
+    this.features = { bandLevel, snr, flatness, zeroCrossingRate };
+
+    const isSpeech = this.score > threshold;
+    this.updateNoiseFloor(bandLevel, isSpeech || this.speaking);
+
+    const frameStart = this.frameStartTime;
+    const frameEnd = this.time;
+    this.frameStartTime = frameEnd;
+
+    return this.updateState(isSpeech, frameStart, frameEnd);
+  }
+
+  updateNoiseFloor(bandLevel, speech) {
+    if (bandLevel < this.noiseFloor) {
+      this.noiseFloor += (bandLevel - this.noiseFloor) * FLOOR_FALL;
+    } else {
+      this.noiseFloor += Math.min(bandLevel - this.noiseFloor, speech ? FLOOR_RISE_SPEECH_DB : FLOOR_RISE_DB);
+    }
+  }
+
+  /**
+   * Attack and hangover: speech starts after attackFrames speech frames in a row
+   * and ends after more than hangoverFrames frames without
+   */
+  updateState(isSpeech, frameStart, frameEnd) {
+    if (isSpeech) {
+      if (this.speechRun === 0) {
+        this.runStartTime = frameStart;
+      }
+      this.speechRun++;
+      this.silenceRun = 0;
+      this.lastSpeechTime = frameEnd;
+
+      if (!this.speaking && this.speechRun >= this.attackFrames) {
+        this.speaking = true;
+        this.speechStartTime = this.runStartTime;
+        return { type: 'start', time: this.speechStartTime };
+      }
+      return null;
+    }
+
+    this.speechRun = 0;
+    this.silenceRun++;
+
+    if (this.speaking && this.silenceRun > this.hangoverFrames) {
+      this.speaking = false;
+      return { type: 'end', time: this.lastSpeechTime, duration: this.lastSpeechTime - this.speechStartTime };
+    }
+    return null;
+  }
+
+  configure({ attackFrames, hangoverFrames }) {
+    if (attackFrames !== undefined) this.attackFrames = Math.max(1, Math.round(attackFrames));
+    if (hangoverFrames !== undefined) this.hangoverFrames = Math.max(0, Math.round(hangoverFrames));
+  }
+}
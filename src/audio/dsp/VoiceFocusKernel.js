@@ -0,0 +1,161 @@
+/**
+ * VoiceFocusKernel class
+ * Voice activity driven enhancement DSP, run inside an AudioWorklet or a ScriptProcessor fallback
+ */
+
+import { SpectrumAnalyzer } from './SpectrumAnalyzer.js';
+import { VoiceActivityDetector } from './VoiceActivityDetector.js';
+import { clamp } from '../../core/utils.js';
+import { AUDIO_CONSTANTS } from '../../core/constants.js';
+
+const FFT_SIZE = 2048;
+
+// Time constant of the voice gain, seconds; it changes once per block, so it is ramped per sample
+const GAIN_TIME_CONSTANT = 0.02;
+
+// Level above which the boosted voice bends toward full scale instead of clipping
+const SOFT_CLIP_KNEE = 0.8;
+
+/**
+ * Pass samples below the knee unchanged and compress the rest smoothly into full scale
+ */
+function softClip(sample) {
+  const magnitude = Math.abs(sample);
+  if (magnitude <= SOFT_CLIP_KNEE) return sample;
+
+  const headroom = 1 - SOFT_CLIP_KNEE;
+  return Math.sign(sample) * (SOFT_CLIP_KNEE + headroom * Math.tanh((magnitude - SOFT_CLIP_KNEE) / headroom));
+}
+
+export class VoiceFocusKernel {
+  static get processorName() {
+    return 'voice-focus';
+  }
+
+  static get parameterDescriptors() {
+    return [
+      { name: 'sensitivity', defaultValue: 0.8, minValue: 0, maxValue: 1, automationRate: 'k-rate' },
+      { name: 'voiceThreshold', defaultValue: 0.3, minValue: 0, maxValue: 1, automationRate: 'k-rate' }
+    ];
+  }
+
+  constructor(sampleRate, options = {}, post = () => {}) {
+    this.sampleRate = sampleRate;
+    this.post = post;
+
+    // Unsmoothed, so speech onsets show up in the next frame
+    this.analyzer = new SpectrumAnalyzer(FFT_SIZE, 0);
+    this.vad = new VoiceActivityDetector(sampleRate, FFT_SIZE, {
+      attackFrames: options.vadAttackFrames,
+      hangoverFrames: options.vadHangoverFrames
+    });
+    this.blockSize = options.blockSize || AUDIO_CONSTANTS.DEFAULT_BUFFER_SIZE;
+    this.samplesInBlock = 0;
+
+    this.voiceDetected = false;
+    this.voiceConfidence = 0;
+    this.enhancementFactor = 1.0;
+
+    // Gain applied to the band-shaped signal, following the block's target per sample
+    this.gain = 1.0;
+    this.gainSmoothing = 1 - Math.exp(-1 / (GAIN_TIME_CONSTANT * sampleRate));
+
+    this.frameCount = 0;
+  }
+
+  /**
+   * Process one render quantum
+   * Channel 0 is the unshaped input, analyzed for voice; channel 1 the band-shaped signal the
+   * voice gain is applied to. A single channel is both.
+   */
+  process(inputs, outputs, parameters) {
+    const input = inputs[0] || [];
+    const detection = input[0];
+    const shaped = input[1] || detection;
+    const output = outputs[0][0];
+    if (!output) return;
+
+    if (!detection) {
+      output.fill(0);
+      return;
+    }
+
+    this.analyzer.push(detection);
+    this.vad.pushSamples(detection);
+    this.samplesInBlock += detection.length;
+
+    if (this.samplesInBlock >= this.blockSize) {
+      this.samplesInBlock = 0;
+      this.detectVoiceActivity(this.analyzer.update(), parameters.voiceThreshold[0]);
+      this.enhancementFactor = this.calculateEnhancementFactor(this.voiceConfidence);
+
+      this.frameCount++;
+      this.post({
+        type: 'stats',
+        frame: this.frameCount,
+        voiceDetected: this.voiceDetected,
+        voiceConfidence: this.voiceConfidence,
+        enhancementFactor: this.enhancementFactor,
+        noiseFloor: this.vad.noiseFloor,
+        ...this.vad.features
+      });
+    }
+
+    const sensitivityGain = 1.0 + parameters.sensitivity[0] * this.voiceConfidence;
+    const target = this.enhancementFactor * sensitivityGain;
+
+    for (let i = 0; i < shaped.length; i++) {
+      this.gain += this.gainSmoothing * (target - this.gain);
+      output[i] = softClip(shaped[i] * this.gain);
+    }
+  }
+
+  /**
+   * Run the voice activity detector on the current frame and post speech start and end
+   * Times are seconds of audio seen by the kernel; `now` lets the main thread map them to its clock
+   */
+  detectVoiceActivity(spectrum, voiceThreshold) {
+    const transition = this.vad.update(spectrum, voiceThreshold);
+
+    this.voiceConfidence = this.vad.confidence;
+    this.voiceDetected = this.vad.speaking;
+
+    if (transition) {
+      this.post({
+        type: 'speech',
+        event: transition.type,
+        time: transition.time,
+        duration: transition.duration,
+        now: this.vad.time,
+        confidence: this.voiceConfidence
+      });
+    }
+
+    return this.voiceConfidence;
+  }
+
+  /**
+   * Calculate enhancement factor based on voice activity
+   */
+  calculateEnhancementFactor(voiceActivity) {
+    const baseEnhancement = 1.2;
+    const dynamicEnhancement = 1.0 + (voiceActivity * 0.5);
+
+    const totalEnhancement = this.voiceDetected ?
+      baseEnhancement * dynamicEnhancement : 1.0;
+
+    return clamp(totalEnhancement, 0.5, 2.0);
+  }
+
+  /**
+   * Handle a message from the main thread
+   */
+  handleMessage(message) {
+    if (message.type === 'configure') {
+      this.vad.configure({
+        attackFrames: message.vadAttackFrames,
+        hangoverFrames: message.vadHangoverFrames
+      });
+    }
+  }
+}
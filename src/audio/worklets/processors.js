@@ -0,0 +1,68 @@
+/**
+ * AudioWorklet entry point
+ * Registers one processor per DSP kernel; loaded once per AudioContext
+ */
+
+import { NoiseSuppressionKernel } from '../dsp/NoiseSuppressionKernel.js';
+import { GainControlKernel } from '../dsp/GainControlKernel.js';
+import { VoiceFocusKernel } from '../dsp/VoiceFocusKernel.js';
+import { RNNoiseKernel } from '../dsp/RNNoiseKernel.js';
+import { LimiterKernel } from '../dsp/LimiterKernel.js';
+import { NoiseGateKernel } from '../dsp/NoiseGateKernel.js';
+import { LoudnessMeterKernel } from '../dsp/LoudnessMeterKernel.js';
+import { LevelMeterKernel } from '../dsp/LevelMeterKernel.js';
+import { EchoCancellerKernel } from '../dsp/EchoCancellerKernel.js';
+
+/**
+ * Wrap a kernel in an AudioWorkletProcessor talking over the node's port
+ */
+function createKernelProcessor(Kernel) {
+  return class extends AudioWorkletProcessor {
+    static get parameterDescriptors() {
+      return Kernel.parameterDescriptors;
+    }
+
+    constructor(options) {
+      super();
+
+      this.isActive = true;
+      this.kernel = new Kernel(
+        sampleRate,
+        options.processorOptions || {},
+        (message) => this.port.postMessage(message)
+      );
+
+      this.port.onmessage = (event) => {
+        if (event.data.type === 'dispose') {
+          this.isActive = false;
+          if (this.kernel.dispose) {
+            this.kernel.dispose();
+          }
+          return;
+        }
+        this.kernel.handleMessage(event.data);
+      };
+    }
+
+    process(inputs, outputs, parameters) {
+      if (!this.isActive) return false;
+
+      this.kernel.process(inputs, outputs, parameters);
+      return true;
+    }
+  };
+}
+
+[
+  NoiseSuppressionKernel,
+  GainControlKernel,
+  VoiceFocusKernel,
+  RNNoiseKernel,
+  LimiterKernel,
+  NoiseGateKernel,
+  LoudnessMeterKernel,
+  LevelMeterKernel,
+  EchoCancellerKernel
+].forEach(Kernel => {
+  registerProcessor(Kernel.processorName, createKernelProcessor(Kernel));
+});
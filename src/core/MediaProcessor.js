@@ -6,26 +6,57 @@
 import { AudioProcessor } from '../audio/AudioProcessor';
 import { VideoProcessor } from '../video/VideoProcessor';
 import { EventEmitter } from './EventEmitter';
-import { validateConfig } from './utils';
+import { assertValidConfig } from './configSchema';
+import { isPlainObject, cloneConfig } from './utils';
+import { ERROR_MESSAGES, EVENTS } from './constants';
+
+/**
+ * Effect names accepted by enableVideoEffects/enableAudioEffects, mapped to config keys
+ */
+const VIDEO_EFFECTS = {
+  blur: 'backgroundBlur',
+  backgroundBlur: 'backgroundBlur',
+  colorCorrection: 'colorCorrection',
+  lowLight: 'lowLightCompensation',
+  lowLightCompensation: 'lowLightCompensation',
+  lut: 'lut',
+  backgroundReplace: 'backgroundReplace'
+};
+
+const AUDIO_EFFECTS = {
+  echoCancellation: 'echoCancellation',
+  noiseSuppression: 'noiseSuppression',
+  agc: 'agc',
+  voiceFocus: 'voiceFocus',
+  noiseGate: 'noiseGate'
+};
 
 export class MediaProcessor extends EventEmitter {
   constructor(config = {}) {
     super();
     
     // Validate and set default configuration
+    assertValidConfig(config);
     this.config = this.mergeConfig(config);
     console.log('MediaProcessor config:', this.config);
     
     // Initialize processors
     this.audioProcessor = null;
     this.videoProcessor = null;
+
+    // Remote audio for echo cancellation, handed to each audio processor created
+    this.farEndReference = null;
+    
+    // Stream attached through attachToStream() and the tracks it originally held
+    this.attachedStream = null;
+    this.originalTracks = [];
     
     // State management
     this.isProcessing = false;
     this.isDestroyed = false;
     
     // Initialize processors based on config
-    this.initializeProcessors();
+    this.initPromise = this.initializeProcessors();
   }
 
   /**
@@ -34,22 +65,52 @@ export class MediaProcessor extends EventEmitter {
   mergeConfig(userConfig) {
     const defaultConfig = {
       audio: {
+        echoCancellation: {
+          enabled: false,
+          tailLength: 250, // ms, must cover playback and capture latency plus room echo
+          stepSize: 0.5 // adaptation speed, 0.01-1
+        },
         noiseSuppression: {
           enabled: false,
           intensity: 'medium', // 'low', 'medium', 'high'
-          model: 'rnnoise' // 'rnnoise', 'spectral'
+          model: 'rnnoise', // 'rnnoise', 'spectral'
+          wasmUrl: null, // self-hosted rnnoise.wasm
+          autoRelearn: false, // adapt a learned noise profile during non-speech
+          noiseProfile: null // profile from exportNoiseProfile()
         },
         agc: {
           enabled: false,
           targetLevel: -20, // dB
+          targetLoudness: null, // LUFS, e.g. -23 to steer from short-term loudness instead
           compressionRatio: 3,
           attackTime: 0.1, // seconds
-          releaseTime: 0.5 // seconds
+          releaseTime: 0.5, // seconds
+          minGain: 0.1, // linear, AGC_MIN_GAIN-AGC_MAX_GAIN
+          maxGain: 10.0
+        },
+        limiter: {
+          // Runs after AGC whenever AGC is enabled
+          lookahead: 5, // ms, 1-10
+          ceiling: -1, // dBFS
+          release: 0.1, // seconds
+          truePeak: true
         },
         voiceFocus: {
           enabled: false,
+          preset: 'natural', // 'natural' | 'broadcast' | 'telephone'
           sensitivity: 0.8, // 0-1
-          frequencyRange: [85, 255] // Hz
+          vadAttackFrames: 2, // frames of about 21 ms
+          vadHangoverFrames: 12
+        },
+        noiseGate: {
+          enabled: false,
+          threshold: -50, // dBFS
+          ratio: 4, // downward expansion, 1:ratio
+          range: -40, // dB, most attenuation
+          hold: 0.1, // seconds
+          attack: 0.005, // seconds
+          release: 0.15, // seconds
+          key: 'level' // 'level' | 'voice' (needs voiceFocus)
         }
       },
       video: {
@@ -58,30 +119,59 @@ export class MediaProcessor extends EventEmitter {
           brightness: 1.0,
           contrast: 1.0,
           saturation: 1.0,
-          gamma: 1.0
+          gamma: 1.0,
+          temperature: 0, // -1 cool to 1 warm
+          tint: 0, // -1 green to 1 magenta
+          autoWhiteBalance: false, // false, 'gray-world' or 'white-patch'
+          autoExposure: false,
+          exposureTarget: 0.45 // mid-gray the auto exposure aims for
         },
         lowLightCompensation: {
           enabled: false,
           threshold: 0.3, // 0-1
           boost: 1.5,
-          preserveColors: true
+          preserveColors: true,
+          mode: 'global', // 'global' or 'adaptive'
+          tiles: 8,
+          clipLimit: 2.5
+        },
+        lut: {
+          enabled: false,
+          source: null, // URL or text of a .cube file
+          strength: 1.0 // 0-1
         },
         backgroundBlur: {
           enabled: false,
           intensity: 15, // blur radius
-          model: 'bodypix' // 'bodypix', 'mediapipe'
+          model: 'bodypix', // 'bodypix', 'simple' (whole frame)
+          modelUrl: null, // local BodyPix model.json for offline use
+          internalResolution: 'medium', // 'low', 'medium', 'high', 'full'
+          segmentationThreshold: 0.7, // 0-1
+          maskResolution: 0.5, // fraction of the frame fed to the model
+          maskSmoothing: 0.6, // temporal mask smoothing where the frame is still (0-1)
+          edgeFeather: 3 // mask edge softening in pixels
         },
         backgroundReplace: {
           enabled: false,
-          image: null, // URL or ImageData
-          model: 'bodypix'
+          image: null, // URL, ImageData or drawable element
+          video: null, // URL or HTMLVideoElement, looped
+          color: '#000000', // solid background and letterbox fill
+          fit: 'cover', // 'cover', 'contain'
+          model: 'bodypix',
+          modelUrl: null,
+          internalResolution: 'medium',
+          segmentationThreshold: 0.7,
+          maskResolution: 0.5,
+          maskSmoothing: 0.6,
+          edgeFeather: 3
         }
       },
       performance: {
         targetFPS: 30,
         quality: 'balanced', // 'low', 'balanced', 'high'
         useWebGL: true,
-        useWebWorkers: false
+        useWebWorkers: false,
+        adaptiveQuality: true // step effects down when frames miss the targetFPS budget
       }
     };
 
@@ -95,8 +185,7 @@ export class MediaProcessor extends EventEmitter {
     try {
       // Initialize audio processor if audio features are enabled
       if (this.hasAudioFeatures()) {
-        this.audioProcessor = new AudioProcessor(this.config.audio);
-        await this.audioProcessor.initialize();
+        await this.createAudioProcessor();
       }
 
       // Debug log for video features
@@ -105,8 +194,7 @@ export class MediaProcessor extends EventEmitter {
 
       // Initialize video processor if video features are enabled
       if (this.hasVideoFeatures()) {
-        this.videoProcessor = new VideoProcessor(this.config.video);
-        await this.videoProcessor.initialize();
+        await this.createVideoProcessor();
       }
 
       this.emit('initialized');
@@ -115,6 +203,43 @@ export class MediaProcessor extends EventEmitter {
     }
   }
 
+  /**
+   * Create the audio processor and surface its speech events
+   */
+  async createAudioProcessor() {
+    this.audioProcessor = new AudioProcessor(this.config.audio);
+    [EVENTS.SPEECH_START, EVENTS.SPEECH_END].forEach(event => {
+      this.audioProcessor.on(event, (payload) => this.emit(event, payload));
+    });
+    await this.audioProcessor.initialize();
+
+    if (this.farEndReference) {
+      this.audioProcessor.setFarEndReference(this.farEndReference);
+    }
+  }
+
+  /**
+   * Set the remote audio played through the speakers so echo cancellation can remove it:
+   * a MediaStream, an AudioNode in the audio processor's context, or null
+   */
+  setFarEndReference(reference) {
+    if (this.audioProcessor) {
+      this.audioProcessor.setFarEndReference(reference);
+    }
+    this.farEndReference = reference || null;
+  }
+
+  /**
+   * Create the video processor and surface its model, exposure and quality events
+   */
+  async createVideoProcessor() {
+    this.videoProcessor = new VideoProcessor(this.config.video, this.config.performance);
+    [EVENTS.MODEL_LOADED, EVENTS.MODEL_ERROR, EVENTS.EXPOSURE_ADJUSTED, EVENTS.QUALITY_CHANGED].forEach(event => {
+      this.videoProcessor.on(event, (payload) => this.emit(event, payload));
+    });
+    await this.videoProcessor.initialize();
+  }
+
   /**
    * Process a MediaStream and return enhanced stream
    */
@@ -128,6 +253,7 @@ export class MediaProcessor extends EventEmitter {
       console.log('[MediaProcessor] returning: invalid MediaStream');
       throw new Error('Invalid MediaStream provided');
     }
+    await this.initPromise;
     try {
       this.isProcessing = true;
       this.emit('processing:start');
@@ -163,6 +289,151 @@ export class MediaProcessor extends EventEmitter {
     }
   }
 
+  /**
+   * Enable or disable video effects, live on an attached stream
+   * Each option is a boolean or a settings object for that effect
+   */
+  async enableVideoEffects(options = {}) {
+    return this.applyEffects('video', VIDEO_EFFECTS, options);
+  }
+
+  /**
+   * Enable or disable audio effects, live on an attached stream
+   * Each option is a boolean or a settings object for that effect
+   */
+  async enableAudioEffects(options = {}) {
+    return this.applyEffects('audio', AUDIO_EFFECTS, options);
+  }
+
+  /**
+   * Toggle effects of one media kind without rebuilding the processors
+   */
+  async applyEffects(kind, effectMap, options) {
+    if (this.isDestroyed) {
+      throw new Error(ERROR_MESSAGES.PROCESSOR_DESTROYED);
+    }
+
+    await this.initPromise;
+
+    const section = this.config[kind];
+    const updates = {};
+
+    for (const [name, value] of Object.entries(options)) {
+      const feature = effectMap[name];
+      if (!feature) {
+        throw new Error(`Unknown ${kind} effect: ${name}`);
+      }
+
+      const settings = value && typeof value === 'object' ? value : { enabled: !!value };
+      const enabled = settings.enabled !== undefined ? !!settings.enabled : true;
+      updates[feature] = { ...settings, enabled };
+    }
+
+    // Validate everything before touching the running config
+    assertValidConfig({ [kind]: updates }, this.config);
+
+    const merged = { ...section };
+    Object.entries(updates).forEach(([feature, settings]) => {
+      merged[feature] = { ...section[feature], ...settings };
+    });
+    this.config = { ...this.config, [kind]: merged };
+
+    // Running processors add or remove just the affected modules and retune the rest
+    const processor = kind === 'audio' ? this.audioProcessor : this.videoProcessor;
+    if (processor) {
+      await processor.updateConfig(updates);
+    }
+
+    this.emit(EVENTS.CONFIG_UPDATED, { config: this.config });
+    return this.getConfig();
+  }
+
+  /**
+   * Attach to a MediaStream, swapping its tracks for processed ones in place
+   */
+  async attachToStream(mediaStream) {
+    if (this.isDestroyed) {
+      throw new Error(ERROR_MESSAGES.PROCESSOR_DESTROYED);
+    }
+    if (!mediaStream || !(mediaStream instanceof MediaStream)) {
+      throw new Error(ERROR_MESSAGES.MEDIA_STREAM_INVALID);
+    }
+
+    if (this.attachedStream) {
+      await this.detach();
+    }
+
+    await this.initPromise;
+
+    const originalTracks = mediaStream.getTracks();
+    const source = new MediaStream(originalTracks);
+
+    try {
+      this.isProcessing = true;
+      this.emit(EVENTS.PROCESSING_START);
+
+      // Processors run even with every effect off, so later toggles keep the same output tracks
+      let processedStream = source;
+
+      if (source.getAudioTracks().length > 0) {
+        if (!this.audioProcessor) {
+          await this.createAudioProcessor();
+        }
+        processedStream = await this.audioProcessor.process(processedStream);
+      }
+
+      if (source.getVideoTracks().length > 0) {
+        if (!this.videoProcessor) {
+          await this.createVideoProcessor();
+        }
+        processedStream = await this.videoProcessor.process(processedStream);
+      }
+
+      originalTracks.forEach(track => mediaStream.removeTrack(track));
+      processedStream.getTracks().forEach(track => mediaStream.addTrack(track));
+
+      this.attachedStream = mediaStream;
+      this.originalTracks = originalTracks;
+      this.isProcessing = false;
+
+      this.emit(EVENTS.STREAM_ATTACHED, { stream: mediaStream });
+      return mediaStream;
+    } catch (error) {
+      this.isProcessing = false;
+      this.emit('error', error);
+      throw error;
+    }
+  }
+
+  /**
+   * Restore the original tracks of the attached stream and release processing resources
+   */
+  async detach() {
+    const stream = this.attachedStream;
+    if (!stream) return null;
+
+    this.attachedStream = null;
+
+    stream.getTracks().forEach(track => stream.removeTrack(track));
+    this.originalTracks.forEach(track => stream.addTrack(track));
+    this.originalTracks = [];
+
+    // Destroying the processors closes the AudioContext and frees the canvases;
+    // attachToStream() creates fresh ones from the current config
+    if (this.audioProcessor) {
+      await this.audioProcessor.destroy();
+      this.audioProcessor = null;
+    }
+
+    if (this.videoProcessor) {
+      await this.videoProcessor.destroy();
+      this.videoProcessor = null;
+    }
+
+    this.emit(EVENTS.STREAM_DETACHED, { stream });
+    return stream;
+  }
+
   /**
    * Update configuration
    */
@@ -171,23 +442,41 @@ export class MediaProcessor extends EventEmitter {
       throw new Error('MediaProcessor has been destroyed');
     }
 
-    const oldConfig = this.config;
-    this.config = this.mergeConfig(newConfig);
+    assertValidConfig(newConfig, this.config);
+    await this.initPromise;
+
+    // Merge onto the current config so earlier updates are kept
+    this.config = this.deepMerge(this.config, newConfig);
+
+    // Running processors apply only what changed and keep their output tracks
+    if (newConfig.audio) {
+      if (this.audioProcessor) {
+        await this.audioProcessor.updateConfig(this.config.audio);
+      } else if (this.hasAudioFeatures()) {
+        await this.createAudioProcessor();
+      }
+    }
+
+    if (newConfig.performance && this.videoProcessor) {
+      this.videoProcessor.updatePerformance(this.config.performance);
+    }
 
-    // Reinitialize processors if needed
-    const needsReinit = this.configChanged(oldConfig, this.config);
-    if (needsReinit) {
-      await this.initializeProcessors();
+    if (newConfig.video) {
+      if (this.videoProcessor) {
+        await this.videoProcessor.updateConfig(this.config.video);
+      } else if (this.hasVideoFeatures()) {
+        await this.createVideoProcessor();
+      }
     }
 
     this.emit('config:updated', { config: this.config });
   }
 
   /**
-   * Get current configuration
+   * Get a copy of the current configuration; background images and videos in it are shared
    */
   getConfig() {
-    return JSON.parse(JSON.stringify(this.config)); // Deep copy
+    return cloneConfig(this.config);
   }
 
   /**
@@ -208,9 +497,11 @@ export class MediaProcessor extends EventEmitter {
    */
   hasAudioFeatures() {
     const audio = this.config.audio;
-    return audio.noiseSuppression.enabled || 
+    return audio.echoCancellation.enabled ||
+           audio.noiseSuppression.enabled || 
            audio.agc.enabled || 
-           audio.voiceFocus.enabled;
+           audio.voiceFocus.enabled ||
+           audio.noiseGate.enabled;
   }
 
   /**
@@ -220,18 +511,11 @@ export class MediaProcessor extends EventEmitter {
     const video = this.config.video;
     return video.colorCorrection.enabled || 
            video.lowLightCompensation.enabled || 
+           video.lut.enabled || 
            video.backgroundBlur.enabled || 
            video.backgroundReplace.enabled;
   }
 
-  /**
-   * Check if configuration has changed significantly
-   */
-  configChanged(oldConfig, newConfig) {
-    // Simple deep comparison - in production, you might want a more sophisticated approach
-    return JSON.stringify(oldConfig) !== JSON.stringify(newConfig);
-  }
-
   /**
    * Deep merge objects
    */
@@ -239,7 +523,8 @@ export class MediaProcessor extends EventEmitter {
     const result = { ...target };
     
     for (const key in source) {
-      if (source[key] && typeof source[key] === 'object' && !Array.isArray(source[key])) {
+      // Only plain objects are merged; images, elements and URLs are taken as they are
+      if (isPlainObject(source[key])) {
         result[key] = this.deepMerge(result[key] || {}, source[key]);
       } else {
         result[key] = source[key];
@@ -258,6 +543,8 @@ export class MediaProcessor extends EventEmitter {
     this.isDestroyed = true;
     this.isProcessing = false;
 
+    await this.detach();
+
     // Clean up processors
     if (this.audioProcessor) {
       await this.audioProcessor.destroy();
@@ -0,0 +1,401 @@
+/**
+ * Configuration schema
+ * Describes every config key with its type and range, and validates configs against it
+ */
+
+import { AUDIO_CONSTANTS, VIDEO_CONSTANTS, VOICE_FOCUS_PRESETS, ERROR_MESSAGES } from './constants';
+
+const unit = { type: 'number', min: 0, max: 1 };
+const enabled = { type: 'boolean' };
+const nullableString = { type: 'string', nullable: true };
+
+/**
+ * Section check that one key is not below another, reported on the upper key
+ */
+function notBelow(upperKey, lowerKey) {
+  return {
+    key: upperKey,
+    expected: section => `number not below ${lowerKey} (${section[lowerKey]})`,
+    valid: section => section[upperKey] === undefined || section[lowerKey] === undefined ||
+      section[upperKey] >= section[lowerKey]
+  };
+}
+
+/**
+ * Segmentation keys shared by the background effects
+ */
+const segmentationSchema = {
+  model: { enum: ['bodypix', 'simple'] },
+  modelUrl: nullableString,
+  internalResolution: {
+    anyOf: [
+      { enum: ['low', 'medium', 'high', 'full'] },
+      { type: 'number', min: 0.1, max: 1 }
+    ]
+  },
+  segmentationThreshold: unit,
+  maskResolution: { type: 'number', min: 0.1, max: 1 },
+  maskSmoothing: unit,
+  edgeFeather: { type: 'number', min: 0, max: 20 }
+};
+
+export const CONFIG_SCHEMA = {
+  properties: {
+    audio: {
+      properties: {
+        echoCancellation: {
+          properties: {
+            enabled,
+            tailLength: { type: 'number', min: 50, max: 500 },
+            stepSize: { type: 'number', min: 0.01, max: 1 }
+          }
+        },
+        noiseSuppression: {
+          properties: {
+            enabled,
+            intensity: { enum: ['low', 'medium', 'high'] },
+            model: { enum: ['rnnoise', 'spectral'] },
+            wasmUrl: { type: ['string', 'object'], nullable: true },
+            autoRelearn: { type: 'boolean' },
+            noiseProfile: { type: 'object', nullable: true }
+          }
+        },
+        agc: {
+          properties: {
+            enabled,
+            targetLevel: { type: 'number', min: -60, max: 0 },
+            targetLoudness: { type: 'number', min: -70, max: 0, nullable: true },
+            compressionRatio: { type: 'number', min: 1, max: 20 },
+            attackTime: { type: 'number', min: 0.001, max: 1 },
+            releaseTime: { type: 'number', min: 0.001, max: 5 },
+            minGain: { type: 'number', min: AUDIO_CONSTANTS.AGC_MIN_GAIN, max: AUDIO_CONSTANTS.AGC_MAX_GAIN },
+            maxGain: { type: 'number', min: AUDIO_CONSTANTS.AGC_MIN_GAIN, max: AUDIO_CONSTANTS.AGC_MAX_GAIN }
+          },
+          checks: [notBelow('maxGain', 'minGain')]
+        },
+        noiseGate: {
+          properties: {
+            enabled,
+            threshold: { type: 'number', min: -100, max: 0 },
+            ratio: { type: 'number', min: 1, max: 100 },
+            range: { type: 'number', min: -100, max: 0 },
+            hold: { type: 'number', min: 0, max: 2 },
+            attack: { type: 'number', min: 0.0001, max: 1 },
+            release: { type: 'number', min: 0.001, max: 5 },
+            key: { enum: ['level', 'voice'] }
+          }
+        },
+        limiter: {
+          properties: {
+            lookahead: { type: 'number', min: 1, max: 10 },
+            ceiling: { type: 'number', min: -20, max: 0 },
+            release: { type: 'number', min: 0.001, max: 1 },
+            truePeak: { type: 'boolean' }
+          }
+        },
+        voiceFocus: {
+          properties: {
+            enabled,
+            preset: { enum: Object.keys(VOICE_FOCUS_PRESETS) },
+            sensitivity: unit,
+            frequencyRange: {
+              type: 'array',
+              length: 2,
+              items: {
+                type: 'number',
+                min: AUDIO_CONSTANTS.NOISE_FREQUENCY_RANGE[0],
+                max: AUDIO_CONSTANTS.NOISE_FREQUENCY_RANGE[1]
+              }
+            },
+            boostFrequency: {
+              type: 'number',
+              min: AUDIO_CONSTANTS.NOISE_FREQUENCY_RANGE[0],
+              max: AUDIO_CONSTANTS.NOISE_FREQUENCY_RANGE[1]
+            },
+            boostGain: { type: 'number', min: -12, max: 12 },
+            boostQ: { type: 'number', min: 0.1, max: 10 },
+            vadAttackFrames: { type: 'number', min: 1, max: 20 },
+            vadHangoverFrames: { type: 'number', min: 0, max: 100 }
+          }
+        }
+      }
+    },
+    video: {
+      properties: {
+        colorCorrection: {
+          properties: {
+            enabled,
+            brightness: { type: 'number', min: VIDEO_CONSTANTS.BRIGHTNESS_MIN, max: VIDEO_CONSTANTS.BRIGHTNESS_MAX },
+            contrast: { type: 'number', min: VIDEO_CONSTANTS.CONTRAST_MIN, max: VIDEO_CONSTANTS.CONTRAST_MAX },
+            saturation: { type: 'number', min: VIDEO_CONSTANTS.SATURATION_MIN, max: VIDEO_CONSTANTS.SATURATION_MAX },
+            gamma: { type: 'number', min: 0.1, max: 3.0 },
+            temperature: { type: 'number', min: -1, max: 1 },
+            tint: { type: 'number', min: -1, max: 1 },
+            autoWhiteBalance: {
+              anyOf: [
+                { type: 'boolean' },
+                { enum: ['gray-world', 'white-patch'] }
+              ]
+            },
+            autoExposure: { type: 'boolean' },
+            exposureTarget: { type: 'number', min: 0.1, max: 0.9 }
+          }
+        },
+        lowLightCompensation: {
+          properties: {
+            enabled,
+            threshold: unit,
+            boost: { type: 'number', min: 1, max: 5 },
+            preserveColors: { type: 'boolean' },
+            mode: { enum: ['global', 'adaptive'] },
+            tiles: { type: 'number', integer: true, min: 2, max: 16 },
+            clipLimit: { type: 'number', min: 1, max: 10 }
+          }
+        },
+        lut: {
+          properties: {
+            enabled,
+            source: { type: ['string', 'object'], nullable: true },
+            strength: unit
+          }
+        },
+        backgroundBlur: {
+          properties: {
+            enabled,
+            intensity: { type: 'number', min: VIDEO_CONSTANTS.BLUR_MIN_INTENSITY, max: VIDEO_CONSTANTS.BLUR_MAX_INTENSITY },
+            ...segmentationSchema
+          }
+        },
+        backgroundReplace: {
+          properties: {
+            enabled,
+            image: { type: ['string', 'object'], nullable: true },
+            video: { type: ['string', 'object'], nullable: true },
+            color: { type: 'string' },
+            fit: { enum: ['cover', 'contain'] },
+            ...segmentationSchema,
+            model: { enum: ['bodypix'] }
+          }
+        }
+      }
+    },
+    performance: {
+      properties: {
+        targetFPS: { type: 'number', min: VIDEO_CONSTANTS.MIN_FPS, max: VIDEO_CONSTANTS.MAX_FPS },
+        quality: { enum: ['low', 'balanced', 'high'] },
+        useWebGL: { type: 'boolean' },
+        useWebWorkers: { type: 'boolean' },
+        adaptiveQuality: { type: 'boolean' }
+      }
+    }
+  }
+};
+
+/**
+ * Type name of a value as used in schema descriptions
+ */
+function typeOf(value) {
+  if (value === null) return 'null';
+  if (Array.isArray(value)) return 'array';
+  return typeof value;
+}
+
+/**
+ * Levenshtein distance, used to suggest the key that was probably meant
+ */
+function editDistance(a, b) {
+  const previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    let diagonal = previous[0];
+    previous[0] = i;
+    for (let j = 1; j <= b.length; j++) {
+      const above = previous[j];
+      const cost = a[i - 1].toLowerCase() === b[j - 1].toLowerCase() ? 0 : 1;
+      previous[j] = Math.min(previous[j] + 1, previous[j - 1] + 1, diagonal + cost);
+      diagonal = above;
+    }
+  }
+
+  return previous[b.length];
+}
+
+/**
+ * Closest known key to an unknown one, or null if nothing is close
+ */
+function suggestKey(key, knownKeys) {
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of knownKeys) {
+    // Abbreviations such as 'perf' count as close
+    const distance = candidate.toLowerCase().startsWith(key.toLowerCase()) ? 1 : editDistance(key, candidate);
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= Math.max(2, Math.floor(key.length / 3)) ? best : null;
+}
+
+/**
+ * Human readable description of what a schema node accepts
+ */
+function describeSchema(schema) {
+  if (schema.anyOf) {
+    return schema.anyOf.map(describeSchema).join(' or ');
+  }
+  if (schema.enum) {
+    return `one of ${schema.enum.map(value => JSON.stringify(value)).join(', ')}`;
+  }
+  if (schema.properties) {
+    return 'object';
+  }
+
+  const types = [].concat(schema.type);
+  let description = types.join(' or ');
+  if (schema.type === 'number') {
+    description = `${schema.integer ? 'integer' : 'number'} between ${schema.min} and ${schema.max}`;
+  } else if (schema.type === 'array' && schema.items) {
+    description = `array of ${schema.length} ${describeSchema(schema.items)}`;
+  }
+
+  return schema.nullable ? `${description} or null` : description;
+}
+
+/**
+ * Check one value against a schema node, collecting errors
+ */
+function checkValue(value, schema, path, errors, current) {
+  if (value === null && schema.nullable) return;
+
+  if (schema.anyOf) {
+    const matches = schema.anyOf.some(option => {
+      const optionErrors = [];
+      checkValue(value, option, path, optionErrors);
+      return optionErrors.length === 0;
+    });
+    if (!matches) {
+      errors.push({ path, expected: describeSchema(schema), received: value });
+    }
+    return;
+  }
+
+  if (schema.enum) {
+    if (!schema.enum.includes(value)) {
+      errors.push({ path, expected: describeSchema(schema), received: value });
+    }
+    return;
+  }
+
+  if (schema.properties) {
+    checkObject(value, schema, path, errors, current);
+    return;
+  }
+
+  const type = typeOf(value);
+  if (![].concat(schema.type).includes(type) || (type === 'number' && Number.isNaN(value))) {
+    errors.push({ path, expected: describeSchema(schema), received: value });
+    return;
+  }
+
+  if (type === 'number' && (value < schema.min || value > schema.max || (schema.integer && !Number.isInteger(value)))) {
+    errors.push({ path, expected: describeSchema(schema), received: value });
+    return;
+  }
+
+  if (type === 'array' && schema.items) {
+    if (schema.length !== undefined && value.length !== schema.length) {
+      errors.push({ path, expected: describeSchema(schema), received: value });
+      return;
+    }
+    value.forEach((item, index) => checkValue(item, schema.items, `${path}[${index}]`, errors));
+  }
+}
+
+/**
+ * Check an object section, rejecting keys the schema does not know
+ * Cross-key checks see the section merged onto its current values, if any
+ */
+function checkObject(value, schema, path, errors, current) {
+  if (typeOf(value) !== 'object') {
+    errors.push({ path: path || '(root)', expected: 'object', received: value });
+    return;
+  }
+
+  const knownKeys = Object.keys(schema.properties);
+  const errorCount = errors.length;
+
+  for (const [key, child] of Object.entries(value)) {
+    const childPath = path ? `${path}.${key}` : key;
+    const childSchema = schema.properties[key];
+
+    if (!childSchema) {
+      const error = { path: childPath, expected: `one of ${knownKeys.join(', ')}`, received: key };
+      const suggestion = suggestKey(key, knownKeys);
+      if (suggestion) {
+        error.suggestion = path ? `${path}.${suggestion}` : suggestion;
+      }
+      errors.push(error);
+      continue;
+    }
+
+    // Undefined leaves the current value in place
+    if (child !== undefined) {
+      checkValue(child, childSchema, childPath, errors, current ? current[key] : undefined);
+    }
+  }
+
+  // Cross-key checks only make sense once every key on its own is valid
+  if (!schema.checks || errors.length > errorCount) return;
+
+  const section = { ...(typeOf(current) === 'object' ? current : {}), ...value };
+  schema.checks.forEach(check => {
+    if (!check.valid(section)) {
+      const checkPath = path ? `${path}.${check.key}` : check.key;
+      errors.push({ path: checkPath, expected: check.expected(section), received: section[check.key] });
+    }
+  });
+}
+
+/**
+ * Validate a full or partial config, optionally as an update to a current config
+ * Returns a list of { path, expected, received } errors, empty when the config is valid
+ */
+export function validateConfig(config, schema = CONFIG_SCHEMA, current = null) {
+  const errors = [];
+  checkObject(config, schema, '', errors, current);
+  return errors;
+}
+
+/**
+ * Describe a received value briefly for error messages
+ */
+function describeValue(value) {
+  const type = typeOf(value);
+  if (type === 'object') {
+    return value.constructor && value.constructor !== Object ? value.constructor.name : 'object';
+  }
+  if (type === 'array') {
+    return `[${value.map(describeValue).join(', ')}]`;
+  }
+  return type === 'string' ? JSON.stringify(value) : String(value);
+}
+
+/**
+ * Validate a config and throw an Error carrying the structured errors if it is invalid
+ */
+export function assertValidConfig(config, current = null) {
+  const errors = validateConfig(config, CONFIG_SCHEMA, current);
+  if (errors.length === 0) return;
+
+  const details = errors.map(({ path, expected, received, suggestion }) => {
+    const hint = suggestion ? ` (did you mean ${suggestion}?)` : '';
+    return `${path}: expected ${expected}, received ${describeValue(received)}${hint}`;
+  });
+
+  const error = new Error(`${ERROR_MESSAGES.CONFIG_INVALID}: ${details.join('; ')}`);
+  error.errors = errors;
+  throw error;
+}
@@ -35,6 +35,16 @@ export const AUDIO_QUALITY_PRESETS = {
   }
 };
 
+/**
+ * Voice focus band shaping presets
+ * frequencyRange is the pass band in Hz, the peaking boost adds presence inside it
+ */
+export const VOICE_FOCUS_PRESETS = {
+  natural: { frequencyRange: [80, 12000], boostFrequency: 2500, boostGain: 2, boostQ: 0.8 },
+  broadcast: { frequencyRange: [100, 10000], boostFrequency: 3000, boostGain: 5, boostQ: 1.2 },
+  telephone: { frequencyRange: [300, 3400], boostFrequency: 1500, boostGain: 3, boostQ: 1 }
+};
+
 /**
  * Video quality presets
  */
@@ -133,8 +143,16 @@ export const SHADER_CONSTANTS = {
     uniform float u_contrast;
     uniform float u_saturation;
     uniform float u_gamma;
+    uniform float u_temperature;
+    uniform float u_tint;
+    uniform vec3 u_channelGains;
     varying vec2 v_texCoord;
     
+    vec3 adjustWhiteBalance(vec3 color, float temperature, float tint) {
+      // Warmer raises red and lowers blue, positive tint pulls green toward magenta
+      return color * vec3(1.0 + 0.3 * temperature, 1.0 - 0.3 * tint, 1.0 - 0.3 * temperature);
+    }
+    
     vec3 adjustBrightness(vec3 color, float brightness) {
       return color * brightness;
     }
@@ -156,6 +174,7 @@ export const SHADER_CONSTANTS = {
       vec4 texColor = texture2D(u_texture, v_texCoord);
       vec3 color = texColor.rgb;
       
+      color = adjustWhiteBalance(color * u_channelGains, u_temperature, u_tint);
       color = adjustBrightness(color, u_brightness);
       color = adjustContrast(color, u_contrast);
       color = adjustSaturation(color, u_saturation);
@@ -163,6 +182,258 @@ export const SHADER_CONSTANTS = {
       
       gl_FragColor = vec4(color, texColor.a);
     }
+  `,
+
+  FRAGMENT_SHADER_LOW_LIGHT: `
+    precision mediump float;
+    uniform sampler2D u_texture;
+    uniform float u_threshold;
+    uniform float u_boost;
+    uniform float u_preserveColors;
+    varying vec2 v_texCoord;
+    
+    void main() {
+      vec4 texColor = texture2D(u_texture, v_texCoord);
+      vec3 color = texColor.rgb;
+      float luminance = dot(color, vec3(0.299, 0.587, 0.114));
+      
+      // Darker pixels get more of the boost
+      if (luminance < u_threshold) {
+        float boost = 1.0 + (u_boost - 1.0) * (1.0 - luminance / u_threshold);
+        color = u_preserveColors > 0.5 ? color * boost : vec3(luminance * boost);
+      }
+      
+      gl_FragColor = vec4(clamp(color, 0.0, 1.0), texColor.a);
+    }
+  `,
+
+  // Low light boost guided by per-tile equalization curves (CLAHE), one 256-entry row per tile
+  FRAGMENT_SHADER_LOW_LIGHT_ADAPTIVE: `
+    precision mediump float;
+    uniform sampler2D u_texture;
+    uniform sampler2D u_curves;
+    uniform float u_tiles;
+    uniform float u_threshold;
+    uniform float u_boost;
+    uniform float u_preserveColors;
+    varying vec2 v_texCoord;
+    
+    float equalize(float luminance, vec2 tile) {
+      float row = tile.y * u_tiles + tile.x;
+      vec2 uv = vec2((luminance * 255.0 + 0.5) / 256.0, (row + 0.5) / (u_tiles * u_tiles));
+      return texture2D(u_curves, uv).r;
+    }
+    
+    void main() {
+      vec4 texColor = texture2D(u_texture, v_texCoord);
+      vec3 color = texColor.rgb;
+      float luminance = dot(color, vec3(0.299, 0.587, 0.114));
+      
+      if (luminance < u_threshold) {
+        // Interpolate the curves of the four nearest tile centers
+        vec2 position = clamp(v_texCoord * u_tiles - 0.5, 0.0, u_tiles - 1.0);
+        vec2 tile = floor(position);
+        vec2 next = min(tile + 1.0, u_tiles - 1.0);
+        vec2 f = position - tile;
+        float equalized = mix(
+          mix(equalize(luminance, tile), equalize(luminance, vec2(next.x, tile.y)), f.x),
+          mix(equalize(luminance, vec2(tile.x, next.y)), equalize(luminance, next), f.x),
+          f.y
+        );
+        
+        // Raise toward the local equalized level, capped by boost and fading out at the threshold
+        float target = clamp(equalized / max(luminance, 1.0 / 255.0), 1.0, u_boost);
+        float boost = 1.0 + (target - 1.0) * (1.0 - luminance / u_threshold);
+        color = u_preserveColors > 0.5 ? color * boost : vec3(luminance * boost);
+      }
+      
+      gl_FragColor = vec4(clamp(color, 0.0, 1.0), texColor.a);
+    }
+  `,
+
+  // 3D LUT packed as size slices of size x size side by side, blue selecting the slice;
+  // red and green interpolate in hardware, blue between two slices
+  FRAGMENT_SHADER_LUT_3D: `
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
+    precision mediump float;
+    #endif
+    uniform sampler2D u_texture;
+    uniform sampler2D u_lut;
+    uniform float u_size;
+    uniform float u_strength;
+    uniform vec3 u_domainMin;
+    uniform vec3 u_domainMax;
+    varying vec2 v_texCoord;
+    
+    vec3 lookup(vec3 color) {
+      float last = u_size - 1.0;
+      vec3 position = clamp((color - u_domainMin) / (u_domainMax - u_domainMin), 0.0, 1.0) * last;
+      float slice = floor(position.b);
+      float nextSlice = min(slice + 1.0, last);
+      float y = (position.g + 0.5) / u_size;
+      vec3 near = texture2D(u_lut, vec2((slice * u_size + position.r + 0.5) / (u_size * u_size), y)).rgb;
+      vec3 far = texture2D(u_lut, vec2((nextSlice * u_size + position.r + 0.5) / (u_size * u_size), y)).rgb;
+      return mix(near, far, position.b - slice);
+    }
+    
+    void main() {
+      vec4 texColor = texture2D(u_texture, v_texCoord);
+      gl_FragColor = vec4(mix(texColor.rgb, lookup(texColor.rgb), u_strength), texColor.a);
+    }
+  `,
+
+  // 1D LUT as a single row, each channel looked up on its own
+  FRAGMENT_SHADER_LUT_1D: `
+    #ifdef GL_FRAGMENT_PRECISION_HIGH
+    precision highp float;
+    #else
+    precision mediump float;
+    #endif
+    uniform sampler2D u_texture;
+    uniform sampler2D u_lut;
+    uniform float u_size;
+    uniform float u_strength;
+    uniform vec3 u_domainMin;
+    uniform vec3 u_domainMax;
+    varying vec2 v_texCoord;
+    
+    void main() {
+      vec4 texColor = texture2D(u_texture, v_texCoord);
+      vec3 position = clamp((texColor.rgb - u_domainMin) / (u_domainMax - u_domainMin), 0.0, 1.0) * (u_size - 1.0);
+      vec3 x = (position + 0.5) / u_size;
+      vec3 graded = vec3(
+        texture2D(u_lut, vec2(x.r, 0.5)).r,
+        texture2D(u_lut, vec2(x.g, 0.5)).g,
+        texture2D(u_lut, vec2(x.b, 0.5)).b
+      );
+      gl_FragColor = vec4(mix(texColor.rgb, graded, u_strength), texColor.a);
+    }
+  `,
+
+  // One direction of a separable Gaussian, 12 taps either side
+  FRAGMENT_SHADER_BLUR: `
+    precision mediump float;
+    uniform sampler2D u_texture;
+    uniform vec2 u_direction;
+    uniform float u_sigma;
+    varying vec2 v_texCoord;
+    
+    void main() {
+      vec4 sum = texture2D(u_texture, v_texCoord);
+      float total = 1.0;
+      
+      for (int i = 1; i <= 12; i++) {
+        float x = float(i);
+        float weight = exp(-0.5 * x * x / (u_sigma * u_sigma));
+        vec2 offset = u_direction * x;
+        sum += (texture2D(u_texture, v_texCoord + offset) + texture2D(u_texture, v_texCoord - offset)) * weight;
+        total += 2.0 * weight;
+      }
+      
+      gl_FragColor = sum / total;
+    }
+  `,
+
+  // Temporal mask smoothing at mask resolution: still areas keep most of the previous mask,
+  // areas where the frame changed follow the new one
+  FRAGMENT_SHADER_MASK_TEMPORAL: `
+    precision mediump float;
+    uniform sampler2D u_mask;
+    uniform sampler2D u_previous;
+    uniform sampler2D u_frame;
+    uniform sampler2D u_previousFrame;
+    uniform float u_smoothing;
+    uniform float u_motionGain;
+    varying vec2 v_texCoord;
+    
+    void main() {
+      float mask = texture2D(u_mask, v_texCoord).r;
+      float previous = texture2D(u_previous, v_texCoord).r;
+      vec3 change = abs(texture2D(u_frame, v_texCoord).rgb - texture2D(u_previousFrame, v_texCoord).rgb);
+      float motion = clamp(max(max(change.r, change.g), change.b) * u_motionGain, 0.0, 1.0);
+      
+      float rate = mix(1.0 - u_smoothing, 1.0, motion);
+      gl_FragColor = vec4(vec3(mix(previous, mask, rate)), 1.0);
+    }
+  `,
+
+  // Joint bilateral upsampling of the low resolution mask, guided by the full resolution frame:
+  // mask texels whose frame color matches this pixel count the most, so edges follow the image
+  FRAGMENT_SHADER_MASK_UPSAMPLE: `
+    precision mediump float;
+    uniform sampler2D u_texture;
+    uniform sampler2D u_mask;
+    uniform sampler2D u_guide;
+    uniform vec2 u_maskTexel;
+    uniform float u_rangeSigma;
+    varying vec2 v_texCoord;
+    
+    void main() {
+      vec3 color = texture2D(u_texture, v_texCoord).rgb;
+      
+      // A little plain bilinear mask keeps the result defined where no neighbor matches
+      float total = 0.001;
+      float sum = texture2D(u_mask, v_texCoord).r * total;
+      
+      for (int y = -2; y <= 2; y++) {
+        for (int x = -2; x <= 2; x++) {
+          vec2 offset = vec2(float(x), float(y));
+          vec2 uv = v_texCoord + offset * u_maskTexel;
+          vec3 difference = texture2D(u_guide, uv).rgb - color;
+          float weight = exp(-dot(offset, offset) / 4.5 - dot(difference, difference) / (2.0 * u_rangeSigma * u_rangeSigma));
+          sum += texture2D(u_mask, uv).r * weight;
+          total += weight;
+        }
+      }
+      
+      gl_FragColor = vec4(vec3(sum / total), 1.0);
+    }
+  `,
+
+  // Person from u_texture over the blurred frame in u_background
+  FRAGMENT_SHADER_BLUR_COMPOSITE: `
+    precision mediump float;
+    uniform sampler2D u_texture;
+    uniform sampler2D u_background;
+    uniform sampler2D u_mask;
+    uniform float u_hasMask;
+    varying vec2 v_texCoord;
+    
+    void main() {
+      vec4 person = texture2D(u_texture, v_texCoord);
+      vec4 background = texture2D(u_background, v_texCoord);
+      float mask = u_hasMask > 0.5 ? texture2D(u_mask, v_texCoord).r : 0.0;
+      
+      gl_FragColor = mix(background, person, mask);
+    }
+  `,
+
+  // Person from u_texture over an image placed at u_backgroundRect (offset, size) on a solid color
+  FRAGMENT_SHADER_BACKGROUND_REPLACE: `
+    precision mediump float;
+    uniform sampler2D u_texture;
+    uniform sampler2D u_background;
+    uniform sampler2D u_mask;
+    uniform float u_hasMask;
+    uniform float u_hasBackground;
+    uniform vec4 u_backgroundRect;
+    uniform vec3 u_color;
+    varying vec2 v_texCoord;
+    
+    void main() {
+      vec4 person = texture2D(u_texture, v_texCoord);
+      vec3 background = u_color;
+      
+      vec2 uv = (v_texCoord - u_backgroundRect.xy) / u_backgroundRect.zw;
+      if (u_hasBackground > 0.5 && all(greaterThanEqual(uv, vec2(0.0))) && all(lessThanEqual(uv, vec2(1.0)))) {
+        background = texture2D(u_background, uv).rgb;
+      }
+      
+      float mask = u_hasMask > 0.5 ? texture2D(u_mask, v_texCoord).r : 1.0;
+      gl_FragColor = vec4(mix(background, person.rgb, mask), 1.0);
+    }
   `
 };
 
@@ -194,5 +465,11 @@ export const EVENTS = {
   AUDIO_PROCESSED: 'audio:processed',
   VIDEO_PROCESSED: 'video:processed',
   MODEL_LOADED: 'model:loaded',
-  MODEL_ERROR: 'model:error'
+  MODEL_ERROR: 'model:error',
+  EXPOSURE_ADJUSTED: 'exposure:adjusted',
+  QUALITY_CHANGED: 'quality:changed',
+  SPEECH_START: 'speech:start',
+  SPEECH_END: 'speech:end',
+  STREAM_ATTACHED: 'stream:attached',
+  STREAM_DETACHED: 'stream:detached'
 }; 
\ No newline at end of file
@@ -61,11 +61,43 @@ export function createAudioContext(options = {}) {
   });
 }
 
+/**
+ * Check whether an audio context can run AudioWorklet processors
+ */
+export function supportsAudioWorklet(audioContext) {
+  return !!(audioContext && audioContext.audioWorklet && typeof AudioWorkletNode !== 'undefined');
+}
+
+/**
+ * Load an AudioWorklet module once per audio context
+ */
+const workletModules = new WeakMap();
+
+export function loadAudioWorkletModule(audioContext, url) {
+  let modules = workletModules.get(audioContext);
+  if (!modules) {
+    modules = new Map();
+    workletModules.set(audioContext, modules);
+  }
+
+  const key = String(url);
+  if (!modules.has(key)) {
+    const loading = audioContext.audioWorklet.addModule(key);
+    // Allow a retry after a failed load
+    loading.catch(() => modules.delete(key));
+    modules.set(key, loading);
+  }
+
+  return modules.get(key);
+}
+
 /**
  * Create video processing context
  */
 export function createVideoContext(canvas, options = {}) {
-  if (!canvas || !(canvas instanceof HTMLCanvasElement)) {
+  const isCanvas = (typeof HTMLCanvasElement !== 'undefined' && canvas instanceof HTMLCanvasElement) ||
+    (typeof OffscreenCanvas !== 'undefined' && canvas instanceof OffscreenCanvas);
+  if (!canvas || !isCanvas) {
     throw new Error('Valid canvas element required');
   }
 
@@ -91,42 +123,17 @@ export function createVideoContext(canvas, options = {}) {
 }
 
 /**
- * Validate configuration object
+ * Create a canvas; an OffscreenCanvas where there is no DOM, as in a worker
  */
-export function validateConfig(config) {
-  const errors = [];
-
-  // Validate audio config
-  if (config.audio) {
-    if (config.audio.noiseSuppression && typeof config.audio.noiseSuppression.enabled !== 'boolean') {
-      errors.push('audio.noiseSuppression.enabled must be boolean');
-    }
-    
-    if (config.audio.agc && typeof config.audio.agc.enabled !== 'boolean') {
-      errors.push('audio.agc.enabled must be boolean');
-    }
-    
-    if (config.audio.voiceFocus && typeof config.audio.voiceFocus.enabled !== 'boolean') {
-      errors.push('audio.voiceFocus.enabled must be boolean');
-    }
-  }
-
-  // Validate video config
-  if (config.video) {
-    if (config.video.colorCorrection && typeof config.video.colorCorrection.enabled !== 'boolean') {
-      errors.push('video.colorCorrection.enabled must be boolean');
-    }
-    
-    if (config.video.backgroundBlur && typeof config.video.backgroundBlur.enabled !== 'boolean') {
-      errors.push('video.backgroundBlur.enabled must be boolean');
-    }
+export function createCanvas(width = 300, height = 150) {
+  if (typeof document === 'undefined') {
+    return new OffscreenCanvas(width, height);
   }
 
-  if (errors.length > 0) {
-    throw new Error(`Configuration validation failed: ${errors.join(', ')}`);
-  }
-
-  return true;
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
 }
 
 /**
@@ -251,4 +258,65 @@ export function throttle(func, limit) {
       setTimeout(() => inThrottle = false, limit);
     }
   };
-} 
\ No newline at end of file
+}
+
+/**
+ * Check whether a value is a plain object literal rather than an instance like ImageData
+ */
+export function isPlainObject(value) {
+  if (!value || typeof value !== 'object') return false;
+  const proto = Object.getPrototypeOf(value);
+  return proto === Object.prototype || proto === null;
+}
+
+/**
+ * Copy a config tree: plain objects and arrays are copied, images, elements and other instances are shared
+ */
+export function cloneConfig(value) {
+  if (Array.isArray(value)) {
+    return value.map(cloneConfig);
+  }
+
+  if (isPlainObject(value)) {
+    const copy = {};
+    Object.keys(value).forEach(key => {
+      copy[key] = cloneConfig(value[key]);
+    });
+    return copy;
+  }
+
+  return value;
+}
+
+/**
+ * Compare config values: arrays and plain objects by content, everything else by identity
+ */
+function isEqualValue(a, b) {
+  if (a === b) return true;
+
+  if (Array.isArray(a) && Array.isArray(b)) {
+    return a.length === b.length && a.every((item, i) => isEqualValue(item, b[i]));
+  }
+
+  if (isPlainObject(a) && isPlainObject(b)) {
+    const keys = Object.keys(a);
+    return keys.length === Object.keys(b).length && keys.every(key => isEqualValue(a[key], b[key]));
+  }
+
+  return false;
+}
+
+/**
+ * Return the keys of a config section whose values changed, with their new values
+ */
+export function diffConfig(previous = {}, next = {}) {
+  const changes = {};
+
+  for (const key of Object.keys(next)) {
+    if (!isEqualValue(previous[key], next[key])) {
+      changes[key] = next[key];
+    }
+  }
+
+  return changes;
+}
@@ -15,9 +15,16 @@ export {
   getCapabilities 
 } from './core/utils.js';
 
+// Export LUT parsing for preloading or validating .cube files
+export { parseCubeLUT } from './video/CubeLUT';
+
+// Export config validation
+export { validateConfig, CONFIG_SCHEMA } from './core/configSchema';
+
 // Export types and constants
 export { 
   PROCESSING_MODES,
   AUDIO_QUALITY_PRESETS,
-  VIDEO_QUALITY_PRESETS 
+  VIDEO_QUALITY_PRESETS,
+  VOICE_FOCUS_PRESETS
 } from './core/constants.js'; 
\ No newline at end of file
@@ -32,10 +32,10 @@ processor.attachToStream(mediaStream);`}</code>
           <h2 style={{ fontSize: '1.2rem', fontWeight: 700, marginBottom: 10 }}>API Reference</h2>
           <ul style={{ color: '#b0b3c7', fontSize: '1.05rem', lineHeight: 1.7, paddingLeft: 18 }}>
             <li><b>MediaProcessor</b>: Main class for managing video/audio enhancements.</li>
-            <li><b>enableVideoEffects(options)</b>: Enable/disable video effects (blur, color correction, etc.).</li>
-            <li><b>enableAudioEffects(options)</b>: Enable/disable audio effects (noise suppression, AGC, etc.).</li>
-            <li><b>attachToStream(mediaStream)</b>: Attach processor to a MediaStream.</li>
-            <li><b>detach()</b>: Remove all effects and detach from stream.</li>
+            <li><b>enableVideoEffects(options)</b>: Enable/disable video effects (blur, colorCorrection, lowLight). Each option is a boolean or a settings object.</li>
+            <li><b>enableAudioEffects(options)</b>: Enable/disable audio effects (noiseSuppression, agc, voiceFocus).</li>
+            <li><b>attachToStream(mediaStream)</b>: Attach processor to a MediaStream, swapping its tracks for processed ones. Effects toggle live on the same output tracks.</li>
+            <li><b>detach()</b>: Remove all effects, restore the original tracks and release the AudioContext and canvases.</li>
           </ul>
         </section>
         <section style={{ marginBottom: 40 }}>
@@ -1,54 +1,230 @@
 /**
  * BackgroundBlur class
- * Implements background blurring (placeholder for AI-based segmentation)
+ * Blurs the background behind the person found by the segmentation model
  */
 
 import { EventEmitter } from '../core/EventEmitter';
-import { clamp } from '../core/utils';
-import { VIDEO_CONSTANTS } from '../core/constants';
+import { clamp, createCanvas } from '../core/utils';
+import { VIDEO_CONSTANTS, SHADER_CONSTANTS, EVENTS } from '../core/constants';
+import { PersonSegmenter } from './PersonSegmenter';
+import { createProgram } from './GLPipeline';
+import { MaskRefiner } from './MaskRefiner';
+
+// Standard deviation of the blur kernel in taps; 3 sigma spans the shader's 12 taps
+const BLUR_SIGMA_TAPS = 4;
+const BLUR_TAPS = 12;
 
 export class BackgroundBlur extends EventEmitter {
   constructor(gl, config) {
     super();
-    
+
     this.gl = gl;
     this.config = {
       intensity: 15,
-      model: 'simple', // 'simple', 'bodypix', 'mediapipe'
+      model: 'simple', // 'simple', 'bodypix'
+      modelUrl: null,
+      internalResolution: 'medium',
+      segmentationThreshold: 0.7,
+      maskResolution: 0.5,
+      maskSmoothing: 0.6, // temporal smoothing of the mask where the frame is still (0-1)
+      edgeFeather: 3, // softening of the mask edge in pixels
+      maskUpdateInterval: 1, // segment every nth frame, reusing the last mask in between
       ...config
     };
-    
+
+    this.segmenter = null;
+    this.segmentationFailed = false; // a model was asked for but did not load
+    this.currentFrame = null;
+    this.lastMask = null;
+    this.maskFrame = 0;
+
+    // Compositing canvases, reused across frames
+    this.frameCanvas = null;
+    this.blurCanvas = null;
+    this.personCanvas = null;
+
+    // GPU pipeline resources
+    this.blurProgram = null;
+    this.compositeProgram = null;
+    this.refiner = null;
+    this.mask = null;
+
     this.isInitialized = false;
   }
 
   async initialize() {
+    this.frameCanvas = createCanvas();
+    this.blurCanvas = createCanvas();
+    this.personCanvas = createCanvas();
+
+    this.refiner = new MaskRefiner('backgroundBlur', this.gl, {
+      maskSmoothing: this.config.maskSmoothing,
+      edgeFeather: this.config.edgeFeather
+    });
+    this.refiner.initialize();
+
+    if (this.gl) {
+      this.blurProgram = createProgram(this.gl, SHADER_CONSTANTS.FRAGMENT_SHADER_BLUR);
+      this.compositeProgram = createProgram(this.gl, SHADER_CONSTANTS.FRAGMENT_SHADER_BLUR_COMPOSITE);
+    }
+
+    if (this.config.model !== 'simple') {
+      await this.loadSegmenter();
+    }
+
     this.isInitialized = true;
     this.emit('initialized');
   }
 
+  /**
+   * Load the segmentation model; frames pass through unchanged if it fails, as blurring
+   * without a mask would blur the person too
+   */
+  async loadSegmenter() {
+    const segmenter = new PersonSegmenter(this.config);
+    segmenter.on(EVENTS.MODEL_LOADED, (info) => this.emit(EVENTS.MODEL_LOADED, info));
+    segmenter.on(EVENTS.MODEL_ERROR, (error) => this.emit(EVENTS.MODEL_ERROR, error));
+
+    try {
+      await segmenter.initialize();
+      this.segmenter = segmenter;
+      this.segmentationFailed = false;
+    } catch (error) {
+      this.segmenter = null;
+      this.segmentationFailed = true;
+    }
+  }
+
+  /**
+   * Swap in a segmenter for a changed model, releasing the old one after the frame using it
+   */
+  async reloadSegmenter() {
+    const previous = this.segmenter;
+
+    if (this.config.model !== 'simple') {
+      await this.loadSegmenter();
+    } else {
+      this.segmenter = null;
+      this.segmentationFailed = false;
+    }
+
+    if (previous) {
+      await this.currentFrame;
+      await previous.destroy();
+    }
+  }
+
+  /**
+   * Segment a frame, or reuse the last mask between updates when maskUpdateInterval is above 1
+   */
+  segmentFrame(segmenter, source, width, height) {
+    this.maskFrame = (this.maskFrame + 1) % Math.max(1, this.config.maskUpdateInterval);
+    if (this.maskFrame !== 0 && this.lastMask) {
+      return Promise.resolve(this.lastMask);
+    }
+
+    return segmenter.segment(source, width, height).then(mask => {
+      this.lastMask = mask;
+      return mask;
+    });
+  }
+
+  /**
+   * Segment the frame ahead of the GPU passes
+   */
+  async prepare(source, width, height) {
+    // The segmenter may be swapped by updateConfig() while this frame is in flight
+    const segmenter = this.segmenter;
+    const frame = segmenter ? this.segmentFrame(segmenter, source, width, height) : Promise.resolve(null);
+    this.currentFrame = frame.catch(() => {});
+    this.mask = await frame;
+  }
+
+  /**
+   * Render the blur passes on the GPU pipeline: separable Gaussian at reduced size, then composite
+   * Without the requested model the frame passes through, as on the CPU path
+   */
+  render(pipeline, input, output) {
+    if (this.segmentationFailed) {
+      pipeline.draw(pipeline.copyProgram, output, { textures: { u_texture: input } });
+      return;
+    }
+
+    // Larger radii tolerate a smaller blur target
+    const scale = this.config.intensity > 16 ? 0.25 : 0.5;
+    const horizontal = pipeline.getTarget('backgroundBlur:horizontal', pipeline.width * scale, pipeline.height * scale);
+    const vertical = pipeline.getTarget('backgroundBlur:vertical', pipeline.width * scale, pipeline.height * scale);
+
+    // Match CSS blur(), whose standard deviation is the intensity in pixels
+    const step = (3 * this.config.intensity * scale) / BLUR_TAPS;
+
+    pipeline.draw(this.blurProgram, horizontal, {
+      textures: { u_texture: input },
+      uniforms: { u_direction: [step / horizontal.width, 0], u_sigma: BLUR_SIGMA_TAPS }
+    });
+    pipeline.draw(this.blurProgram, vertical, {
+      textures: { u_texture: horizontal.texture },
+      uniforms: { u_direction: [0, step / vertical.height], u_sigma: BLUR_SIGMA_TAPS }
+    });
+
+    const textures = { u_texture: input, u_background: vertical.texture };
+    if (this.mask) {
+      textures.u_mask = this.refiner.refine(pipeline, this.mask, input);
+    } else {
+      this.refiner.reset();
+    }
+
+    pipeline.draw(this.compositeProgram, output, {
+      textures,
+      uniforms: { u_hasMask: this.mask ? 1 : 0 }
+    });
+  }
+
   async process(imageData) {
-    return this.processCanvas(imageData);
+    const frame = this.processCanvas(imageData);
+    this.currentFrame = frame.catch(() => {});
+    return frame;
+  }
+
+  async processCanvas(imageData) {
+    if (this.segmentationFailed) {
+      return imageData;
+    }
+
+    const { width, height } = imageData;
+    this.resizeCanvases(width, height);
+
+    const frameCtx = this.frameCanvas.getContext('2d');
+    frameCtx.putImageData(imageData, 0, 0);
+
+    // Blurred copy of the whole frame forms the background
+    const blurCtx = this.blurCanvas.getContext('2d');
+    blurCtx.filter = `blur(${this.config.intensity}px)`;
+    blurCtx.drawImage(this.frameCanvas, 0, 0);
+    blurCtx.filter = 'none';
+
+    // The segmenter may be swapped by updateConfig() while this frame is in flight
+    const segmenter = this.segmenter;
+    if (segmenter) {
+      const mask = await this.segmentFrame(segmenter, this.frameCanvas, width, height);
+      const refined = this.refiner.refineImage(mask, this.frameCanvas);
+      segmenter.drawPerson(refined, this.frameCanvas, this.personCanvas, this.config.edgeFeather);
+      blurCtx.drawImage(this.personCanvas, 0, 0);
+    }
+
+    return blurCtx.getImageData(0, 0, width, height);
   }
 
-  processCanvas(imageData) {
-    // Simple implementation: blur the entire image
-    // In a real implementation, you would use AI models like BodyPix or MediaPipe
-    // to segment the person and only blur the background
-    
-    const canvas = document.createElement('canvas');
-    canvas.width = imageData.width;
-    canvas.height = imageData.height;
-    const ctx = canvas.getContext('2d');
-    
-    // Put original image data
-    ctx.putImageData(imageData, 0, 0);
-    
-    // Apply blur filter
-    ctx.filter = `blur(${this.config.intensity}px)`;
-    ctx.drawImage(canvas, 0, 0);
-    
-    // Get processed data
-    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+  /**
+   * Match the compositing canvases to the frame size
+   */
+  resizeCanvases(width, height) {
+    [this.frameCanvas, this.blurCanvas, this.personCanvas].forEach(canvas => {
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+    });
   }
 
   setIntensity(intensity) {
@@ -56,17 +232,60 @@ export class BackgroundBlur extends EventEmitter {
     this.emit('intensity:changed', { intensity: this.config.intensity });
   }
 
-  updateConfig(newConfig) {
+  async updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
+
+    if (('model' in newConfig || 'modelUrl' in newConfig) && this.isInitialized) {
+      await this.reloadSegmenter();
+    } else if (this.segmenter) {
+      this.segmenter.updateConfig(newConfig);
+    }
+
+    if (this.refiner) {
+      this.refiner.updateConfig({ maskSmoothing: this.config.maskSmoothing, edgeFeather: this.config.edgeFeather });
+    }
+
     this.emit('config:updated', { config: this.config });
   }
 
   getStats() {
-    return { ...this.config };
+    return {
+      ...this.config,
+      segmentation: !!this.segmenter
+    };
   }
 
   async destroy() {
     this.isInitialized = false;
+
+    if (this.segmenter) {
+      await this.segmenter.destroy();
+      this.segmenter = null;
+    }
+
+    [this.frameCanvas, this.blurCanvas, this.personCanvas].forEach(canvas => {
+      if (canvas) {
+        canvas.width = 0;
+        canvas.height = 0;
+      }
+    });
+    this.frameCanvas = null;
+    this.blurCanvas = null;
+    this.personCanvas = null;
+
+    if (this.refiner) {
+      this.refiner.destroy();
+      this.refiner = null;
+    }
+
+    if (this.gl) {
+      [this.blurProgram, this.compositeProgram].forEach(info => info && this.gl.deleteProgram(info.program));
+    }
+    this.blurProgram = null;
+    this.compositeProgram = null;
+    this.mask = null;
+    this.lastMask = null;
+
     this.emit('destroyed');
   }
-} 
\ No newline at end of file
+}
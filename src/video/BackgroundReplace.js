@@ -0,0 +1,480 @@
+/**
+ * BackgroundReplace class
+ * Composites the segmented person over an image, a looping video or a solid color
+ */
+
+import { EventEmitter } from '../core/EventEmitter';
+import { createCanvas } from '../core/utils';
+import { EVENTS, SHADER_CONSTANTS } from '../core/constants';
+import { PersonSegmenter } from './PersonSegmenter';
+import { createProgram } from './GLPipeline';
+import { MaskRefiner } from './MaskRefiner';
+
+/**
+ * Compute the rectangle that fits a source into a destination ('cover' or 'contain')
+ */
+export function fitRect(srcWidth, srcHeight, dstWidth, dstHeight, fit) {
+  const scale = fit === 'contain'
+    ? Math.min(dstWidth / srcWidth, dstHeight / srcHeight)
+    : Math.max(dstWidth / srcWidth, dstHeight / srcHeight);
+
+  const width = srcWidth * scale;
+  const height = srcHeight * scale;
+
+  return {
+    x: (dstWidth - width) / 2,
+    y: (dstHeight - height) / 2,
+    width,
+    height
+  };
+}
+
+/**
+ * Resolve a CSS color to normalized RGB
+ */
+function parseColor(color) {
+  const canvas = createCanvas();
+  canvas.width = 1;
+  canvas.height = 1;
+
+  const ctx = canvas.getContext('2d');
+  ctx.fillStyle = color;
+  ctx.fillRect(0, 0, 1, 1);
+
+  const [r, g, b] = ctx.getImageData(0, 0, 1, 1).data;
+  return [r / 255, g / 255, b / 255];
+}
+
+export class BackgroundReplace extends EventEmitter {
+  constructor(gl, config) {
+    super();
+
+    this.gl = gl;
+    this.config = {
+      image: null, // URL, ImageData or drawable element
+      video: null, // URL or HTMLVideoElement, played in a loop
+      color: '#000000', // solid background, also fills letterbox bars
+      fit: 'cover', // 'cover', 'contain'
+      model: 'bodypix',
+      modelUrl: null,
+      internalResolution: 'medium',
+      segmentationThreshold: 0.7,
+      maskResolution: 0.5,
+      maskSmoothing: 0.6, // temporal smoothing of the mask where the frame is still (0-1)
+      edgeFeather: 3, // softening of the mask edge in pixels
+      maskUpdateInterval: 1, // segment every nth frame, reusing the last mask in between
+      ...config
+    };
+
+    this.segmenter = null;
+    this.currentFrame = null;
+    this.lastMask = null;
+    this.maskFrame = 0;
+
+    // Current background asset
+    this.background = null;
+    this.backgroundType = 'color';
+    this.ownsBackgroundVideo = false;
+
+    // Compositing canvases, reused across frames
+    this.frameCanvas = null;
+    this.personCanvas = null;
+    this.outputCanvas = null;
+
+    // GPU pipeline resources
+    this.program = null;
+    this.refiner = null;
+    this.backgroundTexture = null;
+    this.backgroundDirty = false;
+    this.mask = null;
+    this.colorSource = null;
+    this.colorVector = [0, 0, 0];
+
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    this.frameCanvas = createCanvas();
+    this.personCanvas = createCanvas();
+    this.outputCanvas = createCanvas();
+
+    this.refiner = new MaskRefiner('backgroundReplace', this.gl, {
+      maskSmoothing: this.config.maskSmoothing,
+      edgeFeather: this.config.edgeFeather
+    });
+    this.refiner.initialize();
+
+    if (this.gl) {
+      this.program = createProgram(this.gl, SHADER_CONSTANTS.FRAGMENT_SHADER_BACKGROUND_REPLACE);
+    }
+
+    await this.loadSegmenter();
+    await this.setBackground(this.config);
+
+    this.isInitialized = true;
+    this.emit('initialized');
+  }
+
+  /**
+   * Load the segmentation model; frames pass through unchanged if it fails
+   */
+  async loadSegmenter() {
+    const segmenter = new PersonSegmenter(this.config);
+    segmenter.on(EVENTS.MODEL_LOADED, (info) => this.emit(EVENTS.MODEL_LOADED, info));
+    segmenter.on(EVENTS.MODEL_ERROR, (error) => this.emit(EVENTS.MODEL_ERROR, error));
+
+    try {
+      await segmenter.initialize();
+      this.segmenter = segmenter;
+    } catch (error) {
+      // Replacing without a mask would hide the person as well
+      this.segmenter = null;
+    }
+  }
+
+  /**
+   * Swap the background asset at runtime
+   * Accepts { image }, { video } or { color }, plus an optional fit
+   */
+  async setBackground({ image = null, video = null, color, fit } = {}) {
+    this.releaseBackground();
+
+    if (color !== undefined) this.config.color = color;
+    if (fit !== undefined) this.config.fit = fit;
+    this.config.image = image;
+    this.config.video = video;
+
+    try {
+      if (video) {
+        this.background = await this.loadVideo(video);
+        this.backgroundType = 'video';
+      } else if (image) {
+        this.background = await this.loadImage(image);
+        this.backgroundType = 'image';
+      } else {
+        this.background = null;
+        this.backgroundType = 'color';
+      }
+    } catch (error) {
+      this.background = null;
+      this.backgroundType = 'color';
+      this.emit('error', new Error(`Failed to load background: ${error.message}`));
+    }
+
+    this.backgroundDirty = true;
+
+    this.emit('background:changed', { type: this.backgroundType });
+  }
+
+  /**
+   * Load an image background from a URL, ImageData or drawable element
+   */
+  async loadImage(image) {
+    if (image instanceof ImageData) {
+      const canvas = createCanvas();
+      canvas.width = image.width;
+      canvas.height = image.height;
+      canvas.getContext('2d').putImageData(image, 0, 0);
+      return canvas;
+    }
+
+    // Workers have no Image element but can decode fetched images
+    if (typeof image === 'string' && typeof Image === 'undefined') {
+      const response = await fetch(image);
+      if (!response.ok) {
+        throw new Error(`${image} returned HTTP ${response.status}`);
+      }
+      return createImageBitmap(await response.blob());
+    }
+
+    if (typeof image === 'string') {
+      const element = new Image();
+      element.crossOrigin = 'anonymous';
+      element.src = image;
+      await element.decode();
+      return element;
+    }
+
+    return image;
+  }
+
+  /**
+   * Load a looping, muted video background from a URL or element
+   */
+  async loadVideo(video) {
+    if (typeof document === 'undefined') {
+      throw new Error('video backgrounds need the main thread, set performance.useWebWorkers to false');
+    }
+
+    let element = video;
+
+    if (typeof video === 'string') {
+      element = document.createElement('video');
+      element.crossOrigin = 'anonymous';
+      element.src = video;
+      this.ownsBackgroundVideo = true;
+    }
+
+    element.loop = true;
+    element.muted = true;
+    element.playsInline = true;
+
+    if (element.readyState < 2) {
+      await new Promise((resolve, reject) => {
+        element.onloadeddata = () => resolve();
+        element.onerror = () => reject(new Error('Background video could not be loaded'));
+      });
+    }
+
+    await element.play();
+    return element;
+  }
+
+  /**
+   * Swap in a segmenter for a changed model, releasing the old one after the frame using it
+   */
+  async reloadSegmenter() {
+    const previous = this.segmenter;
+
+    await this.loadSegmenter();
+
+    if (previous) {
+      await this.currentFrame;
+      await previous.destroy();
+    }
+  }
+
+  /**
+   * Segment a frame, or reuse the last mask between updates when maskUpdateInterval is above 1
+   */
+  segmentFrame(segmenter, source, width, height) {
+    this.maskFrame = (this.maskFrame + 1) % Math.max(1, this.config.maskUpdateInterval);
+    if (this.maskFrame !== 0 && this.lastMask) {
+      return Promise.resolve(this.lastMask);
+    }
+
+    return segmenter.segment(source, width, height).then(mask => {
+      this.lastMask = mask;
+      return mask;
+    });
+  }
+
+  /**
+   * Segment the frame ahead of the GPU passes
+   */
+  async prepare(source, width, height) {
+    // The segmenter may be swapped by updateConfig() while this frame is in flight
+    const segmenter = this.segmenter;
+    const frame = segmenter ? this.segmentFrame(segmenter, source, width, height) : Promise.resolve(null);
+    this.currentFrame = frame.catch(() => {});
+    this.mask = await frame;
+  }
+
+  /**
+   * Render the replacement pass on the GPU pipeline
+   * Without a mask the frame passes through, as on the CPU path
+   */
+  render(pipeline, input, output) {
+    const { width, height } = pipeline;
+    const textures = { u_texture: input };
+    let rect = [0, 0, 1, 1];
+    let hasBackground = false;
+
+    if (this.background) {
+      const [sourceWidth, sourceHeight] = this.getBackgroundSize();
+
+      if (sourceWidth > 0 && sourceHeight > 0) {
+        if (!this.backgroundTexture) {
+          this.backgroundTexture = pipeline.createTexture();
+        }
+
+        // Images upload once, videos every frame
+        if (this.backgroundDirty || this.backgroundType === 'video') {
+          pipeline.uploadTexture(this.backgroundTexture, this.background);
+          this.backgroundDirty = false;
+        }
+
+        // Texture coordinates start at the bottom left
+        const fit = fitRect(sourceWidth, sourceHeight, width, height, this.config.fit);
+        rect = [fit.x / width, (height - fit.y - fit.height) / height, fit.width / width, fit.height / height];
+        textures.u_background = this.backgroundTexture;
+        hasBackground = true;
+      }
+    }
+
+    if (this.mask) {
+      textures.u_mask = this.refiner.refine(pipeline, this.mask, input);
+    } else {
+      this.refiner.reset();
+    }
+
+    if (this.colorSource !== this.config.color) {
+      this.colorSource = this.config.color;
+      this.colorVector = parseColor(this.config.color);
+    }
+
+    pipeline.draw(this.program, output, {
+      textures,
+      uniforms: {
+        u_hasMask: this.mask ? 1 : 0,
+        u_hasBackground: hasBackground ? 1 : 0,
+        u_backgroundRect: rect,
+        u_color: this.colorVector
+      }
+    });
+  }
+
+  async process(imageData) {
+    const frame = this.processCanvas(imageData);
+    this.currentFrame = frame.catch(() => {});
+    return frame;
+  }
+
+  async processCanvas(imageData) {
+    // The segmenter may be swapped by updateConfig() while this frame is in flight
+    const segmenter = this.segmenter;
+    if (!segmenter) {
+      return imageData;
+    }
+
+    const { width, height } = imageData;
+    this.resizeCanvases(width, height);
+
+    this.frameCanvas.getContext('2d').putImageData(imageData, 0, 0);
+
+    const mask = await this.segmentFrame(segmenter, this.frameCanvas, width, height);
+    const refined = this.refiner.refineImage(mask, this.frameCanvas);
+    segmenter.drawPerson(refined, this.frameCanvas, this.personCanvas, this.config.edgeFeather);
+
+    const ctx = this.outputCanvas.getContext('2d');
+    ctx.fillStyle = this.config.color;
+    ctx.fillRect(0, 0, width, height);
+
+    if (this.background) {
+      const [sourceWidth, sourceHeight] = this.getBackgroundSize();
+      if (sourceWidth > 0 && sourceHeight > 0) {
+        const rect = fitRect(sourceWidth, sourceHeight, width, height, this.config.fit);
+        ctx.drawImage(this.background, rect.x, rect.y, rect.width, rect.height);
+      }
+    }
+
+    ctx.drawImage(this.personCanvas, 0, 0);
+
+    return ctx.getImageData(0, 0, width, height);
+  }
+
+  /**
+   * Intrinsic size of the current background asset
+   */
+  getBackgroundSize() {
+    const background = this.background;
+
+    if (this.backgroundType === 'video') {
+      return [background.videoWidth, background.videoHeight];
+    }
+
+    return [
+      background.naturalWidth || background.width,
+      background.naturalHeight || background.height
+    ];
+  }
+
+  /**
+   * Match the compositing canvases to the frame size
+   */
+  resizeCanvases(width, height) {
+    [this.frameCanvas, this.personCanvas, this.outputCanvas].forEach(canvas => {
+      if (canvas.width !== width || canvas.height !== height) {
+        canvas.width = width;
+        canvas.height = height;
+      }
+    });
+  }
+
+  /**
+   * Stop and drop the current background asset
+   */
+  releaseBackground() {
+    if (this.backgroundType === 'video' && this.background) {
+      this.background.pause();
+      if (this.ownsBackgroundVideo) {
+        this.background.removeAttribute('src');
+        this.background.load();
+      }
+    }
+
+    this.background = null;
+    this.backgroundType = 'color';
+    this.ownsBackgroundVideo = false;
+  }
+
+  async updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+
+    if (('model' in newConfig || 'modelUrl' in newConfig) && this.isInitialized) {
+      await this.reloadSegmenter();
+    } else if (this.segmenter) {
+      this.segmenter.updateConfig(newConfig);
+    }
+
+    if (this.refiner) {
+      this.refiner.updateConfig({ maskSmoothing: this.config.maskSmoothing, edgeFeather: this.config.edgeFeather });
+    }
+
+    if ('image' in newConfig || 'video' in newConfig) {
+      await this.setBackground(this.config);
+    }
+
+    this.emit('config:updated', { config: this.config });
+  }
+
+  getStats() {
+    return {
+      backgroundType: this.backgroundType,
+      fit: this.config.fit,
+      color: this.config.color,
+      segmentation: !!this.segmenter
+    };
+  }
+
+  async destroy() {
+    this.isInitialized = false;
+
+    this.releaseBackground();
+
+    if (this.segmenter) {
+      await this.segmenter.destroy();
+      this.segmenter = null;
+    }
+
+    [this.frameCanvas, this.personCanvas, this.outputCanvas].forEach(canvas => {
+      if (canvas) {
+        canvas.width = 0;
+        canvas.height = 0;
+      }
+    });
+    this.frameCanvas = null;
+    this.personCanvas = null;
+    this.outputCanvas = null;
+
+    if (this.refiner) {
+      this.refiner.destroy();
+      this.refiner = null;
+    }
+
+    if (this.gl) {
+      if (this.program) {
+        this.gl.deleteProgram(this.program.program);
+      }
+      if (this.backgroundTexture) {
+        this.gl.deleteTexture(this.backgroundTexture);
+      }
+    }
+    this.program = null;
+    this.backgroundTexture = null;
+    this.mask = null;
+    this.lastMask = null;
+
+    this.emit('destroyed');
+  }
+}
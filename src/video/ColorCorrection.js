@@ -4,8 +4,102 @@
  */
 
 import { EventEmitter } from '../core/EventEmitter';
-import { clamp } from '../core/utils';
-import { SHADER_CONSTANTS, VIDEO_CONSTANTS } from '../core/constants';
+import { clamp, createCanvas } from '../core/utils';
+import { SHADER_CONSTANTS, VIDEO_CONSTANTS, EVENTS } from '../core/constants';
+import { createProgram } from './GLPipeline';
+
+// Width of the downsampled frame that white balance and exposure are measured on
+const STATS_SAMPLE_WIDTH = 64;
+
+// Frames between measurements
+const STATS_INTERVAL = 5;
+
+// Seconds for the white balance to cover about two thirds of the way to a new estimate
+const WHITE_BALANCE_TIME_CONSTANT = 1.5;
+
+// Auto exposure starts correcting when the expected output mean is this far from the target
+// and stops once it is within the smaller band, so small drifts do not cause flicker
+const EXPOSURE_ENTER_BAND = 0.08;
+const EXPOSURE_EXIT_BAND = 0.02;
+
+// Fastest auto exposure ramps, per second
+const EXPOSURE_BRIGHTNESS_RATE = 0.5;
+const EXPOSURE_GAMMA_RATE = 0.5;
+
+// Gamma range auto exposure may use to lift shadows the brightness could not
+const EXPOSURE_GAMMA_MIN = 0.7;
+const EXPOSURE_GAMMA_MAX = 2.2;
+
+// Brightness and gamma this close to their goal have reached it
+const EXPOSURE_GOAL_TOLERANCE = 0.01;
+
+/**
+ * Move a value toward a goal by at most maxStep
+ */
+function approach(value, goal, maxStep) {
+  return value + clamp(goal - value, -maxStep, maxStep);
+}
+
+/**
+ * Luminance level (0-1) below which a fraction of the histogram's samples fall
+ */
+function percentile(histogram, count, fraction) {
+  let seen = 0;
+  for (let level = 0; level < histogram.length; level++) {
+    seen += histogram[level];
+    if (seen >= count * fraction) return level / 255;
+  }
+  return 1;
+}
+
+/**
+ * Per-channel gains that neutralize the illuminant of RGBA pixels, or null if too few pixels qualify
+ * 'gray-world' assumes the scene averages to gray, 'white-patch' that its brightest pixels are white
+ */
+export function estimateWhiteBalance(pixels, method, step = 1) {
+  const stride = 4 * step;
+  let minimum = 10;
+
+  if (method === 'white-patch') {
+    // Brightest 5% of the unclipped pixels, ranked by their largest channel
+    const histogram = new Uint32Array(256);
+    let total = 0;
+    for (let i = 0; i < pixels.length; i += stride) {
+      const max = Math.max(pixels[i], pixels[i + 1], pixels[i + 2]);
+      if (max < 250) {
+        histogram[max]++;
+        total++;
+      }
+    }
+
+    let above = 0;
+    minimum = 250;
+    while (minimum > 10 && above < total * 0.05) {
+      minimum--;
+      above += histogram[minimum];
+    }
+  }
+
+  // Near-black and clipped pixels carry no color information
+  let r = 0;
+  let g = 0;
+  let b = 0;
+  let count = 0;
+  for (let i = 0; i < pixels.length; i += stride) {
+    const max = Math.max(pixels[i], pixels[i + 1], pixels[i + 2]);
+    if (max >= minimum && max < 250) {
+      r += pixels[i];
+      g += pixels[i + 1];
+      b += pixels[i + 2];
+      count++;
+    }
+  }
+
+  if (count === 0) return null;
+
+  const gray = (r + g + b) / 3;
+  return [r, g, b].map(sum => clamp(gray / Math.max(sum, 1), 0.5, 2));
+}
 
 export class ColorCorrection extends EventEmitter {
   constructor(gl, config) {
@@ -17,15 +111,33 @@ export class ColorCorrection extends EventEmitter {
       contrast: 1.0,
       saturation: 1.0,
       gamma: 1.0,
+      temperature: 0, // -1 cool to 1 warm
+      tint: 0, // -1 green to 1 magenta
+      autoWhiteBalance: false, // false, 'gray-world' or 'white-patch' (true means 'gray-world')
+      autoExposure: false, // drive brightness and gamma from the frame's luminance
+      exposureTarget: 0.45, // mean output luminance auto exposure aims for, 0-1
       ...config
     };
     
     // WebGL resources
     this.program = null;
-    this.texture = null;
-    this.framebuffer = null;
-    this.vertexBuffer = null;
-    this.texCoordBuffer = null;
+    this.statsPixels = null;
+    
+    // Automatic white balance: gains move smoothly toward the latest estimate
+    this.channelGains = [1, 1, 1];
+    this.targetGains = [1, 1, 1];
+    this.frameIndex = 0;
+    this.lastStepTime = 0;
+    
+    // Auto exposure: latest measurement and the brightness/gamma being ramped toward
+    this.exposure = {
+      adjusting: false,
+      mean: 0,
+      low: 0,
+      high: 0,
+      brightness: this.config.brightness,
+      gamma: this.config.gamma
+    };
     
     // State
     this.isInitialized = false;
@@ -37,16 +149,9 @@ export class ColorCorrection extends EventEmitter {
   async initialize() {
     try {
       // Create shader program
-      this.program = this.createShaderProgram();
-      
-      // Create texture
-      this.texture = this.gl.createTexture();
-      
-      // Create framebuffer
-      this.framebuffer = this.gl.createFramebuffer();
-      
-      // Create vertex buffers
-      this.createBuffers();
+      if (this.gl) {
+        this.program = createProgram(this.gl, SHADER_CONSTANTS.FRAGMENT_SHADER_COLOR_CORRECTION);
+      }
       
       this.isInitialized = true;
       this.emit('initialized');
@@ -57,113 +162,217 @@ export class ColorCorrection extends EventEmitter {
   }
 
   /**
-   * Create shader program
+   * Render the color correction pass on the GPU pipeline
    */
-  createShaderProgram() {
-    const vertexShader = this.createShader(this.gl.VERTEX_SHADER, SHADER_CONSTANTS.VERTEX_SHADER);
-    const fragmentShader = this.createShader(this.gl.FRAGMENT_SHADER, SHADER_CONSTANTS.FRAGMENT_SHADER_COLOR_CORRECTION);
-    
-    const program = this.gl.createProgram();
-    this.gl.attachShader(program, vertexShader);
-    this.gl.attachShader(program, fragmentShader);
-    this.gl.linkProgram(program);
-    
-    if (!this.gl.getProgramParameter(program, this.gl.LINK_STATUS)) {
-      throw new Error('Failed to link shader program: ' + this.gl.getProgramInfoLog(program));
+  render(pipeline, input, output) {
+    if (this.getWhiteBalanceMethod() || this.config.autoExposure) {
+      if (this.frameIndex++ % STATS_INTERVAL === 0) {
+        this.analyze(this.readStats(pipeline, input), 1);
+      }
+      this.stepAutomatic();
     }
-    
-    return program;
+
+    pipeline.draw(this.program, output, {
+      textures: { u_texture: input },
+      uniforms: {
+        u_brightness: this.config.brightness,
+        u_contrast: this.config.contrast,
+        u_saturation: this.config.saturation,
+        u_gamma: this.config.gamma,
+        u_temperature: this.config.temperature,
+        u_tint: this.config.tint,
+        u_channelGains: this.channelGains
+      }
+    });
   }
 
   /**
-   * Create shader
+   * Read back a small copy of the uncorrected frame for measurement
    */
-  createShader(type, source) {
-    const shader = this.gl.createShader(type);
-    this.gl.shaderSource(shader, source);
-    this.gl.compileShader(shader);
-    
-    if (!this.gl.getShaderParameter(shader, this.gl.COMPILE_STATUS)) {
-      throw new Error('Failed to compile shader: ' + this.gl.getShaderInfoLog(shader));
+  readStats(pipeline, input) {
+    const width = Math.min(STATS_SAMPLE_WIDTH, pipeline.width);
+    const height = Math.max(1, Math.round((width * pipeline.height) / pipeline.width));
+    const target = pipeline.getTarget('colorCorrection:stats', width, height);
+
+    pipeline.draw(pipeline.copyProgram, target, { textures: { u_texture: input } });
+
+    const size = target.width * target.height * 4;
+    if (!this.statsPixels || this.statsPixels.length !== size) {
+      this.statsPixels = new Uint8Array(size);
     }
-    
-    return shader;
+    return pipeline.readPixels(target, this.statsPixels);
   }
 
   /**
-   * Create vertex buffers
+   * Update the white balance estimate and exposure goal from RGBA pixels
    */
-  createBuffers() {
-    // Vertex positions (full-screen quad)
-    const vertices = new Float32Array([
-      -1, -1,
-       1, -1,
-      -1,  1,
-       1,  1
-    ]);
-    
-    this.vertexBuffer = this.gl.createBuffer();
-    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.vertexBuffer);
-    this.gl.bufferData(this.gl.ARRAY_BUFFER, vertices, this.gl.STATIC_DRAW);
-    
-    // Texture coordinates
-    const texCoords = new Float32Array([
-      0, 0,
-      1, 0,
-      0, 1,
-      1, 1
-    ]);
-    
-    this.texCoordBuffer = this.gl.createBuffer();
-    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.texCoordBuffer);
-    this.gl.bufferData(this.gl.ARRAY_BUFFER, texCoords, this.gl.STATIC_DRAW);
+  analyze(pixels, step) {
+    const method = this.getWhiteBalanceMethod();
+    if (method) {
+      const gains = estimateWhiteBalance(pixels, method, step);
+      if (gains) {
+        this.targetGains = gains;
+      }
+    }
+
+    if (this.config.autoExposure) {
+      this.measureExposure(pixels, step);
+    }
   }
 
   /**
-   * Process ImageData using WebGL
+   * Measure mean and percentile luminance and decide the brightness and gamma to ramp toward
    */
-  async process(imageData) {
-    if (!this.isInitialized) {
-      throw new Error('ColorCorrection not initialized');
+  measureExposure(pixels, step) {
+    const histogram = new Uint32Array(256);
+    let sum = 0;
+    let count = 0;
+    for (let i = 0; i < pixels.length; i += 4 * step) {
+      const level = Math.round(0.299 * pixels[i] + 0.587 * pixels[i + 1] + 0.114 * pixels[i + 2]);
+      histogram[level]++;
+      sum += level;
+      count++;
+    }
+    if (count === 0) return;
+
+    const exposure = this.exposure;
+    const target = this.config.exposureTarget;
+    exposure.mean = sum / count / 255;
+    exposure.low = percentile(histogram, count, 0.05);
+    exposure.high = percentile(histogram, count, 0.95);
+
+    // Brightness brings the mean to the target unless that would clip the highlights,
+    // gamma then lifts the midtones the rest of the way
+    const brightness = clamp(
+      Math.min(target / Math.max(exposure.mean, 0.01), 0.98 / Math.max(exposure.high, 0.01)),
+      VIDEO_CONSTANTS.BRIGHTNESS_MIN,
+      VIDEO_CONSTANTS.BRIGHTNESS_MAX
+    );
+    const lifted = clamp(exposure.mean * brightness, 0.01, 0.99);
+    const gamma = clamp(Math.log(lifted) / Math.log(target), EXPOSURE_GAMMA_MIN, EXPOSURE_GAMMA_MAX);
+
+    // Hysteresis on the output mean the current settings produce
+    const predicted = Math.pow(clamp(exposure.mean * this.config.brightness, 0, 1), 1 / this.config.gamma);
+    const error = Math.abs(predicted - target);
+    const wasAdjusting = exposure.adjusting;
+
+    // Settings at the goal are as close as the brightness and gamma limits allow,
+    // so a scene too dark or bright to reach the target settles there too
+    const atGoal = Math.abs(brightness - this.config.brightness) < EXPOSURE_GOAL_TOLERANCE &&
+      Math.abs(gamma - this.config.gamma) < EXPOSURE_GOAL_TOLERANCE;
+
+    if (!exposure.adjusting && error > EXPOSURE_ENTER_BAND && !atGoal) {
+      exposure.adjusting = true;
+    } else if (exposure.adjusting && (error < EXPOSURE_EXIT_BAND || atGoal)) {
+      exposure.adjusting = false;
     }
 
-    // Create texture from ImageData
-    this.gl.bindTexture(this.gl.TEXTURE_2D, this.texture);
-    this.gl.texImage2D(this.gl.TEXTURE_2D, 0, this.gl.RGBA, this.gl.RGBA, this.gl.UNSIGNED_BYTE, imageData);
-    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MIN_FILTER, this.gl.LINEAR);
-    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_MAG_FILTER, this.gl.LINEAR);
-    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_S, this.gl.CLAMP_TO_EDGE);
-    this.gl.texParameteri(this.gl.TEXTURE_2D, this.gl.TEXTURE_WRAP_T, this.gl.CLAMP_TO_EDGE);
+    if (exposure.adjusting) {
+      exposure.brightness = brightness;
+      exposure.gamma = gamma;
+    }
 
-    // Set up framebuffer
-    this.gl.bindFramebuffer(this.gl.FRAMEBUFFER, this.framebuffer);
-    this.gl.framebufferTexture2D(this.gl.FRAMEBUFFER, this.gl.COLOR_ATTACHMENT0, this.gl.TEXTURE_2D, this.texture, 0);
+    if (exposure.adjusting || wasAdjusting) {
+      this.emit(EVENTS.EXPOSURE_ADJUSTED, {
+        brightness: this.config.brightness,
+        gamma: this.config.gamma,
+        meanLuminance: exposure.mean,
+        lowLuminance: exposure.low,
+        highLuminance: exposure.high,
+        target,
+        settled: !exposure.adjusting
+      });
+    }
+  }
 
-    // Use shader program
-    this.gl.useProgram(this.program);
+  /**
+   * Ramp white balance and exposure toward their goals, independent of frame rate
+   */
+  stepAutomatic() {
+    const now = performance.now();
+    const elapsed = this.lastStepTime ? (now - this.lastStepTime) / 1000 : 0;
+    this.lastStepTime = now;
+
+    if (this.getWhiteBalanceMethod()) {
+      const rate = 1 - Math.exp(-elapsed / WHITE_BALANCE_TIME_CONSTANT);
+      this.channelGains = this.channelGains.map((gain, c) => gain + rate * (this.targetGains[c] - gain));
+    }
 
-    // Set uniforms
-    this.setUniforms();
+    if (this.config.autoExposure && this.exposure.adjusting) {
+      this.config.brightness = approach(this.config.brightness, this.exposure.brightness, EXPOSURE_BRIGHTNESS_RATE * elapsed);
+      this.config.gamma = approach(this.config.gamma, this.exposure.gamma, EXPOSURE_GAMMA_RATE * elapsed);
+    }
+  }
 
-    // Set up attributes
-    this.setupAttributes();
+  /**
+   * Estimation method for automatic white balance, or null when it is off
+   */
+  getWhiteBalanceMethod() {
+    const mode = this.config.autoWhiteBalance;
+    return mode === true ? 'gray-world' : mode || null;
+  }
 
-    // Draw
-    this.gl.drawArrays(this.gl.TRIANGLE_STRIP, 0, 4);
+  /**
+   * Apply white balance gains and temperature/tint to RGBA pixels on the CPU path
+   */
+  applyWhiteBalance(data) {
+    const { temperature, tint } = this.config;
+    const gains = [
+      this.channelGains[0] * (1 + 0.3 * temperature),
+      this.channelGains[1] * (1 - 0.3 * tint),
+      this.channelGains[2] * (1 - 0.3 * temperature)
+    ];
+
+    if (gains.every(gain => gain === 1)) return;
+
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = clamp(data[i] * gains[0], 0, 255);
+      data[i + 1] = clamp(data[i + 1] * gains[1], 0, 255);
+      data[i + 2] = clamp(data[i + 2] * gains[2], 0, 255);
+    }
+  }
 
-    // Read back pixels
-    const pixels = new Uint8ClampedArray(imageData.data.length);
-    this.gl.readPixels(0, 0, imageData.width, imageData.height, this.gl.RGBA, this.gl.UNSIGNED_BYTE, pixels);
+  /**
+   * Apply gamma to RGBA pixels on the CPU path, last as in the shader
+   */
+  applyGamma(data) {
+    const gamma = this.config.gamma;
+    if (gamma === 1) return;
 
-    // Create new ImageData
-    return new ImageData(pixels, imageData.width, imageData.height);
+    const table = new Uint8ClampedArray(256);
+    for (let level = 0; level < 256; level++) {
+      table[level] = Math.round(255 * Math.pow(level / 255, 1 / gamma));
+    }
+
+    for (let i = 0; i < data.length; i += 4) {
+      data[i] = table[data[i]];
+      data[i + 1] = table[data[i + 1]];
+      data[i + 2] = table[data[i + 2]];
+    }
+  }
+
+  /**
+   * Process ImageData on the CPU path
+   */
+  async process(imageData) {
+    if (!this.isInitialized) {
+      throw new Error('ColorCorrection not initialized');
+    }
+
+    return this.processCanvas(imageData);
   }
 
   /**
    * Process ImageData using canvas (fallback)
    */
   processCanvas(imageData) {
-    const canvas = document.createElement('canvas');
+    if (this.getWhiteBalanceMethod() || this.config.autoExposure) {
+      this.analyze(imageData.data, 16);
+      this.stepAutomatic();
+    }
+    this.applyWhiteBalance(imageData.data);
+
+    const canvas = createCanvas();
     canvas.width = imageData.width;
     canvas.height = imageData.height;
     const ctx = canvas.getContext('2d');
@@ -177,40 +386,10 @@ export class ColorCorrection extends EventEmitter {
     // Draw with filter
     ctx.drawImage(canvas, 0, 0);
     
-    // Get processed data
-    return ctx.getImageData(0, 0, canvas.width, canvas.height);
-  }
-
-  /**
-   * Set shader uniforms
-   */
-  setUniforms() {
-    const brightnessLocation = this.gl.getUniformLocation(this.program, 'u_brightness');
-    const contrastLocation = this.gl.getUniformLocation(this.program, 'u_contrast');
-    const saturationLocation = this.gl.getUniformLocation(this.program, 'u_saturation');
-    const gammaLocation = this.gl.getUniformLocation(this.program, 'u_gamma');
-
-    this.gl.uniform1f(brightnessLocation, this.config.brightness);
-    this.gl.uniform1f(contrastLocation, this.config.contrast);
-    this.gl.uniform1f(saturationLocation, this.config.saturation);
-    this.gl.uniform1f(gammaLocation, this.config.gamma);
-  }
-
-  /**
-   * Set up vertex attributes
-   */
-  setupAttributes() {
-    // Position attribute
-    const positionLocation = this.gl.getAttribLocation(this.program, 'a_position');
-    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.vertexBuffer);
-    this.gl.enableVertexAttribArray(positionLocation);
-    this.gl.vertexAttribPointer(positionLocation, 2, this.gl.FLOAT, false, 0, 0);
-
-    // Texture coordinate attribute
-    const texCoordLocation = this.gl.getAttribLocation(this.program, 'a_texCoord');
-    this.gl.bindBuffer(this.gl.ARRAY_BUFFER, this.texCoordBuffer);
-    this.gl.enableVertexAttribArray(texCoordLocation);
-    this.gl.vertexAttribPointer(texCoordLocation, 2, this.gl.FLOAT, false, 0, 0);
+    // Get processed data; canvas filters have no gamma
+    const result = ctx.getImageData(0, 0, canvas.width, canvas.height);
+    this.applyGamma(result.data);
+    return result;
   }
 
   /**
@@ -245,11 +424,44 @@ export class ColorCorrection extends EventEmitter {
     this.emit('gamma:changed', { gamma: this.config.gamma });
   }
 
+  /**
+   * Set color temperature, -1 (cool) to 1 (warm)
+   */
+  setTemperature(temperature) {
+    this.config.temperature = clamp(temperature, -1, 1);
+    this.emit('temperature:changed', { temperature: this.config.temperature });
+  }
+
+  /**
+   * Set tint, -1 (green) to 1 (magenta)
+   */
+  setTint(tint) {
+    this.config.tint = clamp(tint, -1, 1);
+    this.emit('tint:changed', { tint: this.config.tint });
+  }
+
   /**
    * Update configuration
    */
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
+
+    // Turning automatic white balance off drops its correction
+    if ('autoWhiteBalance' in newConfig && !this.getWhiteBalanceMethod()) {
+      this.channelGains = [1, 1, 1];
+      this.targetGains = [1, 1, 1];
+    }
+
+    // Turning auto exposure off keeps the brightness and gamma it reached
+    if ('autoExposure' in newConfig && !this.config.autoExposure) {
+      this.exposure.adjusting = false;
+    }
+
+    // Ramps restart from the next frame when either is turned back on
+    if (!this.getWhiteBalanceMethod() && !this.config.autoExposure) {
+      this.lastStepTime = 0;
+    }
+
     this.emit('config:updated', { config: this.config });
   }
 
@@ -261,7 +473,15 @@ export class ColorCorrection extends EventEmitter {
       brightness: this.config.brightness,
       contrast: this.config.contrast,
       saturation: this.config.saturation,
-      gamma: this.config.gamma
+      gamma: this.config.gamma,
+      temperature: this.config.temperature,
+      tint: this.config.tint,
+      autoWhiteBalance: this.getWhiteBalanceMethod() || false,
+      whiteBalanceGains: [...this.channelGains],
+      autoExposure: this.config.autoExposure,
+      exposureTarget: this.config.exposureTarget,
+      meanLuminance: this.exposure.mean,
+      exposureAdjusting: this.exposure.adjusting
     };
   }
 
@@ -272,30 +492,10 @@ export class ColorCorrection extends EventEmitter {
     this.isInitialized = false;
 
     if (this.program) {
-      this.gl.deleteProgram(this.program);
+      this.gl.deleteProgram(this.program.program);
       this.program = null;
     }
 
-    if (this.texture) {
-      this.gl.deleteTexture(this.texture);
-      this.texture = null;
-    }
-
-    if (this.framebuffer) {
-      this.gl.deleteFramebuffer(this.framebuffer);
-      this.framebuffer = null;
-    }
-
-    if (this.vertexBuffer) {
-      this.gl.deleteBuffer(this.vertexBuffer);
-      this.vertexBuffer = null;
-    }
-
-    if (this.texCoordBuffer) {
-      this.gl.deleteBuffer(this.texCoordBuffer);
-      this.texCoordBuffer = null;
-    }
-
     this.emit('destroyed');
   }
 } 
\ No newline at end of file
@@ -0,0 +1,212 @@
+/**
+ * ColorLUT class
+ * Grades the picture through a 1D or 3D lookup table loaded from an Adobe .cube file
+ */
+
+import { EventEmitter } from '../core/EventEmitter';
+import { clamp } from '../core/utils';
+import { SHADER_CONSTANTS } from '../core/constants';
+import { createProgram } from './GLPipeline';
+import { parseCubeLUT, applyCubeLUT } from './CubeLUT';
+
+export class ColorLUT extends EventEmitter {
+  constructor(gl, config) {
+    super();
+
+    this.gl = gl;
+    this.config = {
+      source: null, // URL of a .cube file, its text, or a LUT from parseCubeLUT()
+      strength: 1.0, // blend between the original (0) and the graded picture (1)
+      ...config
+    };
+
+    // Current LUT; a newer load supersedes one still in flight
+    this.lut = null;
+    this.loadId = 0;
+
+    // GPU pipeline resources
+    this.programs = null;
+    this.texture = null;
+    this.textureDirty = false;
+
+    this.isInitialized = false;
+  }
+
+  async initialize() {
+    if (this.gl) {
+      this.programs = {
+        '1D': createProgram(this.gl, SHADER_CONSTANTS.FRAGMENT_SHADER_LUT_1D),
+        '3D': createProgram(this.gl, SHADER_CONSTANTS.FRAGMENT_SHADER_LUT_3D)
+      };
+    }
+
+    await this.setLUT(this.config.source);
+
+    this.isInitialized = true;
+    this.emit('initialized');
+  }
+
+  /**
+   * Swap the LUT at runtime; the previous one stays in use if the new one fails to load
+   */
+  async setLUT(source) {
+    const loadId = ++this.loadId;
+
+    try {
+      const lut = await this.loadLUT(source);
+      if (loadId !== this.loadId) return;
+
+      this.config.source = source;
+      this.lut = lut;
+      this.textureDirty = true;
+      this.emit('lut:changed', lut ? { title: lut.title, type: lut.type, size: lut.size } : null);
+    } catch (error) {
+      this.emit('error', new Error(`Failed to load LUT: ${error.message}`));
+    }
+  }
+
+  /**
+   * Resolve a LUT source to a parsed LUT
+   */
+  async loadLUT(source) {
+    if (!source) {
+      return null;
+    }
+
+    if (typeof source === 'object') {
+      if (!source.data || !source.size || !['1D', '3D'].includes(source.type)) {
+        throw new Error('LUT objects must come from parseCubeLUT()');
+      }
+      return source;
+    }
+
+    // Text of a .cube file rather than a URL
+    if (/\bLUT_(1D|3D)_SIZE\b/.test(source)) {
+      return parseCubeLUT(source);
+    }
+
+    const response = await fetch(source);
+    if (!response.ok) {
+      throw new Error(`${source} returned HTTP ${response.status}`);
+    }
+    return parseCubeLUT(await response.text());
+  }
+
+  /**
+   * Render the LUT pass on the GPU pipeline
+   */
+  render(pipeline, input, output) {
+    if (!this.lut || this.config.strength <= 0) {
+      pipeline.draw(pipeline.copyProgram, output, { textures: { u_texture: input } });
+      return;
+    }
+
+    if (this.textureDirty) {
+      this.uploadLUT(pipeline);
+    }
+
+    const { type, size, domainMin, domainMax } = this.lut;
+    pipeline.draw(this.programs[type], output, {
+      textures: { u_texture: input, u_lut: this.texture },
+      uniforms: {
+        u_size: size,
+        u_strength: clamp(this.config.strength, 0, 1),
+        u_domainMin: domainMin,
+        u_domainMax: domainMax
+      }
+    });
+  }
+
+  /**
+   * Upload the LUT as 8-bit RGBA: a single row for 1D, blue slices side by side for 3D
+   */
+  uploadLUT(pipeline) {
+    const { type, size, data } = this.lut;
+    const width = type === '1D' ? size : size * size;
+    const height = type === '1D' ? 1 : size;
+    const bytes = new Uint8Array(width * height * 4);
+    const toByte = (value) => Math.round(clamp(value, 0, 1) * 255);
+
+    for (let i = 0; i < data.length / 3; i++) {
+      // Entries run red fastest, then green, then blue
+      const r = i % size;
+      const g = Math.floor(i / size) % size;
+      const b = Math.floor(i / (size * size));
+      const offset = type === '1D' ? i * 4 : (g * width + b * size + r) * 4;
+
+      bytes[offset] = toByte(data[i * 3]);
+      bytes[offset + 1] = toByte(data[i * 3 + 1]);
+      bytes[offset + 2] = toByte(data[i * 3 + 2]);
+      bytes[offset + 3] = 255;
+    }
+
+    if (!this.texture) {
+      this.texture = pipeline.createTexture();
+    }
+    pipeline.uploadPixels(this.texture, bytes, width, height, this.gl.RGBA);
+    this.textureDirty = false;
+  }
+
+  async process(imageData) {
+    return this.processCanvas(imageData);
+  }
+
+  processCanvas(imageData) {
+    if (!this.lut || this.config.strength <= 0) {
+      return imageData;
+    }
+
+    const data = imageData.data;
+    const strength = clamp(this.config.strength, 0, 1);
+    const graded = [0, 0, 0];
+
+    for (let i = 0; i < data.length; i += 4) {
+      applyCubeLUT(this.lut, data[i] / 255, data[i + 1] / 255, data[i + 2] / 255, graded);
+      for (let c = 0; c < 3; c++) {
+        const value = data[i + c] + (graded[c] * 255 - data[i + c]) * strength;
+        data[i + c] = clamp(Math.round(value), 0, 255);
+      }
+    }
+
+    return imageData;
+  }
+
+  async updateConfig(newConfig) {
+    const { source, ...rest } = newConfig;
+    this.config = { ...this.config, ...rest };
+
+    if ('source' in newConfig) {
+      await this.setLUT(source);
+    }
+
+    this.emit('config:updated', { config: this.config });
+  }
+
+  getStats() {
+    return {
+      strength: this.config.strength,
+      title: this.lut ? this.lut.title : null,
+      type: this.lut ? this.lut.type : null,
+      size: this.lut ? this.lut.size : 0
+    };
+  }
+
+  async destroy() {
+    this.isInitialized = false;
+    this.loadId++;
+
+    if (this.gl) {
+      if (this.programs) {
+        Object.values(this.programs).forEach(info => this.gl.deleteProgram(info.program));
+      }
+      if (this.texture) {
+        this.gl.deleteTexture(this.texture);
+      }
+    }
+    this.programs = null;
+    this.texture = null;
+    this.lut = null;
+
+    this.emit('destroyed');
+  }
+}
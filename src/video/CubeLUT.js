@@ -0,0 +1,153 @@
+/**
+ * Adobe .cube LUT parsing and CPU lookup
+ */
+
+// Largest grid accepted for each LUT type; a 3D LUT is packed into a (size * size) x size texture
+export const MAX_LUT_3D_SIZE = 64;
+export const MAX_LUT_1D_SIZE = 4096;
+
+/**
+ * Parse the text of a .cube file
+ * Returns { title, type: '1D' | '3D', size, domainMin, domainMax, data } where data holds
+ * RGB triples with red changing fastest, as in the file
+ */
+export function parseCubeLUT(text) {
+  let title = null;
+  let type = null;
+  let size = 0;
+  let domainMin = [0, 0, 0];
+  let domainMax = [1, 1, 1];
+  let data = null;
+  let count = 0;
+
+  const fail = (lineNumber, message) => {
+    throw new Error(`Invalid .cube file: line ${lineNumber}: ${message}`);
+  };
+
+  const parseTriple = (parts, lineNumber) => {
+    const values = parts.map(Number);
+    if (values.length !== 3 || values.some(value => !Number.isFinite(value))) {
+      fail(lineNumber, 'expected three numbers');
+    }
+    return values;
+  };
+
+  String(text).split(/\r?\n/).forEach((raw, index) => {
+    const lineNumber = index + 1;
+    const line = raw.replace(/#.*/, '').trim();
+    if (!line) return;
+
+    const parts = line.split(/\s+/);
+    const keyword = parts[0];
+
+    if (/^[-+.\d]/.test(keyword)) {
+      if (!data) {
+        fail(lineNumber, 'table data before LUT_1D_SIZE or LUT_3D_SIZE');
+      }
+      if (count * 3 >= data.length) {
+        fail(lineNumber, `more than ${data.length / 3} table entries`);
+      }
+      data.set(parseTriple(parts, lineNumber), count * 3);
+      count++;
+      return;
+    }
+
+    switch (keyword) {
+      case 'TITLE':
+        title = line.slice(5).trim().replace(/^"(.*)"$/, '$1');
+        break;
+      case 'LUT_1D_SIZE':
+      case 'LUT_3D_SIZE': {
+        if (data) {
+          fail(lineNumber, 'more than one LUT size');
+        }
+        type = keyword === 'LUT_1D_SIZE' ? '1D' : '3D';
+        size = Number(parts[1]);
+        const maxSize = type === '1D' ? MAX_LUT_1D_SIZE : MAX_LUT_3D_SIZE;
+        if (!Number.isInteger(size) || size < 2 || size > maxSize) {
+          fail(lineNumber, `${keyword} must be an integer from 2 to ${maxSize}`);
+        }
+        data = new Float32Array((type === '1D' ? size : size * size * size) * 3);
+        break;
+      }
+      case 'DOMAIN_MIN':
+        domainMin = parseTriple(parts.slice(1), lineNumber);
+        break;
+      case 'DOMAIN_MAX':
+        domainMax = parseTriple(parts.slice(1), lineNumber);
+        break;
+      case 'LUT_1D_INPUT_RANGE':
+      case 'LUT_3D_INPUT_RANGE': {
+        // Resolve's form of the domain, one range for all channels
+        const [min, max] = parts.slice(1).map(Number);
+        if (!Number.isFinite(min) || !Number.isFinite(max)) {
+          fail(lineNumber, `${keyword} expects two numbers`);
+        }
+        domainMin = [min, min, min];
+        domainMax = [max, max, max];
+        break;
+      }
+      default:
+        // Unknown keywords are vendor extensions and can be skipped
+        break;
+    }
+  });
+
+  if (!data) {
+    throw new Error('Invalid .cube file: missing LUT_1D_SIZE or LUT_3D_SIZE');
+  }
+  if (count * 3 !== data.length) {
+    throw new Error(`Invalid .cube file: expected ${data.length / 3} table entries, found ${count}`);
+  }
+  if (domainMin.some((min, c) => min >= domainMax[c])) {
+    throw new Error('Invalid .cube file: DOMAIN_MIN must be below DOMAIN_MAX');
+  }
+
+  return { title, type, size, domainMin, domainMax, data };
+}
+
+/**
+ * Look up one RGB color (0-1) in a parsed LUT, interpolating linearly (1D) or trilinearly (3D)
+ */
+export function applyCubeLUT(lut, r, g, b, out = [0, 0, 0]) {
+  const { size, data, domainMin, domainMax } = lut;
+  const last = size - 1;
+  const position = [r, g, b].map((value, c) => {
+    const normalized = (value - domainMin[c]) / (domainMax[c] - domainMin[c]);
+    return Math.min(Math.max(normalized, 0), 1) * last;
+  });
+
+  if (lut.type === '1D') {
+    for (let c = 0; c < 3; c++) {
+      const index = Math.floor(position[c]);
+      const next = Math.min(index + 1, last);
+      const fraction = position[c] - index;
+      out[c] = data[index * 3 + c] * (1 - fraction) + data[next * 3 + c] * fraction;
+    }
+    return out;
+  }
+
+  const [pr, pg, pb] = position;
+  const r0 = Math.floor(pr);
+  const g0 = Math.floor(pg);
+  const b0 = Math.floor(pb);
+  const r1 = Math.min(r0 + 1, last);
+  const g1 = Math.min(g0 + 1, last);
+  const b1 = Math.min(b0 + 1, last);
+  const fr = pr - r0;
+  const fg = pg - g0;
+  const fb = pb - b0;
+
+  const at = (ri, gi, bi, c) => data[(ri + gi * size + bi * size * size) * 3 + c];
+
+  for (let c = 0; c < 3; c++) {
+    const c00 = at(r0, g0, b0, c) * (1 - fr) + at(r1, g0, b0, c) * fr;
+    const c10 = at(r0, g1, b0, c) * (1 - fr) + at(r1, g1, b0, c) * fr;
+    const c01 = at(r0, g0, b1, c) * (1 - fr) + at(r1, g0, b1, c) * fr;
+    const c11 = at(r0, g1, b1, c) * (1 - fr) + at(r1, g1, b1, c) * fr;
+    const near = c00 * (1 - fg) + c10 * fg;
+    const far = c01 * (1 - fg) + c11 * fg;
+    out[c] = near * (1 - fb) + far * fb;
+  }
+  return out;
+}
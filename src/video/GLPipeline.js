@@ -0,0 +1,416 @@
+/**
+ * GLPipeline class
+ * Uploads each frame to the GPU once and runs the effects as shader passes on ping-pong framebuffers
+ */
+
+import { SHADER_CONSTANTS } from '../core/constants';
+
+/**
+ * Compile a fragment shader against the shared full-screen quad vertex shader
+ */
+export function createProgram(gl, fragmentSource) {
+  const compile = (type, source) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      const log = gl.getShaderInfoLog(shader);
+      gl.deleteShader(shader);
+      throw new Error('Failed to compile shader: ' + log);
+    }
+    return shader;
+  };
+
+  const vertexShader = compile(gl.VERTEX_SHADER, SHADER_CONSTANTS.VERTEX_SHADER);
+  const fragmentShader = compile(gl.FRAGMENT_SHADER, fragmentSource);
+
+  const program = gl.createProgram();
+  gl.attachShader(program, vertexShader);
+  gl.attachShader(program, fragmentShader);
+  gl.linkProgram(program);
+
+  // The program keeps what it needs once linked
+  gl.deleteShader(vertexShader);
+  gl.deleteShader(fragmentShader);
+
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error('Failed to link shader program: ' + gl.getProgramInfoLog(program));
+  }
+
+  return { program, uniforms: new Map() };
+}
+
+export class GLPipeline {
+  constructor(gl) {
+    this.gl = gl;
+    this.canvas = gl.canvas;
+    this.isWebGL2 = typeof WebGL2RenderingContext !== 'undefined' && gl instanceof WebGL2RenderingContext;
+
+    // Shared resources
+    this.vertexBuffer = null;
+    this.texCoordBuffer = null;
+    this.sourceTexture = null;
+    this.copyProgram = null;
+
+    // Ping-pong targets for the effect chain, plus named scratch targets for multi-pass effects
+    this.pingPong = [];
+    this.scratchTargets = new Map();
+    this.width = 0;
+    this.height = 0;
+
+    // Mask upload buffer, grown as needed
+    this.maskBuffer = null;
+
+    // Per-pass timing, GPU timer queries where supported and CPU submit time otherwise
+    this.timerExtension = null;
+    this.pendingQueries = [];
+    this.timings = {};
+    this.cpuStart = 0;
+
+    this.isInitialized = false;
+  }
+
+  /**
+   * Create shared GPU resources
+   */
+  initialize() {
+    const gl = this.gl;
+
+    this.vertexBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.vertexBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([-1, -1, 1, -1, -1, 1, 1, 1]), gl.STATIC_DRAW);
+
+    this.texCoordBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.texCoordBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+
+    this.sourceTexture = this.createTexture();
+    this.copyProgram = createProgram(gl, SHADER_CONSTANTS.FRAGMENT_SHADER_BASE);
+
+    if (this.isWebGL2) {
+      this.timerExtension = gl.getExtension('EXT_disjoint_timer_query_webgl2');
+    }
+
+    this.isInitialized = true;
+  }
+
+  /**
+   * Create a texture with linear filtering and clamped edges
+   */
+  createTexture() {
+    const gl = this.gl;
+    const texture = gl.createTexture();
+
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+
+    return texture;
+  }
+
+  /**
+   * Create or resize a framebuffer-backed render target
+   */
+  createTarget(width, height, target = null) {
+    const gl = this.gl;
+
+    if (!target) {
+      target = {
+        texture: this.createTexture(),
+        framebuffer: gl.createFramebuffer(),
+        width: 0,
+        height: 0
+      };
+    }
+
+    if (target.width !== width || target.height !== height) {
+      gl.bindTexture(gl.TEXTURE_2D, target.texture);
+      gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, width, height, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+      gl.framebufferTexture2D(gl.FRAMEBUFFER, gl.COLOR_ATTACHMENT0, gl.TEXTURE_2D, target.texture, 0);
+      gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+      target.width = width;
+      target.height = height;
+    }
+
+    return target;
+  }
+
+  /**
+   * Scratch target owned by one effect, e.g. the intermediate of a separable blur
+   */
+  getTarget(key, width = this.width, height = this.height) {
+    const target = this.createTarget(Math.max(1, Math.round(width)), Math.max(1, Math.round(height)), this.scratchTargets.get(key));
+    this.scratchTargets.set(key, target);
+    return target;
+  }
+
+  /**
+   * Match the output canvas and ping-pong targets to the frame size
+   */
+  resize(width, height) {
+    if (this.width === width && this.height === height) return;
+
+    this.width = width;
+    this.height = height;
+    this.canvas.width = width;
+    this.canvas.height = height;
+
+    this.pingPong = [0, 1].map(i => this.createTarget(width, height, this.pingPong[i]));
+  }
+
+  /**
+   * Upload a VideoFrame, video element, image or canvas into a texture
+   * Rows are flipped so texture coordinates match the output canvas
+   */
+  uploadTexture(texture, source) {
+    const gl = this.gl;
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, true);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, gl.RGBA, gl.UNSIGNED_BYTE, source);
+  }
+
+  /**
+   * Upload a segmentation mask (1 for person, 0 for background) as a single channel texture
+   */
+  uploadMask(texture, mask) {
+    const size = mask.width * mask.height;
+
+    if (!this.maskBuffer || this.maskBuffer.length < size) {
+      this.maskBuffer = new Uint8Array(size);
+    }
+
+    // Flip rows here as UNPACK_FLIP_Y does not apply to every upload path
+    for (let y = 0; y < mask.height; y++) {
+      const source = (mask.height - 1 - y) * mask.width;
+      const target = y * mask.width;
+      for (let x = 0; x < mask.width; x++) {
+        this.maskBuffer[target + x] = mask.data[source + x] ? 255 : 0;
+      }
+    }
+
+    this.uploadPixels(texture, this.maskBuffer.subarray(0, size), mask.width, mask.height);
+  }
+
+  /**
+   * Upload raw bytes, one channel (LUMINANCE) unless another format is given
+   */
+  uploadPixels(texture, data, width, height, format = this.gl.LUMINANCE) {
+    const gl = this.gl;
+    gl.bindTexture(gl.TEXTURE_2D, texture);
+    gl.pixelStorei(gl.UNPACK_FLIP_Y_WEBGL, false);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.texImage2D(gl.TEXTURE_2D, 0, format, width, height, 0, format, gl.UNSIGNED_BYTE, data);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 4);
+  }
+
+  /**
+   * Read a render target back as RGBA bytes, rows from the bottom up
+   * Stalls until the GPU has finished, so keep targets small
+   */
+  readPixels(target, out = new Uint8Array(target.width * target.height * 4)) {
+    const gl = this.gl;
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target.framebuffer);
+    gl.readPixels(0, 0, target.width, target.height, gl.RGBA, gl.UNSIGNED_BYTE, out);
+    gl.bindFramebuffer(gl.FRAMEBUFFER, null);
+    return out;
+  }
+
+  /**
+   * Run one shader over the full quad into a target, or the output canvas when target is null
+   * Textures are bound in order to units 0..n; numbers and arrays become float uniforms
+   */
+  draw(programInfo, target, { textures = {}, uniforms = {} } = {}) {
+    const gl = this.gl;
+    const { program } = programInfo;
+
+    gl.bindFramebuffer(gl.FRAMEBUFFER, target ? target.framebuffer : null);
+    gl.viewport(0, 0, target ? target.width : this.width, target ? target.height : this.height);
+    gl.useProgram(program);
+
+    this.bindAttribute(program, 'a_position', this.vertexBuffer);
+    this.bindAttribute(program, 'a_texCoord', this.texCoordBuffer);
+
+    let unit = 0;
+    for (const [name, texture] of Object.entries(textures)) {
+      gl.activeTexture(gl.TEXTURE0 + unit);
+      gl.bindTexture(gl.TEXTURE_2D, texture);
+      gl.uniform1i(this.getUniform(programInfo, name), unit);
+      unit++;
+    }
+
+    for (const [name, value] of Object.entries(uniforms)) {
+      const location = this.getUniform(programInfo, name);
+      if (Array.isArray(value) || ArrayBuffer.isView(value)) {
+        gl[`uniform${value.length}fv`](location, value);
+      } else {
+        gl.uniform1f(location, Number(value));
+      }
+    }
+
+    gl.drawArrays(gl.TRIANGLE_STRIP, 0, 4);
+    gl.activeTexture(gl.TEXTURE0);
+  }
+
+  /**
+   * Look up a uniform location once per program
+   */
+  getUniform(programInfo, name) {
+    if (!programInfo.uniforms.has(name)) {
+      programInfo.uniforms.set(name, this.gl.getUniformLocation(programInfo.program, name));
+    }
+    return programInfo.uniforms.get(name);
+  }
+
+  /**
+   * Point a vertex attribute at one of the quad buffers
+   */
+  bindAttribute(program, name, buffer) {
+    const gl = this.gl;
+    const location = gl.getAttribLocation(program, name);
+    if (location < 0) return;
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, buffer);
+    gl.enableVertexAttribArray(location);
+    gl.vertexAttribPointer(location, 2, gl.FLOAT, false, 0, 0);
+  }
+
+  /**
+   * Upload a frame once and run the passes, the last one drawing to the output canvas
+   * Each pass is { name, module } where module.render(pipeline, inputTexture, outputTarget) draws it
+   */
+  render(source, width, height, passes) {
+    this.collectTimings();
+    this.resize(width, height);
+
+    this.beginTiming('upload');
+    this.uploadTexture(this.sourceTexture, source);
+    this.endTiming('upload');
+
+    if (passes.length === 0) {
+      this.beginTiming('copy');
+      this.draw(this.copyProgram, null, { textures: { u_texture: this.sourceTexture } });
+      this.endTiming('copy');
+      return;
+    }
+
+    let input = this.sourceTexture;
+    passes.forEach(({ name, module }, index) => {
+      const output = index === passes.length - 1 ? null : this.pingPong[index % 2];
+
+      this.beginTiming(name);
+      module.render(this, input, output);
+      this.endTiming(name);
+
+      if (output) input = output.texture;
+    });
+  }
+
+  /**
+   * Start timing a pass
+   */
+  beginTiming(name) {
+    const ext = this.timerExtension;
+    if (ext) {
+      const query = this.gl.createQuery();
+      this.gl.beginQuery(ext.TIME_ELAPSED_EXT, query);
+      this.pendingQueries.push({ name, query });
+    } else {
+      this.cpuStart = performance.now();
+    }
+  }
+
+  /**
+   * Finish timing a pass
+   */
+  endTiming(name) {
+    if (this.timerExtension) {
+      this.gl.endQuery(this.timerExtension.TIME_ELAPSED_EXT);
+    } else {
+      this.recordTiming(name, performance.now() - this.cpuStart);
+    }
+  }
+
+  /**
+   * Read GPU timer results that have become available, oldest first
+   */
+  collectTimings() {
+    const ext = this.timerExtension;
+    if (!ext) return;
+
+    const gl = this.gl;
+    const disjoint = gl.getParameter(ext.GPU_DISJOINT_EXT);
+
+    while (this.pendingQueries.length > 0) {
+      const { name, query } = this.pendingQueries[0];
+      if (!gl.getQueryParameter(query, gl.QUERY_RESULT_AVAILABLE)) break;
+
+      // A disjoint event invalidates results in flight, they are dropped
+      if (!disjoint) {
+        this.recordTiming(name, gl.getQueryParameter(query, gl.QUERY_RESULT) / 1e6);
+      }
+
+      gl.deleteQuery(query);
+      this.pendingQueries.shift();
+    }
+  }
+
+  /**
+   * Smooth a pass time in milliseconds
+   */
+  recordTiming(name, time) {
+    const previous = this.timings[name];
+    this.timings[name] = previous === undefined ? time : previous * 0.9 + time * 0.1;
+  }
+
+  /**
+   * Per-pass timing in milliseconds
+   */
+  getStats() {
+    const passes = Object.entries(this.timings).map(([name, time]) => ({ name, time }));
+
+    return {
+      timer: this.timerExtension ? 'gpu' : 'cpu',
+      passes,
+      totalTime: passes.reduce((sum, pass) => sum + pass.time, 0),
+      width: this.width,
+      height: this.height
+    };
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    const gl = this.gl;
+    this.isInitialized = false;
+
+    this.pendingQueries.forEach(({ query }) => gl.deleteQuery(query));
+    this.pendingQueries = [];
+
+    [...this.pingPong, ...this.scratchTargets.values()].forEach(target => {
+      gl.deleteFramebuffer(target.framebuffer);
+      gl.deleteTexture(target.texture);
+    });
+    this.pingPong = [];
+    this.scratchTargets.clear();
+
+    if (this.sourceTexture) {
+      gl.deleteTexture(this.sourceTexture);
+      this.sourceTexture = null;
+    }
+
+    if (this.copyProgram) {
+      gl.deleteProgram(this.copyProgram.program);
+      this.copyProgram = null;
+    }
+
+    [this.vertexBuffer, this.texCoordBuffer].forEach(buffer => buffer && gl.deleteBuffer(buffer));
+    this.vertexBuffer = null;
+    this.texCoordBuffer = null;
+    this.maskBuffer = null;
+  }
+}
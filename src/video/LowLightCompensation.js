@@ -5,6 +5,70 @@
 
 import { EventEmitter } from '../core/EventEmitter';
 import { clamp } from '../core/utils';
+import { SHADER_CONSTANTS } from '../core/constants';
+import { createProgram } from './GLPipeline';
+
+// Width of the downsampled frame read back for tile statistics in adaptive mode
+const STATS_WIDTH = 160;
+
+// Share of each new measurement in the tile curves, keeps adaptive mode from flickering
+const CURVE_SMOOTHING = 0.3;
+
+// Frames between tile curve updates on the GPU path, which stall on a readback;
+// frames in between are drawn with the last curves texture
+const CURVE_INTERVAL = 5;
+
+/**
+ * Contrast-limited equalization curve for each tile of an 8-bit luminance image (CLAHE)
+ * Fills tiles * tiles rows of 256 output levels (0-255), tiles in row order
+ */
+function computeTileCurves(luminance, width, height, tiles, clipLimit, curves) {
+  const histogram = new Float32Array(256);
+
+  for (let ty = 0; ty < tiles; ty++) {
+    const y0 = Math.floor((ty * height) / tiles);
+    const y1 = Math.floor(((ty + 1) * height) / tiles);
+
+    for (let tx = 0; tx < tiles; tx++) {
+      const x0 = Math.floor((tx * width) / tiles);
+      const x1 = Math.floor(((tx + 1) * width) / tiles);
+      const offset = (ty * tiles + tx) * 256;
+      const count = (x1 - x0) * (y1 - y0);
+
+      if (count === 0) {
+        for (let b = 0; b < 256; b++) curves[offset + b] = b;
+        continue;
+      }
+
+      histogram.fill(0);
+      for (let y = y0; y < y1; y++) {
+        for (let x = x0; x < x1; x++) {
+          histogram[luminance[y * width + x]]++;
+        }
+      }
+
+      // Clip at clipLimit times the mean bin height and spread the excess evenly,
+      // which limits how far a flat dark tile gets stretched
+      const limit = Math.max(1, (clipLimit * count) / 256);
+      let excess = 0;
+      for (let b = 0; b < 256; b++) {
+        if (histogram[b] > limit) {
+          excess += histogram[b] - limit;
+          histogram[b] = limit;
+        }
+      }
+
+      const share = excess / 256;
+      let cdf = 0;
+      for (let b = 0; b < 256; b++) {
+        cdf += histogram[b] + share;
+        curves[offset + b] = (cdf / count) * 255;
+      }
+    }
+  }
+
+  return curves;
+}
 
 export class LowLightCompensation extends EventEmitter {
   constructor(gl, config) {
@@ -15,22 +79,138 @@ export class LowLightCompensation extends EventEmitter {
       threshold: 0.3,
       boost: 1.5,
       preserveColors: true,
+      mode: 'global', // 'global' or 'adaptive' (per-tile equalization)
+      tiles: 8, // tiles per side in adaptive mode
+      clipLimit: 2.5, // histogram clip in adaptive mode, higher allows more local contrast
       ...config
     };
-    
+
+    this.program = null;
+    this.adaptiveProgram = null;
+
+    // Adaptive mode state
+    this.curves = null;
+    this.curveBytes = null;
+    this.curveTexture = null;
+    this.curveTiles = 0; // tiles per side of the uploaded curves texture
+    this.statsPixels = null;
+    this.statsLuminance = null;
+    this.frameIndex = 0;
+
     this.isInitialized = false;
   }
 
   async initialize() {
+    if (this.gl) {
+      this.program = createProgram(this.gl, SHADER_CONSTANTS.FRAGMENT_SHADER_LOW_LIGHT);
+      this.adaptiveProgram = createProgram(this.gl, SHADER_CONSTANTS.FRAGMENT_SHADER_LOW_LIGHT_ADAPTIVE);
+    }
+
     this.isInitialized = true;
     this.emit('initialized');
   }
 
+  /**
+   * Render the low light pass on the GPU pipeline
+   */
+  render(pipeline, input, output) {
+    const uniforms = {
+      u_threshold: this.config.threshold,
+      u_boost: this.config.boost,
+      u_preserveColors: this.config.preserveColors ? 1 : 0
+    };
+
+    if (this.config.mode !== 'adaptive') {
+      pipeline.draw(this.program, output, { textures: { u_texture: input }, uniforms });
+      return;
+    }
+
+    // Curves for another tile grid can't be drawn with, so a new grid updates at once
+    const tiles = this.getTileCount();
+    if (this.curveTiles !== tiles || this.frameIndex % CURVE_INTERVAL === 0) {
+      this.updateCurvesFromPipeline(pipeline, input, tiles);
+    }
+    this.frameIndex++;
+
+    pipeline.draw(this.adaptiveProgram, output, {
+      textures: { u_texture: input, u_curves: this.curveTexture },
+      uniforms: { ...uniforms, u_tiles: tiles }
+    });
+  }
+
+  /**
+   * Read back a downsampled frame and rebuild the tile curves texture from it
+   */
+  updateCurvesFromPipeline(pipeline, input, tiles) {
+    const width = Math.min(STATS_WIDTH, pipeline.width);
+    const height = Math.max(1, Math.round((width * pipeline.height) / pipeline.width));
+    const target = pipeline.getTarget('lowLightCompensation:stats', width, height);
+
+    pipeline.draw(pipeline.copyProgram, target, { textures: { u_texture: input } });
+
+    const size = target.width * target.height;
+    if (!this.statsPixels || this.statsPixels.length !== size * 4) {
+      this.statsPixels = new Uint8Array(size * 4);
+      this.statsLuminance = new Uint8Array(size);
+    }
+    pipeline.readPixels(target, this.statsPixels);
+
+    const pixels = this.statsPixels;
+    for (let i = 0; i < size; i++) {
+      this.statsLuminance[i] = Math.round(0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2]);
+    }
+
+    // Readback rows run bottom up, as do texture coordinates, so tiles line up in the shader
+    const curves = this.updateCurves(this.statsLuminance, target.width, target.height, tiles);
+
+    if (!this.curveBytes || this.curveBytes.length !== curves.length) {
+      this.curveBytes = new Uint8Array(curves.length);
+    }
+    for (let i = 0; i < curves.length; i++) {
+      this.curveBytes[i] = Math.round(curves[i]);
+    }
+
+    if (!this.curveTexture) {
+      this.curveTexture = pipeline.createTexture();
+    }
+    pipeline.uploadPixels(this.curveTexture, this.curveBytes, 256, tiles * tiles);
+    this.curveTiles = tiles;
+  }
+
+  /**
+   * Blend this frame's tile curves into the running ones
+   */
+  updateCurves(luminance, width, height, tiles) {
+    const size = tiles * tiles * 256;
+    const fresh = computeTileCurves(luminance, width, height, tiles, this.config.clipLimit, new Float32Array(size));
+
+    if (!this.curves || this.curves.length !== size) {
+      this.curves = fresh;
+      return this.curves;
+    }
+
+    for (let i = 0; i < size; i++) {
+      this.curves[i] += CURVE_SMOOTHING * (fresh[i] - this.curves[i]);
+    }
+    return this.curves;
+  }
+
+  /**
+   * Tiles per side, as an integer
+   */
+  getTileCount() {
+    return clamp(Math.round(this.config.tiles), 2, 16);
+  }
+
   async process(imageData) {
     return this.processCanvas(imageData);
   }
 
   processCanvas(imageData) {
+    if (this.config.mode === 'adaptive') {
+      return this.processAdaptive(imageData);
+    }
+
     const data = imageData.data;
     const threshold = this.config.threshold * 255;
     const boost = this.config.boost;
@@ -63,8 +243,79 @@ export class LowLightCompensation extends EventEmitter {
     return imageData;
   }
 
+  /**
+   * Adaptive mode on the CPU: dark pixels are raised toward their locally equalized level,
+   * at most by boost and fading out at the threshold so highlights are left alone
+   */
+  processAdaptive(imageData) {
+    const { data, width, height } = imageData;
+    const threshold = this.config.threshold * 255;
+    const boost = this.config.boost;
+    const tiles = this.getTileCount();
+
+    const luminance = new Uint8Array(width * height);
+    for (let i = 0; i < luminance.length; i++) {
+      luminance[i] = Math.round(0.299 * data[i * 4] + 0.587 * data[i * 4 + 1] + 0.114 * data[i * 4 + 2]);
+    }
+
+    const curves = this.updateCurves(luminance, width, height, tiles);
+    const curveAt = (tx, ty, level) => curves[(ty * tiles + tx) * 256 + level];
+
+    for (let y = 0; y < height; y++) {
+      // Position relative to tile centers, clamped so edge pixels use the edge tiles
+      const py = clamp(((y + 0.5) / height) * tiles - 0.5, 0, tiles - 1);
+      const ty0 = Math.floor(py);
+      const ty1 = Math.min(ty0 + 1, tiles - 1);
+      const fy = py - ty0;
+
+      for (let x = 0; x < width; x++) {
+        const index = y * width + x;
+        const i = index * 4;
+        const r = data[i];
+        const g = data[i + 1];
+        const b = data[i + 2];
+        const exact = 0.299 * r + 0.587 * g + 0.114 * b;
+
+        if (exact >= threshold) continue;
+
+        const px = clamp(((x + 0.5) / width) * tiles - 0.5, 0, tiles - 1);
+        const tx0 = Math.floor(px);
+        const tx1 = Math.min(tx0 + 1, tiles - 1);
+        const fx = px - tx0;
+        const level = luminance[index];
+
+        const top = curveAt(tx0, ty0, level) * (1 - fx) + curveAt(tx1, ty0, level) * fx;
+        const bottom = curveAt(tx0, ty1, level) * (1 - fx) + curveAt(tx1, ty1, level) * fx;
+        const equalized = top * (1 - fy) + bottom * fy;
+
+        const target = clamp(equalized / Math.max(exact, 1), 1, boost);
+        const boostFactor = 1 + (target - 1) * (1 - exact / threshold);
+
+        if (this.config.preserveColors) {
+          data[i] = clamp(r * boostFactor, 0, 255);
+          data[i + 1] = clamp(g * boostFactor, 0, 255);
+          data[i + 2] = clamp(b * boostFactor, 0, 255);
+        } else {
+          const enhanced = clamp(exact * boostFactor, 0, 255);
+          data[i] = enhanced;
+          data[i + 1] = enhanced;
+          data[i + 2] = enhanced;
+        }
+      }
+    }
+
+    return imageData;
+  }
+
   updateConfig(newConfig) {
     this.config = { ...this.config, ...newConfig };
+
+    // Curves are rebuilt from scratch for a new tile grid or mode, starting with the next frame
+    if ('tiles' in newConfig || 'mode' in newConfig) {
+      this.curves = null;
+      this.frameIndex = 0;
+    }
+
     this.emit('config:updated', { config: this.config });
   }
 
@@ -74,6 +325,19 @@ export class LowLightCompensation extends EventEmitter {
 
   async destroy() {
     this.isInitialized = false;
+
+    if (this.gl) {
+      [this.program, this.adaptiveProgram].forEach(info => info && this.gl.deleteProgram(info.program));
+      if (this.curveTexture) {
+        this.gl.deleteTexture(this.curveTexture);
+      }
+    }
+    this.program = null;
+    this.adaptiveProgram = null;
+    this.curveTexture = null;
+    this.curveTiles = 0;
+    this.curves = null;
+
     this.emit('destroyed');
   }
-} 
\ No newline at end of file
+}
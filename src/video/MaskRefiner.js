@@ -0,0 +1,217 @@
+/**
+ * MaskRefiner class
+ * Post-processes segmentation masks: motion-keyed temporal smoothing, edge-aware upsampling and feathering
+ */
+
+import { clamp, createCanvas } from '../core/utils';
+import { SHADER_CONSTANTS } from '../core/constants';
+import { createProgram } from './GLPipeline';
+
+// Frame change (0-1 per channel) times this gain is the motion that makes the mask follow at once
+const MOTION_GAIN = 8;
+
+// Color distance at which the upsampling stops trusting a mask texel
+const RANGE_SIGMA = 0.1;
+
+// Separable feather blur, as in BackgroundBlur
+const FEATHER_SIGMA_TAPS = 4;
+const FEATHER_TAPS = 12;
+
+export class MaskRefiner {
+  /**
+   * name keeps the pipeline targets of several refiners apart
+   */
+  constructor(name, gl, config = {}) {
+    this.name = name;
+    this.gl = gl;
+    this.config = {
+      maskSmoothing: 0.6, // 0 uses each mask as is, higher keeps more of the previous masks where nothing moves
+      edgeFeather: 3, // softening of the mask edge in pixels
+      ...config
+    };
+
+    // GPU resources
+    this.temporalProgram = null;
+    this.upsampleProgram = null;
+    this.featherProgram = null;
+    this.rawTexture = null;
+    this.parity = 0;
+    this.hasHistory = false;
+    this.historySize = null;
+
+    // CPU path state
+    this.guideCanvas = null;
+    this.smoothed = null;
+    this.previousLuminance = null;
+  }
+
+  /**
+   * Compile the shaders
+   */
+  initialize() {
+    if (!this.gl) return;
+
+    this.temporalProgram = createProgram(this.gl, SHADER_CONSTANTS.FRAGMENT_SHADER_MASK_TEMPORAL);
+    this.upsampleProgram = createProgram(this.gl, SHADER_CONSTANTS.FRAGMENT_SHADER_MASK_UPSAMPLE);
+    this.featherProgram = createProgram(this.gl, SHADER_CONSTANTS.FRAGMENT_SHADER_BLUR);
+  }
+
+  /**
+   * Refine a binary mask on the GPU pipeline and return the full resolution mask texture
+   */
+  refine(pipeline, mask, input) {
+    const key = `${this.name}:mask`;
+    const { width, height } = mask;
+    const current = this.parity;
+    const previous = 1 - current;
+
+    if (!this.rawTexture) {
+      this.rawTexture = pipeline.createTexture();
+    }
+    pipeline.uploadMask(this.rawTexture, mask);
+
+    const size = `${width}x${height}`;
+    if (this.historySize !== size) {
+      this.hasHistory = false;
+      this.historySize = size;
+    }
+
+    // The frame at mask resolution guides the upsampling, and last frame's copy measures motion
+    const guide = pipeline.getTarget(`${key}:guide:${current}`, width, height);
+    const previousGuide = pipeline.getTarget(`${key}:guide:${previous}`, width, height);
+    pipeline.draw(pipeline.copyProgram, guide, { textures: { u_texture: input } });
+
+    const smoothed = pipeline.getTarget(`${key}:smoothed:${current}`, width, height);
+    const previousSmoothed = pipeline.getTarget(`${key}:smoothed:${previous}`, width, height);
+    pipeline.draw(this.temporalProgram, smoothed, {
+      textures: {
+        u_mask: this.rawTexture,
+        u_previous: previousSmoothed.texture,
+        u_frame: guide.texture,
+        u_previousFrame: previousGuide.texture
+      },
+      uniforms: {
+        u_smoothing: this.hasHistory ? clamp(this.config.maskSmoothing, 0, 1) : 0,
+        u_motionGain: MOTION_GAIN
+      }
+    });
+
+    const refined = pipeline.getTarget(`${key}:refined`, pipeline.width, pipeline.height);
+    pipeline.draw(this.upsampleProgram, refined, {
+      textures: { u_texture: input, u_mask: smoothed.texture, u_guide: guide.texture },
+      uniforms: { u_maskTexel: [1 / width, 1 / height], u_rangeSigma: RANGE_SIGMA }
+    });
+
+    this.parity = previous;
+    this.hasHistory = true;
+
+    return this.config.edgeFeather >= 1 ? this.feather(pipeline, refined, key) : refined.texture;
+  }
+
+  /**
+   * Soften the refined mask with a separable blur at half resolution
+   */
+  feather(pipeline, refined, key) {
+    const scale = 0.5;
+    const horizontal = pipeline.getTarget(`${key}:featherH`, pipeline.width * scale, pipeline.height * scale);
+    const vertical = pipeline.getTarget(`${key}:featherV`, pipeline.width * scale, pipeline.height * scale);
+    const step = (3 * this.config.edgeFeather * scale) / FEATHER_TAPS;
+
+    pipeline.draw(this.featherProgram, horizontal, {
+      textures: { u_texture: refined.texture },
+      uniforms: { u_direction: [step / horizontal.width, 0], u_sigma: FEATHER_SIGMA_TAPS }
+    });
+    pipeline.draw(this.featherProgram, vertical, {
+      textures: { u_texture: horizontal.texture },
+      uniforms: { u_direction: [0, step / vertical.height], u_sigma: FEATHER_SIGMA_TAPS }
+    });
+
+    return vertical.texture;
+  }
+
+  /**
+   * Temporal smoothing on the CPU path, returning a soft mask (0-255) at mask resolution
+   * Feathering is applied when the mask is drawn
+   */
+  refineImage(mask, frameCanvas) {
+    const { width, height } = mask;
+    const size = width * height;
+
+    if (!this.guideCanvas) {
+      this.guideCanvas = createCanvas();
+    }
+    if (this.guideCanvas.width !== width || this.guideCanvas.height !== height) {
+      this.guideCanvas.width = width;
+      this.guideCanvas.height = height;
+    }
+
+    const ctx = this.guideCanvas.getContext('2d', { willReadFrequently: true });
+    ctx.drawImage(frameCanvas, 0, 0, width, height);
+    const pixels = ctx.getImageData(0, 0, width, height).data;
+
+    const luminance = new Float32Array(size);
+    for (let i = 0; i < size; i++) {
+      luminance[i] = (0.299 * pixels[i * 4] + 0.587 * pixels[i * 4 + 1] + 0.114 * pixels[i * 4 + 2]) / 255;
+    }
+
+    const hasHistory = this.smoothed && this.smoothed.length === size;
+    if (!hasHistory) {
+      this.smoothed = new Float32Array(size);
+    }
+
+    const smoothing = hasHistory ? clamp(this.config.maskSmoothing, 0, 1) : 0;
+    const output = new Uint8Array(size);
+
+    for (let i = 0; i < size; i++) {
+      const motion = hasHistory ? clamp(Math.abs(luminance[i] - this.previousLuminance[i]) * MOTION_GAIN, 0, 1) : 1;
+      const rate = (1 - smoothing) + smoothing * motion;
+      const value = mask.data[i] ? 1 : 0;
+      this.smoothed[i] += rate * (value - this.smoothed[i]);
+      output[i] = Math.round(this.smoothed[i] * 255);
+    }
+
+    this.previousLuminance = luminance;
+
+    return { data: output, width, height, soft: true };
+  }
+
+  /**
+   * Forget the mask history, e.g. when the mask source changes
+   */
+  reset() {
+    this.hasHistory = false;
+    this.smoothed = null;
+    this.previousLuminance = null;
+  }
+
+  /**
+   * Update configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+  }
+
+  /**
+   * Clean up resources
+   */
+  destroy() {
+    if (this.gl) {
+      [this.temporalProgram, this.upsampleProgram, this.featherProgram]
+        .forEach(info => info && this.gl.deleteProgram(info.program));
+      if (this.rawTexture) {
+        this.gl.deleteTexture(this.rawTexture);
+      }
+    }
+    this.temporalProgram = null;
+    this.upsampleProgram = null;
+    this.featherProgram = null;
+    this.rawTexture = null;
+
+    if (this.guideCanvas) {
+      this.guideCanvas.width = 0;
+      this.guideCanvas.height = 0;
+      this.guideCanvas = null;
+    }
+    this.reset();
+  }
+}
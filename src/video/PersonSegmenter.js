@@ -0,0 +1,175 @@
+/**
+ * PersonSegmenter class
+ * Produces per-frame person masks using the BodyPix model
+ */
+
+import { EventEmitter } from '../core/EventEmitter';
+import { clamp, createCanvas } from '../core/utils';
+import { ERROR_MESSAGES, EVENTS } from '../core/constants';
+
+export class PersonSegmenter extends EventEmitter {
+  constructor(config) {
+    super();
+
+    this.config = {
+      model: 'bodypix',
+      modelUrl: null, // local model.json for offline use, hosted model when null
+      architecture: 'MobileNetV1',
+      outputStride: 16,
+      multiplier: 0.75,
+      quantBytes: 2,
+      internalResolution: 'medium', // 'low', 'medium', 'high', 'full' or 0-1
+      segmentationThreshold: 0.7,
+      maskResolution: 0.5, // fraction of the frame size fed to the model
+      ...config
+    };
+
+    this.model = null;
+
+    // Downscaled copy of the frame handed to the model
+    this.inputCanvas = null;
+    this.inputCtx = null;
+
+    // Mask rendered as alpha at mask resolution
+    this.maskCanvas = null;
+    this.maskImageData = null;
+
+    this.isInitialized = false;
+  }
+
+  /**
+   * Load the segmentation model
+   */
+  async initialize() {
+    try {
+      if (this.config.model !== 'bodypix') {
+        throw new Error(`Unsupported segmentation model: ${this.config.model}`);
+      }
+
+      // Loaded lazily so the library does not pull TensorFlow.js in until needed
+      await import('@tensorflow/tfjs');
+      const bodyPix = await import('@tensorflow-models/body-pix');
+
+      const modelConfig = {
+        architecture: this.config.architecture,
+        outputStride: this.config.outputStride,
+        multiplier: this.config.multiplier,
+        quantBytes: this.config.quantBytes
+      };
+      if (this.config.modelUrl) {
+        modelConfig.modelUrl = this.config.modelUrl;
+      }
+
+      this.model = await bodyPix.load(modelConfig);
+
+      this.inputCanvas = createCanvas();
+      this.inputCtx = this.inputCanvas.getContext('2d');
+      this.maskCanvas = createCanvas();
+
+      this.isInitialized = true;
+      this.emit(EVENTS.MODEL_LOADED, {
+        model: this.config.model,
+        modelUrl: this.config.modelUrl
+      });
+    } catch (error) {
+      const loadError = new Error(`${ERROR_MESSAGES.MODEL_LOAD_FAILED}: ${error.message}`);
+      this.emit(EVENTS.MODEL_ERROR, loadError);
+      throw loadError;
+    }
+  }
+
+  /**
+   * Segment a frame and return a binary person mask at mask resolution
+   */
+  async segment(source, width, height) {
+    if (!this.isInitialized) {
+      throw new Error('PersonSegmenter not initialized');
+    }
+
+    const scale = clamp(this.config.maskResolution, 0.1, 1.0);
+    const maskWidth = Math.max(1, Math.round(width * scale));
+    const maskHeight = Math.max(1, Math.round(height * scale));
+
+    if (this.inputCanvas.width !== maskWidth || this.inputCanvas.height !== maskHeight) {
+      this.inputCanvas.width = maskWidth;
+      this.inputCanvas.height = maskHeight;
+    }
+    this.inputCtx.drawImage(source, 0, 0, maskWidth, maskHeight);
+
+    const segmentation = await this.model.segmentPerson(this.inputCanvas, {
+      internalResolution: this.config.internalResolution,
+      segmentationThreshold: this.config.segmentationThreshold
+    });
+
+    return {
+      data: segmentation.data, // 1 for person pixels, 0 for background
+      width: segmentation.width,
+      height: segmentation.height
+    };
+  }
+
+  /**
+   * Draw the person from a frame canvas onto a target canvas, leaving the background transparent
+   * Soft masks (mask.soft) hold coverage from 0 to 255; feather blurs the edge by that many pixels
+   */
+  drawPerson(mask, frameCanvas, targetCanvas, feather = 0) {
+    if (!this.maskImageData || this.maskImageData.width !== mask.width || this.maskImageData.height !== mask.height) {
+      this.maskCanvas.width = mask.width;
+      this.maskCanvas.height = mask.height;
+      this.maskImageData = new ImageData(mask.width, mask.height);
+    }
+
+    const pixels = this.maskImageData.data;
+    for (let i = 0; i < mask.data.length; i++) {
+      pixels[i * 4 + 3] = mask.soft ? mask.data[i] : (mask.data[i] ? 255 : 0);
+    }
+    this.maskCanvas.getContext('2d').putImageData(this.maskImageData, 0, 0);
+
+    // Upscaling the low resolution mask with smoothing softens its edges
+    const ctx = targetCanvas.getContext('2d');
+    ctx.globalCompositeOperation = 'copy';
+    ctx.imageSmoothingEnabled = true;
+    ctx.filter = feather >= 1 ? `blur(${feather}px)` : 'none';
+    ctx.drawImage(this.maskCanvas, 0, 0, targetCanvas.width, targetCanvas.height);
+    ctx.filter = 'none';
+    ctx.globalCompositeOperation = 'source-in';
+    ctx.drawImage(frameCanvas, 0, 0);
+    ctx.globalCompositeOperation = 'source-over';
+  }
+
+  /**
+   * Update configuration
+   */
+  updateConfig(newConfig) {
+    this.config = { ...this.config, ...newConfig };
+    this.emit('config:updated', { config: this.config });
+  }
+
+  /**
+   * Clean up resources
+   */
+  async destroy() {
+    this.isInitialized = false;
+
+    if (this.model) {
+      this.model.dispose();
+      this.model = null;
+    }
+
+    if (this.inputCanvas) {
+      this.inputCanvas.width = 0;
+      this.inputCanvas.height = 0;
+      this.inputCanvas = null;
+      this.inputCtx = null;
+    }
+
+    if (this.maskCanvas) {
+      this.maskCanvas.width = 0;
+      this.maskCanvas.height = 0;
+      this.maskCanvas = null;
+      this.maskImageData = null;
+    }
+
+    this.emit('destroyed');
+  }
+}
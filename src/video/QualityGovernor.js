@@ -0,0 +1,188 @@
+/**
+ * QualityGovernor class
+ * Steps video effects down a quality ladder when frames miss the targetFPS budget, and back up when there is headroom
+ */
+
+import { EventEmitter } from '../core/EventEmitter';
+import { EVENTS } from '../core/constants';
+
+// Smoothing of the measured frame time (weight of the newest frame)
+const FRAME_TIME_SMOOTHING = 0.1;
+
+// Frame time above this share of the budget counts as over budget, below the second as headroom
+const OVER_BUDGET = 1.0;
+const HEADROOM = 0.6;
+
+// Consecutive frames needed before stepping down or up; restoring is deliberately slower
+const DEGRADE_FRAMES = 15;
+const RESTORE_FRAMES = 120;
+
+// A restore that has to be undone straight away doubles the wait before the next one, up to this factor
+const MAX_RESTORE_BACKOFF = 8;
+
+export class QualityGovernor extends EventEmitter {
+  /**
+   * steps lists the ladder from the first thing to give up to the last;
+   * isApplicable(step) lets steps that would change nothing be skipped
+   */
+  constructor({ targetFPS, steps, isApplicable = () => true }) {
+    super();
+
+    this.targetFPS = targetFPS;
+    this.steps = steps;
+    this.isApplicable = isApplicable;
+
+    this.level = 0; // number of ladder steps in effect
+    this.frameTime = 0;
+    this.overFrames = 0;
+    this.headroomFrames = 0;
+    this.restoreBackoff = 1;
+    this.probationFrames = 0; // frames left in which a step down counts against the last restore
+  }
+
+  /**
+   * Frame budget in milliseconds
+   */
+  getBudget() {
+    return 1000 / this.targetFPS;
+  }
+
+  /**
+   * Feed the processing time of one frame
+   */
+  observe(frameTime) {
+    this.frameTime = this.frameTime
+      ? this.frameTime + (frameTime - this.frameTime) * FRAME_TIME_SMOOTHING
+      : frameTime;
+
+    const budget = this.getBudget();
+    if (this.probationFrames > 0) {
+      this.probationFrames--;
+      if (this.probationFrames === 0) {
+        this.restoreBackoff = 1;
+      }
+    }
+
+    if (this.frameTime > budget * OVER_BUDGET) {
+      this.overFrames++;
+      this.headroomFrames = 0;
+    } else if (this.frameTime < budget * HEADROOM) {
+      this.headroomFrames++;
+      this.overFrames = 0;
+    } else {
+      this.overFrames = 0;
+      this.headroomFrames = 0;
+    }
+
+    if (this.overFrames >= DEGRADE_FRAMES) {
+      this.degrade();
+    } else if (this.headroomFrames >= RESTORE_FRAMES * this.restoreBackoff) {
+      this.restore();
+    }
+  }
+
+  /**
+   * Apply the next applicable step of the ladder
+   */
+  degrade() {
+    this.overFrames = 0;
+
+    let level = this.level;
+    while (level < this.steps.length && !this.isApplicable(this.steps[level])) {
+      level++;
+    }
+    if (level >= this.steps.length) return;
+
+    if (this.probationFrames > 0) {
+      this.restoreBackoff = Math.min(this.restoreBackoff * 2, MAX_RESTORE_BACKOFF);
+      this.probationFrames = 0;
+    }
+
+    this.setLevel(level + 1, this.steps[level], 'over-budget');
+  }
+
+  /**
+   * Undo the most recent step that is in effect
+   */
+  restore() {
+    this.headroomFrames = 0;
+    if (this.level === 0) return;
+
+    // Steps that stopped applying while degraded are undone along the way
+    let level = this.level - 1;
+    while (level > 0 && !this.isApplicable(this.steps[level])) {
+      level--;
+    }
+
+    this.probationFrames = RESTORE_FRAMES;
+    this.setLevel(level, this.steps[level], 'headroom');
+  }
+
+  setLevel(level, step, reason) {
+    const direction = level > this.level ? 'down' : 'up';
+    this.level = level;
+
+    this.emit(EVENTS.QUALITY_CHANGED, {
+      level,
+      step,
+      direction,
+      reason,
+      frameTime: this.frameTime,
+      budget: this.getBudget(),
+      activeSteps: this.getActiveSteps()
+    });
+  }
+
+  /**
+   * Steps currently in effect
+   */
+  getActiveSteps() {
+    return this.steps.slice(0, this.level);
+  }
+
+  isActive(step) {
+    return this.getActiveSteps().includes(step);
+  }
+
+  /**
+   * Change the frame rate the budget is derived from
+   */
+  setTargetFPS(targetFPS) {
+    this.targetFPS = targetFPS;
+    this.overFrames = 0;
+    this.headroomFrames = 0;
+  }
+
+  /**
+   * Return to full quality
+   */
+  reset() {
+    const wasDegraded = this.level > 0;
+    this.level = 0;
+    this.overFrames = 0;
+    this.headroomFrames = 0;
+    this.restoreBackoff = 1;
+    this.probationFrames = 0;
+
+    if (wasDegraded) {
+      this.emit(EVENTS.QUALITY_CHANGED, {
+        level: 0,
+        step: null,
+        direction: 'up',
+        reason: 'reset',
+        frameTime: this.frameTime,
+        budget: this.getBudget(),
+        activeSteps: []
+      });
+    }
+  }
+
+  getStats() {
+    return {
+      level: this.level,
+      activeSteps: this.getActiveSteps(),
+      frameTime: this.frameTime,
+      budget: this.getBudget()
+    };
+  }
+}
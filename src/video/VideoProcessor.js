@@ -4,32 +4,106 @@
  */
 
 import { EventEmitter } from '../core/EventEmitter';
-import { createVideoContext, clamp } from '../core/utils';
-import { VIDEO_CONSTANTS } from '../core/constants';
+import { createVideoContext, createCanvas, diffConfig } from '../core/utils';
+import { VIDEO_CONSTANTS, VIDEO_QUALITY_PRESETS, EVENTS } from '../core/constants';
 import { ColorCorrection } from './ColorCorrection';
 import { BackgroundBlur } from './BackgroundBlur';
+import { BackgroundReplace } from './BackgroundReplace';
 import { LowLightCompensation } from './LowLightCompensation';
+import { ColorLUT } from './ColorLUT';
+import { GLPipeline } from './GLPipeline';
+import { QualityGovernor } from './QualityGovernor';
+import { VideoWorker } from './VideoWorker';
+
+/**
+ * Config sections and the property holding each module
+ */
+const FEATURE_MODULES = {
+  colorCorrection: 'colorCorrection',
+  lowLightCompensation: 'lowLightCompensation',
+  lut: 'colorLUT',
+  backgroundBlur: 'backgroundBlur',
+  backgroundReplace: 'backgroundReplace'
+};
+
+/**
+ * Order the effects run in, each as one stage of the GPU pipeline
+ */
+const PIPELINE_ORDER = ['lowLightCompensation', 'colorCorrection', 'lut', 'backgroundBlur', 'backgroundReplace'];
+
+/**
+ * Processing resolution for each performance.quality setting
+ */
+const QUALITY_PRESETS = {
+  low: VIDEO_QUALITY_PRESETS.LOW,
+  balanced: VIDEO_QUALITY_PRESETS.MEDIUM,
+  high: VIDEO_QUALITY_PRESETS.HIGH
+};
+
+/**
+ * Events re-emitted from the video worker
+ */
+const WORKER_EVENTS = [EVENTS.MODEL_LOADED, EVENTS.MODEL_ERROR, EVENTS.EXPOSURE_ADJUSTED, EVENTS.QUALITY_CHANGED, 'error'];
+
+/**
+ * Steps the quality governor takes when frames run over budget, cheapest loss first
+ */
+const QUALITY_LADDER = ['segmentationResolution', 'blurRadius', 'maskUpdates', 'lowLight'];
 
 export class VideoProcessor extends EventEmitter {
-  constructor(config) {
+  constructor(config, performance = {}) {
     super();
     
     this.config = config;
+    this.performance = {
+      targetFPS: VIDEO_CONSTANTS.DEFAULT_FPS,
+      quality: 'balanced', // 'low', 'balanced', 'high'
+      useWebGL: true,
+      useWebWorkers: false, // run the effects in a worker on OffscreenCanvas where supported
+      adaptiveQuality: true, // step effects down when frames miss the targetFPS budget
+      ...performance
+    };
     this.canvas = null;
     this.gl = null;
     this.ctx = null;
+    this.pipeline = null;
+
+    // Set when the effects run in a worker; the main thread then only moves frames
+    this.worker = null;
+    this.workerStats = null;
     
     // Processing modules
     this.colorCorrection = null;
     this.backgroundBlur = null;
+    this.backgroundReplace = null;
     this.lowLightCompensation = null;
+    this.colorLUT = null;
+
+    // Degrades effects under load and restores them when there is headroom
+    this.governor = new QualityGovernor({
+      targetFPS: this.performance.targetFPS,
+      steps: QUALITY_LADDER,
+      isApplicable: (step) => this.isQualityStepApplicable(step)
+    });
+    this.governor.on(EVENTS.QUALITY_CHANGED, (change) => {
+      this.applyQualityLevel().catch(error => this.emit('error', error));
+      this.emit(EVENTS.QUALITY_CHANGED, change);
+    });
+    
+    // Source and output of the running frame loop
+    this.sourceVideo = null;
+    this.frameReader = null;
+    this.outputTrack = null;
     
     // State
     this.isInitialized = false;
     this.isProcessing = false;
+    this.isRunning = false;
     this.frameCount = 0;
+    this.nextFrameTime = 0;
     this.stats = {
       processedFrames: 0,
+      droppedFrames: 0,
       currentFPS: 0,
       processingTime: 0,
       lastFrameTime: 0
@@ -42,27 +116,24 @@ export class VideoProcessor extends EventEmitter {
   async initialize() {
     console.log('[VideoProcessor] initialize() called');
     try {
-      // Lowered resolution for performance
-      const LOW_RES_WIDTH = 160;
-      const LOW_RES_HEIGHT = 120;
-
-      // Create WebGL canvas for video processing
-      console.log('[VideoProcessor] Creating WebGL canvas');
-      this.webglCanvas = document.createElement('canvas');
-      this.webglCanvas.width = LOW_RES_WIDTH;
-      this.webglCanvas.height = LOW_RES_HEIGHT;
-      // Create WebGL context
-      console.log('[VideoProcessor] Creating WebGL context');
-      this.gl = createVideoContext(this.webglCanvas);
-      if (!this.gl) {
-        throw new Error('Failed to get WebGL context for video processing');
+      // Canvases start at the quality preset size and follow the source once frames arrive
+      const { width, height } = this.getQualityPreset();
+
+      const inWorker = this.performance.useWebWorkers && await this.initializeWorker();
+
+      if (inWorker) {
+        console.log('[VideoProcessor] Effects running in a worker');
+      } else if (this.performance.useWebGL) {
+        this.initializeWebGL(width, height);
+      } else {
+        console.log('[VideoProcessor] WebGL disabled, using the 2D path');
       }
 
       // Create 2D canvas for fallback and frame processing
       console.log('[VideoProcessor] Creating 2D canvas');
-      this.canvas = document.createElement('canvas');
-      this.canvas.width = LOW_RES_WIDTH;
-      this.canvas.height = LOW_RES_HEIGHT;
+      this.canvas = createCanvas();
+      this.canvas.width = width;
+      this.canvas.height = height;
       // Create 2D context
       console.log('[VideoProcessor] Creating 2D context');
       this.ctx = this.canvas.getContext('2d');
@@ -71,9 +142,11 @@ export class VideoProcessor extends EventEmitter {
       }
 
       // Create processing modules based on config
-      console.log('[VideoProcessor] Creating processing modules', this.config);
-      await this.createProcessingModules();
-      console.log('[VideoProcessor] Processing modules created');
+      if (!inWorker) {
+        console.log('[VideoProcessor] Creating processing modules', this.config);
+        await this.createProcessingModules();
+        console.log('[VideoProcessor] Processing modules created');
+      }
 
       this.isInitialized = true;
       this.emit('initialized');
@@ -86,31 +159,184 @@ export class VideoProcessor extends EventEmitter {
   }
 
   /**
-   * Create processing modules based on configuration
+   * Move the effects to a worker that owns an OffscreenCanvas and the WebGL pipeline
+   * Returns false, leaving processing on the main thread, where that isn't possible
    */
-  async createProcessingModules() {
-    // Create color correction if enabled
-    if (this.config.colorCorrection?.enabled) {
-      console.log('[VideoProcessor] Initializing ColorCorrection', this.config.colorCorrection);
-      this.colorCorrection = new ColorCorrection(this.gl, this.config.colorCorrection);
-      await this.colorCorrection.initialize();
-      console.log('[VideoProcessor] ColorCorrection initialized');
+  async initializeWorker() {
+    if (!VideoWorker.isSupported()) {
+      console.log('[VideoProcessor] OffscreenCanvas WebGL unsupported, processing on the main thread');
+      return false;
+    }
+    if (this.config.backgroundReplace?.enabled && this.config.backgroundReplace.video) {
+      console.log('[VideoProcessor] Video backgrounds need the main thread');
+      return false;
     }
 
-    // Create low-light compensation if enabled
-    if (this.config.lowLightCompensation?.enabled) {
-      console.log('[VideoProcessor] Initializing LowLightCompensation', this.config.lowLightCompensation);
-      this.lowLightCompensation = new LowLightCompensation(this.gl, this.config.lowLightCompensation);
-      await this.lowLightCompensation.initialize();
-      console.log('[VideoProcessor] LowLightCompensation initialized');
+    const worker = new VideoWorker();
+    WORKER_EVENTS.forEach(event => {
+      worker.on(event, (payload) => this.emit(event, payload));
+    });
+
+    try {
+      await worker.initialize(this.config, this.performance);
+      this.worker = worker;
+      return true;
+    } catch (error) {
+      console.warn('[VideoProcessor] Video worker unavailable, processing on the main thread:', error.message);
+      await worker.destroy();
+      return false;
     }
+  }
+
+  /**
+   * Create the WebGL canvas and pipeline, leaving the 2D path in place if WebGL is unavailable
+   */
+  initializeWebGL(width, height) {
+    console.log('[VideoProcessor] Creating WebGL canvas');
+    this.webglCanvas = createCanvas();
+    this.webglCanvas.width = width;
+    this.webglCanvas.height = height;
 
-    // Create background blur if enabled
-    if (this.config.backgroundBlur?.enabled) {
-      console.log('[VideoProcessor] Initializing BackgroundBlur', this.config.backgroundBlur);
-      this.backgroundBlur = new BackgroundBlur(this.gl, this.config.backgroundBlur);
-      await this.backgroundBlur.initialize();
-      console.log('[VideoProcessor] BackgroundBlur initialized');
+    try {
+      console.log('[VideoProcessor] Creating WebGL context');
+      this.gl = createVideoContext(this.webglCanvas);
+    } catch (error) {
+      console.warn('[VideoProcessor] WebGL unavailable, using the 2D path:', error.message);
+      this.webglCanvas = null;
+      this.gl = null;
+      return;
+    }
+
+    // Frames are uploaded once and every effect runs as a shader pass
+    this.pipeline = new GLPipeline(this.gl);
+    this.pipeline.initialize();
+  }
+
+  /**
+   * Video quality preset selected by performance.quality
+   */
+  getQualityPreset() {
+    return QUALITY_PRESETS[this.performance.quality] || QUALITY_PRESETS.balanced;
+  }
+
+  /**
+   * Processing size for a source: scaled down to fit the quality preset, never up
+   * The long side is bounded by the preset width so portrait sources are treated alike
+   */
+  getProcessingSize(sourceWidth, sourceHeight) {
+    const { width, height } = this.getQualityPreset();
+    const scale = Math.min(
+      1,
+      width / Math.max(sourceWidth, sourceHeight),
+      height / Math.min(sourceWidth, sourceHeight)
+    );
+
+    // Even dimensions keep video encoders happy
+    return {
+      width: Math.max(2, Math.round(sourceWidth * scale / 2) * 2),
+      height: Math.max(2, Math.round(sourceHeight * scale / 2) * 2)
+    };
+  }
+
+  /**
+   * Frame dropping for performance.targetFPS
+   * Frames are due one interval apart; a frame up to a quarter interval early still counts,
+   * so sources at the target rate with jitter are not thinned out
+   */
+  shouldProcessFrame(time) {
+    const interval = 1000 / this.performance.targetFPS;
+
+    if (time < this.nextFrameTime - interval / 4) {
+      this.stats.droppedFrames++;
+      return false;
+    }
+
+    // Schedule from the due time to hold the average rate, restarting after a stall
+    this.nextFrameTime = time - this.nextFrameTime > interval ? time + interval : this.nextFrameTime + interval;
+    return true;
+  }
+
+  /**
+   * Apply performance settings; targetFPS and quality take effect on the next frame,
+   * useWebGL when the processor is next created
+   */
+  updatePerformance(performance) {
+    this.performance = { ...this.performance, ...performance };
+    this.nextFrameTime = 0;
+
+    this.governor.setTargetFPS(this.performance.targetFPS);
+    if (!this.performance.adaptiveQuality) {
+      this.governor.reset();
+    }
+
+    if (this.worker) {
+      this.worker.updatePerformance(this.performance).catch(error => this.emit('error', error));
+    }
+    this.emit('performance:updated', { performance: this.performance });
+  }
+
+  /**
+   * Whether a ladder step would change anything with the current modules
+   */
+  isQualityStepApplicable(step) {
+    switch (step) {
+      case 'segmentationResolution':
+      case 'maskUpdates':
+        return [this.backgroundBlur, this.backgroundReplace].some(module => module && module.segmenter);
+      case 'blurRadius':
+        return !!this.backgroundBlur;
+      case 'lowLight':
+        return !!this.lowLightCompensation;
+      default:
+        return false;
+    }
+  }
+
+  /**
+   * Push the governor's current level to the segmentation modules
+   * Values come from the configured settings, so restoring a step returns them exactly
+   */
+  async applyQualityLevel() {
+    const governor = this.governor;
+
+    for (const feature of ['backgroundBlur', 'backgroundReplace']) {
+      const module = this[FEATURE_MODULES[feature]];
+      if (!module) continue;
+
+      const { maskResolution = 0.5, intensity = 15 } = this.config[feature] || {};
+      const overrides = {
+        maskResolution: governor.isActive('segmentationResolution') ? Math.max(0.1, maskResolution / 2) : maskResolution,
+        maskUpdateInterval: governor.isActive('maskUpdates') ? 2 : 1
+      };
+      if (feature === 'backgroundBlur') {
+        overrides.intensity = governor.isActive('blurRadius')
+          ? Math.max(VIDEO_CONSTANTS.BLUR_MIN_INTENSITY, Math.round(intensity / 2))
+          : intensity;
+      }
+
+      await module.updateConfig(overrides);
+    }
+  }
+
+  /**
+   * Whether the governor has switched a feature off for now
+   */
+  isFeatureSuspended(feature) {
+    return feature === 'lowLightCompensation' && this.governor.isActive('lowLight');
+  }
+
+  /**
+   * Create processing modules based on configuration
+   */
+  async createProcessingModules() {
+    const features = ['colorCorrection', 'lowLightCompensation', 'lut', 'backgroundBlur', 'backgroundReplace'];
+
+    for (const feature of features) {
+      if (this.config[feature]?.enabled) {
+        console.log(`[VideoProcessor] Initializing ${feature}`, this.config[feature]);
+        await this.createModule(feature);
+        console.log(`[VideoProcessor] ${feature} initialized`);
+      }
     }
   }
 
@@ -156,11 +382,14 @@ export class VideoProcessor extends EventEmitter {
       });
       console.log('[VideoProcessor] video element ready, videoWidth:', video.videoWidth, 'videoHeight:', video.videoHeight);
 
-      // Set canvas size to match video
-      this.canvas.width = video.videoWidth;
-      this.canvas.height = video.videoHeight;
+      // Set canvas size to the processing size for the video
+      this.resizeCanvas(video.videoWidth, video.videoHeight);
       console.log('[VideoProcessor] canvas size set:', this.canvas.width, this.canvas.height);
 
+      // Frame loops keep running until destroy(), independent of isProcessing
+      this.sourceVideo = video;
+      this.isRunning = true;
+
       // Create MediaStreamTrackProcessor if supported
       if (window.MediaStreamTrackProcessor) {
         console.log('[VideoProcessor] using MediaStreamTrackProcessor');
@@ -188,25 +417,43 @@ export class VideoProcessor extends EventEmitter {
     // Process frames
     const reader = processor.readable.getReader();
     const writer = generator.writable.getWriter();
+    this.frameReader = reader;
+    this.outputTrack = generator;
 
     const processFrame = async () => {
       try {
         const { value: frame, done } = await reader.read();
-        if (done) return;
+        if (done || !this.isRunning) {
+          if (frame) frame.close();
+          return;
+        }
+
+        // Frames ahead of the target rate are dropped; timestamps are in microseconds
+        if (!this.shouldProcessFrame(frame.timestamp / 1000)) {
+          frame.close();
+          processFrame();
+          return;
+        }
+
+        const startTime = performance.now();
 
-        // Process the frame
+        // Process the frame, the source frame is released once consumed
         const processedFrame = await this.processVideoFrame(frame);
+        frame.close();
         
         // Write processed frame
         await writer.write(processedFrame);
         
         this.frameCount++;
-        this.updateStats();
+        this.updateStats(startTime);
         
         // Continue processing
         processFrame();
       } catch (error) {
-        this.emit('error', error);
+        // Frames in flight fail once destroy() has stopped the loop
+        if (this.isRunning) {
+          this.emit('error', error);
+        }
       }
     };
 
@@ -232,8 +479,9 @@ export class VideoProcessor extends EventEmitter {
    */
   async processWithCanvas(stream, video) {
     console.log('[VideoProcessor] processWithCanvas called');
-    // Create canvas stream
-    const canvasStream = this.canvas.captureStream(VIDEO_CONSTANTS.DEFAULT_FPS);
+    // Frames are pushed with requestFrame(), so the output rate follows targetFPS even after it changes
+    const canvasStream = this.canvas.captureStream(0);
+    this.outputTrack = canvasStream.getVideoTracks()[0];
     
     // Start frame processing
     this.startFrameProcessing(video);
@@ -265,10 +513,24 @@ export class VideoProcessor extends EventEmitter {
    */
   startFrameProcessing(video) {
     console.log('[VideoProcessor] startFrameProcessing called');
-    const processFrame = () => {
-      if (!this.isProcessing) return;
+    const processFrame = async () => {
+      if (!this.isRunning) return;
       const startTime = performance.now();
-      this.processCanvasFrame(video);
+      if (!this.shouldProcessFrame(startTime)) {
+        requestAnimationFrame(processFrame);
+        return;
+      }
+      try {
+        await this.processCanvasFrame(video);
+        if (this.outputTrack && this.outputTrack.requestFrame) {
+          this.outputTrack.requestFrame();
+        }
+      } catch (error) {
+        if (this.isRunning) {
+          this.emit('error', error);
+        }
+      }
+      if (!this.isRunning) return;
       this.frameCount++;
       this.updateStats(startTime);
       requestAnimationFrame(processFrame);
@@ -280,77 +542,165 @@ export class VideoProcessor extends EventEmitter {
    * Process a video frame
    */
   async processVideoFrame(frame) {
+    if (this.worker) {
+      // The frame is transferred, so the worker releases it
+      const { frame: processedFrame, stats } = await this.worker.processFrame(frame);
+      this.workerStats = stats;
+      return processedFrame;
+    }
+
+    const { width, height } = this.getProcessingSize(frame.displayWidth, frame.displayHeight);
+
+    if (this.pipeline) {
+      await this.renderFrame(frame, width, height);
+
+      // Created right after drawing, while the canvas still holds the frame
+      return new VideoFrame(this.webglCanvas, {
+        timestamp: frame.timestamp,
+        duration: frame.duration
+      });
+    }
+
     // Convert VideoFrame to ImageData for processing
-    const imageData = await this.frameToImageData(frame);
-    
-    // Apply processing modules
+    const imageData = await this.frameToImageData(frame, width, height);
+    const processedData = await this.processImageData(imageData);
+
+    // Convert back to VideoFrame
+    return await this.imageDataToFrame(processedData, frame);
+  }
+
+  /**
+   * Run the active effects over a frame on the CPU (2D path)
+   */
+  async processImageData(imageData) {
     let processedData = imageData;
     
-    if (this.lowLightCompensation) {
+    if (this.lowLightCompensation && !this.isFeatureSuspended('lowLightCompensation')) {
       processedData = await this.lowLightCompensation.process(processedData);
     }
     
     if (this.colorCorrection) {
       processedData = await this.colorCorrection.process(processedData);
     }
+
+    if (this.colorLUT) {
+      processedData = await this.colorLUT.process(processedData);
+    }
     
     if (this.backgroundBlur) {
       processedData = await this.backgroundBlur.process(processedData);
     }
 
-    // Convert back to VideoFrame
-    return await this.imageDataToFrame(processedData, frame);
+    if (this.backgroundReplace) {
+      processedData = await this.backgroundReplace.process(processedData);
+    }
+
+    return processedData;
+  }
+
+  /**
+   * Run the active effects over a frame on the GPU, leaving the result on the WebGL canvas
+   */
+  async renderFrame(source, width, height) {
+    const passes = PIPELINE_ORDER
+      .filter(feature => this[FEATURE_MODULES[feature]] && !this.isFeatureSuspended(feature))
+      .map(feature => ({ name: feature, module: this[FEATURE_MODULES[feature]] }));
+
+    // Segmentation and other asynchronous work finishes before any pass is drawn
+    for (const { module } of passes) {
+      if (module.prepare) {
+        await module.prepare(source, width, height);
+      }
+    }
+
+    // Modules may have been removed while preparing
+    const active = passes.filter(({ name }) => this[FEATURE_MODULES[name]]);
+    this.pipeline.render(source, width, height, active);
   }
 
   /**
    * Process canvas frame
+   * The source is the video element, or an ImageBitmap inside the worker
+   */
+  async processCanvasFrame(source, sourceWidth = source.videoWidth, sourceHeight = source.videoHeight) {
+    // The quality setting may have changed since the last frame
+    this.resizeCanvas(sourceWidth, sourceHeight);
+    const { width, height } = this.canvas;
+
+    if (this.worker) {
+      // Scaled while copying, so only processing-size pixels are transferred
+      const bitmap = await createImageBitmap(source, { resizeWidth: width, resizeHeight: height });
+      const { frame, stats } = await this.worker.processFrame(bitmap);
+      this.workerStats = stats;
+      this.ctx.drawImage(frame, 0, 0, width, height);
+      frame.close();
+      return;
+    }
+
+    if (this.pipeline) {
+      await this.renderFrame(source, width, height);
+      this.ctx.drawImage(this.webglCanvas, 0, 0, width, height);
+      return;
+    }
+
+    this.ctx.drawImage(source, 0, 0, width, height);
+
+    if (PIPELINE_ORDER.some(feature => this[FEATURE_MODULES[feature]])) {
+      const imageData = this.ctx.getImageData(0, 0, width, height);
+      this.ctx.putImageData(await this.processImageData(imageData), 0, 0);
+    }
+  }
+
+  /**
+   * Match the output canvas to the processing size of the source
    */
-  processCanvasFrame(video) {
-    // Use fast canvas filter if available
-    const brightness = this.config.colorCorrection?.brightness || 1.0;
-    const contrast = this.config.colorCorrection?.contrast || 1.0;
-    if (this.ctx.filter !== undefined) {
-      this.ctx.filter = `brightness(${brightness}) contrast(${contrast})`;
-      this.ctx.drawImage(video, 0, 0, this.canvas.width, this.canvas.height);
-      this.ctx.filter = 'none';
-    } else {
-      // Fallback: just draw the frame, no per-pixel processing
-      this.ctx.drawImage(video, 0, 0, this.canvas.width, this.canvas.height);
+  resizeCanvas(sourceWidth, sourceHeight) {
+    const { width, height } = this.getProcessingSize(sourceWidth, sourceHeight);
+    if (this.canvas.width !== width || this.canvas.height !== height) {
+      this.canvas.width = width;
+      this.canvas.height = height;
     }
-    // For advanced effects, use WebGL shaders or OffscreenCanvas in a worker.
   }
 
   /**
    * Convert VideoFrame to ImageData
    */
-  async frameToImageData(frame) {
-    const canvas = document.createElement('canvas');
-    canvas.width = frame.displayWidth;
-    canvas.height = frame.displayHeight;
-    const ctx = canvas.getContext('2d');
+  async frameToImageData(frame, width = frame.displayWidth, height = frame.displayHeight) {
+    const ctx = this.getScratchContext(width, height);
     
-    ctx.drawImage(frame, 0, 0);
-    return ctx.getImageData(0, 0, canvas.width, canvas.height);
+    ctx.drawImage(frame, 0, 0, width, height);
+    return ctx.getImageData(0, 0, width, height);
   }
 
   /**
    * Convert ImageData to VideoFrame
    */
   async imageDataToFrame(imageData, originalFrame) {
-    const canvas = document.createElement('canvas');
-    canvas.width = imageData.width;
-    canvas.height = imageData.height;
-    const ctx = canvas.getContext('2d');
+    const ctx = this.getScratchContext(imageData.width, imageData.height);
     
     ctx.putImageData(imageData, 0, 0);
     
     // Create new VideoFrame from canvas
-    return new VideoFrame(canvas, {
+    return new VideoFrame(ctx.canvas, {
       timestamp: originalFrame.timestamp,
       duration: originalFrame.duration
     });
   }
 
+  /**
+   * 2D context of a canvas reused by the ImageData path, sized to the frame
+   */
+  getScratchContext(width, height) {
+    if (!this.scratchCanvas) {
+      this.scratchCanvas = createCanvas();
+    }
+    if (this.scratchCanvas.width !== width || this.scratchCanvas.height !== height) {
+      this.scratchCanvas.width = width;
+      this.scratchCanvas.height = height;
+    }
+    return this.scratchCanvas.getContext('2d', { willReadFrequently: true });
+  }
+
   /**
    * Update processing statistics
    */
@@ -359,6 +709,10 @@ export class VideoProcessor extends EventEmitter {
     
     if (startTime) {
       this.stats.processingTime = now - startTime;
+      // A worker measures and governs its own frames
+      if (this.performance.adaptiveQuality && !this.worker) {
+        this.governor.observe(this.stats.processingTime);
+      }
     }
     
     // Calculate FPS
@@ -375,14 +729,45 @@ export class VideoProcessor extends EventEmitter {
 
   /**
    * Update configuration
+   * Toggled features add or remove their module; other changes go to the running module,
+   * so the frame loop and output track keep running
    */
   async updateConfig(newConfig) {
-    this.config = { ...this.config, ...newConfig };
+    this.config = { ...this.config };
+    const workerChanges = {};
+
+    for (const [feature, settings] of Object.entries(newConfig)) {
+      const moduleName = FEATURE_MODULES[feature];
+      if (!moduleName || !settings) continue;
+
+      const previous = this.config[feature] || {};
+      const next = { ...previous, ...settings };
+      const changes = diffConfig(previous, next);
+      this.config[feature] = next;
+
+      if (!this.isInitialized || Object.keys(changes).length === 0) continue;
+
+      if (this.worker) {
+        workerChanges[feature] = changes;
+        continue;
+      }
+
+      if ('enabled' in changes) {
+        await this.setFeature(feature, next.enabled);
+      } else if (this[moduleName]) {
+        await this[moduleName].updateConfig(changes);
+      }
+    }
+
+    // The worker's processor applies the changes to its own modules; unchanged
+    // keys stay behind so a background image isn't copied and reloaded again
+    if (this.isInitialized && this.worker && Object.keys(workerChanges).length > 0) {
+      await this.worker.updateConfig(workerChanges);
+    }
 
-    // Reinitialize if needed
-    if (this.isInitialized) {
-      await this.destroy();
-      await this.initialize();
+    // Keep degraded settings in place over configured ones
+    if (this.isInitialized && !this.worker && this.governor.level > 0) {
+      await this.applyQualityLevel();
     }
 
     this.emit('config:updated', { config: this.config });
@@ -392,20 +777,26 @@ export class VideoProcessor extends EventEmitter {
    * Get current statistics
    */
   getStats() {
-    return { ...this.stats };
+    // In worker mode the pipeline and governor live in the worker; their stats arrive with each frame
+    const workerStats = this.worker ? this.workerStats || {} : null;
+
+    return {
+      ...this.stats,
+      targetFPS: this.performance.targetFPS,
+      quality: this.performance.quality,
+      renderer: this.worker ? 'worker' : (this.pipeline ? 'webgl' : '2d'),
+      width: this.canvas ? this.canvas.width : 0,
+      height: this.canvas ? this.canvas.height : 0,
+      pipeline: workerStats ? workerStats.pipeline || null : (this.pipeline ? this.pipeline.getStats() : null),
+      governor: workerStats ? workerStats.governor || null : this.governor.getStats()
+    };
   }
 
   /**
    * Enable/disable specific features
    */
   async setFeature(feature, enabled) {
-    const featureMap = {
-      colorCorrection: 'colorCorrection',
-      lowLightCompensation: 'lowLightCompensation',
-      backgroundBlur: 'backgroundBlur'
-    };
-
-    const moduleName = featureMap[feature];
+    const moduleName = FEATURE_MODULES[feature];
     if (!moduleName) {
       throw new Error(`Unknown feature: ${feature}`);
     }
@@ -428,19 +819,40 @@ export class VideoProcessor extends EventEmitter {
     switch (feature) {
       case 'colorCorrection':
         this.colorCorrection = new ColorCorrection(this.gl, this.config.colorCorrection);
+        this.colorCorrection.on(EVENTS.EXPOSURE_ADJUSTED, (payload) => this.emit(EVENTS.EXPOSURE_ADJUSTED, payload));
         await this.colorCorrection.initialize();
         break;
       case 'lowLightCompensation':
         this.lowLightCompensation = new LowLightCompensation(this.gl, this.config.lowLightCompensation);
         await this.lowLightCompensation.initialize();
         break;
+      case 'lut':
+        this.colorLUT = new ColorLUT(this.gl, this.config.lut);
+        this.colorLUT.on('error', (error) => this.emit('error', error));
+        await this.colorLUT.initialize();
+        break;
       case 'backgroundBlur':
         this.backgroundBlur = new BackgroundBlur(this.gl, this.config.backgroundBlur);
+        this.forwardModelEvents(this.backgroundBlur);
         await this.backgroundBlur.initialize();
         break;
+      case 'backgroundReplace':
+        this.backgroundReplace = new BackgroundReplace(this.gl, this.config.backgroundReplace);
+        this.forwardModelEvents(this.backgroundReplace);
+        await this.backgroundReplace.initialize();
+        break;
     }
   }
 
+  /**
+   * Re-emit segmentation model events from a module
+   */
+  forwardModelEvents(module) {
+    [EVENTS.MODEL_LOADED, EVENTS.MODEL_ERROR].forEach(event => {
+      module.on(event, (payload) => this.emit(event, payload));
+    });
+  }
+
   /**
    * Remove a specific processing module
    */
@@ -458,12 +870,24 @@ export class VideoProcessor extends EventEmitter {
           this.lowLightCompensation = null;
         }
         break;
+      case 'lut':
+        if (this.colorLUT) {
+          await this.colorLUT.destroy();
+          this.colorLUT = null;
+        }
+        break;
       case 'backgroundBlur':
         if (this.backgroundBlur) {
           await this.backgroundBlur.destroy();
           this.backgroundBlur = null;
         }
         break;
+      case 'backgroundReplace':
+        if (this.backgroundReplace) {
+          await this.backgroundReplace.destroy();
+          this.backgroundReplace = null;
+        }
+        break;
     }
   }
 
@@ -473,6 +897,30 @@ export class VideoProcessor extends EventEmitter {
   async destroy() {
     this.isProcessing = false;
     this.isInitialized = false;
+    this.isRunning = false;
+
+    // Stop the frame loop and release the source element
+    if (this.frameReader) {
+      this.frameReader.cancel().catch(() => {});
+      this.frameReader = null;
+    }
+
+    if (this.outputTrack) {
+      this.outputTrack.stop();
+      this.outputTrack = null;
+    }
+
+    if (this.sourceVideo) {
+      this.sourceVideo.pause();
+      this.sourceVideo.srcObject = null;
+      this.sourceVideo = null;
+    }
+
+    if (this.worker) {
+      await this.worker.destroy();
+      this.worker = null;
+      this.workerStats = null;
+    }
 
     // Destroy processing modules
     if (this.colorCorrection) {
@@ -485,18 +933,47 @@ export class VideoProcessor extends EventEmitter {
       this.lowLightCompensation = null;
     }
 
+    if (this.colorLUT) {
+      await this.colorLUT.destroy();
+      this.colorLUT = null;
+    }
+
     if (this.backgroundBlur) {
       await this.backgroundBlur.destroy();
       this.backgroundBlur = null;
     }
 
+    if (this.backgroundReplace) {
+      await this.backgroundReplace.destroy();
+      this.backgroundReplace = null;
+    }
+
+    if (this.pipeline) {
+      this.pipeline.destroy();
+      this.pipeline = null;
+    }
+
     // Clean up canvas and contexts
+    if (this.scratchCanvas) {
+      this.scratchCanvas.width = 0;
+      this.scratchCanvas.height = 0;
+      this.scratchCanvas = null;
+    }
+
     if (this.canvas) {
       this.canvas.width = 0;
       this.canvas.height = 0;
       this.canvas = null;
     }
 
+    if (this.webglCanvas) {
+      const loseContext = this.gl && this.gl.getExtension('WEBGL_lose_context');
+      if (loseContext) loseContext.loseContext();
+      this.webglCanvas.width = 0;
+      this.webglCanvas.height = 0;
+      this.webglCanvas = null;
+    }
+
     this.gl = null;
     this.ctx = null;
 
@@ -0,0 +1,188 @@
+/**
+ * VideoWorker class
+ * Main-thread side of the video effects worker: transfers frames, forwards config and re-emits events
+ */
+
+import { EventEmitter } from '../core/EventEmitter';
+
+const WORKER_URL = new URL('./workers/effectsWorker.js', import.meta.url);
+
+/**
+ * Resolve a URL against the page, since the worker would resolve it against its own script
+ */
+function resolveUrl(url) {
+  return typeof location !== 'undefined' ? new URL(url, location.href).href : url;
+}
+
+export class VideoWorker extends EventEmitter {
+  /**
+   * Whether workers can render the effects: WebGL on an OffscreenCanvas is required
+   */
+  static isSupported() {
+    if (typeof Worker === 'undefined' || typeof OffscreenCanvas === 'undefined') {
+      return false;
+    }
+
+    try {
+      const canvas = new OffscreenCanvas(1, 1);
+      return !!(canvas.getContext('webgl2') || canvas.getContext('webgl'));
+    } catch (error) {
+      return false;
+    }
+  }
+
+  constructor() {
+    super();
+
+    this.worker = null;
+    this.nextId = 0;
+    this.pending = new Map();
+
+    // Bitmap of the current background element, remade only when the element changes
+    this.backgroundSource = null;
+    this.backgroundBitmap = null;
+    this.videoWarned = false;
+  }
+
+  /**
+   * Start the worker and initialize its processor; rejects if it can't run there
+   */
+  async initialize(config, performance) {
+    this.worker = new Worker(WORKER_URL, { type: 'module' });
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      const error = new Error(`Video worker failed: ${event.message}`);
+      this.rejectPending(error);
+      this.emit('error', error);
+    };
+
+    return this.request('initialize', { config: await this.prepareConfig(config), performance });
+  }
+
+  handleMessage(message) {
+    if (message.type === 'event') {
+      this.emit(message.event, message.isError ? new Error(message.payload) : message.payload);
+      return;
+    }
+
+    const request = this.pending.get(message.id);
+    if (!request) return;
+
+    this.pending.delete(message.id);
+    if (message.error) {
+      request.reject(new Error(message.error));
+    } else {
+      request.resolve(message.result);
+    }
+  }
+
+  request(type, data = {}, transfer = []) {
+    if (!this.worker) {
+      return Promise.reject(new Error('Video worker not running'));
+    }
+
+    const id = ++this.nextId;
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage({ id, type, ...data }, transfer);
+    });
+  }
+
+  rejectPending(error) {
+    this.pending.forEach(({ reject }) => reject(error));
+    this.pending.clear();
+  }
+
+  /**
+   * Make a video config section transferable
+   * URLs are resolved against the page and drawable images become ImageBitmaps;
+   * video backgrounds need a DOM element, so they are dropped with an error
+   */
+  async prepareConfig(config) {
+    const prepared = { ...config };
+
+    ['backgroundBlur', 'backgroundReplace'].forEach(feature => {
+      if (prepared[feature]?.modelUrl) {
+        prepared[feature] = { ...prepared[feature], modelUrl: resolveUrl(prepared[feature].modelUrl) };
+      }
+    });
+
+    const lutSource = prepared.lut?.source;
+    if (typeof lutSource === 'string' && !/\bLUT_(1D|3D)_SIZE\b/.test(lutSource)) {
+      prepared.lut = { ...prepared.lut, source: resolveUrl(lutSource) };
+    }
+
+    const replace = prepared.backgroundReplace;
+    if (replace) {
+      const { image, video } = replace;
+      prepared.backgroundReplace = { ...replace };
+
+      if (typeof image === 'string') {
+        prepared.backgroundReplace.image = resolveUrl(image);
+      } else if (image && !(image instanceof ImageData) && !(image instanceof ImageBitmap)) {
+        if (image !== this.backgroundSource) {
+          this.backgroundSource = image;
+          this.backgroundBitmap = await createImageBitmap(image);
+        }
+        prepared.backgroundReplace.image = this.backgroundBitmap;
+      }
+
+      if (video) {
+        prepared.backgroundReplace.video = null;
+        if (!this.videoWarned) {
+          this.videoWarned = true;
+          this.emit('error', new Error('Video backgrounds need the main thread, set performance.useWebWorkers to false'));
+        }
+      }
+    }
+
+    return prepared;
+  }
+
+  /**
+   * Transfer a VideoFrame or ImageBitmap for processing
+   * Resolves with { frame, stats }, the processed frame in the same form
+   */
+  processFrame(frame) {
+    return this.request('frame', { frame }, [frame]);
+  }
+
+  /**
+   * Send changed config keys to the worker
+   * The worker holds its own copy of a background bitmap, so a replaced one is closed once it has switched
+   */
+  async updateConfig(config) {
+    const previousBitmap = this.backgroundBitmap;
+    const result = await this.request('config', { config: await this.prepareConfig(config) });
+
+    if (previousBitmap && previousBitmap !== this.backgroundBitmap) {
+      previousBitmap.close();
+    }
+
+    return result;
+  }
+
+  updatePerformance(performance) {
+    return this.request('performance', { performance });
+  }
+
+  async destroy() {
+    if (!this.worker) return;
+
+    try {
+      await this.request('destroy');
+    } catch (error) {
+      // The worker is terminated either way
+    }
+
+    this.worker.terminate();
+    this.worker = null;
+    this.rejectPending(new Error('Video worker destroyed'));
+
+    if (this.backgroundBitmap) {
+      this.backgroundBitmap.close();
+      this.backgroundBitmap = null;
+    }
+    this.backgroundSource = null;
+  }
+}
@@ -0,0 +1,83 @@
+/**
+ * Video effects worker entry point
+ * Runs a VideoProcessor on OffscreenCanvas, so page work on the main thread can't hold frames up
+ */
+
+import { VideoProcessor } from '../VideoProcessor';
+import { EVENTS } from '../../core/constants';
+
+// Processor events relayed to the main thread
+const FORWARDED_EVENTS = [EVENTS.MODEL_LOADED, EVENTS.MODEL_ERROR, EVENTS.EXPOSURE_ADJUSTED, EVENTS.QUALITY_CHANGED, 'error'];
+
+let processor = null;
+
+/**
+ * Process one transferred frame and return the result at processing size
+ * VideoFrames come back as VideoFrames, ImageBitmaps as ImageBitmaps
+ */
+async function processFrame(frame) {
+  const startTime = performance.now();
+  let output;
+
+  if (typeof VideoFrame !== 'undefined' && frame instanceof VideoFrame) {
+    output = await processor.processVideoFrame(frame);
+  } else {
+    await processor.processCanvasFrame(frame, frame.width, frame.height);
+    output = processor.canvas.transferToImageBitmap();
+  }
+  frame.close();
+
+  // Frame time drives the worker's quality governor
+  processor.frameCount++;
+  processor.updateStats(startTime);
+
+  return { frame: output, stats: processor.getStats() };
+}
+
+async function handleRequest(type, data) {
+  switch (type) {
+    case 'initialize':
+      processor = new VideoProcessor(data.config, { ...data.performance, useWebWorkers: false });
+      FORWARDED_EVENTS.forEach(event => {
+        processor.on(event, (payload) => {
+          const isError = payload instanceof Error;
+          self.postMessage({ type: 'event', event, payload: isError ? payload.message : payload, isError });
+        });
+      });
+      await processor.initialize();
+      return { renderer: processor.pipeline ? 'webgl' : '2d' };
+    case 'frame':
+      return processFrame(data.frame);
+    case 'config': {
+      // Background bitmaps arrive as copies this worker owns, released once replaced
+      const previousImage = processor.config.backgroundReplace?.image;
+      await processor.updateConfig(data.config);
+      if (previousImage instanceof ImageBitmap && previousImage !== processor.config.backgroundReplace?.image) {
+        previousImage.close();
+      }
+      return null;
+    }
+    case 'performance':
+      processor.updatePerformance(data.performance);
+      return null;
+    case 'destroy':
+      if (processor) {
+        await processor.destroy();
+        processor = null;
+      }
+      return null;
+    default:
+      throw new Error(`Unknown video worker request: ${type}`);
+  }
+}
+
+self.onmessage = async (event) => {
+  const { id, type, ...data } = event.data;
+
+  try {
+    const result = await handleRequest(type, data);
+    self.postMessage({ id, result }, result && result.frame ? [result.frame] : []);
+  } catch (error) {
+    self.postMessage({ id, error: error.message });
+  }
+};
@@ -2,7 +2,9 @@
  * Basic tests for AI Media Processor
  */
 
-import { MediaProcessor, isSupported, getCapabilities } from '../src/index.js';
+import { MediaProcessor, AudioProcessor, isSupported, getCapabilities } from '../src/index.js';
+import { VoiceFocus } from '../src/audio/VoiceFocus';
+import { ProcessingNode } from '../src/audio/ProcessingNode';
 
 describe('AI Media Processor', () => {
   test('should export MediaProcessor class', () => {
@@ -54,6 +56,133 @@ describe('AI Media Processor', () => {
     expect(processorConfig.video.colorCorrection.enabled).toBe(true);
   });
 
+  test('should copy the config but share media objects in it', () => {
+    class ImageLike {
+      constructor() {
+        this.data = new Uint8ClampedArray(16);
+      }
+    }
+    const image = new ImageLike();
+    const processor = new MediaProcessor({ video: { backgroundReplace: { image } } });
+    const config = processor.getConfig();
+
+    expect(config.video.backgroundReplace.image).toBe(image);
+    expect(config.video.backgroundReplace).not.toBe(processor.config.video.backgroundReplace);
+
+    config.video.colorCorrection.brightness = 2;
+    expect(processor.getConfig().video.colorCorrection.brightness).toBe(1.0);
+  });
+
+  test('should reject invalid configuration', async () => {
+    expect(() => new MediaProcessor({ video: { backgroundBlur: { intensity: 500 } } })).toThrow('video.backgroundBlur.intensity');
+
+    const processor = new MediaProcessor();
+    await expect(processor.updateConfig({ audio: { agc: { targetLevl: -10 } } })).rejects.toThrow('did you mean audio.agc.targetLevel');
+  });
+
+  test('should toggle effects through the facade', async () => {
+    const processor = new MediaProcessor();
+    
+    await processor.enableVideoEffects({ blur: { intensity: 20 }, colorCorrection: true });
+    await processor.enableAudioEffects({ noiseSuppression: true });
+    
+    const config = processor.getConfig();
+    expect(config.video.backgroundBlur.enabled).toBe(true);
+    expect(config.video.backgroundBlur.intensity).toBe(20);
+    expect(config.video.colorCorrection.enabled).toBe(true);
+    expect(config.audio.noiseSuppression.enabled).toBe(true);
+  });
+
+  test('should keep earlier updates when updating configuration', async () => {
+    const processor = new MediaProcessor();
+
+    await processor.updateConfig({ video: { colorCorrection: { brightness: 1.4 } } });
+    await processor.updateConfig({ video: { colorCorrection: { contrast: 1.2 } } });
+
+    const config = processor.getConfig();
+    expect(config.video.colorCorrection.brightness).toBe(1.4);
+    expect(config.video.colorCorrection.contrast).toBe(1.2);
+  });
+
+  test('should route parameter changes to running modules', async () => {
+    const processor = new AudioProcessor({
+      agc: { enabled: true, targetLevel: -20 },
+      voiceFocus: { enabled: false }
+    });
+    const received = [];
+    const toggled = [];
+    processor.isInitialized = true;
+    processor.agc = { updateConfig: (changes) => received.push(changes) };
+    processor.setFeature = async (feature, enabled) => toggled.push([feature, enabled]);
+
+    await processor.updateConfig({
+      agc: { enabled: true, targetLevel: -16 },
+      voiceFocus: { enabled: true }
+    });
+
+    expect(received).toEqual([{ targetLevel: -16 }]);
+    expect(toggled).toEqual([['voiceFocus', true]]);
+  });
+
+  test('should keep the input meter connected when modules are rewired', async () => {
+    // Audio node stand-in that tracks where it is connected
+    const createNode = (name) => ({
+      name,
+      outputs: [],
+      connect(destination) {
+        this.outputs.push(destination.name);
+        return destination;
+      },
+      disconnect() {
+        this.outputs = [];
+      },
+      getInputNode() {
+        return this;
+      }
+    });
+    const processor = new AudioProcessor({});
+    processor.inputNode = createNode('input');
+    processor.outputNode = createNode('output');
+    processor.inputMeter = createNode('inputMeter');
+    processor.inputNode.connect(processor.inputMeter);
+
+    await processor.reconnectNodes();
+    expect(processor.inputNode.outputs).toEqual(['inputMeter', 'output']);
+
+    // Enabling a module rewires the chain again
+    processor.voiceFocus = createNode('voiceFocus');
+    await processor.reconnectNodes();
+    expect(processor.inputNode.outputs).toEqual(['inputMeter', 'voiceFocus']);
+    expect(processor.voiceFocus.outputs).toEqual(['output']);
+  });
+
+  test('should resolve voice focus presets with explicit band keys taking over', () => {
+    const voiceFocus = new VoiceFocus(null, { preset: 'telephone', boostGain: 6 });
+
+    expect(voiceFocus.getBandSettings()).toEqual({
+      frequencyRange: [300, 3400],
+      boostFrequency: 1500,
+      boostGain: 6,
+      boostQ: 1
+    });
+
+    voiceFocus.updateConfig({ preset: 'broadcast' });
+    expect(voiceFocus.getBandSettings().boostGain).toBe(5);
+    expect(() => voiceFocus.setPreset('radio')).toThrow('Unknown voice focus preset');
+  });
+
+  test('should reject unknown effects', async () => {
+    const processor = new MediaProcessor();
+    
+    await expect(processor.enableVideoEffects({ sparkles: true })).rejects.toThrow('Unknown video effect');
+  });
+
+  test('should detach without an attached stream', async () => {
+    const processor = new MediaProcessor();
+    
+    expect(await processor.detach()).toBeNull();
+  });
+
   test('should emit events', (done) => {
     const processor = new MediaProcessor();
     
@@ -68,4 +197,131 @@ describe('AI Media Processor', () => {
     
     expect(processor.isDestroyed).toBe(true);
   });
-}); 
\ No newline at end of file
+}); 
+describe('ProcessingNode ScriptProcessor fallback', () => {
+  /**
+   * Kernel that records what it is handed
+   */
+  class RecordingKernel {
+    static get processorName() {
+      return 'recording-processor';
+    }
+
+    static get parameterDescriptors() {
+      return [
+        { name: 'threshold', defaultValue: -40, minValue: -100, maxValue: 0 },
+        { name: 'ratio', defaultValue: 2, minValue: 1, maxValue: 20 }
+      ];
+    }
+
+    constructor(sampleRate, options, postMessage) {
+      this.sampleRate = sampleRate;
+      this.options = options;
+      this.postMessage = postMessage;
+      this.calls = [];
+      this.messages = [];
+      this.disposed = false;
+    }
+
+    process(inputs, outputs, parameters) {
+      this.calls.push({ inputs, outputs, parameters: { threshold: parameters.threshold[0], ratio: parameters.ratio[0] } });
+    }
+
+    handleMessage(message) {
+      this.messages.push(message);
+    }
+
+    dispose() {
+      this.disposed = true;
+    }
+  }
+
+  /**
+   * AudioContext without audioWorklet; nodes record the names they connect to
+   */
+  function createContext() {
+    const createNode = (name) => ({
+      name,
+      outputs: [],
+      connect(destination) {
+        this.outputs.push(destination.name);
+        return destination;
+      },
+      disconnect() {
+        this.outputs = [];
+      }
+    });
+
+    return {
+      sampleRate: 48000,
+      destination: createNode('destination'),
+      createScriptProcessor: (bufferSize, inputChannels, outputChannels) =>
+        Object.assign(createNode('scriptProcessor'), { bufferSize, inputChannels, outputChannels }),
+      createGain: () => Object.assign(createNode('sink'), { gain: { value: 1 } })
+    };
+  }
+
+  function audioProcessEvent(channels, output) {
+    return {
+      inputBuffer: { getChannelData: (channel) => channels[channel] },
+      outputBuffer: { getChannelData: () => output }
+    };
+  }
+
+  test('should run the kernel with seeded and clamped parameters', async () => {
+    const messages = [];
+    const node = new ProcessingNode(createContext(), RecordingKernel, {
+      processorOptions: { lookahead: 5 },
+      parameterData: { threshold: -30 },
+      inputChannels: 2,
+      onMessage: (message) => messages.push(message)
+    });
+    await node.initialize();
+
+    expect(node.isWorklet).toBe(false);
+    expect(node.node).toMatchObject({ inputChannels: 2, outputChannels: 1 });
+    expect(node.kernel).toMatchObject({ sampleRate: 48000, options: { lookahead: 5 } });
+    expect(node.paramValues).toEqual({ threshold: Float32Array.of(-30), ratio: Float32Array.of(2) });
+
+    node.setParam('threshold', -200);
+    node.setParam('ratio', 4);
+    expect(() => node.setParam('knee', 6)).toThrow('Unknown parameter for recording-processor: knee');
+
+    const ch0 = new Float32Array(4);
+    const ch1 = new Float32Array(4);
+    const output = new Float32Array(4);
+    node.node.onaudioprocess(audioProcessEvent([ch0, ch1], output));
+
+    const [call] = node.kernel.calls;
+    expect(call.inputs).toEqual([[ch0, ch1]]);
+    expect(call.inputs[0][1]).toBe(ch1);
+    expect(call.outputs[0][0]).toBe(output);
+    expect(call.parameters).toEqual({ threshold: -100, ratio: 4 });
+
+    // Messages go straight to the kernel and back
+    node.postMessage({ type: 'reset' });
+    expect(node.kernel.messages).toEqual([{ type: 'reset' }]);
+    node.kernel.postMessage({ type: 'level', value: 0.5 });
+    expect(messages).toEqual([{ type: 'level', value: 0.5 }]);
+  });
+
+  test('should keep observer kernels running through a muted sink until destroyed', async () => {
+    const context = createContext();
+    const node = new ProcessingNode(context, RecordingKernel, { numberOfOutputs: 0 });
+    await node.initialize();
+
+    const { sink, kernel } = node;
+    expect(sink.gain.value).toBe(0);
+    expect(node.node.outputs).toEqual(['sink']);
+    expect(sink.outputs).toEqual(['destination']);
+
+    node.node.onaudioprocess(audioProcessEvent([new Float32Array(4)], new Float32Array(4)));
+    expect(kernel.calls[0].outputs).toEqual([]);
+
+    node.destroy();
+    expect(sink.outputs).toEqual([]);
+    expect(node.sink).toBe(null);
+    expect(node.node).toBe(null);
+    expect(kernel.disposed).toBe(true);
+  });
+});
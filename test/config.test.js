@@ -0,0 +1,87 @@
+/**
+ * Tests for config schema validation
+ */
+
+import { validateConfig, assertValidConfig } from '../src/core/configSchema';
+
+describe('Config validation', () => {
+  test('should accept partial configs with known keys', () => {
+    expect(validateConfig({
+      audio: { agc: { enabled: true, targetLevel: -18, maxGain: 4 } },
+      video: { backgroundBlur: { intensity: 20, internalResolution: 0.5 } },
+      performance: { quality: 'high' }
+    })).toEqual([]);
+  });
+
+  test('should report out of range values with path and expectation', () => {
+    const errors = validateConfig({ video: { colorCorrection: { brightness: 5 } } });
+
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({
+      path: 'video.colorCorrection.brightness',
+      expected: 'number between 0.1 and 3',
+      received: 5
+    });
+  });
+
+  test('should suggest the closest key for unknown ones', () => {
+    const errors = validateConfig({ video: { backgroundBlur: { intensty: 10 } } });
+
+    expect(errors[0].path).toBe('video.backgroundBlur.intensty');
+    expect(errors[0].suggestion).toBe('video.backgroundBlur.intensity');
+  });
+
+  test('should throw with the structured errors attached', () => {
+    let thrown = null;
+    try {
+      assertValidConfig({ audio: { noiseSuppression: { intensity: 'extreme' } }, performance: { targetFPS: 0 } });
+    } catch (error) {
+      thrown = error;
+    }
+
+    expect(thrown.message).toContain('audio.noiseSuppression.intensity');
+    expect(thrown.errors.map(error => error.path)).toEqual([
+      'audio.noiseSuppression.intensity',
+      'performance.targetFPS'
+    ]);
+  });
+
+  test('should reject fractional tile counts', () => {
+    expect(validateConfig({ video: { lowLightCompensation: { tiles: 8 } } })).toEqual([]);
+
+    const errors = validateConfig({ video: { lowLightCompensation: { tiles: 7.5 } } });
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({
+      path: 'video.lowLightCompensation.tiles',
+      expected: 'integer between 2 and 16',
+      received: 7.5
+    });
+  });
+
+  test('should reject a maximum gain below the minimum gain', () => {
+    expect(validateConfig({ audio: { agc: { minGain: 2, maxGain: 2 } } })).toEqual([]);
+
+    const errors = validateConfig({ audio: { agc: { minGain: 4, maxGain: 2 } } });
+    expect(errors).toEqual([{
+      path: 'audio.agc.maxGain',
+      expected: 'number not below minGain (4)',
+      received: 2
+    }]);
+  });
+
+  test('should check gain order against the current config for partial updates', () => {
+    const current = { audio: { agc: { minGain: 0.1, maxGain: 3 } } };
+
+    expect(validateConfig({ audio: { agc: { minGain: 2 } } }, undefined, current)).toEqual([]);
+
+    const errors = validateConfig({ audio: { agc: { minGain: 5 } } }, undefined, current);
+    expect(errors).toHaveLength(1);
+    expect(errors[0]).toMatchObject({ path: 'audio.agc.maxGain', received: 3 });
+  });
+
+  test('should skip cross-key checks while a key is invalid on its own', () => {
+    const errors = validateConfig({ audio: { agc: { minGain: 50, maxGain: 2 } } });
+
+    expect(errors.map(error => error.path)).toEqual(['audio.agc.minGain']);
+  });
+});
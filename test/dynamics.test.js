@@ -0,0 +1,187 @@
+/**
+ * Tests for the dynamics DSP kernels
+ */
+
+import { LimiterKernel } from '../src/audio/dsp/LimiterKernel.js';
+import { NoiseGateKernel } from '../src/audio/dsp/NoiseGateKernel.js';
+import { GainControlKernel } from '../src/audio/dsp/GainControlKernel.js';
+import { LoudnessAnalyzer } from '../src/audio/dsp/LoudnessAnalyzer.js';
+import { LevelMeterKernel } from '../src/audio/dsp/LevelMeterKernel.js';
+
+/**
+ * Run a kernel over a signal one render quantum at a time
+ */
+function render(kernel, input, parameters) {
+  const output = new Float32Array(input.length);
+  for (let start = 0; start < input.length; start += 128) {
+    kernel.process([[input.subarray(start, start + 128)]], [[output.subarray(start, start + 128)]], parameters);
+  }
+  return output;
+}
+
+function tone(sampleRate, seconds, amplitude, frequency = 1000) {
+  return Float32Array.from({ length: Math.round(sampleRate * seconds) }, (_, i) => amplitude * Math.sin(2 * Math.PI * frequency * i / sampleRate));
+}
+
+function peak(samples) {
+  return samples.reduce((max, sample) => Math.max(max, Math.abs(sample)), 0);
+}
+
+describe('Dynamics DSP', () => {
+  test('limiter should hold a loud burst at the ceiling and leave quiet audio alone', () => {
+    const sampleRate = 48000;
+    const messages = [];
+    const kernel = new LimiterKernel(sampleRate, { lookahead: 5 }, (message) => messages.push(message));
+    const parameters = { ceiling: Float32Array.of(-1), release: Float32Array.of(0.05) };
+
+    // Quiet tone with a burst 8 dB over full scale from 0.3 to 0.35 s
+    const input = Float32Array.from({ length: sampleRate }, (_, i) => {
+      const t = i / sampleRate;
+      return (t >= 0.3 && t < 0.35 ? 2.5 : 0.3) * Math.sin(2 * Math.PI * 1000 * t);
+    });
+    const output = render(kernel, input, parameters);
+    const delay = Math.round(kernel.latency * sampleRate);
+
+    // 5 ms lookahead plus the true-peak detector's delay
+    expect(delay).toBe(246);
+    expect(peak(output)).toBeLessThanOrEqual(Math.pow(10, -1 / 20) + 1e-6);
+
+    // Before the lookahead reaches the burst and after release the tone passes unchanged
+    const before = output.subarray(0.1 * sampleRate + delay, 0.29 * sampleRate);
+    const after = output.subarray(0.7 * sampleRate + delay, sampleRate);
+    expect(peak(before)).toBeCloseTo(0.3, 3);
+    expect(peak(after)).toBeCloseTo(0.3, 3);
+
+    const maxGainReduction = Math.max(...messages.map(message => message.maxGainReduction));
+    expect(maxGainReduction).toBeGreaterThan(8);
+    expect(maxGainReduction).toBeLessThan(10);
+  });
+
+  test('gate should expand noise down, open for a tone and hold before closing', () => {
+    const sampleRate = 48000;
+    const messages = [];
+    const kernel = new NoiseGateKernel(sampleRate, {}, (message) => messages.push(message));
+    const parameters = {
+      threshold: Float32Array.of(-40),
+      ratio: Float32Array.of(4),
+      range: Float32Array.of(-40),
+      hold: Float32Array.of(0.1),
+      attack: Float32Array.of(0.005),
+      release: Float32Array.of(0.05)
+    };
+
+    // Tone at -60 dBFS throughout, raised to -20 dBFS from 0.5 to 1 s
+    const input = Float32Array.from({ length: sampleRate * 1.5 }, (_, i) => {
+      const t = i / sampleRate;
+      return (t >= 0.5 && t < 1 ? 0.1 : 0.001) * Math.sin(2 * Math.PI * 440 * t);
+    });
+    const output = render(kernel, input, parameters);
+    const level = (from, to) => 20 * Math.log10(peak(output.subarray(from * sampleRate, to * sampleRate)));
+
+    // 20 dB under the threshold at 1:4 is turned down 60 dB, limited by the 40 dB range
+    expect(level(0.3, 0.5)).toBeCloseTo(-100, 0);
+    expect(level(0.6, 1)).toBeCloseTo(-20, 1);
+    // Held open after the tone drops, then closed
+    expect(level(1.01, 1.09)).toBeCloseTo(-60, 1);
+    expect(level(1.4, 1.5)).toBeCloseTo(-100, 0);
+
+    expect(messages.filter(message => message.type === 'gate').map(message => message.open))
+      .toEqual([false, true, false]);
+  });
+
+  test('frozen gain control should hold its gain through silence', () => {
+    const kernel = new GainControlKernel(48000);
+    const parameters = {
+      targetLevel: Float32Array.of(-20),
+      compressionRatio: Float32Array.of(3),
+      attackTime: Float32Array.of(0.1),
+      releaseTime: Float32Array.of(0.5),
+      minGain: Float32Array.of(0.1),
+      maxGain: Float32Array.of(10),
+      freeze: Float32Array.of(0),
+      loudnessMode: Float32Array.of(0),
+      targetLoudness: Float32Array.of(-23)
+    };
+    const quiet = Float32Array.from({ length: 48000 }, (_, i) => 0.001 * Math.sin(i / 10));
+
+    render(kernel, quiet.subarray(0, 4800), parameters);
+    const gain = kernel.currentGain;
+
+    parameters.freeze[0] = 1;
+    render(kernel, quiet, parameters);
+    expect(kernel.currentGain).toBe(gain);
+
+    parameters.freeze[0] = 0;
+    render(kernel, quiet, parameters);
+    expect(kernel.currentGain).toBeGreaterThan(gain);
+  });
+
+  test('loudness should read a 1 kHz tone at its level and gate silence out of the integration', () => {
+    const analyzer = new LoudnessAnalyzer(48000);
+
+    // K-weighting is flat at 1 kHz, so a tone with a mean square of -23 dB reads -23 LUFS
+    analyzer.push(tone(48000, 5, Math.SQRT2 * Math.pow(10, -23 / 20)));
+    expect(analyzer.momentary).toBeCloseTo(-23, 1);
+    expect(analyzer.shortTerm).toBeCloseTo(-23, 1);
+    expect(analyzer.integrated).toBeCloseTo(-23, 1);
+
+    // Silence drops below the absolute gate, a passage 20 LU down falls under the relative gate
+    analyzer.push(new Float32Array(48000 * 5));
+    analyzer.push(tone(48000, 5, Math.SQRT2 * Math.pow(10, -43 / 20)));
+    expect(analyzer.shortTerm).toBeCloseTo(-43, 1);
+    expect(analyzer.integrated).toBeGreaterThan(-23.2);
+    expect(analyzer.integrated).toBeLessThan(-22.9);
+  });
+
+  test('gain control in loudness mode should bring short-term loudness to the target', () => {
+    const kernel = new GainControlKernel(48000);
+    const parameters = {
+      targetLevel: Float32Array.of(-20),
+      compressionRatio: Float32Array.of(3),
+      attackTime: Float32Array.of(0.1),
+      releaseTime: Float32Array.of(0.5),
+      minGain: Float32Array.of(0.1),
+      maxGain: Float32Array.of(10),
+      freeze: Float32Array.of(0),
+      loudnessMode: Float32Array.of(1),
+      targetLoudness: Float32Array.of(-23)
+    };
+
+    const output = render(kernel, tone(48000, 12, Math.SQRT2 * Math.pow(10, -35 / 20)), parameters);
+    const analyzer = new LoudnessAnalyzer(48000);
+    analyzer.push(output.subarray(48000 * 8));
+
+    expect(analyzer.shortTerm).toBeCloseTo(-23, 0);
+  });
+
+  test('level meter should read peak, RMS and ballistics per channel and count clips', () => {
+    const sampleRate = 48000;
+    const messages = [];
+    const kernel = new LevelMeterKernel(sampleRate, {}, (message) => messages.push(message));
+
+    // Left: -6 dBFS sine for a second, then silence; right: a full-scale square wave
+    const left = tone(sampleRate, 2, 0.5);
+    left.fill(0, sampleRate);
+    const right = Float32Array.from({ length: sampleRate * 2 }, (_, i) => (Math.floor(i / 24) % 2 ? -1 : 1));
+    for (let start = 0; start < left.length; start += 128) {
+      kernel.process([[left.subarray(start, start + 128), right.subarray(start, start + 128)]], [], {});
+    }
+
+    const atOneSecond = messages[Math.floor(sampleRate / 1024) - 1].channels[0];
+    expect(atOneSecond.peak).toBeCloseTo(-6.02, 1);
+    expect(atOneSecond.rms).toBeCloseTo(-9.03, 1);
+    expect(atOneSecond.vu).toBeCloseTo(-9.03, 0);
+    expect(atOneSecond.ppm).toBeCloseTo(-6.02, 0);
+
+    // Half a second after the tone stops the PPM has fallen about 20 dB * 0.5 / 1.5
+    const falling = messages[Math.floor(sampleRate * 1.5 / 1024) - 1].channels[0];
+    expect(falling.ppm).toBeGreaterThan(-14);
+    expect(falling.ppm).toBeLessThan(-11.5);
+    expect(falling.rms).toBe(-120);
+    expect(falling.noiseFloor).toBeLessThan(-100);
+
+    const last = messages[messages.length - 1].channels[1];
+    expect(last.peak).toBe(0);
+    expect(last.clips).toBe(Math.floor(left.length / 1024) * 1024);
+  });
+});
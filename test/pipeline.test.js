@@ -0,0 +1,251 @@
+/**
+ * Tests for the GPU effect pipeline
+ */
+
+import { GLPipeline } from '../src/video/GLPipeline';
+import { MaskRefiner } from '../src/video/MaskRefiner';
+
+/**
+ * WebGL context stand-in that records calls; objects it creates are numbered,
+ * constants are their own names and queries answer as a working context would
+ */
+function createGL() {
+  const calls = [];
+  let nextId = 0;
+
+  const gl = new Proxy({ canvas: { width: 0, height: 0 }, calls }, {
+    get(target, name) {
+      if (name in target || typeof name !== 'string') return target[name];
+      if (/^[A-Z0-9_]+$/.test(name)) return name;
+
+      return (...args) => {
+        calls.push({ name, args });
+        if (name.startsWith('create')) return { id: ++nextId, type: name.slice(6) };
+        if (name === 'getAttribLocation') return 0;
+        if (name === 'getUniformLocation') return args[1];
+        if (name.startsWith('get')) return true;
+        return undefined;
+      };
+    }
+  });
+
+  return gl;
+}
+
+function countCalls(gl, name) {
+  return gl.calls.filter(call => call.name === name).length;
+}
+
+/**
+ * Pipeline stand-in for MaskRefiner that records draws into named targets
+ */
+function createMaskPipeline(width, height) {
+  const targets = new Map();
+  return {
+    width,
+    height,
+    copyProgram: { name: 'copy' },
+    draws: [],
+    createTexture: () => ({ name: 'raw' }),
+    uploadMask() {},
+    getTarget(key, targetWidth, targetHeight) {
+      if (!targets.has(key)) targets.set(key, { key, texture: { key } });
+      return Object.assign(targets.get(key), { width: targetWidth, height: targetHeight });
+    },
+    draw(programInfo, target, { textures = {}, uniforms = {} } = {}) {
+      this.draws.push({ programInfo, target: target.key, textures, uniforms });
+    }
+  };
+}
+
+/**
+ * 2D canvas stand-in whose frame is a flat gray at the given luminance (0-255)
+ */
+function grayCanvas(shade) {
+  return {
+    width: 0,
+    height: 0,
+    getContext() {
+      return {
+        drawImage() {},
+        getImageData: (x, y, width, height) => ({ data: new Uint8ClampedArray(width * height * 4).fill(shade) })
+      };
+    }
+  };
+}
+
+/**
+ * MaskRefiner with named stand-ins for the programs its GL context would compile
+ */
+function createRefiner(name, config) {
+  const refiner = new MaskRefiner(name, null, config);
+  refiner.temporalProgram = { name: 'temporal' };
+  refiner.upsampleProgram = { name: 'upsample' };
+  refiner.featherProgram = { name: 'feather' };
+  return refiner;
+}
+
+function createMask(width, height, value) {
+  return { data: new Uint8Array(width * height).fill(value), width, height };
+}
+
+/**
+ * Pass that records the textures and targets it was given
+ */
+function recordingPass(name, log) {
+  return {
+    name,
+    module: {
+      render(pipeline, input, output) {
+        log.push({ name, input, output });
+      }
+    }
+  };
+}
+
+describe('GLPipeline', () => {
+  test('should chain passes through the ping-pong targets and end on the canvas', () => {
+    const gl = createGL();
+    const pipeline = new GLPipeline(gl);
+    pipeline.initialize();
+
+    const log = [];
+    const passes = ['lowLight', 'color', 'lut', 'blur'].map(name => recordingPass(name, log));
+    pipeline.render({}, 64, 48, passes);
+
+    const [first, second] = pipeline.pingPong;
+    expect(first).not.toBe(second);
+    expect(log.map(({ input }) => input)).toEqual([pipeline.sourceTexture, first.texture, second.texture, first.texture]);
+    expect(log.map(({ output }) => output)).toEqual([first, second, first, null]);
+  });
+
+  test('should copy the source to the canvas when there are no passes', () => {
+    const gl = createGL();
+    const pipeline = new GLPipeline(gl);
+    pipeline.initialize();
+
+    const draws = [];
+    pipeline.draw = (programInfo, target, { textures }) => draws.push({ programInfo, target, textures });
+    pipeline.render({}, 64, 48, []);
+
+    expect(draws).toEqual([{
+      programInfo: pipeline.copyProgram,
+      target: null,
+      textures: { u_texture: pipeline.sourceTexture }
+    }]);
+    expect(pipeline.getStats().passes.map(pass => pass.name)).toEqual(['upload', 'copy']);
+  });
+
+  test('should size the canvas and targets to the frame and reuse them', () => {
+    const gl = createGL();
+    const pipeline = new GLPipeline(gl);
+    pipeline.initialize();
+
+    pipeline.render({}, 64, 48, []);
+    const targets = [...pipeline.pingPong];
+    const allocations = countCalls(gl, 'texImage2D');
+
+    // Same size: nothing is reallocated
+    pipeline.render({}, 64, 48, []);
+    expect(countCalls(gl, 'texImage2D') - allocations).toBe(1);
+
+    // New size: the same targets are resized in place
+    pipeline.render({}, 32, 16, []);
+    expect(pipeline.pingPong[0]).toBe(targets[0]);
+    expect(pipeline.pingPong[1]).toBe(targets[1]);
+    expect(pipeline.pingPong.map(({ width, height }) => [width, height])).toEqual([[32, 16], [32, 16]]);
+    expect(gl.canvas).toMatchObject({ width: 32, height: 16 });
+    expect(countCalls(gl, 'createFramebuffer')).toBe(2);
+  });
+
+  test('should keep one scratch target per key and release everything on destroy', () => {
+    const gl = createGL();
+    const pipeline = new GLPipeline(gl);
+    pipeline.initialize();
+    pipeline.resize(64, 48);
+
+    const blur = pipeline.getTarget('blur', 32.4, 0.2);
+    expect(blur).toMatchObject({ width: 32, height: 1 });
+    expect(pipeline.getTarget('blur', 16, 12)).toBe(blur);
+    expect(blur).toMatchObject({ width: 16, height: 12 });
+
+    // The frame size is the default
+    expect(pipeline.getTarget('mask')).toMatchObject({ width: 64, height: 48 });
+
+    pipeline.destroy();
+    expect(countCalls(gl, 'deleteFramebuffer')).toBe(4);
+    expect(countCalls(gl, 'deleteTexture')).toBe(5);
+    expect(pipeline.pingPong).toEqual([]);
+    expect(pipeline.scratchTargets.size).toBe(0);
+  });
+});
+
+describe('MaskRefiner', () => {
+  test('should smooth still areas over time and follow motion at once on the CPU path', () => {
+    const refiner = new MaskRefiner('test', null, { maskSmoothing: 0.6 });
+    refiner.guideCanvas = grayCanvas(100);
+
+    // The first mask has no history and is taken as is
+    expect(refiner.refineImage(createMask(4, 2, 1), null).data[0]).toBe(255);
+
+    // Nothing moved: the mask moves 40% of the way to the new value
+    const still = refiner.refineImage(createMask(4, 2, 0), null);
+    expect(still).toMatchObject({ width: 4, height: 2, soft: true });
+    expect(still.data[0]).toBe(Math.round(255 * 0.6));
+
+    // The frame changed well beyond 1/MOTION_GAIN: the mask follows immediately
+    refiner.guideCanvas = grayCanvas(200);
+    expect(refiner.refineImage(createMask(4, 2, 1), null).data[0]).toBe(255);
+  });
+
+  test('should restart the CPU history on reset and on a new mask size', () => {
+    const refiner = new MaskRefiner('test', null, { maskSmoothing: 0.9 });
+    refiner.guideCanvas = grayCanvas(100);
+
+    refiner.refineImage(createMask(4, 2, 1), null);
+    expect(refiner.refineImage(createMask(2, 2, 0), null).data[0]).toBe(0);
+
+    refiner.reset();
+    expect(refiner.refineImage(createMask(2, 2, 1), null).data[0]).toBe(255);
+  });
+
+  test('should blend with the previous mask on the GPU once there is history', () => {
+    const refiner = createRefiner('blur', { maskSmoothing: 0.7, edgeFeather: 0 });
+    const pipeline = createMaskPipeline(64, 48);
+    const temporal = () => pipeline.draws.filter(draw => draw.programInfo === refiner.temporalProgram).pop();
+
+    refiner.refine(pipeline, createMask(16, 12, 1), { name: 'frame' });
+    expect(temporal().uniforms.u_smoothing).toBe(0);
+    expect(temporal().target).toBe('blur:mask:smoothed:0');
+
+    // The second frame writes the other history target and reads the first
+    const result = refiner.refine(pipeline, createMask(16, 12, 1), { name: 'frame' });
+    expect(temporal().uniforms.u_smoothing).toBe(0.7);
+    expect(temporal().target).toBe('blur:mask:smoothed:1');
+    expect(temporal().textures.u_previous).toEqual({ key: 'blur:mask:smoothed:0' });
+    expect(temporal().textures.u_previousFrame).toEqual({ key: 'blur:mask:guide:0' });
+
+    // Without feathering the upsampled mask is the result, at frame size
+    expect(result).toEqual({ key: 'blur:mask:refined' });
+    expect(pipeline.getTarget('blur:mask:refined', 64, 48)).toMatchObject({ width: 64, height: 48 });
+
+    // A new mask size has no usable history
+    refiner.refine(pipeline, createMask(8, 6, 1), { name: 'frame' });
+    expect(temporal().uniforms.u_smoothing).toBe(0);
+  });
+
+  test('should feather the refined mask at half resolution', () => {
+    const refiner = createRefiner('replace', { edgeFeather: 4 });
+    const pipeline = createMaskPipeline(64, 48);
+
+    const result = refiner.refine(pipeline, createMask(16, 12, 1), { name: 'frame' });
+    const [horizontal, vertical] = pipeline.draws.slice(-2);
+
+    expect(result).toEqual({ key: 'replace:mask:featherV' });
+    expect([horizontal, vertical].map(draw => draw.programInfo.name)).toEqual(['feather', 'feather']);
+    expect(horizontal.textures.u_texture).toEqual({ key: 'replace:mask:refined' });
+    expect(vertical.textures.u_texture).toEqual({ key: 'replace:mask:featherH' });
+    expect(horizontal.uniforms.u_direction[1]).toBe(0);
+    expect(vertical.uniforms.u_direction[0]).toBe(0);
+  });
+});
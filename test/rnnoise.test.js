@@ -0,0 +1,64 @@
+/**
+ * Tests for the RNNoise kernel
+ */
+
+import { readFileSync } from 'fs';
+import { createHash } from 'crypto';
+import { RNNoiseKernel, RNNOISE_FRAME_SIZE } from '../src/audio/dsp/RNNoiseKernel.js';
+
+const wasmBytes = readFileSync(new URL('../src/audio/worklets/rnnoise.wasm', import.meta.url));
+const wasmModule = new WebAssembly.Module(wasmBytes);
+
+function rms(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.sqrt(sum / samples.length);
+}
+
+function run(kernel, input, intensity) {
+  const output = new Float32Array(input.length);
+  const parameters = { intensity: Float32Array.of(intensity) };
+  for (let start = 0; start < input.length; start += 128) {
+    kernel.process([[input.subarray(start, start + 128)]], [[output.subarray(start, start + 128)]], parameters);
+  }
+  return output;
+}
+
+describe('RNNoise', () => {
+  test('binary should match the build recorded in its notice', () => {
+    const notice = readFileSync(new URL('../src/audio/worklets/rnnoise.wasm.NOTICE', import.meta.url), 'utf8');
+    const digest = createHash('sha256').update(wasmBytes).digest('hex');
+    expect(notice).toContain(`SHA-256:  ${digest}`);
+  });
+
+  test('should require a 48 kHz context', () => {
+    expect(() => new RNNoiseKernel(44100, { wasmModule })).toThrow('48000');
+  });
+
+  test('should attenuate white noise', () => {
+    const kernel = new RNNoiseKernel(48000, { wasmModule });
+    let state = 3;
+    const input = Float32Array.from({ length: 48000 * 2 }, () => {
+      state = (state * 16807) % 2147483647;
+      return 0.05 * ((state / 2147483647) * 2 - 1);
+    });
+
+    const output = run(kernel, input, 1);
+    expect(rms(output.subarray(48000))).toBeLessThan(rms(input.subarray(48000)) * 0.5);
+    kernel.dispose();
+  });
+
+  test('dry mix should be the input delayed by two frames', () => {
+    const kernel = new RNNoiseKernel(48000, { wasmModule });
+    const input = Float32Array.from({ length: 9600 }, (_, i) => Math.sin(i * 0.01 + i * i * 1e-6) * 0.3);
+
+    const output = run(kernel, input, 0);
+    expect(kernel.latency).toBe(2 * RNNOISE_FRAME_SIZE);
+    for (let i = kernel.latency; i < input.length; i++) {
+      expect(output[i]).toBeCloseTo(input[i - kernel.latency], 6);
+    }
+    kernel.dispose();
+  });
+});
@@ -0,0 +1,258 @@
+/**
+ * Tests for the spectral DSP kernels
+ */
+
+import { FFT } from '../src/audio/dsp/FFT.js';
+import { STFT } from '../src/audio/dsp/STFT.js';
+import { NoiseSuppressionKernel } from '../src/audio/dsp/NoiseSuppressionKernel.js';
+import { VoiceFocusKernel } from '../src/audio/dsp/VoiceFocusKernel.js';
+import { EchoCancellerKernel } from '../src/audio/dsp/EchoCancellerKernel.js';
+
+/**
+ * Deterministic white noise in [-1, 1]
+ */
+function createNoise(seed = 1) {
+  let state = seed;
+  return () => {
+    state = (state * 16807) % 2147483647;
+    return (state / 2147483647) * 2 - 1;
+  };
+}
+
+/**
+ * Add voiced harmonics with a gliding pitch and a formant near 700 Hz between two times in seconds
+ */
+function addVoice(input, sampleRate, from, to, level = 0.05) {
+  let phase = 0;
+  for (let i = Math.round(from * sampleRate); i < Math.round(to * sampleRate); i++) {
+    const t = i / sampleRate;
+    const f0 = 140 + 20 * Math.sin(2 * Math.PI * 3 * t);
+    phase += 2 * Math.PI * f0 / sampleRate;
+    for (let h = 1; h * 150 < 3800; h++) {
+      const formant = Math.exp(-((h * f0 - 700) ** 2) / (2 * 300 ** 2)) + 0.1;
+      input[i] += level * formant * Math.sin(h * phase) / Math.sqrt(h);
+    }
+  }
+  return input;
+}
+
+function rms(samples) {
+  let sum = 0;
+  for (let i = 0; i < samples.length; i++) {
+    sum += samples[i] * samples[i];
+  }
+  return Math.sqrt(sum / samples.length);
+}
+
+describe('Spectral DSP', () => {
+  test('FFT inverse should restore the input', () => {
+    const fft = new FFT(16);
+    const real = Float32Array.from({ length: 16 }, (_, i) => Math.sin(i));
+    const imag = new Float32Array(16);
+    const original = real.slice();
+
+    fft.forward(real, imag);
+    fft.inverse(real, imag);
+
+    original.forEach((value, i) => expect(real[i]).toBeCloseTo(value, 5));
+  });
+
+  test('STFT overlap-add should reconstruct the input after its latency', () => {
+    const stft = new STFT(512);
+    const length = 8192;
+    const input = Float32Array.from({ length }, (_, i) => Math.sin(i * 0.05) + 0.3 * Math.sin(i * 0.31));
+    const output = new Float32Array(length);
+
+    for (let start = 0; start < length; start += 128) {
+      stft.process(input.subarray(start, start + 128), output.subarray(start, start + 128), () => {});
+    }
+
+    for (let i = stft.latency * 2; i < length; i++) {
+      expect(output[i]).toBeCloseTo(input[i - stft.latency], 4);
+    }
+  });
+
+  test('noise suppression should attenuate stationary noise and keep tones', () => {
+    const sampleRate = 48000;
+    const kernel = new NoiseSuppressionKernel(sampleRate);
+    const parameters = { intensity: Float32Array.of(0.7) };
+    const noise = createNoise();
+    const length = sampleRate * 3;
+    const input = new Float32Array(length);
+    const output = new Float32Array(length);
+
+    // Two seconds of noise, then noise plus a tone
+    for (let i = 0; i < length; i++) {
+      const tone = i >= sampleRate * 2 ? 0.3 * Math.sin((2 * Math.PI * 300 * i) / sampleRate) : 0;
+      input[i] = 0.02 * noise() + tone;
+    }
+
+    for (let start = 0; start < length; start += 128) {
+      kernel.process(
+        [[input.subarray(start, start + 128)]],
+        [[output.subarray(start, start + 128)]],
+        parameters
+      );
+    }
+
+    const noiseIn = rms(input.subarray(sampleRate, sampleRate * 2));
+    const noiseOut = rms(output.subarray(sampleRate, sampleRate * 2));
+    expect(noiseOut).toBeLessThan(noiseIn * 0.5);
+
+    const toneIn = rms(input.subarray(sampleRate * 2 + 4096, length - 4096));
+    const toneOut = rms(output.subarray(sampleRate * 2 + 4096, length - 4096));
+    expect(toneOut).toBeGreaterThan(toneIn * 0.8);
+  });
+
+  test('learned noise profile should be posted and importable at another frame size', () => {
+    const sampleRate = 48000;
+    const messages = [];
+    const kernel = new NoiseSuppressionKernel(sampleRate, {}, (message) => messages.push(message));
+    const parameters = { intensity: Float32Array.of(0.7) };
+    const noise = createNoise(7);
+    const output = new Float32Array(128);
+
+    kernel.handleMessage({ type: 'learnNoiseProfile', duration: 0.5 });
+    for (let block = 0; block < 250; block++) {
+      const input = Float32Array.from({ length: 128 }, () => 0.05 * noise());
+      kernel.process([[input]], [[output]], parameters);
+    }
+
+    const learned = messages.find(message => message.type === 'noiseProfile');
+    expect(learned.reason).toBe('learned');
+    expect(learned.profile.length).toBe(513);
+
+    const imported = new NoiseSuppressionKernel(44100, {
+      frameSize: 512,
+      noiseProfile: { profile: Array.from(learned.profile), sampleRate, frameSize: 1024 }
+    });
+    expect(imported.noiseProfile.length).toBe(257);
+
+    // White noise stays flat and at the same level per frame size
+    const mean = (values) => values.reduce((sum, value) => sum + value, 0) / values.length;
+    const ratio = mean(Array.from(imported.noiseProfile.slice(10, 240))) / mean(Array.from(learned.profile.slice(10, 460)));
+    expect(ratio).toBeGreaterThan(0.8);
+    expect(ratio).toBeLessThan(1.25);
+  });
+
+  test('voice activity should start and end with voiced speech but not a noise burst', () => {
+    const sampleRate = 48000;
+    const noise = createNoise(3);
+    const input = new Float32Array(sampleRate * 6);
+
+    // Room noise throughout, voiced harmonics from 2 to 3.5 s, a loud noise burst from 4.5 to 5 s
+    for (let i = 0; i < input.length; i++) {
+      const t = i / sampleRate;
+      input[i] = 0.01 * noise();
+      if (t >= 4.5 && t < 5) {
+        input[i] += 0.15 * noise();
+      }
+    }
+    addVoice(input, sampleRate, 2, 3.5);
+
+    const messages = [];
+    const kernel = new VoiceFocusKernel(sampleRate, {}, (message) => messages.push(message));
+    const parameters = { sensitivity: Float32Array.of(0.8), voiceThreshold: Float32Array.of(0.3) };
+    const output = new Float32Array(128);
+    for (let start = 0; start < input.length; start += 128) {
+      kernel.process([[input.subarray(start, start + 128)]], [[output]], parameters);
+    }
+
+    const speech = messages.filter(message => message.type === 'speech');
+    expect(speech.map(message => message.event)).toEqual(['start', 'end']);
+    expect(speech[0].time).toBeGreaterThan(1.9);
+    expect(speech[0].time).toBeLessThan(2.1);
+    expect(speech[1].time).toBeGreaterThan(3.4);
+    expect(speech[1].time).toBeLessThan(3.6);
+    expect(speech[1].duration).toBeCloseTo(speech[1].time - speech[0].time, 5);
+  });
+
+  test('voice focus should ramp its gain on the shaped channel and soft clip it', () => {
+    const sampleRate = 48000;
+    const noise = createNoise(5);
+    const detection = new Float32Array(sampleRate * 3);
+    for (let i = 0; i < detection.length; i++) {
+      detection[i] = 0.01 * noise();
+    }
+    addVoice(detection, sampleRate, 1, 3);
+
+    // A loud shaped signal shows the gain and the clipping
+    const shaped = new Float32Array(detection.length).fill(0.6);
+    const output = new Float32Array(detection.length);
+    const kernel = new VoiceFocusKernel(sampleRate, {}, () => {});
+    const parameters = { sensitivity: Float32Array.of(1), voiceThreshold: Float32Array.of(0.3) };
+
+    for (let start = 0; start < detection.length; start += 128) {
+      const end = start + 128;
+      kernel.process([[detection.subarray(start, end), shaped.subarray(start, end)]], [[output.subarray(start, end)]], parameters);
+    }
+
+    // About unity before speech, boosted to well over full scale during it
+    expect(output[sampleRate / 2]).toBeCloseTo(0.6, 1);
+    expect(kernel.gain).toBeGreaterThan(2);
+
+    let largestStep = 0;
+    let peak = 0;
+    for (let i = 1; i < output.length; i++) {
+      largestStep = Math.max(largestStep, Math.abs(output[i] - output[i - 1]));
+      peak = Math.max(peak, Math.abs(output[i]));
+    }
+    expect(largestStep).toBeLessThan(0.01);
+    expect(peak).toBeGreaterThan(0.95);
+    expect(peak).toBeLessThan(1);
+  });
+
+  test('echo canceller should converge on far-end echo and hold it through double-talk', () => {
+    const sampleRate = 16000;
+    const noise = createNoise(7);
+    const length = 8 * sampleRate;
+
+    // Far end: low-passed noise; echo path: 20 ms delay then a decaying 30 ms response
+    const farEnd = new Float32Array(length);
+    let smoothed = 0;
+    for (let i = 0; i < length; i++) {
+      smoothed = 0.8 * smoothed + 0.2 * noise();
+      farEnd[i] = smoothed;
+    }
+    const pathDelay = 0.02 * sampleRate;
+    const response = Float32Array.from({ length: 0.03 * sampleRate }, (_, i) => 0.3 * noise() * Math.exp(-i / (0.005 * sampleRate)));
+
+    // Near end talks over the echo from 5 to 6.5 s
+    const nearEnd = Float32Array.from({ length }, (_, i) => (
+      i >= 5 * sampleRate && i < 6.5 * sampleRate ? 0.2 * Math.sin(2 * Math.PI * 300 * i / sampleRate) : 0
+    ));
+    const echo = new Float32Array(length);
+    for (let i = pathDelay; i < length; i++) {
+      for (let j = 0; j < response.length && j <= i - pathDelay; j++) {
+        echo[i] += response[j] * farEnd[i - pathDelay - j];
+      }
+    }
+    const mic = echo.map((sample, i) => sample + nearEnd[i]);
+
+    const messages = [];
+    const kernel = new EchoCancellerKernel(sampleRate, { tailLength: 100 }, (message) => messages.push(message));
+    const parameters = { stepSize: Float32Array.of(0.5) };
+    const output = new Float32Array(length);
+    for (let start = 0; start < length; start += 128) {
+      const end = start + 128;
+      kernel.process([[mic.subarray(start, end), farEnd.subarray(start, end)]], [[output.subarray(start, end)]], parameters);
+    }
+
+    // Residual echo over a window, taking out the near end delayed by the kernel's latency
+    const latency = messages[0].latency * sampleRate;
+    const residual = (from, to) => {
+      const samples = output.slice(from * sampleRate, to * sampleRate).map((sample, i) => sample - nearEnd[from * sampleRate + i - latency]);
+      return rms(samples) / rms(echo.subarray(from * sampleRate, to * sampleRate));
+    };
+    const statsAt = (time) => messages.filter(message => message.frame * 1024 <= time * sampleRate).pop();
+
+    expect(residual(4, 5)).toBeLessThan(0.1);
+    expect(statsAt(5).erle).toBeGreaterThan(15);
+    expect(statsAt(5).doubleTalk).toBe(false);
+
+    // Double-talk pauses adaptation, so the near end neither leaks echo nor gets cancelled
+    expect(statsAt(6).doubleTalk).toBe(true);
+    expect(residual(5.2, 6.4)).toBeLessThan(0.15);
+    expect(residual(7, 8)).toBeLessThan(0.1);
+  });
+});
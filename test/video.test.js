@@ -0,0 +1,790 @@
+/**
+ * Tests for the CPU paths of the video effects
+ */
+
+import { LowLightCompensation } from '../src/video/LowLightCompensation';
+import { ColorCorrection, estimateWhiteBalance } from '../src/video/ColorCorrection';
+import { ColorLUT } from '../src/video/ColorLUT';
+import { parseCubeLUT, applyCubeLUT } from '../src/video/CubeLUT';
+import { VideoProcessor } from '../src/video/VideoProcessor';
+import { QualityGovernor } from '../src/video/QualityGovernor';
+import { VideoWorker } from '../src/video/VideoWorker';
+import { BackgroundBlur } from '../src/video/BackgroundBlur';
+import { BackgroundReplace, fitRect } from '../src/video/BackgroundReplace';
+import { EVENTS } from '../src/core/constants';
+
+function createImage(width, height, shade) {
+  const data = new Uint8ClampedArray(width * height * 4);
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const value = shade(x, y);
+      const i = (y * width + x) * 4;
+      data[i] = value;
+      data[i + 1] = value;
+      data[i + 2] = value;
+      data[i + 3] = 255;
+    }
+  }
+  return { data, width, height };
+}
+
+/**
+ * Run with an OffscreenCanvas whose getContext() hands out the given contexts, recording the types asked for
+ */
+async function withOffscreenCanvas(contexts, run) {
+  const original = globalThis.OffscreenCanvas;
+  const requested = [];
+
+  globalThis.OffscreenCanvas = class {
+    constructor(width, height) {
+      this.width = width;
+      this.height = height;
+    }
+
+    getContext(type) {
+      requested.push(type);
+      return contexts[type] || null;
+    }
+  };
+
+  try {
+    await run(requested);
+  } finally {
+    globalThis.OffscreenCanvas = original;
+  }
+}
+
+/**
+ * Replace properties of an object for one test, returning a function that puts them back
+ */
+function patch(object, overrides) {
+  const originals = Object.keys(overrides).map(key => [key, Object.getOwnPropertyDescriptor(object, key)]);
+  Object.assign(object, overrides);
+  return () => originals.forEach(([key, descriptor]) => {
+    if (descriptor) {
+      Object.defineProperty(object, key, descriptor);
+    } else {
+      delete object[key];
+    }
+  });
+}
+
+function cubeFile(size, map) {
+  const lines = ['TITLE "Test"', '# generated', `LUT_3D_SIZE ${size}`];
+  for (let b = 0; b < size; b++) {
+    for (let g = 0; g < size; g++) {
+      for (let r = 0; r < size; r++) {
+        lines.push(map(r / (size - 1), g / (size - 1), b / (size - 1)).join(' '));
+      }
+    }
+  }
+  return lines.join('\n');
+}
+
+/**
+ * GPU pipeline stand-in for single effects: records draws, readbacks and uploads
+ * Readbacks return a flat gray frame
+ */
+function createPipeline(width, height, shade = 40) {
+  return {
+    width,
+    height,
+    copyProgram: { name: 'copy' },
+    draws: [],
+    readbacks: 0,
+    uploads: [],
+    getTarget: (key, targetWidth, targetHeight) => ({ key, width: targetWidth, height: targetHeight }),
+    createTexture: () => ({ name: 'texture' }),
+    draw(programInfo, target, { textures = {}, uniforms = {} } = {}) {
+      this.draws.push({ programInfo, target, textures, uniforms });
+    },
+    readPixels(target, out) {
+      this.readbacks++;
+      return out.fill(shade);
+    },
+    uploadPixels(texture, data, dataWidth, dataHeight) {
+      this.uploads.push({ texture, width: dataWidth, height: dataHeight });
+    }
+  };
+}
+
+/**
+ * RGBA pixels repeating each [r, g, b] color count times
+ */
+function pixelsOf(...runs) {
+  const values = [];
+  runs.forEach(([color, count]) => {
+    for (let i = 0; i < count; i++) values.push(...color, 255);
+  });
+  return new Uint8ClampedArray(values);
+}
+
+/**
+ * Balanced channels of a color under per-channel gains
+ */
+function balance(color, gains) {
+  return color.map((value, c) => value * gains[c]);
+}
+
+function meanOf(image, fromX, toX) {
+  let sum = 0;
+  let count = 0;
+  for (let y = 0; y < image.height; y++) {
+    for (let x = fromX; x < toX; x++) {
+      sum += image.data[(y * image.width + x) * 4];
+      count++;
+    }
+  }
+  return sum / count;
+}
+
+describe('LowLightCompensation', () => {
+  test('adaptive mode should lift shadows within boost and leave highlights alone', async () => {
+    const lowLight = new LowLightCompensation(null, { mode: 'adaptive', threshold: 0.5, boost: 3, tiles: 4 });
+    await lowLight.initialize();
+
+    // Dark textured left half, bright right half
+    const shade = (x, y) => (x < 32 ? 20 + ((x * 7 + y * 13) % 16) : 200);
+    const original = createImage(64, 64, shade);
+    const result = lowLight.processCanvas(createImage(64, 64, shade));
+
+    const darkBefore = meanOf(original, 0, 32);
+    const darkAfter = meanOf(result, 0, 32);
+    expect(darkAfter).toBeGreaterThan(darkBefore * 1.3);
+    expect(darkAfter).toBeLessThanOrEqual(darkBefore * 3);
+    expect(meanOf(result, 32, 64)).toBe(200);
+  });
+
+  test('adaptive mode should update the GPU curves every few frames and reuse them in between', async () => {
+    const lowLight = new LowLightCompensation(null, { mode: 'adaptive', tiles: 4 });
+    await lowLight.initialize();
+    const pipeline = createPipeline(320, 240);
+
+    for (let i = 0; i < 10; i++) {
+      lowLight.render(pipeline, { name: 'input' }, null);
+    }
+
+    expect(pipeline.readbacks).toBe(2);
+    expect(pipeline.uploads).toHaveLength(2);
+    const frames = pipeline.draws.filter(draw => draw.target === null);
+    expect(frames).toHaveLength(10);
+    expect(new Set(frames.map(draw => draw.textures.u_curves)).size).toBe(1);
+
+    // A new tile grid can't use the old curves
+    lowLight.updateConfig({ tiles: 6 });
+    lowLight.render(pipeline, { name: 'input' }, null);
+    expect(pipeline.readbacks).toBe(3);
+    expect(pipeline.uploads[2]).toMatchObject({ width: 256, height: 36 });
+  });
+});
+
+describe('ColorCorrection', () => {
+  let restore = [];
+
+  afterEach(() => {
+    restore.forEach(undo => undo());
+    restore = [];
+  });
+
+  /**
+   * Clock for the frame-rate independent ramps
+   */
+  function setTime(time) {
+    restore.push(patch(performance, { now: () => time }));
+  }
+
+  test('gray-world should neutralize the average color, ignoring black and clipped pixels', () => {
+    const cast = [100, 120, 160];
+    const gains = estimateWhiteBalance(pixelsOf([cast, 50], [[0, 0, 0], 20], [[255, 255, 255], 20]), 'gray-world');
+
+    const [r, g, b] = balance(cast, gains);
+    expect(r).toBeCloseTo(g, 5);
+    expect(b).toBeCloseTo(g, 5);
+    expect(estimateWhiteBalance(pixelsOf([[255, 255, 255], 10], [[2, 3, 4], 10]), 'gray-world')).toBe(null);
+  });
+
+  test('white-patch should neutralize the brightest pixels rather than the average', () => {
+    const patchColor = [240, 230, 200];
+    const pixels = pixelsOf([[60, 120, 60], 90], [patchColor, 10]);
+
+    const [r, g, b] = balance(patchColor, estimateWhiteBalance(pixels, 'white-patch'));
+    expect(r).toBeCloseTo(g, 5);
+    expect(b).toBeCloseTo(g, 5);
+
+    // The green background dominates gray-world instead
+    const grayWorld = estimateWhiteBalance(pixels, 'gray-world');
+    expect(grayWorld[1]).toBeLessThan(grayWorld[0]);
+    const [grayR, grayG] = balance(patchColor, grayWorld);
+    expect(grayG).toBeLessThan(grayR * 0.8);
+  });
+
+  test('white balance gains should ramp toward the estimate at a frame-rate independent pace', () => {
+    const coarse = new ColorCorrection(null, { autoWhiteBalance: true });
+    const fine = new ColorCorrection(null, { autoWhiteBalance: 'gray-world' });
+    coarse.targetGains = [2, 1, 0.5];
+    fine.targetGains = [2, 1, 0.5];
+
+    // The first step has no elapsed time to ramp over
+    setTime(1000);
+    coarse.stepAutomatic();
+    fine.stepAutomatic();
+    expect(coarse.channelGains).toEqual([1, 1, 1]);
+
+    setTime(1750);
+    fine.stepAutomatic();
+    setTime(2500);
+    coarse.stepAutomatic();
+    fine.stepAutomatic();
+
+    // One time constant covers about two thirds of the way
+    expect(coarse.channelGains[0]).toBeCloseTo(1 + (1 - Math.exp(-1)), 5);
+    expect(coarse.channelGains[2]).toBeCloseTo(1 - 0.5 * (1 - Math.exp(-1)), 5);
+    coarse.channelGains.forEach((gain, c) => expect(fine.channelGains[c]).toBeCloseTo(gain, 5));
+  });
+
+  test('temperature should trade red against blue and tint should scale green', () => {
+    const warm = new ColorCorrection(null, { temperature: 1, tint: -0.5 });
+    const data = pixelsOf([[100, 100, 100], 1]);
+    warm.applyWhiteBalance(data);
+    expect([...data.slice(0, 3)]).toEqual([130, 115, 70]);
+
+    const magenta = new ColorCorrection(null, { temperature: -0.5, tint: 1 });
+    magenta.channelGains = [1, 1, 2];
+    const other = pixelsOf([[100, 100, 100], 1]);
+    magenta.applyWhiteBalance(other);
+    expect([...other.slice(0, 3)]).toEqual([85, 70, 230]);
+  });
+
+  /**
+   * Auto exposure processor recording its exposure events
+   */
+  function exposureProcessor() {
+    const processor = new ColorCorrection(null, { autoExposure: true, exposureTarget: 0.45 });
+    const events = [];
+    processor.on(EVENTS.EXPOSURE_ADJUSTED, (event) => events.push(event));
+    return { processor, events };
+  }
+
+  test('auto exposure should start outside the wide band and settle inside the narrow one', () => {
+    const { processor, events } = exposureProcessor();
+    const measure = (level) => processor.measureExposure(pixelsOf([[level, level, level], 16]), 1);
+
+    // 0.42 is within the entry band of the 0.45 target
+    measure(107);
+    expect(events).toHaveLength(0);
+
+    // 0.30 is not: brightness ramps toward 1.5
+    setTime(1000);
+    measure(77);
+    processor.stepAutomatic();
+    expect(events).toEqual([expect.objectContaining({ settled: false })]);
+    expect(processor.exposure.brightness).toBeCloseTo(0.45 / (77 / 255), 5);
+
+    setTime(3000);
+    processor.stepAutomatic();
+    measure(77);
+    expect(events).toHaveLength(2);
+    expect(events[1]).toMatchObject({ settled: true });
+    expect(events[1].brightness).toBeCloseTo(1.49, 2);
+
+    // A drift that stays within the entry band does not restart it
+    measure(70);
+    measure(77);
+    expect(events).toHaveLength(2);
+    expect(processor.getStats().exposureAdjusting).toBe(false);
+  });
+
+  test('auto exposure should settle at the brightness and gamma limits when the target is out of reach', () => {
+    const { processor, events } = exposureProcessor();
+    const measure = () => processor.measureExposure(pixelsOf([[5, 5, 5], 16]), 1);
+
+    setTime(1000);
+    measure();
+    processor.stepAutomatic();
+    setTime(10000);
+    processor.stepAutomatic();
+    expect(processor.config.brightness).toBe(3);
+    expect(processor.config.gamma).toBe(2.2);
+
+    // Still well below the target, but nothing is left to change
+    for (let i = 0; i < 5; i++) measure();
+    expect(events.map(event => event.settled)).toEqual([false, true]);
+    expect(processor.getStats().exposureAdjusting).toBe(false);
+  });
+
+  test('the CPU path should apply gamma as the shader does', () => {
+    const processor = new ColorCorrection(null, { gamma: 2 });
+    const data = pixelsOf([[64, 0, 255], 1]);
+    processor.applyGamma(data);
+    expect([...data]).toEqual([Math.round(255 * Math.sqrt(64 / 255)), 0, 255, 255]);
+
+    const neutral = new ColorCorrection(null, {});
+    const untouched = pixelsOf([[64, 0, 255], 1]);
+    neutral.applyGamma(untouched);
+    expect([...untouched]).toEqual([64, 0, 255, 255]);
+  });
+});
+
+describe('Cube LUTs', () => {
+  test('should parse 1D and 3D files and reject malformed ones', () => {
+    const lut = parseCubeLUT(cubeFile(4, (r, g, b) => [r, g, b]));
+    expect(lut.title).toBe('Test');
+    expect(lut.type).toBe('3D');
+    expect(lut.size).toBe(4);
+    expect(lut.data.length).toBe(4 * 4 * 4 * 3);
+
+    const lut1D = parseCubeLUT('LUT_1D_SIZE 2\nDOMAIN_MAX 2 2 2\n0 0 0\n1 1 1\n');
+    expect(lut1D.type).toBe('1D');
+    expect(lut1D.domainMax).toEqual([2, 2, 2]);
+
+    expect(() => parseCubeLUT('LUT_3D_SIZE 2\n0 0 0\n')).toThrow('expected 8 table entries');
+    expect(() => parseCubeLUT('LUT_3D_SIZE 65\n')).toThrow('line 1');
+    expect(() => parseCubeLUT('LUT_1D_SIZE 2\n0 0\n1 1 1\n')).toThrow('line 2');
+  });
+
+  test('should interpolate trilinearly and blend by strength', async () => {
+    // A linear map is reproduced exactly by trilinear interpolation
+    const lut = parseCubeLUT(cubeFile(3, (r, g, b) => [1 - r, (g + b) / 2, b]));
+    const out = applyCubeLUT(lut, 0.3, 0.6, 0.9);
+    expect(out[0]).toBeCloseTo(0.7, 5);
+    expect(out[1]).toBeCloseTo(0.75, 5);
+    expect(out[2]).toBeCloseTo(0.9, 5);
+
+    const effect = new ColorLUT(null, { source: lut, strength: 0.5 });
+    await effect.initialize();
+    const image = createImage(1, 1, () => 0);
+    effect.processCanvas(image);
+    expect(image.data[0]).toBe(128);
+    expect(image.data[1]).toBe(0);
+  });
+});
+
+describe('VideoProcessor performance settings', () => {
+  test('should drop frames above targetFPS and tolerate jitter at the target rate', () => {
+    const halfRate = new VideoProcessor({}, { targetFPS: 15 });
+    const fullRate = new VideoProcessor({}, { targetFPS: 30 });
+    let kept15 = 0;
+    let kept30 = 0;
+
+    for (let i = 0; i < 300; i++) {
+      // A 30 fps source with a few milliseconds of jitter
+      const time = 1000 + i * (1000 / 30) + (i % 3 - 1) * 3;
+      if (halfRate.shouldProcessFrame(time)) kept15++;
+      if (fullRate.shouldProcessFrame(time)) kept30++;
+    }
+
+    expect(kept15).toBe(150);
+    expect(halfRate.getStats().droppedFrames).toBe(150);
+    expect(kept30).toBe(300);
+  });
+
+  test('should scale sources down to the quality preset', () => {
+    const balanced = new VideoProcessor({}, { quality: 'balanced' });
+    const low = new VideoProcessor({}, { quality: 'low' });
+
+    expect(balanced.getProcessingSize(1920, 1080)).toEqual({ width: 1280, height: 720 });
+    expect(balanced.getProcessingSize(640, 480)).toEqual({ width: 640, height: 480 });
+    expect(low.getProcessingSize(720, 1280)).toEqual({ width: 360, height: 640 });
+  });
+
+  test('should apply targetFPS and quality changes from the next frame', () => {
+    const processor = new VideoProcessor({}, { targetFPS: 10 });
+
+    expect(processor.shouldProcessFrame(1000)).toBe(true);
+    expect(processor.shouldProcessFrame(1040)).toBe(false);
+
+    processor.updatePerformance({ targetFPS: 30, quality: 'low' });
+    expect(processor.shouldProcessFrame(1050)).toBe(true);
+    expect(processor.shouldProcessFrame(1050 + 1000 / 30)).toBe(true);
+    expect(processor.getProcessingSize(1920, 1080)).toEqual({ width: 640, height: 360 });
+  });
+
+  test('should start at the preset size on the 2D path when useWebGL is false', async () => {
+    await withOffscreenCanvas({ '2d': {} }, async (requested) => {
+      const processor = new VideoProcessor({}, { useWebGL: false, quality: 'low' });
+      await processor.initialize();
+
+      expect(requested).toEqual(['2d']);
+      expect(processor.getStats().renderer).toBe('2d');
+      expect(processor.canvas).toMatchObject({ width: 640, height: 480 });
+      await processor.destroy();
+    });
+  });
+
+  test('should fall back to the 2D path when WebGL is unavailable', async () => {
+    await withOffscreenCanvas({ '2d': {} }, async (requested) => {
+      const processor = new VideoProcessor({});
+      await processor.initialize();
+
+      expect(requested).toEqual(['webgl2', 'webgl', '2d']);
+      expect(processor.pipeline).toBe(null);
+      expect(processor.getStats().renderer).toBe('2d');
+      await processor.destroy();
+    });
+  });
+});
+
+describe('VideoProcessor worker fallback', () => {
+  let restore = [];
+
+  afterEach(() => {
+    restore.forEach(undo => undo());
+    restore = [];
+  });
+
+  /**
+   * Make workers look supported and replace the worker's startup
+   */
+  function stubWorker(initialize) {
+    const started = [];
+    const destroyed = [];
+    restore.push(patch(VideoWorker, { isSupported: () => true }));
+    restore.push(patch(VideoWorker.prototype, {
+      initialize(config) {
+        started.push(config);
+        return initialize();
+      },
+      async destroy() {
+        destroyed.push(this);
+      }
+    }));
+    return { started, destroyed };
+  }
+
+  test('should stay on the main thread without OffscreenCanvas WebGL', async () => {
+    expect(VideoWorker.isSupported()).toBe(false);
+
+    await withOffscreenCanvas({ '2d': {} }, async () => {
+      const processor = new VideoProcessor({}, { useWebWorkers: true, useWebGL: false });
+      await processor.initialize();
+
+      expect(processor.worker).toBe(null);
+      expect(processor.getStats().renderer).toBe('2d');
+      await processor.destroy();
+    });
+  });
+
+  test('should keep video backgrounds on the main thread', async () => {
+    const { started } = stubWorker(async () => true);
+    const processor = new VideoProcessor({ backgroundReplace: { enabled: true, video: {} } }, { useWebWorkers: true });
+
+    expect(await processor.initializeWorker()).toBe(false);
+    expect(started).toHaveLength(0);
+    expect(processor.worker).toBe(null);
+  });
+
+  test('should fall back when the worker fails to start', async () => {
+    const { started, destroyed } = stubWorker(async () => {
+      throw new Error('no WebGL in worker');
+    });
+    const processor = new VideoProcessor({ backgroundReplace: { enabled: true, image: {} } }, { useWebWorkers: true });
+
+    expect(await processor.initializeWorker()).toBe(false);
+    expect(started).toHaveLength(1);
+    expect(destroyed).toHaveLength(1);
+    expect(processor.worker).toBe(null);
+  });
+
+  test('should hand the effects to a worker and relay its events', async () => {
+    stubWorker(async () => true);
+    const processor = new VideoProcessor({}, { useWebWorkers: true });
+    const events = [];
+    processor.on(EVENTS.MODEL_LOADED, (payload) => events.push(payload));
+
+    expect(await processor.initializeWorker()).toBe(true);
+    expect(processor.worker).toBeInstanceOf(VideoWorker);
+    expect(processor.getStats().renderer).toBe('worker');
+
+    processor.worker.emit(EVENTS.MODEL_LOADED, { model: 'bodypix' });
+    expect(events).toEqual([{ model: 'bodypix' }]);
+  });
+
+  test('should send the worker only changed keys and copy a background image once', async () => {
+    stubWorker(async () => true);
+    const bitmaps = [];
+    restore.push(patch(globalThis, {
+      ImageData: class {},
+      ImageBitmap: class {},
+      createImageBitmap: async (source) => {
+        const bitmap = { source, closed: false, close() { this.closed = true; } };
+        bitmaps.push(bitmap);
+        return bitmap;
+      }
+    }));
+
+    const processor = new VideoProcessor({}, { useWebWorkers: true });
+    await processor.initializeWorker();
+    processor.isInitialized = true;
+
+    // The worker's effect gets what the worker is sent
+    const replace = new BackgroundReplace(null, {});
+    const backgrounds = [];
+    replace.on('background:changed', () => backgrounds.push(replace.background.source));
+    const sent = [];
+    processor.worker.request = async (type, { config }) => {
+      sent.push(config);
+      if (config.backgroundReplace) await replace.updateConfig(config.backgroundReplace);
+    };
+
+    const image = { width: 640, height: 360 };
+    await processor.updateConfig({ backgroundReplace: { enabled: true, image } });
+    await processor.updateConfig({ backgroundReplace: { enabled: true, image, fit: 'contain' } });
+    await processor.updateConfig({ backgroundReplace: { image } });
+
+    expect(sent).toEqual([
+      { backgroundReplace: { enabled: true, image: bitmaps[0] } },
+      { backgroundReplace: { fit: 'contain' } }
+    ]);
+    expect(backgrounds).toEqual([image]);
+
+    // A new element is copied once more and the old copy released after the worker switched
+    const next = { width: 320, height: 240 };
+    await processor.updateConfig({ backgroundReplace: { image: next } });
+    expect(backgrounds).toEqual([image, next]);
+    expect(bitmaps.map(bitmap => bitmap.closed)).toEqual([true, false]);
+  });
+
+  test('the worker should reuse the bitmap of an unchanged element and warn about video backgrounds once', async () => {
+    let copies = 0;
+    restore.push(patch(globalThis, {
+      ImageData: class {},
+      ImageBitmap: class {},
+      createImageBitmap: async () => ({ copy: ++copies })
+    }));
+    const worker = new VideoWorker();
+    const errors = [];
+    worker.on('error', (error) => errors.push(error.message));
+
+    const image = { width: 640, height: 360 };
+    const first = await worker.prepareConfig({ backgroundReplace: { image, video: {} } });
+    const second = await worker.prepareConfig({ backgroundReplace: { image, video: {} } });
+
+    expect(second.backgroundReplace.image).toBe(first.backgroundReplace.image);
+    expect(copies).toBe(1);
+    expect(second.backgroundReplace.video).toBe(null);
+    expect(errors).toEqual(['Video backgrounds need the main thread, set performance.useWebWorkers to false']);
+  });
+});
+
+describe('QualityGovernor', () => {
+  test('should step down the ladder over budget and back up with headroom', () => {
+    const governor = new QualityGovernor({
+      targetFPS: 30,
+      steps: ['segmentationResolution', 'blurRadius', 'lowLight'],
+      isApplicable: (step) => step !== 'blurRadius'
+    });
+    const changes = [];
+    governor.on('quality:changed', (change) => changes.push(change));
+
+    // 50 ms frames miss the 33 ms budget
+    for (let i = 0; i < 100; i++) governor.observe(50);
+    expect(changes.map(change => change.step)).toEqual(['segmentationResolution', 'lowLight']);
+    expect(changes[0]).toMatchObject({ direction: 'down', reason: 'over-budget', level: 1 });
+    expect(governor.getActiveSteps()).toEqual(['segmentationResolution', 'blurRadius', 'lowLight']);
+
+    // 10 ms frames leave headroom; restoring is slower than degrading
+    for (let i = 0; i < 100; i++) governor.observe(10);
+    expect(changes).toHaveLength(2);
+    for (let i = 0; i < 400; i++) governor.observe(10);
+    expect(changes.slice(2).map(change => change.step)).toEqual(['lowLight', 'segmentationResolution']);
+    expect(changes[3]).toMatchObject({ direction: 'up', reason: 'headroom', level: 0 });
+  });
+});
+
+describe('Background effects', () => {
+  test('fitRect should cover or contain the destination, centered', () => {
+    // 4:3 source into a 16:9 frame
+    expect(fitRect(400, 300, 1600, 900, 'cover')).toEqual({ x: 0, y: -150, width: 1600, height: 1200 });
+    expect(fitRect(400, 300, 1600, 900, 'contain')).toEqual({ x: 200, y: 0, width: 1200, height: 900 });
+    expect(fitRect(1600, 900, 1600, 900, 'cover')).toEqual({ x: 0, y: 0, width: 1600, height: 900 });
+  });
+
+  test.each([
+    ['blur', BackgroundBlur],
+    ['replace', BackgroundReplace]
+  ])('%s should pass frames through when the segmentation model fails to load', async (name, Effect) => {
+    const effect = new Effect(null, { model: 'missing' });
+    const errors = [];
+    effect.on(EVENTS.MODEL_ERROR, (error) => errors.push(error));
+
+    await effect.loadSegmenter();
+
+    expect(errors).toHaveLength(1);
+    expect(effect.getStats().segmentation).toBe(false);
+
+    const frame = createImage(4, 4, () => 128);
+    expect(await effect.process(frame)).toBe(frame);
+  });
+
+  test('blur should copy the input on the GPU path without a model', async () => {
+    const blur = new BackgroundBlur(null, { model: 'missing' });
+    await blur.loadSegmenter();
+
+    const draws = [];
+    const pipeline = {
+      copyProgram: { name: 'copy' },
+      draw: (program, target, options) => draws.push({ program, target, options })
+    };
+    blur.render(pipeline, 'input', 'output');
+
+    expect(draws).toEqual([{ program: pipeline.copyProgram, target: 'output', options: { textures: { u_texture: 'input' } } }]);
+  });
+});
+
+describe('BackgroundReplace', () => {
+  let restore = [];
+
+  afterEach(() => {
+    restore.forEach(undo => undo());
+    restore = [];
+  });
+
+  /**
+   * Effect outside a browser, recording background changes and errors
+   */
+  function createReplace(config) {
+    restore.push(patch(globalThis, { ImageData: class {} }));
+    const replace = new BackgroundReplace(null, config);
+    const changes = [];
+    const errors = [];
+    replace.on('background:changed', ({ type }) => changes.push(type));
+    replace.on('error', (error) => errors.push(error.message));
+    return { replace, changes, errors };
+  }
+
+  /**
+   * Segmenter stand-in recording config updates and whether it was released
+   */
+  function stubSegmenter() {
+    return {
+      updates: [],
+      destroyed: false,
+      updateConfig(config) {
+        this.updates.push(config);
+      },
+      async destroy() {
+        this.destroyed = true;
+      }
+    };
+  }
+
+  function stubVideo() {
+    return {
+      readyState: 4,
+      videoWidth: 320,
+      videoHeight: 240,
+      paused: true,
+      async play() {
+        this.paused = false;
+      },
+      pause() {
+        this.paused = true;
+      }
+    };
+  }
+
+  test('should switch between image, color and video backgrounds', async () => {
+    const { replace, changes, errors } = createReplace();
+    const image = { width: 640, height: 360 };
+    const video = stubVideo();
+
+    await replace.setBackground({ image });
+    expect(replace.background).toBe(image);
+    expect(replace.getBackgroundSize()).toEqual([640, 360]);
+
+    await replace.setBackground({ color: '#00ff00' });
+    expect(replace.background).toBe(null);
+    expect(replace.config).toMatchObject({ color: '#00ff00', image: null, video: null });
+
+    // Video backgrounds need a document, as on the main thread
+    restore.push(patch(globalThis, { document: {} }));
+    await replace.setBackground({ video, fit: 'contain' });
+    expect(replace.background).toBe(video);
+    expect(video).toMatchObject({ loop: true, muted: true, paused: false });
+    expect(replace.getBackgroundSize()).toEqual([320, 240]);
+
+    // The video stops once replaced
+    await replace.setBackground({ image });
+    expect(video.paused).toBe(true);
+    expect(replace.config.fit).toBe('contain');
+
+    expect(changes).toEqual(['image', 'color', 'video', 'image']);
+    expect(errors).toEqual([]);
+  });
+
+  test('should fall back to the color background when a load fails', async () => {
+    const { replace, changes, errors } = createReplace();
+    restore.push(patch(globalThis, { fetch: async () => ({ ok: false, status: 404 }) }));
+
+    await replace.setBackground({ image: 'missing.png', color: '#112233' });
+    expect(replace.getStats()).toMatchObject({ backgroundType: 'color', color: '#112233' });
+    expect(replace.background).toBe(null);
+
+    // No document here, like a worker
+    await replace.setBackground({ video: stubVideo() });
+    expect(replace.getStats().backgroundType).toBe('color');
+
+    expect(changes).toEqual(['color', 'color']);
+    expect(errors).toEqual([
+      'Failed to load background: missing.png returned HTTP 404',
+      'Failed to load background: video backgrounds need the main thread, set performance.useWebWorkers to false'
+    ]);
+  });
+
+  test('processCanvas should pass frames through without segmentation, whatever the background', async () => {
+    const { replace } = createReplace();
+    await replace.setBackground({ image: { width: 8, height: 8 } });
+
+    const frame = createImage(4, 4, () => 128);
+    expect(replace.segmenter).toBe(null);
+    expect(await replace.processCanvas(frame)).toBe(frame);
+    expect(frame.data.every((value, i) => value === (i % 4 === 3 ? 255 : 128))).toBe(true);
+  });
+
+  test('updateConfig should reload the segmenter only for a model change', async () => {
+    const { replace, changes } = createReplace();
+    const first = stubSegmenter();
+    const loads = [];
+    replace.loadSegmenter = async () => {
+      loads.push({ model: replace.config.model, modelUrl: replace.config.modelUrl });
+      replace.segmenter = stubSegmenter();
+    };
+    replace.segmenter = first;
+    replace.isInitialized = true;
+
+    // Other settings go to the running segmenter
+    await replace.updateConfig({ segmentationThreshold: 0.5 });
+    expect(loads).toEqual([]);
+    expect(first.updates).toEqual([{ segmentationThreshold: 0.5 }]);
+
+    await replace.updateConfig({ modelUrl: '/models/bodypix/model.json' });
+    expect(loads).toEqual([{ model: 'bodypix', modelUrl: '/models/bodypix/model.json' }]);
+    expect(first.destroyed).toBe(true);
+    expect(replace.segmenter).not.toBe(first);
+
+    await replace.updateConfig({ model: 'bodypix' });
+    expect(loads).toHaveLength(2);
+
+    expect(changes).toEqual([]);
+  });
+
+  test('updateConfig should reload the background only for an image or video change', async () => {
+    const { replace, changes } = createReplace();
+    const image = { width: 640, height: 360 };
+
+    await replace.updateConfig({ fit: 'contain', color: '#ffffff', edgeFeather: 1 });
+    expect(changes).toEqual([]);
+
+    await replace.updateConfig({ image });
+    expect(replace.background).toBe(image);
+    expect(replace.config).toMatchObject({ fit: 'contain', color: '#ffffff' });
+
+    await replace.updateConfig({ maskSmoothing: 0.2 });
+    expect(replace.background).toBe(image);
+
+    await replace.updateConfig({ image: null });
+    expect(replace.background).toBe(null);
+
+    expect(changes).toEqual(['image', 'color']);
+  });
+});